@@ -11,6 +11,7 @@ import { useServiceWorker } from './hooks/useServiceWorker';
 const LoginPage = React.lazy(() => import('./pages/LoginPage').then(module => ({ default: module.LoginPage })));
 const SignupPage = React.lazy(() => import('./pages/SignupPage').then(module => ({ default: module.SignupPage })));
 const DashboardPage = React.lazy(() => import('./pages/DashboardPage').then(module => ({ default: module.DashboardPage })));
+const BioPageEditor = React.lazy(() => import('./pages/BioPageEditor').then(module => ({ default: module.BioPageEditor })));
 const AdminPage = React.lazy(() => import('./pages/AdminPage').then(module => ({ default: module.AdminPage })));
 const AuthSuccessPage = React.lazy(() => import('./pages/AuthSuccessPage').then(module => ({ default: module.AuthSuccessPage })));
 const AuthErrorPage = React.lazy(() => import('./pages/AuthErrorPage').then(module => ({ default: module.AuthErrorPage })));
@@ -71,6 +72,12 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              <Route path="/bio" element={
+                <ProtectedRoute>
+                  <BioPageEditor />
+                </ProtectedRoute>
+              } />
+              
               <Route path="/admin" element={
                 <ProtectedRoute adminOnly>
                   <AdminPage />
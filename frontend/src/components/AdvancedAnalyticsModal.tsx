@@ -1,16 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { 
   LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell,
+  ScatterChart, Scatter, ZAxis,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer 
 } from 'recharts';
 import { 
   Calendar, Download, RefreshCw, Globe, Smartphone, Monitor, 
   Clock, TrendingUp, Users, MousePointer, Eye, ExternalLink,
-  Filter, BarChart3, PieChart as PieChartIcon, Activity
+  Filter, BarChart3, PieChart as PieChartIcon, Activity, Target, DollarSign, Timer
 } from 'lucide-react';
 import CountUp from 'react-countup';
 import { format, subDays, parseISO } from 'date-fns';
 import { urlAPI } from '../services/api';
+import { COUNTRY_CENTROIDS } from '../lib/countryCentroids';
+import { LiveClick } from '../types';
 
 // TypeScript interfaces
 interface AdvancedAnalyticsModalProps {
@@ -39,6 +42,27 @@ interface AnalyticsData {
   hourlyPattern: HourlyPattern[];
   weeklyPattern: WeeklyPattern[];
   recentClicks: RecentClick[];
+  conversions?: ConversionStats;
+}
+
+interface ConversionStats {
+  conversions: number;
+  convertedClicks: number;
+  conversionRate: number;
+  revenue: { currency: string; amount: number }[];
+  avgTimeToConvertMs: number | null;
+  medianTimeToConvertMs: number | null;
+  goals: ConversionGoalStat[];
+}
+
+interface ConversionGoalStat {
+  goalId: string;
+  name: string | null;
+  conversions: number;
+  conversionRate: number;
+  revenue: number;
+  currency: string;
+  avgTimeToConvertMs: number;
 }
 
 interface DailyStat {
@@ -101,6 +125,9 @@ interface RecentClick {
   isBot: boolean;
 }
 
+// Clicks kept in the live ticker
+const MAX_LIVE_CLICKS = 50;
+
 const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4', '#84CC16', '#F97316'];
 
 const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen, onClose, url }) => {
@@ -111,6 +138,9 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
   const [activeTab, setActiveTab] = useState('overview');
   const [realtimeData, setRealtimeData] = useState<any>(null);
   const [autoRefresh, setAutoRefresh] = useState(false);
+  const [liveClicks, setLiveClicks] = useState<LiveClick[]>([]);
+  const [liveCountries, setLiveCountries] = useState<Record<string, { country: string; count: number }>>({});
+  const [liveConnected, setLiveConnected] = useState(false);
 
   const timeRanges = [
     { value: '1h', label: 'Last Hour' },
@@ -127,6 +157,7 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
     { id: 'geography', label: 'Geography', icon: Globe },
     { id: 'technology', label: 'Technology', icon: Monitor },
     { id: 'behavior', label: 'Behavior', icon: Activity },
+    { id: 'conversions', label: 'Conversions', icon: Target },
     { id: 'realtime', label: 'Real-time', icon: RefreshCw }
   ];
 
@@ -146,6 +177,33 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
     };
   }, [autoRefresh, activeTab]);
 
+  // Live click stream while the real-time tab is open
+  useEffect(() => {
+    if (!isOpen || activeTab !== 'realtime' || !url) return;
+
+    const controller = new AbortController();
+    urlAPI.streamClicks(
+      url.shortCode || url.shortId,
+      (click) => {
+        setLiveClicks((clicks) => [click, ...clicks].slice(0, MAX_LIVE_CLICKS));
+        setLiveCountries((countries) => ({
+          ...countries,
+          [click.countryCode]: {
+            country: click.country,
+            count: (countries[click.countryCode]?.count || 0) + 1
+          }
+        }));
+      },
+      controller.signal,
+      setLiveConnected
+    );
+
+    return () => {
+      controller.abort();
+      setLiveConnected(false);
+    };
+  }, [isOpen, activeTab, url?.shortCode, url?.shortId]);
+
   const fetchAnalytics = async () => {
     if (!url) return;
     
@@ -213,6 +271,24 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
     return days[dayIndex];
   };
 
+  const formatMoney = (amount: number, currency: string) => {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch {
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  };
+
+  // Time to convert as the two largest units, e.g. "2d 4h" or "35m"
+  const formatDuration = (ms: number | null) => {
+    if (ms === null || ms === undefined) return '—';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  };
+
   const getDeviceIcon = (device: string) => {
     switch (device.toLowerCase()) {
       case 'mobile': return <Smartphone className="w-4 h-4" />;
@@ -644,6 +720,108 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
                 </div>
               )}
 
+              {/* Conversions Tab */}
+              {activeTab === 'conversions' && (
+                <div className="space-y-6">
+                  {!analytics.conversions || analytics.conversions.conversions === 0 ? (
+                    <div className="text-center py-12 text-gray-500">
+                      No conversions in this period. Add a conversion goal for this link or its folder,
+                      then report conversions by postback or with the conversion pixel.
+                    </div>
+                  ) : (
+                    <>
+                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                        <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-6 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-blue-600 text-sm font-medium">Conversions</p>
+                              <p className="text-3xl font-bold text-blue-900">
+                                <CountUp end={analytics.conversions.conversions} duration={2} />
+                              </p>
+                            </div>
+                            <Target className="w-8 h-8 text-blue-600" />
+                          </div>
+                        </div>
+
+                        <div className="bg-gradient-to-br from-green-50 to-green-100 p-6 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-green-600 text-sm font-medium">Conversion Rate</p>
+                              <p className="text-3xl font-bold text-green-900">
+                                <CountUp end={analytics.conversions.conversionRate} decimals={2} duration={2} />
+                                <span className="text-lg">%</span>
+                              </p>
+                            </div>
+                            <TrendingUp className="w-8 h-8 text-green-600" />
+                          </div>
+                        </div>
+
+                        <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-6 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-purple-600 text-sm font-medium">Revenue</p>
+                              {analytics.conversions.revenue.length === 0 ? (
+                                <p className="text-3xl font-bold text-purple-900">—</p>
+                              ) : (
+                                analytics.conversions.revenue.map((item) => (
+                                  <p key={item.currency} className="text-2xl font-bold text-purple-900">
+                                    {formatMoney(item.amount, item.currency)}
+                                  </p>
+                                ))
+                              )}
+                            </div>
+                            <DollarSign className="w-8 h-8 text-purple-600" />
+                          </div>
+                        </div>
+
+                        <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-6 rounded-lg">
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-orange-600 text-sm font-medium">Time to Convert</p>
+                              <p className="text-3xl font-bold text-orange-900">
+                                {formatDuration(analytics.conversions.medianTimeToConvertMs)}
+                              </p>
+                              <p className="text-orange-700 text-xs">
+                                median · avg {formatDuration(analytics.conversions.avgTimeToConvertMs)}
+                              </p>
+                            </div>
+                            <Timer className="w-8 h-8 text-orange-600" />
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="bg-white border border-gray-200 rounded-lg p-6">
+                        <h3 className="text-lg font-semibold mb-4">Goals</h3>
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="border-b border-gray-200">
+                                <th className="text-left py-2">Goal</th>
+                                <th className="text-right py-2">Conversions</th>
+                                <th className="text-right py-2">Rate</th>
+                                <th className="text-right py-2">Revenue</th>
+                                <th className="text-right py-2">Avg. Time to Convert</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {analytics.conversions.goals.map((goal) => (
+                                <tr key={goal.goalId} className="border-b border-gray-100">
+                                  <td className="py-2 font-medium">{goal.name || 'Deleted goal'}</td>
+                                  <td className="py-2 text-right">{goal.conversions}</td>
+                                  <td className="py-2 text-right">{goal.conversionRate}%</td>
+                                  <td className="py-2 text-right">{formatMoney(goal.revenue, goal.currency)}</td>
+                                  <td className="py-2 text-right">{formatDuration(goal.avgTimeToConvertMs)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+
               {/* Real-time Tab */}
               {activeTab === 'realtime' && (
                 <div className="space-y-6">
@@ -684,6 +862,70 @@ const AdvancedAnalyticsModal: React.FC<AdvancedAnalyticsModalProps> = ({ isOpen,
                       Click refresh to load real-time data
                     </div>
                   )}
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {/* Live Map */}
+                    <div className="bg-white border border-gray-200 rounded-lg p-6">
+                      <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-lg font-semibold">Live Map</h3>
+                        <span className={`flex items-center space-x-2 text-sm ${liveConnected ? 'text-green-600' : 'text-gray-400'}`}>
+                          <span className={`w-2 h-2 rounded-full ${liveConnected ? 'bg-green-500 animate-pulse' : 'bg-gray-300'}`}></span>
+                          <span>{liveConnected ? 'Live' : 'Connecting...'}</span>
+                        </span>
+                      </div>
+                      <ResponsiveContainer width="100%" height={260}>
+                        <ScatterChart margin={{ top: 10, right: 10, bottom: 10, left: 10 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis type="number" dataKey="lng" domain={[-180, 180]} hide />
+                          <YAxis type="number" dataKey="lat" domain={[-60, 85]} hide />
+                          <ZAxis type="number" dataKey="count" range={[40, 400]} />
+                          <Tooltip
+                            content={({ payload }) => payload && payload.length ? (
+                              <div className="bg-white border border-gray-200 rounded px-2 py-1 text-sm shadow">
+                                {payload[0].payload.country}: {payload[0].payload.count}
+                              </div>
+                            ) : null}
+                          />
+                          <Scatter
+                            data={Object.entries(liveCountries)
+                              .filter(([code]) => COUNTRY_CENTROIDS[code])
+                              .map(([code, item]) => ({
+                                ...item,
+                                lat: COUNTRY_CENTROIDS[code][0],
+                                lng: COUNTRY_CENTROIDS[code][1]
+                              }))}
+                            fill="#3B82F6"
+                            fillOpacity={0.6}
+                          />
+                        </ScatterChart>
+                      </ResponsiveContainer>
+                    </div>
+
+                    {/* Live Ticker */}
+                    <div className="bg-white border border-gray-200 rounded-lg p-6">
+                      <h3 className="text-lg font-semibold mb-4">Live Clicks</h3>
+                      {liveClicks.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                          Waiting for clicks...
+                        </div>
+                      ) : (
+                        <div className="space-y-2 max-h-64 overflow-y-auto">
+                          {liveClicks.map((click, index) => (
+                            <div key={`${click.timestamp}-${index}`} className="flex items-center justify-between text-sm border-b border-gray-100 pb-2">
+                              <div className="flex items-center space-x-3">
+                                {getDeviceIcon(click.device)}
+                                <span className="font-medium">{click.country}</span>
+                                <span className="text-gray-500 capitalize">{click.referrer || click.referrerCategory}</span>
+                              </div>
+                              <span className="text-gray-500">
+                                {format(parseISO(click.timestamp), 'HH:mm:ss')}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
                 </div>
               )}
             </>
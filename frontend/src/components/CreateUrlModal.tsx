@@ -3,7 +3,8 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { X } from 'lucide-react';
 import { Button } from './ui/Button';
 import { Input } from './ui/Input';
-import { CreateUrlData } from '../types';
+import { UtmBuilder } from './UtmBuilder';
+import { CreateUrlData, DedupeMode, DuplicateLink } from '../types';
 
 interface CreateUrlModalProps {
   onClose: () => void;
@@ -25,6 +26,8 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
   const [loading, setLoading] = useState(false);
   const [tagInput, setTagInput] = useState('');
   const [apiError, setApiError] = useState<string | null>(null);
+  const [utmTemplateId, setUtmTemplateId] = useState('');
+  const [duplicate, setDuplicate] = useState<DuplicateLink | null>(null);
 
   const validateForm = () => {
     const newErrors: Partial<CreateUrlData> = {};
@@ -41,7 +44,13 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+    await submit();
+  };
+
+  // `dedupe` answers the "link already exists" question for this submission
+  const submit = async (dedupe?: DedupeMode) => {
     setApiError(null);
+    setDuplicate(null);
     
     console.log('Form submission started with data:', formData);
     
@@ -53,7 +62,7 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
     setLoading(true);
     try {
       console.log('Calling onSubmit with validated data:', formData);
-      await onSubmit(formData);
+      await onSubmit({ ...formData, utmTemplateId: utmTemplateId || undefined, dedupe });
       console.log('Form submission successful');
       
       // Clear form on success
@@ -70,7 +79,14 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
       
     } catch (error: any) {
       console.error('Create URL error:', error);
-      const errorMessage = error.response?.data?.error || error.message || 'Failed to create link';
+      if (error.response?.data?.code === 'DUPLICATE_LINK') {
+        setDuplicate(error.response.data.details);
+        return;
+      }
+      const details = error.response?.data?.details;
+      const errorMessage = Array.isArray(details) && details.length > 0
+        ? `${error.response.data.message}: ${details.map((detail: any) => detail.message).join('; ')}`
+        : error.response?.data?.message || error.response?.data?.error || error.message || 'Failed to create link';
       console.log('Setting error message:', errorMessage);
       setApiError(errorMessage);
     } finally {
@@ -129,6 +145,22 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
               </div>
             )}
 
+            {duplicate && (
+              <div className="bg-amber-50 border border-amber-200 rounded-md p-3 space-y-2">
+                <p className="text-sm text-amber-800">
+                  You already have a link to this destination: <span className="font-medium">/{duplicate.shortCode}</span>
+                </p>
+                <div className="flex space-x-2">
+                  <Button type="button" variant="outline" onClick={() => submit('reuse')} disabled={loading}>
+                    Use existing link
+                  </Button>
+                  <Button type="button" onClick={() => submit('always_new')} disabled={loading}>
+                    Create new link
+                  </Button>
+                </div>
+              </div>
+            )}
+
             <Input
               label="Original URL"
               name="originalUrl"
@@ -140,6 +172,13 @@ export const CreateUrlModal: React.FC<CreateUrlModalProps> = ({
               placeholder="https://example.com"
             />
 
+            <UtmBuilder
+              destination={formData.originalUrl}
+              templateId={utmTemplateId}
+              onTemplateChange={setUtmTemplateId}
+              onApply={(url) => setFormData(prev => ({ ...prev, originalUrl: url }))}
+            />
+
             <Input
               label="Custom Alias (optional)"
               name="customAlias"
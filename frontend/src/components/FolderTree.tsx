@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown, Folder as FolderIcon, FolderPlus, Inbox, Layers, Trash2 } from 'lucide-react';
+import { Folder } from '../types';
+
+// '' = all links, 'unfiled' = links outside any folder, otherwise a folder id
+export type FolderSelection = string;
+
+interface FolderTreeProps {
+  folders: Folder[];
+  unfiledLinks: number;
+  selected: FolderSelection;
+  onSelect: (selection: FolderSelection) => void;
+  onCreate: (parentId: string | null) => void;
+  onDelete: (folder: Folder) => void;
+}
+
+const itemClass = (active: boolean) =>
+  `flex items-center w-full px-2 py-1.5 rounded-md text-sm text-left ${
+    active ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+
+export const FolderTree: React.FC<FolderTreeProps> = ({
+  folders,
+  unfiledLinks,
+  selected,
+  onSelect,
+  onCreate,
+  onDelete
+}) => {
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+
+  const toggle = (id: string) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const renderFolder = (folder: Folder, depth: number): React.ReactNode => {
+    const isCollapsed = collapsed.has(folder.id);
+    const hasChildren = folder.children.length > 0;
+
+    return (
+      <li key={folder.id}>
+        <div className="group flex items-center" style={{ paddingLeft: depth * 12 }}>
+          <button
+            type="button"
+            onClick={() => hasChildren && toggle(folder.id)}
+            className="w-4 h-4 flex items-center justify-center text-gray-400"
+            aria-label={isCollapsed ? 'Expand folder' : 'Collapse folder'}
+          >
+            {hasChildren && (isCollapsed ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />)}
+          </button>
+          <button type="button" onClick={() => onSelect(folder.id)} className={itemClass(selected === folder.id)}>
+            <FolderIcon className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span className="truncate flex-1">{folder.name}</span>
+            <span className="text-xs text-gray-400 ml-2">{folder.totalLinks}</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => onDelete(folder)}
+            className="ml-1 p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+            title="Delete folder"
+          >
+            <Trash2 className="w-3 h-3" />
+          </button>
+        </div>
+        {hasChildren && !isCollapsed && (
+          <ul>{folder.children.map(child => renderFolder(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  const selectedFolderId = selected && selected !== 'unfiled' ? selected : null;
+
+  return (
+    <nav className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
+      <div className="flex items-center justify-between mb-2 px-1">
+        <h2 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">Folders</h2>
+        <button
+          type="button"
+          onClick={() => onCreate(selectedFolderId)}
+          className="p-1 text-gray-500 hover:text-blue-600"
+          title={selectedFolderId ? 'New subfolder' : 'New folder'}
+        >
+          <FolderPlus className="w-4 h-4" />
+        </button>
+      </div>
+      <ul className="space-y-0.5">
+        <li>
+          <button type="button" onClick={() => onSelect('')} className={itemClass(selected === '')}>
+            <Layers className="w-4 h-4 mr-2" />
+            <span className="flex-1">All links</span>
+          </button>
+        </li>
+        <li>
+          <button type="button" onClick={() => onSelect('unfiled')} className={itemClass(selected === 'unfiled')}>
+            <Inbox className="w-4 h-4 mr-2" />
+            <span className="flex-1">Unfiled</span>
+            <span className="text-xs text-gray-400 ml-2">{unfiledLinks}</span>
+          </button>
+        </li>
+        {folders.map(folder => renderFolder(folder, 0))}
+      </ul>
+    </nav>
+  );
+};
+
+// Flatten the tree into indented options for folder pickers
+export const flattenFolders = (folders: Folder[], depth = 0): { id: string; label: string }[] =>
+  folders.flatMap(folder => [
+    { id: folder.id, label: `${'\u00a0\u00a0'.repeat(depth)}${folder.name}` },
+    ...flattenFolders(folder.children, depth + 1)
+  ]);
@@ -39,6 +39,16 @@ export const Navbar: React.FC = () => {
               Dashboard
             </Link>
 
+            <Link
+              to="/bio"
+              className={cn(
+                "px-3 py-2 rounded-md text-sm font-medium transition-colors",
+                "text-gray-700 hover:text-gray-900 hover:bg-gray-50"
+              )}
+            >
+              Bio Page
+            </Link>
+
             {user.role === 'admin' && (
               <Link
                 to="/admin"
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronRight, ChevronDown, Megaphone } from 'lucide-react';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { utmAPI } from '../services/api';
+import { UtmField, UtmTemplate, UtmValues } from '../types';
+
+const UTM_FIELDS: UtmField[] = ['source', 'medium', 'campaign', 'term', 'content'];
+
+interface UtmBuilderProps {
+  destination: string;
+  templateId: string;
+  onTemplateChange: (templateId: string) => void;
+  onApply: (url: string) => void;
+}
+
+// Fills in utm_* parameters on the destination, using a saved template's
+// defaults and allowed values, and shows convention problems before submit
+export const UtmBuilder: React.FC<UtmBuilderProps> = ({
+  destination,
+  templateId,
+  onTemplateChange,
+  onApply
+}) => {
+  const [open, setOpen] = useState(false);
+  const [templates, setTemplates] = useState<UtmTemplate[]>([]);
+  const [values, setValues] = useState<UtmValues>({});
+  const [violations, setViolations] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || templates.length > 0) return;
+    utmAPI.getTemplates()
+      .then(setTemplates)
+      .catch(err => console.error('Failed to fetch UTM templates:', err));
+  }, [open, templates.length]);
+
+  const template = templates.find(t => t.id === templateId);
+
+  const handleTemplateChange = (id: string) => {
+    onTemplateChange(id);
+    setViolations([]);
+    const selected = templates.find(t => t.id === id);
+    if (selected) {
+      setValues(Object.fromEntries(
+        UTM_FIELDS.map(field => [field, selected.fields[field]?.defaultValue || ''])
+      ));
+    }
+  };
+
+  const handleApply = async () => {
+    setError(null);
+    if (!/^https?:\/\/.+/.test(destination)) {
+      setError('Enter the original URL first');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await utmAPI.build({
+        destination,
+        templateId: templateId || undefined,
+        values
+      });
+      onApply(result.url);
+      setViolations(result.violations.map(violation => violation.message));
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to build campaign URL');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = (field: UtmField) => {
+    const rules = template?.fields[field];
+    const label = `utm_${field}${rules?.required ? ' *' : ''}`;
+    const value = values[field] || '';
+    const setValue = (next: string) => setValues(prev => ({ ...prev, [field]: next }));
+
+    if (rules?.allowedValues && rules.allowedValues.length > 0) {
+      return (
+        <div key={field} className="space-y-1">
+          <label className="text-xs font-medium text-gray-600">{label}</label>
+          <select
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">—</option>
+            {rules.allowedValues.map(allowed => (
+              <option key={allowed} value={allowed}>{allowed}</option>
+            ))}
+          </select>
+        </div>
+      );
+    }
+
+    return (
+      <div key={field} className="space-y-1">
+        <label className="text-xs font-medium text-gray-600">{label}</label>
+        <Input value={value} onChange={(e) => setValue(e.target.value)} />
+      </div>
+    );
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-md">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center w-full px-3 py-2 text-sm font-medium text-gray-700"
+      >
+        {open ? <ChevronDown className="w-4 h-4 mr-1" /> : <ChevronRight className="w-4 h-4 mr-1" />}
+        <Megaphone className="w-4 h-4 mr-2" />
+        Campaign parameters (UTM)
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-3">
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-gray-600">Template</label>
+            <select
+              value={templateId}
+              onChange={(e) => handleTemplateChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">No template</option>
+              {templates.map(t => (
+                <option key={t.id} value={t.id}>
+                  {t.name}{t.isDefault ? ' (default)' : ''}
+                </option>
+              ))}
+            </select>
+            {template?.description && (
+              <p className="text-xs text-gray-500">{template.description}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            {UTM_FIELDS.map(renderField)}
+          </div>
+
+          {error && <p className="text-xs text-destructive">{error}</p>}
+          {violations.length > 0 && (
+            <ul className="text-xs text-amber-700 bg-amber-50 rounded-md p-2 space-y-0.5">
+              {violations.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          <Button type="button" variant="outline" onClick={handleApply} loading={loading}>
+            Apply to URL
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
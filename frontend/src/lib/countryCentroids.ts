@@ -0,0 +1,36 @@
+// Approximate centre [latitude, longitude] of countries by ISO 3166-1 alpha-2
+// code, used to place clicks on the live map (only the country is known)
+export const COUNTRY_CENTROIDS: Record<string, [number, number]> = {
+  // Americas
+  US: [39.8, -98.6], CA: [56.1, -106.3], MX: [23.6, -102.6], BR: [-14.2, -51.9],
+  AR: [-38.4, -63.6], CL: [-35.7, -71.5], CO: [4.6, -74.3], PE: [-9.2, -75.0],
+  VE: [6.4, -66.6], EC: [-1.8, -78.2], UY: [-32.5, -55.8], BO: [-16.3, -63.6],
+  PY: [-23.4, -58.4], CR: [9.7, -83.8], PA: [8.5, -80.8], GT: [15.8, -90.2],
+  CU: [21.5, -77.8], DO: [18.7, -70.2], PR: [18.2, -66.6], JM: [18.1, -77.3],
+  // Europe
+  GB: [55.4, -3.4], IE: [53.4, -8.2], FR: [46.2, 2.2], DE: [51.2, 10.5],
+  ES: [40.5, -3.7], PT: [39.4, -8.2], IT: [41.9, 12.6], NL: [52.1, 5.3],
+  BE: [50.5, 4.5], LU: [49.8, 6.1], CH: [46.8, 8.2], AT: [47.5, 14.6],
+  DK: [56.3, 9.5], NO: [60.5, 8.5], SE: [60.1, 18.6], FI: [61.9, 25.7],
+  IS: [64.9, -19.0], PL: [51.9, 19.1], CZ: [49.8, 15.5], SK: [48.7, 19.7],
+  HU: [47.2, 19.5], RO: [45.9, 25.0], BG: [42.7, 25.5], GR: [39.1, 21.8],
+  HR: [45.1, 15.2], SI: [46.2, 15.0], RS: [44.0, 21.0], BA: [43.9, 17.7],
+  UA: [48.4, 31.2], BY: [53.7, 28.0], LT: [55.2, 23.9], LV: [56.9, 24.6],
+  EE: [58.6, 25.0], RU: [61.5, 105.3], TR: [39.0, 35.2], CY: [35.1, 33.4],
+  MT: [35.9, 14.4],
+  // Middle East and Africa
+  IL: [31.0, 34.9], PS: [31.9, 35.2], JO: [30.6, 36.2], LB: [33.9, 35.9],
+  SA: [23.9, 45.1], AE: [23.4, 53.8], QA: [25.4, 51.2], KW: [29.3, 47.5],
+  BH: [26.0, 50.6], OM: [21.5, 55.9], IR: [32.4, 53.7], IQ: [33.2, 43.7],
+  EG: [26.8, 30.8], MA: [31.8, -7.1], DZ: [28.0, 1.7], TN: [33.9, 9.5],
+  NG: [9.1, 8.7], GH: [7.9, -1.0], KE: [0.0, 37.9], ET: [9.1, 40.5],
+  ZA: [-30.6, 22.9], TZ: [-6.4, 34.9], UG: [1.4, 32.3], SN: [14.5, -14.5],
+  CI: [7.5, -5.5], CM: [7.4, 12.4],
+  // Asia and Oceania
+  IN: [20.6, 79.0], PK: [30.4, 69.3], BD: [23.7, 90.4], LK: [7.9, 80.8],
+  NP: [28.4, 84.1], CN: [35.9, 104.2], HK: [22.4, 114.1], TW: [23.7, 121.0],
+  JP: [36.2, 138.3], KR: [35.9, 127.8], MN: [46.9, 103.8], KZ: [48.0, 66.9],
+  UZ: [41.4, 64.6], TH: [15.9, 101.0], VN: [14.1, 108.3], MY: [4.2, 102.0],
+  SG: [1.35, 103.8], ID: [-0.8, 113.9], PH: [12.9, 121.8], MM: [21.9, 96.0],
+  KH: [12.6, 105.0], AU: [-25.3, 133.8], NZ: [-40.9, 174.9]
+};
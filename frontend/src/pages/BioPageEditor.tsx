@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowUp, ArrowDown, Eye, EyeOff, Trash2, ExternalLink, Plus } from 'lucide-react';
+import { Navbar } from '../components/Navbar';
+import { Button } from '../components/ui/Button';
+import { Input } from '../components/ui/Input';
+import { bioAPI, urlAPI } from '../services/api';
+import { BioPage, BioBlock, BioBlockType, Url } from '../types';
+
+export const BioPageEditor: React.FC = () => {
+  const [page, setPage] = useState<BioPage | null>(null);
+  const [urls, setUrls] = useState<Url[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Page settings form
+  const [title, setTitle] = useState('');
+  const [bio, setBio] = useState('');
+  const [avatar, setAvatar] = useState('');
+
+  // New block form
+  const [blockType, setBlockType] = useState<BioBlockType>('link');
+  const [blockUrlId, setBlockUrlId] = useState('');
+  const [blockTitle, setBlockTitle] = useState('');
+  const [blockText, setBlockText] = useState('');
+
+  const applyPage = (updated: BioPage) => {
+    setPage(updated);
+    setTitle(updated.title || '');
+    setBio(updated.bio || '');
+    setAvatar(updated.avatar || '');
+  };
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [bioPage, urlResponse] = await Promise.all([
+        bioAPI.getPage(),
+        urlAPI.getUserUrls(1, 100)
+      ]);
+      applyPage(bioPage);
+      setUrls(urlResponse.urls);
+    } catch (fetchError) {
+      console.error('Failed to fetch bio page:', fetchError);
+      setError('Failed to load your bio page');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  // Run an edit and show the updated page, or the server's error message
+  const runUpdate = async (update: () => Promise<BioPage>) => {
+    try {
+      setSaving(true);
+      setError(null);
+      applyPage(await update());
+    } catch (updateError: any) {
+      setError(updateError.response?.data?.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveSettings = (e: React.FormEvent) => {
+    e.preventDefault();
+    runUpdate(() => bioAPI.updatePage({ title, bio, avatar: avatar || null }));
+  };
+
+  const handleAddBlock = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (blockType === 'link' && !blockUrlId) {
+      setError('Choose a link to add');
+      return;
+    }
+
+    runUpdate(async () => {
+      const updated = await bioAPI.addBlock({
+        type: blockType,
+        urlId: blockType === 'link' ? blockUrlId : undefined,
+        title: blockTitle || null,
+        text: blockType === 'text' ? blockText : null
+      });
+      setBlockUrlId('');
+      setBlockTitle('');
+      setBlockText('');
+      return updated;
+    });
+  };
+
+  const moveBlock = (index: number, direction: -1 | 1) => {
+    if (!page) return;
+    const ids = page.blocks.map(block => block.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    runUpdate(() => bioAPI.reorderBlocks(ids));
+  };
+
+  const toggleBlock = (block: BioBlock) => {
+    runUpdate(() => bioAPI.updateBlock(block.id, { visible: !block.visible }));
+  };
+
+  const deleteBlock = (block: BioBlock) => {
+    if (!window.confirm('Remove this block from your bio page?')) return;
+    runUpdate(() => bioAPI.deleteBlock(block.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <Navbar />
+        <div className="flex items-center justify-center py-24">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Link-in-bio page</h1>
+            <p className="text-gray-600">Share one link that lists the links you choose.</p>
+          </div>
+          {page && (
+            <a
+              href={page.publicUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center space-x-1 text-sm text-primary hover:underline"
+            >
+              <span>{page.publicUrl}</span>
+              <ExternalLink className="w-4 h-4" />
+            </a>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+        )}
+
+        {page && (
+          <>
+            <form onSubmit={handleSaveSettings} className="bg-white p-6 rounded-lg shadow-sm border space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">Page</h2>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={page.isPublished}
+                    disabled={saving}
+                    onChange={(e) => runUpdate(() => bioAPI.updatePage({ isPublished: e.target.checked }))}
+                  />
+                  <span>Published</span>
+                </label>
+              </div>
+              <Input label="Title" value={title} maxLength={100} onChange={(e) => setTitle(e.target.value)} />
+              <div className="space-y-2">
+                <label className="text-sm font-medium leading-none">Bio</label>
+                <textarea
+                  className="w-full rounded-md border border-input px-3 py-2 text-sm"
+                  rows={3}
+                  maxLength={500}
+                  value={bio}
+                  onChange={(e) => setBio(e.target.value)}
+                />
+              </div>
+              <Input label="Avatar URL" type="url" value={avatar} onChange={(e) => setAvatar(e.target.value)} />
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-500">{page.views} views</span>
+                <Button type="submit" disabled={saving}>Save</Button>
+              </div>
+            </form>
+
+            <div className="bg-white p-6 rounded-lg shadow-sm border space-y-4">
+              <h2 className="text-lg font-semibold text-gray-900">Blocks</h2>
+
+              {page.blocks.length === 0 && (
+                <p className="text-sm text-gray-500">No blocks yet. Add your first link below.</p>
+              )}
+
+              <ul className="divide-y">
+                {page.blocks.map((block, index) => (
+                  <li key={block.id} className="flex items-center py-3 space-x-3">
+                    {block.thumbnail ? (
+                      <img src={block.thumbnail} alt="" className="w-10 h-10 rounded object-cover" />
+                    ) : (
+                      <div className="w-10 h-10 rounded bg-gray-100" />
+                    )}
+                    <div className={`flex-1 min-w-0 ${block.visible ? '' : 'opacity-50'}`}>
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {block.title || block.text || (block.type === 'header' ? 'Header' : 'Text')}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {block.type === 'link'
+                          ? block.url
+                            ? `/${block.url.shortCode} · ${block.url.clicks} clicks${block.url.isLive ? '' : ' · not live'}`
+                            : 'Link was deleted'
+                          : block.type}
+                      </p>
+                    </div>
+                    <Button size="sm" variant="ghost" disabled={saving || index === 0} onClick={() => moveBlock(index, -1)}>
+                      <ArrowUp className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" disabled={saving || index === page.blocks.length - 1} onClick={() => moveBlock(index, 1)}>
+                      <ArrowDown className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" disabled={saving} onClick={() => toggleBlock(block)}>
+                      {block.visible ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+                    </Button>
+                    <Button size="sm" variant="ghost" disabled={saving} onClick={() => deleteBlock(block)}>
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+
+              <form onSubmit={handleAddBlock} className="border-t pt-4 space-y-3">
+                <div className="flex space-x-3">
+                  <select
+                    value={blockType}
+                    onChange={(e) => setBlockType(e.target.value as BioBlockType)}
+                    className="h-10 rounded-md border border-input px-3 text-sm"
+                  >
+                    <option value="link">Link</option>
+                    <option value="header">Header</option>
+                    <option value="text">Text</option>
+                  </select>
+                  {blockType === 'link' && (
+                    <select
+                      value={blockUrlId}
+                      onChange={(e) => setBlockUrlId(e.target.value)}
+                      className="flex-1 h-10 rounded-md border border-input px-3 text-sm"
+                    >
+                      <option value="">Choose a link...</option>
+                      {urls.map(url => (
+                        <option key={url.id} value={url.id}>
+                          {url.title || url.customAlias || url.shortId} - {url.originalUrl}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <Input
+                  placeholder={blockType === 'link' ? "Title (defaults to the link's title)" : 'Title'}
+                  value={blockTitle}
+                  maxLength={200}
+                  onChange={(e) => setBlockTitle(e.target.value)}
+                />
+                {blockType === 'text' && (
+                  <textarea
+                    className="w-full rounded-md border border-input px-3 py-2 text-sm"
+                    rows={2}
+                    maxLength={1000}
+                    placeholder="Text"
+                    value={blockText}
+                    onChange={(e) => setBlockText(e.target.value)}
+                  />
+                )}
+                <Button type="submit" disabled={saving}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add block
+                </Button>
+              </form>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
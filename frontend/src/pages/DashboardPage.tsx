@@ -1,15 +1,16 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, Search, Copy, QrCode, BarChart3, Calendar, Lock, TrendingUp, Users, MousePointer, Eye } from 'lucide-react';
+import { Plus, Search, Copy, QrCode, BarChart3, Calendar, Lock, TrendingUp, Users, MousePointer, Eye, AlertTriangle } from 'lucide-react';
 import { Navbar } from '../components/Navbar';
 import { Button } from '../components/ui/Button';
 import { Input } from '../components/ui/Input';
-import { urlAPI } from '../services/api';
-import { Url, CreateUrlData } from '../types';
+import { urlAPI, folderAPI } from '../services/api';
+import { Url, CreateUrlData, LinkHealthStatus, Folder } from '../types';
 import { formatDate, truncateUrl, copyToClipboard } from '../lib/utils';
 import { CreateUrlModal } from '../components/CreateUrlModal';
 import { QRModal } from '../components/QRModal';
 import AdvancedAnalyticsModal from '../components/AdvancedAnalyticsModal';
+import { FolderTree, FolderSelection, flattenFolders } from '../components/FolderTree';
 
 // Debounce hook for search optimization
 const useDebounce = (value: string, delay: number) => {
@@ -32,6 +33,7 @@ export const DashboardPage: React.FC = () => {
   const [urls, setUrls] = useState<Url[]>([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [healthFilter, setHealthFilter] = useState<LinkHealthStatus | ''>('');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -41,6 +43,11 @@ export const DashboardPage: React.FC = () => {
   const [selectedUrl, setSelectedUrl] = useState<Url | null>(null);
   const [copySuccess, setCopySuccess] = useState<string | null>(null);
   const [analyticsLoading, setAnalyticsLoading] = useState(false);
+  const [folders, setFolders] = useState<Folder[]>([]);
+  const [unfiledLinks, setUnfiledLinks] = useState(0);
+  const [selectedFolder, setSelectedFolder] = useState<FolderSelection>('');
+
+  const folderOptions = useMemo(() => flattenFolders(folders), [folders]);
 
   // Debounce search term to reduce API calls
   const debouncedSearchTerm = useDebounce(searchTerm, 500);
@@ -95,10 +102,10 @@ export const DashboardPage: React.FC = () => {
     );
   }, [analyticsSummary]);
 
-  const fetchUrls = useCallback(async (page = 1, search = '') => {
+  const fetchUrls = useCallback(async (page = 1, search = '', health: LinkHealthStatus | '' = '', folder: FolderSelection = '') => {
     try {
       setLoading(true);
-      const response = await urlAPI.getUserUrls(page, 10, search);
+      const response = await urlAPI.getUserUrls(page, 10, search, health || undefined, folder || undefined);
       console.log('Fetched URLs from server:', response.urls.length);
       setUrls(response.urls);
       setTotalPages(response.pagination.pages);
@@ -109,6 +116,16 @@ export const DashboardPage: React.FC = () => {
     }
   }, []);
 
+  const fetchFolders = useCallback(async () => {
+    try {
+      const response = await folderAPI.getFolders();
+      setFolders(response.folders);
+      setUnfiledLinks(response.unfiledLinks);
+    } catch (error) {
+      console.error('Failed to fetch folders:', error);
+    }
+  }, []);
+
   const fetchAnalyticsSummary = useCallback(async () => {
     try {
       setAnalyticsLoading(true);
@@ -123,29 +140,40 @@ export const DashboardPage: React.FC = () => {
     }
   }, []);
 
-  // Fetch URLs when page or debounced search term changes
+  // Fetch URLs when page, debounced search term, health filter or folder changes
   useEffect(() => {
-    fetchUrls(currentPage, debouncedSearchTerm);
-  }, [currentPage, debouncedSearchTerm, fetchUrls]);
+    fetchUrls(currentPage, debouncedSearchTerm, healthFilter, selectedFolder);
+  }, [currentPage, debouncedSearchTerm, healthFilter, selectedFolder, fetchUrls]);
 
-  // Fetch analytics summary only once on mount
+  // Fetch analytics summary and folders only once on mount
   useEffect(() => {
     fetchAnalyticsSummary();
-  }, [fetchAnalyticsSummary]);
+    fetchFolders();
+  }, [fetchAnalyticsSummary, fetchFolders]);
 
-  // Reset page when search term changes
+  // Reset page when search term, health filter or folder changes
   useEffect(() => {
     if (currentPage !== 1) {
       setCurrentPage(1);
     }
-  }, [debouncedSearchTerm]);
+  }, [debouncedSearchTerm, healthFilter, selectedFolder]);
 
   const handleCreateUrl = async (data: CreateUrlData) => {
     try {
+      // New links go into the folder being viewed and pick up its defaults
+      const folderId = selectedFolder && selectedFolder !== 'unfiled' ? selectedFolder : undefined;
       console.log('Dashboard: Creating URL with data:', data);
-      const newUrl = await urlAPI.createShortUrl(data);
+      const newUrl = await urlAPI.createShortUrl({ ...data, folderId });
       console.log('Dashboard: URL created successfully:', newUrl);
       
+      // An existing link to the same destination was handed back instead
+      if (newUrl.reused) {
+        setShowCreateModal(false);
+        setCopySuccess(`You already have a link to this destination: ${newUrl.shortUrl}`);
+        setTimeout(() => setCopySuccess(null), 3000);
+        return;
+      }
+
       // Add the new URL to the beginning of the list immediately
       setUrls(prevUrls => {
         console.log('Adding new URL to list. Previous count:', prevUrls.length);
@@ -157,12 +185,15 @@ export const DashboardPage: React.FC = () => {
       // Close modal
       setShowCreateModal(false);
       
-      // Show success message
-      setCopySuccess('Link created successfully!');
+      // Show success message, with any UTM convention warnings
+      setCopySuccess(newUrl.utmWarnings && newUrl.utmWarnings.length > 0
+        ? `Link created with UTM warnings: ${newUrl.utmWarnings.join('; ')}`
+        : 'Link created successfully!');
       setTimeout(() => setCopySuccess(null), 3000);
       
-      // Update analytics summary
+      // Update analytics summary and folder counts
       fetchAnalyticsSummary();
+      fetchFolders();
       
     } catch (error: any) {
       console.error('Dashboard: Failed to create URL:', error);
@@ -186,6 +217,43 @@ export const DashboardPage: React.FC = () => {
     }
   };
 
+  const handleCreateFolder = async (parentId: string | null) => {
+    const name = window.prompt(parentId ? 'New subfolder name' : 'New folder name');
+    if (!name || !name.trim()) return;
+
+    try {
+      await folderAPI.createFolder({ name: name.trim(), parentId });
+      fetchFolders();
+    } catch (error: any) {
+      window.alert(error.response?.data?.message || 'Failed to create folder');
+    }
+  };
+
+  const handleDeleteFolder = async (folder: Folder) => {
+    if (!window.confirm(`Delete "${folder.name}"? Its links and subfolders move to the parent folder.`)) return;
+
+    try {
+      await folderAPI.deleteFolder(folder.id);
+      if (selectedFolder === folder.id) {
+        setSelectedFolder('');
+      }
+      fetchFolders();
+      fetchUrls(currentPage, debouncedSearchTerm, healthFilter, selectedFolder === folder.id ? '' : selectedFolder);
+    } catch (error: any) {
+      window.alert(error.response?.data?.message || 'Failed to delete folder');
+    }
+  };
+
+  const handleMoveUrl = async (url: Url, folderId: string) => {
+    try {
+      await folderAPI.moveLinks([url.id], folderId || null);
+      fetchFolders();
+      fetchUrls(currentPage, debouncedSearchTerm, healthFilter, selectedFolder);
+    } catch (error: any) {
+      window.alert(error.response?.data?.message || 'Failed to move link');
+    }
+  };
+
   const handleCopyUrl = (url: string) => {
     copyToClipboard(url);
     setCopySuccess(url);
@@ -238,189 +306,232 @@ export const DashboardPage: React.FC = () => {
             </Button>
           </div>
 
-          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-            <div className="p-6 border-b border-gray-200">
-              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
-                <div className="flex items-center space-x-4">
-                  <div className="relative">
-                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                    <Input
-                      type="text"
-                      placeholder="Search URLs..."
-                      value={searchTerm}
-                      onChange={(e) => setSearchTerm(e.target.value)}
-                      className="pl-10 w-64"
-                    />
-                  </div>
-                  {searchTerm && searchTerm !== debouncedSearchTerm && (
-                    <div className="text-sm text-gray-500">Searching...</div>
-                  )}
-                </div>
-                <Button
-                  onClick={() => setShowCreateModal(true)}
-                  className="bg-blue-600 hover:bg-blue-700 text-white"
-                >
-                  <Plus className="w-4 h-4 mr-2" />
-                  Create Short URL
-                </Button>
-              </div>
-            </div>
+          <div className="flex flex-col lg:flex-row gap-6">
+            <aside className="lg:w-64 flex-shrink-0">
+              <FolderTree
+                folders={folders}
+                unfiledLinks={unfiledLinks}
+                selected={selectedFolder}
+                onSelect={setSelectedFolder}
+                onCreate={handleCreateFolder}
+                onDelete={handleDeleteFolder}
+              />
+            </aside>
 
-            {loading ? (
-              <div className="p-8 text-center">
-                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto mb-4"></div>
-                <p className="text-gray-600">Loading your links...</p>
-              </div>
-            ) : urls.length === 0 ? (
-              <div className="p-8 text-center">
-                <p className="text-gray-500 mb-4">
-                  {searchTerm ? 'No links found matching your search.' : 'No links created yet.'}
-                </p>
-                {!searchTerm && (
-                  <Button onClick={() => setShowCreateModal(true)}>
+            <div className="flex-1 min-w-0 bg-white rounded-lg shadow-sm border border-gray-200">
+              <div className="p-6 border-b border-gray-200">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div className="flex items-center space-x-4">
+                    <div className="relative">
+                      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                      <Input
+                        type="text"
+                        placeholder="Search URLs..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        className="pl-10 w-64"
+                      />
+                    </div>
+                    <select
+                      value={healthFilter}
+                      onChange={(e) => setHealthFilter(e.target.value as LinkHealthStatus | '')}
+                      className="h-10 rounded-md border border-gray-300 bg-white px-3 text-sm text-gray-700"
+                    >
+                      <option value="">All links</option>
+                      <option value="healthy">Healthy</option>
+                      <option value="broken">Broken</option>
+                      <option value="unknown">Not checked yet</option>
+                    </select>
+                    {searchTerm && searchTerm !== debouncedSearchTerm && (
+                      <div className="text-sm text-gray-500">Searching...</div>
+                    )}
+                  </div>
+                  <Button
+                    onClick={() => setShowCreateModal(true)}
+                    className="bg-blue-600 hover:bg-blue-700 text-white"
+                  >
                     <Plus className="w-4 h-4 mr-2" />
-                    Create Your First Link
+                    Create Short URL
                   </Button>
-                )}
-              </div>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="w-full">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Short URL
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Original URL
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Clicks
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Created
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Status
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Actions
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {urls.map((url) => (
-                      <motion.tr
-                        key={url.id}
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        className="hover:bg-gray-50"
-                      >
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center space-x-2">
-                            <span className="text-sm font-medium text-gray-900">
-                              {url.shortUrl}
-                            </span>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleCopyUrl(url.shortUrl)}
-                              className="h-6 w-6 p-0"
-                            >
-                              <Copy className="w-3 h-3" />
-                            </Button>
-                          </div>
-                        </td>
-                        <td className="px-6 py-4">
-                          <div className="text-sm text-gray-900 max-w-xs truncate">
-                            {truncateUrl(url.originalUrl)}
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="text-sm text-gray-900">{url.clicks}</span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <span className="text-sm text-gray-500">
-                            {formatDate(url.createdAt)}
-                          </span>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center space-x-2">
-                            {url.isExpired && (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                                Expired
-                              </span>
-                            )}
-                            {url.password && (
-                              <Lock className="w-4 h-4 text-gray-400" />
-                            )}
-                            {url.expiresAt && !url.isExpired && (
-                              <Calendar className="w-4 h-4 text-gray-400" />
-                            )}
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center space-x-2">
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleShowQR(url)}
-                              className="h-8 w-8 p-0"
-                            >
-                              <QrCode className="w-4 h-4" />
-                            </Button>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleShowAnalytics(url)}
-                              className="h-8 w-8 p-0"
-                            >
-                              <BarChart3 className="w-4 h-4" />
-                            </Button>
-                            <Button
-                              variant="destructive"
-                              size="sm"
-                              onClick={() => handleDeleteUrl(url.id)}
-                              className="h-8 px-2"
-                            >
-                              Delete
-                            </Button>
-                          </div>
-                        </td>
-                      </motion.tr>
-                    ))}
-                  </tbody>
-                </table>
+                </div>
               </div>
-            )}
 
-            {totalPages > 1 && (
-              <div className="px-6 py-4 border-t">
-                <div className="flex items-center justify-between">
-                  <div className="text-sm text-gray-700">
-                    Page {currentPage} of {totalPages}
-                  </div>
-                  <div className="flex space-x-2">
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      disabled={currentPage === 1}
-                      onClick={() => setCurrentPage(prev => prev - 1)}
-                    >
-                      Previous
-                    </Button>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      disabled={currentPage === totalPages}
-                      onClick={() => setCurrentPage(prev => prev + 1)}
-                    >
-                      Next
+              {loading ? (
+                <div className="p-8 text-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto mb-4"></div>
+                  <p className="text-gray-600">Loading your links...</p>
+                </div>
+              ) : urls.length === 0 ? (
+                <div className="p-8 text-center">
+                  <p className="text-gray-500 mb-4">
+                    {searchTerm || healthFilter || selectedFolder ? 'No links found matching your filters.' : 'No links created yet.'}
+                  </p>
+                  {!searchTerm && !healthFilter && !selectedFolder && (
+                    <Button onClick={() => setShowCreateModal(true)}>
+                      <Plus className="w-4 h-4 mr-2" />
+                      Create Your First Link
                     </Button>
+                  )}
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Short URL
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Original URL
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Clicks
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Created
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {urls.map((url) => (
+                        <motion.tr
+                          key={url.id}
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          className="hover:bg-gray-50"
+                        >
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center space-x-2">
+                              <span className="text-sm font-medium text-gray-900">
+                                {url.shortUrl}
+                              </span>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleCopyUrl(url.shortUrl)}
+                                className="h-6 w-6 p-0"
+                              >
+                                <Copy className="w-3 h-3" />
+                              </Button>
+                            </div>
+                          </td>
+                          <td className="px-6 py-4">
+                            <div className="text-sm text-gray-900 max-w-xs truncate">
+                              {truncateUrl(url.originalUrl)}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className="text-sm text-gray-900">{url.clicks}</span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className="text-sm text-gray-500">
+                              {formatDate(url.createdAt)}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center space-x-2">
+                              {url.isExpired && (
+                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                  Expired
+                                </span>
+                              )}
+                              {url.health?.status === 'broken' && (
+                                <span
+                                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800"
+                                  title={url.health.lastStatusCode ? `HTTP ${url.health.lastStatusCode}` : url.health.lastError || 'Unreachable'}
+                                >
+                                  <AlertTriangle className="w-3 h-3 mr-1" />
+                                  Broken
+                                </span>
+                              )}
+                              {url.password && (
+                                <Lock className="w-4 h-4 text-gray-400" />
+                              )}
+                              {url.expiresAt && !url.isExpired && (
+                                <Calendar className="w-4 h-4 text-gray-400" />
+                              )}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center space-x-2">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleShowQR(url)}
+                                className="h-8 w-8 p-0"
+                              >
+                                <QrCode className="w-4 h-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleShowAnalytics(url)}
+                                className="h-8 w-8 p-0"
+                              >
+                                <BarChart3 className="w-4 h-4" />
+                              </Button>
+                              <select
+                                value={url.folderId || ''}
+                                onChange={(e) => handleMoveUrl(url, e.target.value)}
+                                className="h-8 rounded-md border border-gray-300 bg-white px-2 text-xs text-gray-700"
+                                title="Move to folder"
+                              >
+                                <option value="">No folder</option>
+                                {folderOptions.map(option => (
+                                  <option key={option.id} value={option.id}>{option.label}</option>
+                                ))}
+                              </select>
+                              <Button
+                                variant="destructive"
+                                size="sm"
+                                onClick={() => handleDeleteUrl(url.id)}
+                                className="h-8 px-2"
+                              >
+                                Delete
+                              </Button>
+                            </div>
+                          </td>
+                        </motion.tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {totalPages > 1 && (
+                <div className="px-6 py-4 border-t">
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm text-gray-700">
+                      Page {currentPage} of {totalPages}
+                    </div>
+                    <div className="flex space-x-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={currentPage === 1}
+                        onClick={() => setCurrentPage(prev => prev - 1)}
+                      >
+                        Previous
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={currentPage === totalPages}
+                        onClick={() => setCurrentPage(prev => prev + 1)}
+                      >
+                        Next
+                      </Button>
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
+              )}
+            </div>
           </div>
         </motion.div>
       </div>
@@ -9,7 +9,16 @@ import {
   SignupData,
   ApiResponse,
   AuthResponse,
-  Pagination
+  Pagination,
+  LinkHealthStatus,
+  BioPage,
+  BioBlockData,
+  Folder,
+  FolderData,
+  UtmTemplate,
+  UtmValues,
+  UtmBuildResult,
+  LiveClick
 } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL ? `${process.env.REACT_APP_API_URL}/api` : 'http://localhost:5000/api';
@@ -204,6 +213,10 @@ export const urlAPI = {
       isExpired: response.data.data.isExpired || false,
       password: response.data.data.password || undefined,
       tags: response.data.data.tags || [],
+      folderId: response.data.data.folderId || null,
+      utm: response.data.data.utm || {},
+      utmWarnings: response.data.data.utmWarnings || [],
+      reused: response.data.data.reused || false,
       isActive: response.data.data.isActive || true
     };
     
@@ -211,11 +224,19 @@ export const urlAPI = {
     return urlData;
   },
 
-  getUserUrls: async (page = 1, limit = 10, search?: string): Promise<{ urls: Url[]; pagination: Pagination }> => {
+  getUserUrls: async (
+    page = 1,
+    limit = 10,
+    search?: string,
+    health?: LinkHealthStatus,
+    folder?: string // Folder id, or 'unfiled'
+  ): Promise<{ urls: Url[]; pagination: Pagination }> => {
     const params = new URLSearchParams();
     params.append('page', page.toString());
     params.append('limit', limit.toString());
     if (search) params.append('search', search);
+    if (health) params.append('health', health);
+    if (folder) params.append('folder', folder);
     
     const response = await api.get(`/user/urls?${params.toString()}`);
     return response.data;
@@ -264,6 +285,67 @@ export const urlAPI = {
     return response.data;
   },
 
+  // Follow clicks as they happen (Server-Sent Events) on one link, or on all
+  // links without a shortId. Read with fetch, as EventSource cannot send the
+  // auth header; reconnects until `signal` is aborted.
+  streamClicks: async (
+    shortId: string | null,
+    onClick: (click: LiveClick) => void,
+    signal: AbortSignal,
+    onStatus?: (connected: boolean) => void
+  ): Promise<void> => {
+    const url = `${API_BASE_URL}/advanced-analytics/stream${shortId ? `/${shortId}` : ''}`;
+
+    while (!signal.aborted) {
+      try {
+        const response = await fetch(url, {
+          headers: {
+            Accept: 'text/event-stream',
+            Authorization: `Bearer ${localStorage.getItem('token') || ''}`
+          },
+          signal
+        });
+        // Not found, no access or too many streams: retrying will not help
+        if (response.status >= 400 && response.status < 500) {
+          onStatus?.(false);
+          return;
+        }
+        if (!response.ok || !response.body) {
+          throw new Error(`Stream failed with status ${response.status}`);
+        }
+
+        onStatus?.(true);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+
+          // Events are separated by a blank line
+          const events = buffer.split('\n\n');
+          buffer = events.pop() || '';
+          events.forEach((event) => {
+            const lines = event.split('\n');
+            const type = lines.find(line => line.startsWith('event: '))?.slice(7);
+            const data = lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+            if (type === 'click' && data) {
+              onClick(JSON.parse(data));
+            }
+          });
+        }
+      } catch (err) {
+        if (signal.aborted) return;
+        console.error('Click stream error:', err);
+      }
+
+      onStatus?.(false);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  },
+
   exportAnalytics: async (shortId: string, params?: { format?: 'json' | 'csv'; timeRange?: string }): Promise<any> => {
     const queryParams = new URLSearchParams();
     if (params?.format) queryParams.append('format', params.format);
@@ -289,6 +371,119 @@ export const urlAPI = {
   },
 };
 
+// Drop cached folders and link lists after a folder change
+const clearFolderCache = () => {
+  cache.forEach((_, key) => {
+    if (key.startsWith('/folders') || key.includes('/user/urls')) {
+      cache.delete(key);
+    }
+  });
+};
+
+// Link folders API
+export const folderAPI = {
+  getFolders: async (): Promise<{ folders: Folder[]; unfiledLinks: number }> => {
+    const response = await api.get('/folders');
+    return response.data.data;
+  },
+
+  createFolder: async (data: FolderData & { name: string }): Promise<Folder> => {
+    const response = await api.post('/folders', data);
+    clearFolderCache();
+    return response.data.data;
+  },
+
+  updateFolder: async (id: string, data: FolderData): Promise<Folder> => {
+    const response = await api.put(`/folders/${id}`, data);
+    clearFolderCache();
+    return response.data.data;
+  },
+
+  deleteFolder: async (id: string): Promise<{ movedLinks: number }> => {
+    const response = await api.delete(`/folders/${id}`);
+    clearFolderCache();
+    return response.data.data;
+  },
+
+  // folderId null moves the links out of any folder
+  moveLinks: async (urlIds: string[], folderId: string | null): Promise<{ moved: number }> => {
+    const response = await api.post('/folders/move-links', { urlIds, folderId });
+    clearFolderCache();
+    return response.data.data;
+  },
+
+  getAnalytics: async (id: string, timeRange = '30d'): Promise<any> => {
+    const response = await api.get(`/folders/${id}/analytics?timeRange=${timeRange}`);
+    return response.data.data;
+  },
+};
+
+// UTM templates and campaign builder API
+export const utmAPI = {
+  getTemplates: async (): Promise<UtmTemplate[]> => {
+    const response = await api.get('/utm/templates');
+    return response.data.data;
+  },
+
+  // Add UTM parameters to a destination and check them against a template
+  build: async (data: { destination: string; templateId?: string; values: UtmValues }): Promise<UtmBuildResult> => {
+    const response = await api.post('/utm/build', data);
+    return response.data.data;
+  },
+
+  getCampaigns: async (timeRange = '30d'): Promise<any> => {
+    const response = await api.get(`/utm/campaigns?timeRange=${timeRange}`);
+    return response.data.data;
+  },
+};
+
+// Drop the cached bio page after an edit
+const clearBioCache = () => {
+  cache.forEach((_, key) => {
+    if (key.startsWith('/bio')) {
+      cache.delete(key);
+    }
+  });
+};
+
+// Link-in-bio API
+export const bioAPI = {
+  getPage: async (): Promise<BioPage> => {
+    const response = await api.get('/bio');
+    return response.data.data;
+  },
+
+  updatePage: async (data: Partial<Pick<BioPage, 'title' | 'bio' | 'avatar' | 'isPublished'>>): Promise<BioPage> => {
+    const response = await api.put('/bio', data);
+    clearBioCache();
+    return response.data.data;
+  },
+
+  addBlock: async (data: BioBlockData): Promise<BioPage> => {
+    const response = await api.post('/bio/blocks', data);
+    clearBioCache();
+    return response.data.data;
+  },
+
+  updateBlock: async (blockId: string, data: BioBlockData): Promise<BioPage> => {
+    const response = await api.put(`/bio/blocks/${blockId}`, data);
+    clearBioCache();
+    return response.data.data;
+  },
+
+  reorderBlocks: async (blockIds: string[]): Promise<BioPage> => {
+    const response = await api.put('/bio/blocks/order', { blockIds });
+    clearBioCache();
+    return response.data.data;
+  },
+
+  deleteBlock: async (blockId: string): Promise<BioPage> => {
+    const response = await api.delete(`/bio/blocks/${blockId}`);
+    clearBioCache();
+    return response.data.data;
+  },
+};
+
 // Admin API
 export const adminAPI = {
   getStats: async (): Promise<{ stats: any; recentUrls: Url[] }> => {
@@ -18,6 +18,7 @@ export interface Url {
   customAlias?: string;
   originalUrl: string;
   shortUrl: string;
+  title?: string;
   clicks: number;
   createdAt: string;
   lastClicked?: string;
@@ -26,9 +27,137 @@ export interface Url {
   password?: string;
   tags?: string[];
   isActive: boolean;
+  health?: LinkHealth;
+  folderId?: string | null;
+  utm?: UtmValues;
+  utmWarnings?: string[]; // Convention problems from a 'warn' UTM template
+  reused?: boolean; // Set when creating returned an existing link to the same destination
   user?: User;
 }
 
+export type LinkHealthStatus = 'healthy' | 'broken' | 'unknown';
+
+export interface LinkHealth {
+  status: LinkHealthStatus;
+  lastStatusCode?: number | null;
+  lastError?: string | null;
+  lastLatencyMs?: number | null;
+  lastCheckedAt?: string | null;
+  brokenSince?: string | null;
+}
+
+export type UtmField = 'source' | 'medium' | 'campaign' | 'term' | 'content';
+
+export type UtmValues = Partial<Record<UtmField, string | null>>;
+
+export interface UtmFieldRules {
+  defaultValue?: string | null;
+  allowedValues?: string[];
+  required?: boolean;
+}
+
+export interface UtmTemplate {
+  id: string;
+  name: string;
+  description?: string | null;
+  fields: Partial<Record<UtmField, UtmFieldRules>>;
+  forceLowercase: boolean;
+  enforcement: 'reject' | 'warn';
+  isDefault: boolean;
+}
+
+export interface UtmBuildResult {
+  url: string;
+  utm: UtmValues;
+  violations: { field: string; message: string }[];
+  valid: boolean;
+}
+
+// Click pushed by the live analytics stream (anonymised: no IP, user agent or city)
+export interface LiveClick {
+  shortCode: string;
+  timestamp: string;
+  country: string;
+  countryCode: string;
+  device: string;
+  browser: string;
+  os: string;
+  referrer: string | null;
+  referrerCategory: string;
+  source: string | null;
+  isUniqueVisitor: boolean;
+  isBot: boolean;
+}
+
+export interface FolderDefaults {
+  tags?: string[];
+  expiresInDays?: number | null;
+  redirectType?: 301 | 302 | 307 | 308 | null;
+  utm?: {
+    source?: string | null;
+    medium?: string | null;
+    campaign?: string | null;
+    term?: string | null;
+    content?: string | null;
+  };
+}
+
+export interface Folder {
+  id: string;
+  name: string;
+  parentId: string | null;
+  defaults: FolderDefaults;
+  links: number; // Links directly in the folder
+  totalLinks: number; // Including subfolders
+  children: Folder[];
+}
+
+export interface FolderData {
+  name?: string;
+  parentId?: string | null;
+  defaults?: FolderDefaults;
+}
+
+export type BioBlockType = 'link' | 'header' | 'text';
+
+export interface BioBlock {
+  id: string;
+  type: BioBlockType;
+  title?: string | null;
+  text?: string | null;
+  thumbnail?: string | null;
+  position: number;
+  visible: boolean;
+  url?: {
+    id: string;
+    shortCode: string;
+    originalUrl: string;
+    clicks: number;
+    isLive: boolean;
+  } | null;
+}
+
+export interface BioPage {
+  id: string;
+  title?: string | null;
+  bio?: string | null;
+  avatar?: string | null;
+  isPublished: boolean;
+  publicUrl: string;
+  views: number;
+  blocks: BioBlock[];
+  updatedAt: string;
+}
+
+export interface BioBlockData {
+  type?: BioBlockType;
+  urlId?: string;
+  title?: string | null;
+  text?: string | null;
+  thumbnail?: string | null;
+  visible?: boolean;
+}
+
 export interface VisitLog {
   timestamp: string;
   ip: string;
@@ -59,6 +188,18 @@ export interface CreateUrlData {
   expiresAt?: string;
   password?: string;
   tags?: string[];
+  folderId?: string | null;
+  utmTemplateId?: string; // Template to check the destination's UTM parameters against
+  dedupe?: DedupeMode; // Overrides the account preference for this link
+}
+
+// What creating a link does when its destination matches an existing link
+export type DedupeMode = 'reuse' | 'always_new' | 'ask';
+
+export interface DuplicateLink {
+  id: string;
+  shortCode: string;
+  originalUrl: string;
 }
 
 export interface UpdateUrlData {
@@ -67,6 +208,7 @@ export interface UpdateUrlData {
   password?: string;
   tags?: string[];
   isActive?: boolean;
+  folderId?: string | null;
 }
 
 export interface Pagination {
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+// scripts/backfill-rollups.js - Rebuild click rollups and visitor sketches from the stored click data
+//
+// Usage: npm run analytics:backfill-rollups [-- --link=<shortCode>] [-- --dry-run]
+// Each link's rollups are deleted and recounted from its Analytics clicks and
+// its visitors are added to the unique-visitor sketches, so the command can be
+// re-run at any time. Clicks arriving while a link is rebuilt may be
+// miscounted; run it when traffic is low.
+require('dotenv').config();
+const database = require('../src/config/database');
+const redisManager = require('../src/config/redis');
+const Analytics = require('../src/models/Analytics');
+const rollupService = require('../src/services/rollupService');
+const uniqueVisitorService = require('../src/services/uniqueVisitorService');
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+const getOption = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+// A visitor's first click of each UTC day counts as unique, as in the sketches
+const markDailyVisitors = (clicks) => {
+  const seen = new Set();
+  clicks.forEach((click) => {
+    const key = `${new Date(click.timestamp).toISOString().slice(0, 10)}:${click.hashedIp}`;
+    click.isUniqueVisitor = !seen.has(key);
+    seen.add(key);
+  });
+};
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  const shortCode = getOption('link');
+
+  await database.connect();
+  await redisManager.connect();
+
+  const cursor = Analytics.find(shortCode ? { shortCode } : {})
+    .select('urlId shortCode clicks')
+    .lean()
+    .cursor();
+
+  let links = 0;
+  let clicks = 0;
+  let rollups = 0;
+
+  for await (const analytics of cursor) {
+    if (!analytics.urlId) continue;
+
+    links++;
+    clicks += analytics.clicks.length;
+    if (!dryRun) {
+      // Sketches only grow, so visitors already in them are not counted twice
+      await uniqueVisitorService.recordVisitors(analytics.urlId, analytics.clicks);
+      markDailyVisitors(analytics.clicks);
+      rollups += await rollupService.rebuildLink(analytics.urlId, analytics.clicks);
+      await Analytics.updateOne(
+        { _id: analytics._id },
+        { $set: { 'stats.uniqueVisitors': await uniqueVisitorService.countAllTime(analytics.urlId) } }
+      );
+    }
+
+    if (links % 100 === 0) {
+      log(`${links} links processed`);
+    }
+  }
+
+  log(dryRun
+    ? `${links} links with ${clicks} clicks to backfill`
+    : `${links} links with ${clicks} clicks backfilled into ${rollups} rollup updates and the visitor sketches`);
+}
+
+run()
+  .then(async () => {
+    await redisManager.disconnect();
+    await database.disconnect();
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Rollup backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// scripts/click-worker.js - Write queued click events to MongoDB in batches
+//
+// Usage: npm run worker:clicks
+// Needs Redis (REDIS_URL or REDIS_HOST). Run web servers with
+// CLICK_WORKER_ENABLED=false to leave all click writing to this process.
+require('dotenv').config();
+const database = require('../src/config/database');
+const redisManager = require('../src/config/redis');
+const clickQueueService = require('../src/services/clickQueueService');
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+async function run() {
+  await database.connect();
+  // Unique-visitor sketches live in Redis when it is available
+  await redisManager.connect();
+  clickQueueService.start({ worker: true });
+
+  if (!clickQueueService.queue) {
+    throw new Error('Redis is not configured; clicks are written by the web server itself');
+  }
+  log('Click worker running');
+
+  const shutdown = async (signal) => {
+    log(`Received ${signal}, writing buffered clicks...`);
+    try {
+      await clickQueueService.stop();
+      await redisManager.disconnect();
+      await database.disconnect();
+      process.exit(0);
+    } catch (error) {
+      console.error('Click worker shutdown failed:', error);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+run().catch((error) => {
+  console.error('Click worker failed:', error);
+  process.exit(1);
+});
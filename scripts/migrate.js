@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// scripts/migrate.js - Run pending database migrations from scripts/migrations in order
+//
+// Usage: npm run db:migrate [-- --dry-run]
+// Applied migrations are recorded in the `migrations` collection and skipped
+// on later runs. A dry run reports what each pending migration would do.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const database = require('../src/config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await database.connect();
+  const applied = mongoose.connection.db.collection('migrations');
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+
+    if (await applied.findOne({ _id: name })) {
+      continue;
+    }
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    log(`${dryRun ? 'Checking' : 'Running'} ${name} - ${migration.description}`);
+
+    const result = await migration.up({ dryRun, log });
+
+    if (!dryRun) {
+      await applied.insertOne({ _id: name, appliedAt: new Date(), result: result || null });
+    }
+    log(`${name} ${dryRun ? 'checked' : 'applied'}`);
+  }
+}
+
+run()
+  .then(() => {
+    log('Migrations complete');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,72 @@
+// scripts/migrations/001-alias-keys.js - Backfill Url.aliasKey and report look-alike alias collisions
+const Url = require('../../src/models/Url');
+const { normalizeAlias } = require('../../src/utils/aliasKey');
+
+module.exports = {
+  description: 'Backfill normalised custom alias keys and build their unique index',
+
+  async up({ dryRun, log }) {
+    // Group every custom alias by its normalised key
+    const groups = new Map();
+    const cursor = Url.find({ customAlias: { $type: 'string', $ne: '' } })
+      .select('_id customAlias aliasKey userId createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    for await (const url of cursor) {
+      const key = normalizeAlias(url.customAlias);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(url);
+    }
+
+    let updated = 0;
+    const collisions = [];
+
+    for (const [key, urls] of groups) {
+      // The oldest link keeps the key; the rest are reported for manual review
+      // and stay reachable through their exact alias.
+      const [owner, ...others] = urls;
+
+      if (others.length > 0) {
+        collisions.push({
+          aliasKey: key,
+          keptBy: owner._id.toString(),
+          links: urls.map(url => ({
+            id: url._id.toString(),
+            customAlias: url.customAlias,
+            userId: url.userId ? url.userId.toString() : null,
+            createdAt: url.createdAt
+          }))
+        });
+      }
+
+      // A key already held by a newer colliding link would block the owner's
+      const stale = others.filter(url => url.aliasKey).map(url => url._id);
+      if (stale.length > 0 && !dryRun) {
+        await Url.updateMany({ _id: { $in: stale } }, { $unset: { aliasKey: '' } });
+      }
+
+      if (owner.aliasKey !== key) {
+        updated++;
+        if (!dryRun) {
+          await Url.updateOne({ _id: owner._id }, { $set: { aliasKey: key } });
+        }
+      }
+    }
+
+    for (const collision of collisions) {
+      log(`Alias collision on "${collision.aliasKey}" (kept by ${collision.keptBy}): ` +
+        collision.links.map(link => `${link.customAlias} [${link.id}, user ${link.userId}]`).join(', '));
+    }
+
+    if (!dryRun) {
+      await Url.createIndexes();
+    }
+
+    log(`${updated} alias keys ${dryRun ? 'to set' : 'set'}, ${collisions.length} collisions found`);
+
+    return { updated, collisions: collisions.length };
+  }
+};
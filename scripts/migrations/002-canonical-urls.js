@@ -0,0 +1,52 @@
+// scripts/migrations/002-canonical-urls.js - Backfill Url.canonicalUrl for duplicate detection
+const Url = require('../../src/models/Url');
+const { canonicalizeUrl } = require('../../src/utils/urlUtils');
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Backfill canonical destination URLs and build their index',
+
+  async up({ dryRun, log }) {
+    const cursor = Url.find({})
+      .select('_id originalUrl canonicalUrl')
+      .lean()
+      .cursor();
+
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length > 0 && !dryRun) {
+        await Url.bulkWrite(operations, { ordered: false });
+      }
+      operations = [];
+    };
+
+    for await (const url of cursor) {
+      const canonicalUrl = canonicalizeUrl(url.originalUrl);
+      if (url.canonicalUrl === canonicalUrl) continue;
+
+      updated++;
+      operations.push({
+        updateOne: {
+          filter: { _id: url._id },
+          update: { $set: { canonicalUrl } }
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (!dryRun) {
+      await Url.createIndexes();
+    }
+
+    log(`${updated} canonical URLs ${dryRun ? 'to set' : 'set'}`);
+
+    return { updated };
+  }
+};
@@ -6,6 +6,7 @@ const compression = require('compression');
 const cors = require('cors');
 const database = require('./config/database');
 const path = require('path');
+const geoip = require('geoip-lite');
 
 // Import configurations and services
 const logger = require('./config/logger');
@@ -23,8 +24,15 @@ const {
   ipFilter,
   suspiciousActivityDetector
 } = require('./middleware/security');
-const { errorHandler, catchAsync } = require('./middleware/errorHandler');
+const { errorHandler, catchAsync, LinkUnavailableError } = require('./middleware/errorHandler');
 const { validate } = require('./middleware/validation');
+const {
+  getRedirectStatus,
+  getRawQuery,
+  applyQueryPassthrough
+} = require('./utils/urlUtils');
+const { getInterstitial } = require('./utils/interstitial');
+const { checkAccess } = require('./utils/accessPolicy');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -39,13 +47,31 @@ const monitoringRoutes = require('./routes/monitoringRoutes');
 const complianceRoutes = require('./routes/complianceRoutes');
 const auditRoutes = require('./routes/auditRoutes');
 const moderationRoutes = require('./routes/moderationRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const bioRoutes = require('./routes/bioRoutes');
+const pixelRoutes = require('./routes/pixelRoutes');
+const folderRoutes = require('./routes/folderRoutes');
+const utmRoutes = require('./routes/utmRoutes');
+const conversionRoutes = require('./routes/conversionRoutes');
 
 // Import services
 const urlService = require('./services/urlService');
+const metadataService = require('./services/metadataService');
+const clickQueueService = require('./services/clickQueueService');
+const linkHealthService = require('./services/linkHealthService');
 const cacheService = require('./services/cacheService');
 const auditService = require('./services/auditService');
 const contentModerationService = require('./services/contentModerationService');
 const performanceService = require('./services/performanceService');
+const brandingService = require('./services/brandingService');
+const bioPageService = require('./services/bioPageService');
+const linkUsageService = require('./services/linkUsageService');
+const liveClickService = require('./services/liveClickService');
+
+const { USAGE_PAGES } = linkUsageService;
+
+// Import models
+const Analytics = require('./models/Analytics');
 
 class Application {
   constructor() {
@@ -87,6 +113,19 @@ class Application {
         });
       }
 
+      // Periodically move expired and used-up links to 'expired'
+      urlService.startExpirySweeper();
+
+      // Background fetcher for destination titles, descriptions and favicons
+      metadataService.startWorker();
+
+      // Click events are written in batches off the redirect path; with Redis
+      // the writing can be left to scripts/click-worker.js
+      clickQueueService.start({ worker: process.env.CLICK_WORKER_ENABLED !== 'false' });
+
+      // Re-probe link destinations and alert owners about broken ones
+      linkHealthService.start();
+
       // Setup graceful shutdown
       this.setupGracefulShutdown();
 
@@ -361,6 +400,21 @@ class Application {
     // Content moderation routes
     apiV1.use('/moderation', moderationRoutes);
 
+    // Link-in-bio page editor
+    apiV1.use('/bio', bioRoutes);
+
+    // Retargeting pixel library
+    apiV1.use('/pixels', pixelRoutes);
+
+    // Link folders (campaigns)
+    apiV1.use('/folders', folderRoutes);
+
+    // UTM templates and campaign builder
+    apiV1.use('/utm', utmRoutes);
+
+    // Conversion goals, postbacks and the conversion pixel
+    apiV1.use('/conversions', conversionRoutes);
+
     // Mount API v1
     this.app.use('/api/v1', apiV1);
 
@@ -370,6 +424,9 @@ class Application {
     // Mount auth routes directly for Google OAuth (needed for frontend redirects)
     this.app.use('/auth', authRoutes);
 
+    // Universal link / app link association files for the mobile apps
+    this.app.use('/.well-known', wellKnownRoutes);
+
     // Password protection route
     this.app.get('/password/:shortCode', catchAsync(async (req, res) => {
       const { shortCode } = req.params;
@@ -386,121 +443,194 @@ class Application {
       })
     );
 
+    // Public link-in-bio page
+    this.app.get('/@:username', catchAsync(async (req, res) => {
+      const result = await bioPageService.getPublicPage(req.params.username);
+
+      if (!result) {
+        return res.status(404).send(this.generateErrorPage(
+          'Page Not Found',
+          'This page does not exist or has not been published yet.'
+        ));
+      }
+
+      bioPageService.recordView(result.page._id);
+
+      const branding = await brandingService.getUserBranding(result.user._id);
+      res.set('Cache-Control', 'no-cache');
+      res.send(brandingService.generateBioPage(branding, {
+        ...result,
+        linkBase: `/@${result.user.username}`
+      }));
+    }));
+
+    // Link clicked on a bio page - tracked as an in-page click of the short link
+    this.app.get('/@:username/:blockId', catchAsync(async (req, res) => {
+      const link = await bioPageService.getBlockLink(req.params.username, req.params.blockId);
+
+      if (!link) {
+        return res.status(404).send(this.generateErrorPage(
+          'Link Not Found',
+          'The requested link does not exist or has been removed.'
+        ));
+      }
+
+      return this.handleRedirect(req, res, link.shortCode, { source: 'bio' });
+    }));
+
     // Main redirect route with enhanced analytics
     this.app.get('/:shortCode', catchAsync(async (req, res) => {
-      const { shortCode } = req.params;
+      return this.handleRedirect(req, res, req.params.shortCode);
+    }));
+
+    logger.info('Routes setup completed');
+  }
+
+  // Resolve a short code and send the visitor on, tracking the click.
+  // `source` tags where the click came from ('bio' for link-in-bio pages).
+  async handleRedirect(req, res, shortCode, { source = null } = {}) {
+    try {
+      logger.info(`Redirect request for shortCode: ${shortCode}`);
       
-      try {
-        logger.info(`Redirect request for shortCode: ${shortCode}`);
-        
-        // Get URL from service (includes caching)
-        const url = await urlService.getUrlByShortCode(shortCode);
+      // Get URL from service (includes caching)
+      const url = await urlService.getUrlByShortCode(shortCode);
+      
+      if (!url) {
+        return res.status(404).send(this.generateErrorPage(
+          'Link Not Found',
+          'The requested link does not exist or has been removed.'
+        ));
+      }
+
+      // Check if link is disabled by moderation
+      if (url.status === 'disabled') {
+        logger.security.suspiciousActivity('Disabled link accessed', { 
+          shortCode, 
+          reason: url.disabledReason,
+          ip: req.clientIP 
+        });
         
-        if (!url) {
-          return res.status(404).send(this.generateErrorPage(
-            'Link Not Found',
-            'The requested link does not exist or has been removed.'
-          ));
-        }
+        return res.status(403).send(this.generateErrorPage(
+          'Link Disabled',
+          'This link has been disabled due to policy violations.',
+          'If you believe this is an error, please contact support.'
+        ));
+      }
 
-        // Check if link is disabled by moderation
-        if (url.status === 'disabled') {
-          logger.security.suspiciousActivity('Disabled link accessed', { 
-            shortCode, 
-            reason: url.disabledReason,
-            ip: req.clientIP 
-          });
-          
-          return res.status(403).send(this.generateErrorPage(
-            'Link Disabled',
-            'This link has been disabled due to policy violations.',
-            'If you believe this is an error, please contact support.'
-          ));
-        }
+      // Check if link is expired
+      if (url.status === 'expired' || (url.isExpired && url.isExpired())) {
+        logger.info(`Expired link accessed: ${shortCode}`);
+        
+        return res.status(410).send(this.generateErrorPage(
+          'Link Expired',
+          'This link has expired and is no longer accessible.',
+          `Expired on: ${url.expiresAt ? url.expiresAt.toLocaleDateString() : 'N/A'}`
+        ));
+      }
 
-        // Check if link is expired
-        if (url.status === 'expired' || (url.isExpired && url.isExpired())) {
-          logger.info(`Expired link accessed: ${shortCode}`);
-          
-          return res.status(410).send(this.generateErrorPage(
-            'Link Expired',
-            'This link has expired and is no longer accessible.',
-            `Expired on: ${url.expiresAt ? url.expiresAt.toLocaleDateString() : 'N/A'}`
-          ));
-        }
+      // Per-link country and IP restrictions, checked before anything is tracked
+      const geo = req.geoip || this.lookupGeoip(req.clientIP);
+      const blocked = checkAccess(url, { ip: req.clientIP, countryCode: geo && geo.country_code });
+      if (blocked) {
+        return this.sendBlockedLink(res, url, blocked, geo);
+      }
 
-        // Check if link requires password
-        if (url.requiresPassword && url.requiresPassword()) {
-          logger.info(`Password-protected link accessed: ${shortCode}`);
-          return res.redirect(`/password/${shortCode}`);
-        }
+      // Check if link requires password (the query string, with any personal
+      // link token and passthrough parameters, is kept)
+      if (url.requiresPassword && url.requiresPassword()) {
+        logger.info(`Password-protected link accessed: ${shortCode}`);
+        const queryIndex = req.originalUrl.indexOf('?');
+        return res.redirect(`/password/${shortCode}${queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex)}`);
+      }
 
-        // Track click using advanced analytics controller
-        const advancedAnalyticsController = require('./controllers/advancedAnalyticsController');
-        
-        // Create a mock request object for the analytics controller
-        const analyticsReq = {
-          ...req,
-          params: { shortCode },
-          ip: req.clientIP,
-          get: (header) => req.get(header),
-          query: req.query,
-          geoip: req.geoip,
-          sessionID: req.sessionID || require('crypto').randomUUID()
-        };
-        
-        // Create a mock response object that captures the redirect
-        const analyticsRes = {
-          redirect: (statusCode, redirectUrl) => {
-            logger.info(`Analytics tracked, redirecting ${shortCode} to: ${redirectUrl}`);
-            res.redirect(statusCode, redirectUrl);
-          },
-          status: (code) => ({
-            json: (data) => {
-              logger.error('Analytics tracking failed:', data);
-              // Still redirect even if analytics fails
-              res.redirect(301, url.originalUrl);
-            },
-            send: (data) => {
-              logger.error('Analytics tracking failed:', data);
-              // Still redirect even if analytics fails
-              res.redirect(301, url.originalUrl);
+      // Track click using advanced analytics controller
+      const advancedAnalyticsController = require('./controllers/advancedAnalyticsController');
+      
+      // Create a mock request object for the analytics controller
+      const analyticsReq = {
+        ...req,
+        params: { shortCode },
+        ip: req.clientIP,
+        get: (header) => req.get(header),
+        query: req.query,
+        geoip: geo,
+        sessionID: req.sessionID || require('crypto').randomUUID(),
+        linkSource: source,
+        accessChecked: true,
+        // Saves the analytics controller looking the link up again
+        link: url
+      };
+      
+      // Create a mock response object that captures the redirect
+      const analyticsRes = {
+        redirect: (statusCode, redirectUrl) => {
+          logger.info(`Analytics tracked, redirecting ${shortCode} to: ${redirectUrl}`);
+          res.redirect(statusCode, redirectUrl);
+        },
+        // Social preview pages for link-unfurling crawlers
+        set: (...args) => res.set(...args),
+        send: (body) => res.send(body),
+        status: (code) => ({
+          json: (data) => {
+            // Click cap used up or link not live yet (can race with the checks above)
+            if (data?.code === 'CLICK_LIMIT_REACHED') {
+              return this.sendUnavailableLink(res, url, 'click_limit');
+            }
+            if (data?.code === 'LINK_NOT_ACTIVE') {
+              return this.sendUnavailableLink(res, url, 'scheduled');
+            }
+            // Token missing, invalid or used up, or the visitor's uses spent
+            if (data?.code === 'LINK_USE_REFUSED') {
+              return this.sendUnavailableLink(res, url, data.reason);
             }
-          })
-        };
 
-        // Call the advanced analytics trackClick method
-        await advancedAnalyticsController.trackClick(analyticsReq, analyticsRes);
-        
-      } catch (error) {
-        logger.error('Redirect route error:', { error: error.message, shortCode });
-        
-        // If analytics fails, still try to redirect
-        try {
-          const url = await urlService.getUrlByShortCode(shortCode);
-          if (url) {
-            logger.info(`Fallback redirect for ${shortCode} to: ${url.originalUrl}`);
-            return res.redirect(301, url.originalUrl);
+            logger.error('Analytics tracking failed:', data);
+            // Still redirect even if analytics fails
+            this.sendTrackingFallback(req, res, url, analyticsReq.linkUseSpent);
+          },
+          send: (data) => {
+            logger.error('Analytics tracking failed:', data);
+            // Still redirect even if analytics fails
+            this.sendTrackingFallback(req, res, url, analyticsReq.linkUseSpent);
           }
-        } catch (fallbackError) {
-          logger.error('Fallback redirect failed:', fallbackError);
-        }
-        
-        if (error.message.includes('not found') || error.message.includes('expired')) {
-          return res.status(404).send(this.generateErrorPage(
-            'Link Not Found',
-            'The requested link does not exist or has been removed.'
-          ));
+        })
+      };
+
+      // Call the advanced analytics trackClick method
+      await advancedAnalyticsController.trackClick(analyticsReq, analyticsRes);
+      
+    } catch (error) {
+      // Scheduled, capped or expired links get their fallback instead
+      if (error instanceof LinkUnavailableError && error.url) {
+        logger.info(`Unavailable link accessed: ${shortCode}`, { reason: error.reason });
+        return this.sendUnavailableLink(res, error.url, error.reason);
+      }
+
+      logger.error('Redirect route error:', { error: error.message, shortCode });
+      
+      // If analytics fails, still try to redirect
+      try {
+        const url = await urlService.getUrlByShortCode(shortCode);
+        if (url) {
+          logger.info(`Fallback redirect for ${shortCode} to: ${url.originalUrl}`);
+          return this.sendTrackingFallback(req, res, url);
         }
-        
-        return res.status(500).send(this.generateErrorPage(
-          'Server Error',
-          'An error occurred while processing your request. Please try again later.'
+      } catch (fallbackError) {
+        logger.error('Fallback redirect failed:', fallbackError);
+      }
+      
+      if (error.message.includes('not found') || error.message.includes('expired')) {
+        return res.status(404).send(this.generateErrorPage(
+          'Link Not Found',
+          'The requested link does not exist or has been removed.'
         ));
       }
-    }));
-
-    logger.info('Routes setup completed');
+      
+      return res.status(500).send(this.generateErrorPage(
+        'Server Error',
+        'An error occurred while processing your request. Please try again later.'
+      ));
+    }
   }
 
   setupErrorHandling() {
@@ -604,12 +734,21 @@ class Application {
       this.isShuttingDown = true;
       logger.info(`Received ${signal}, starting graceful shutdown...`);
 
-      // Stop accepting new connections
+      // Stop accepting new connections; open click streams would keep the
+      // server from closing
       if (this.server) {
+        liveClickService.stop().catch(error => {
+          logger.warn('Failed to stop live click streams:', { error: error.message });
+        });
         this.server.close(async () => {
           logger.info('HTTP server closed');
 
           try {
+            urlService.stopExpirySweeper();
+            await metadataService.stopWorker();
+            await clickQueueService.stop();
+            linkHealthService.stop();
+
             // Close database connections
             await database.disconnect();
             await redisManager.disconnect();
@@ -636,6 +775,28 @@ class Application {
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
   }
 
+  // Turn a visitor away from a link with an access policy, recording the
+  // attempt separately from clicks
+  async sendBlockedLink(res, url, blocked, geo) {
+    const shortCode = url.shortCode || url.shortId;
+    logger.info(`Blocked access to ${shortCode}`, { reason: blocked.reason });
+
+    try {
+      await Analytics.recordBlockedAttempt(shortCode, url._id, {
+        reason: blocked.reason,
+        countryCode: geo && geo.country_code
+      });
+    } catch (error) {
+      logger.error('Failed to record blocked attempt:', { error: error.message, shortCode });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(403).send(this.generateErrorPage(
+      'Link Not Available',
+      brandingService.escapeHtml(blocked.message)
+    ));
+  }
+
   // Helper methods
   generateErrorPage(title, message, details = '') {
     return `
@@ -710,6 +871,44 @@ class Application {
     `;
   }
 
+  // Redirect using the link's configured status code and query-string passthrough,
+  // going through the link's interstitial when it has one
+  async redirectToDestination(req, res, url, destination = url.originalUrl) {
+    const target = applyQueryPassthrough(destination, getRawQuery(req, url), url.queryPassthrough);
+
+    const interstitial = getInterstitial(url);
+    if (interstitial) {
+      return res.send(await brandingService.generateInterstitialPage(url, target, interstitial));
+    }
+
+    return res.redirect(getRedirectStatus(url), target);
+  }
+
+  // Click tracking failed: redirect anyway, unless the link is limited-use
+  // and the visit has not spent its use yet
+  sendTrackingFallback(req, res, url, usageSpent = false) {
+    if (linkUsageService.isLimited(url) && !usageSpent) {
+      return res.status(503).send(this.generateErrorPage(
+        'Link Temporarily Unavailable',
+        'This link could not be opened right now. Please try again in a moment.'
+      ));
+    }
+    return this.redirectToDestination(req, res, url);
+  }
+
+  // Send a visitor to the link's fallback URL, or a branded notice page
+  async sendUnavailableLink(res, url, reason) {
+    if (url.fallbackUrl) {
+      return res.redirect(302, url.fallbackUrl);
+    }
+
+    const { status, html } = await brandingService.generateUnavailableLinkPage(url, reason);
+    if (USAGE_PAGES[reason]) {
+      res.set('Cache-Control', 'no-store');
+    }
+    return res.status(status).send(html);
+  }
+
   detectDevice(userAgent) {
     if (!userAgent) return 'Unknown';
     
@@ -743,6 +942,19 @@ class Application {
     return 'Unknown';
   }
 
+  lookupGeoip(ip) {
+    const geo = ip ? geoip.lookup(ip) : null;
+    if (!geo) return undefined;
+
+    return {
+      country: geo.country || 'Unknown',
+      country_code: geo.country || 'XX',
+      region: geo.region || 'Unknown',
+      city: geo.city || 'Unknown',
+      timezone: geo.timezone || 'UTC'
+    };
+  }
+
   async checkDatabaseHealth() {
     try {
       const stats = await database.getConnectionStats();
@@ -0,0 +1,56 @@
+// src/config/mobileApps.js - Native apps allowed to open short links (universal links / app links)
+//
+// IOS_APP_IDS                       comma-separated "TEAMID.bundle.id" values
+// ANDROID_PACKAGE_NAME              Android application id
+// ANDROID_SHA256_CERT_FINGERPRINTS  comma-separated signing certificate fingerprints
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const getMobileApps = () => {
+  const ios = splitList(process.env.IOS_APP_IDS).map(appId => ({ appId }));
+
+  const android = [];
+  if (process.env.ANDROID_PACKAGE_NAME) {
+    android.push({
+      packageName: process.env.ANDROID_PACKAGE_NAME.trim(),
+      sha256CertFingerprints: splitList(process.env.ANDROID_SHA256_CERT_FINGERPRINTS)
+    });
+  }
+
+  return { ios, android };
+};
+
+// Body of /.well-known/apple-app-site-association. Every path on the short
+// domain is a short link, so all of them are claimed.
+const buildAppleAppSiteAssociation = (apps = getMobileApps()) => ({
+  applinks: {
+    apps: [],
+    details: apps.ios.map(app => ({
+      appID: app.appId,
+      appIDs: [app.appId],
+      paths: ['*'],
+      components: [{ '/': '*' }]
+    }))
+  }
+});
+
+// Body of /.well-known/assetlinks.json
+const buildAssetLinks = (apps = getMobileApps()) => apps.android
+  .filter(app => app.sha256CertFingerprints.length > 0)
+  .map(app => ({
+    relation: ['delegate_permission/common.handle_all_urls'],
+    target: {
+      namespace: 'android_app',
+      package_name: app.packageName,
+      sha256_cert_fingerprints: app.sha256CertFingerprints
+    }
+  }));
+
+module.exports = {
+  getMobileApps,
+  buildAppleAppSiteAssociation,
+  buildAssetLinks
+};
@@ -1,6 +1,11 @@
 // src/controllers/adminController.js
 const User = require('../models/User');
 const Url = require('../models/Url');
+const linkUsageService = require('../services/linkUsageService');
+const rollupService = require('../services/rollupService');
+const uniqueVisitorService = require('../services/uniqueVisitorService');
+const conversionService = require('../services/conversionService');
+const urlHistoryService = require('../services/urlHistoryService');
 
 // GET /api/admin/users - Get all users
 async function getAllUsers(req, res) {
@@ -119,6 +124,11 @@ async function deleteUrl(req, res) {
     }
 
     await Url.deleteOne({ _id: id });
+    await linkUsageService.deleteForUrls([url._id]);
+    await rollupService.deleteForUrls([url._id]);
+    await uniqueVisitorService.deleteForUrls([url._id]);
+    await conversionService.deleteForUrls([url._id]);
+    await urlHistoryService.deleteForUrls([url._id]);
 
     res.json({ message: 'URL deleted successfully' });
   } catch (error) {
@@ -1,8 +1,39 @@
 // src/controllers/advancedAnalyticsController.js - Advanced Analytics Controller
 const Analytics = require('../models/Analytics');
 const Url = require('../models/Url');
+const Pixel = require('../models/Pixel');
 const crypto = require('crypto');
 const UAParser = require('ua-parser-js');
+const logger = require('../config/logger');
+const cacheService = require('../services/cacheService');
+const clickQueueService = require('../services/clickQueueService');
+const brandingService = require('../services/brandingService');
+const pixelService = require('../services/pixelService');
+const linkUsageService = require('../services/linkUsageService');
+const rollupService = require('../services/rollupService');
+const uniqueVisitorService = require('../services/uniqueVisitorService');
+const conversionService = require('../services/conversionService');
+const liveClickService = require('../services/liveClickService');
+const { buildRuleContext, resolveDestination, detectDevice } = require('../utils/redirectRules');
+const {
+  getRedirectStatus,
+  getRawQuery,
+  getSourceMarker,
+  getLinkToken,
+  withLinkToken,
+  applyQueryPassthrough
+} = require('../utils/urlUtils');
+const { getSocialBotPlatform, getPreviewMeta } = require('../utils/socialPreview');
+const { resolveAppLink } = require('../utils/deepLinks');
+const { getInterstitial } = require('../utils/interstitial');
+const { normalizeAlias } = require('../utils/aliasKey');
+const { checkAccess, lookupCountry } = require('../utils/accessPolicy');
+
+const { USAGE_PAGES } = linkUsageService;
+
+// Pages carrying pixel snippets run sandboxed (opaque origin), so a custom
+// snippet cannot read cookies or storage belonging to the short link domain
+const PIXEL_PAGE_CSP = 'sandbox allow-scripts allow-forms allow-popups allow-top-navigation';
 
 // Utility function to hash IP for privacy
 const hashIP = (ip) => {
@@ -45,19 +76,6 @@ const categorizeReferrer = (referrer) => {
   return 'other';
 };
 
-// Utility function to detect device type
-const detectDevice = (userAgent) => {
-  const parser = new UAParser(userAgent);
-  const device = parser.getDevice();
-  
-  if (device.type === 'mobile') return 'mobile';
-  if (device.type === 'tablet') return 'tablet';
-  if (device.type === 'smarttv') return 'smart-tv';
-  if (device.type === 'wearable') return 'wearable';
-  
-  return 'desktop';
-};
-
 // Utility function to detect bot
 const detectBot = (userAgent) => {
   const botPatterns = [
@@ -80,8 +98,7 @@ const getBotType = (userAgent) => {
     return 'search-engine';
   }
   
-  if (ua.includes('facebookexternalhit') || ua.includes('twitterbot') || 
-      ua.includes('linkedinbot')) {
+  if (getSocialBotPlatform(userAgent)) {
     return 'social-media';
   }
   
@@ -97,19 +114,55 @@ const getBotType = (userAgent) => {
   return 'other';
 };
 
+// Serve the Open Graph preview page to a social crawler
+const servePreview = async (req, res, url, platform) => {
+  const { shortCode } = req.params;
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const shortUrl = `${baseUrl}/${shortCode}`;
+
+  // Limited-use links never hand out the destination without spending a use,
+  // so their preview points back at the short link
+  const token = getLinkToken(req);
+  const destination = linkUsageService.isLimited(url)
+    ? (token ? withLinkToken(shortUrl, token) : shortUrl)
+    : applyQueryPassthrough(url.originalUrl, getRawQuery(req, url), url.queryPassthrough);
+
+  try {
+    await Analytics.recordSocialPreview(shortCode, url._id, platform);
+  } catch (error) {
+    logger.error('Failed to record social preview:', { error: error.message, shortCode });
+  }
+
+  logger.info('Social preview served', { shortCode, platform });
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.send(brandingService.generateSocialPreviewPage({
+    ...getPreviewMeta(url),
+    shortUrl,
+    destination
+  }));
+};
+
 // Track a click with comprehensive analytics
 const trackClick = async (req, res) => {
   try {
     const { shortCode } = req.params;
     const ip = req.ip || req.connection.remoteAddress || '127.0.0.1';
     const userAgent = req.get('User-Agent') || '';
-    const url = await Url.findOne({ 
+    // The redirect route hands over the link it already resolved (usually
+    // from cache). Otherwise: exact code first, then custom aliases that only
+    // differ in case or look-alike characters.
+    let url = req.link || await Url.findOne({ 
       $or: [
         { shortCode },
+        { shortId: shortCode },
         { customAlias: shortCode }
       ],
       isActive: true 
     });
+    if (!url && normalizeAlias(shortCode)) {
+      url = await Url.findOne({ aliasKey: normalizeAlias(shortCode), isActive: true });
+    }
 
     if (!url) {
       return res.status(404).json({
@@ -126,6 +179,74 @@ const trackClick = async (req, res) => {
       });
     }
 
+    // Check if URL is scheduled for later activation
+    if (url.isScheduled && url.isScheduled()) {
+      return res.status(403).json({
+        status: 'fail',
+        code: 'LINK_NOT_ACTIVE',
+        message: 'Short URL is not active yet'
+      });
+    }
+
+    // The redirect route checks the link's access policy itself; direct calls
+    // to the tracking endpoint are checked here
+    if (!req.accessChecked) {
+      const countryCode = req.geoip?.country_code || lookupCountry(ip);
+      const blocked = checkAccess(url, { ip, countryCode });
+      if (blocked) {
+        await Analytics.recordBlockedAttempt(shortCode, url._id, { reason: blocked.reason, countryCode });
+        return res.status(403).json({
+          status: 'fail',
+          code: 'ACCESS_BLOCKED',
+          message: blocked.message
+        });
+      }
+    }
+
+    // Social crawlers unfurling the link get the Open Graph page instead of a
+    // redirect, and are counted separately from human clicks
+    const socialPlatform = getSocialBotPlatform(userAgent);
+    if (socialPlatform) {
+      return servePreview(req, res, url, socialPlatform);
+    }
+
+    // Links with a click cap are counted right away - the filter makes the
+    // cap atomic, so concurrent clicks cannot overshoot maxClicks
+    if (url.maxClicks) {
+      const countedUrl = await Url.findOneAndUpdate(
+        { _id: url._id, ...Url.clickLimitFilter() },
+        { $inc: { clicks: 1 } }
+      );
+
+      if (!countedUrl) {
+        return res.status(410).json({
+          status: 'fail',
+          code: 'CLICK_LIMIT_REACHED',
+          message: 'Short URL has reached its click limit'
+        });
+      }
+    }
+
+    // One-time and limited-use links: spend a use of the visitor's token or
+    // their per-visitor allowance (crawlers above never spend one). This is
+    // the last check, so a refused visit only has its cap click to give back.
+    if (linkUsageService.isLimited(url)) {
+      const usageReason = await linkUsageService.consume(url, { token: getLinkToken(req), ip });
+      if (usageReason) {
+        if (url.maxClicks) {
+          await Url.updateOne({ _id: url._id, clicks: { $gt: 0 } }, { $inc: { clicks: -1 } });
+        }
+        return res.status(USAGE_PAGES[usageReason].status).json({
+          status: 'fail',
+          code: 'LINK_USE_REFUSED',
+          reason: usageReason,
+          message: USAGE_PAGES[usageReason].message
+        });
+      }
+      // Lets the fallback redirects below know this visit may go through
+      req.linkUseSpent = true;
+    }
+
     // Parse user agent for device detection
     const parser = new UAParser(req.get('User-Agent'));
     const uaResult = parser.getResult();
@@ -158,25 +279,44 @@ const trackClick = async (req, res) => {
       timezone: 'UTC'
     };
 
-    // Determine if this is a unique visitor
-    const recentClicks = await Analytics.findOne({ 
-      shortCode,
-      'clicks.hashedIp': hashedIp,
-      'clicks.timestamp': { 
-        $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) // Last 24 hours
-      }
-    });
-    
-    const isUniqueVisitor = !recentClicks;
+    // Pick the destination: redirect rules first, then the sticky A/B split
+    const device = detectDevice(userAgent);
+    const { destination, rule, variant } = resolveDestination(
+      url,
+      buildRuleContext(req, { geoData, device, uaResult, visitorKey: hashedIp || sessionId })
+    );
+
+    // Links covered by a conversion goal pass a click ID to the destination,
+    // so conversions reported with it are attributed to this click
+    const clickedAt = new Date();
+    const clickId = await conversionService.isTracked(url)
+      ? conversionService.createClickId(url._id, clickedAt)
+      : null;
+
+    // Mobile visitors go into the native app when the link has a deep link for
+    // their OS; an explicit redirect rule still wins
+    const passthroughDestination = applyQueryPassthrough(destination, getRawQuery(req, url), url.queryPassthrough);
+    const webDestination = clickId
+      ? conversionService.withClickId(passthroughDestination, clickId)
+      : passthroughDestination;
+    const appLink = rule ? null : resolveAppLink(url, uaResult.os.name, webDestination);
+
+    // Bio page clicks are tagged by the route, QR scans by their ?src=qr marker
+    const linkSource = req.linkSource || getSourceMarker(req);
 
     // Create click data
     const clickData = {
-      timestamp: new Date(),
+      timestamp: clickedAt,
+      clickId,
       ip: clientIP,
       hashedIp,
       userAgent: req.get('User-Agent') || '',
       referrer: req.get('Referer') || req.get('Referrer') || null,
-      referrerCategory: categorizeReferrer(req.get('Referer') || req.get('Referrer')),
+      // Clicks from a link-in-bio page count as social traffic
+      referrerCategory: linkSource === 'bio'
+        ? 'social'
+        : categorizeReferrer(req.get('Referer') || req.get('Referrer')),
+      source: linkSource,
       
       // Geographic data
       country: geoData.country || 'Unknown',
@@ -186,7 +326,7 @@ const trackClick = async (req, res) => {
       timezone: geoData.timezone || 'UTC',
       
       // Device information
-      device: detectDeviceType(uaResult),
+      device,
       deviceBrand: uaResult.device.vendor || 'Unknown',
       deviceModel: uaResult.device.model || 'Unknown',
       
@@ -200,116 +340,108 @@ const trackClick = async (req, res) => {
       
       // Bot detection
       isBot,
-      botType: isBot ? detectBotType(req.get('User-Agent')) : null,
+      botType: isBot ? getBotType(userAgent) : null,
       
-      // Session tracking
+      // Session tracking (unique visitors are decided when the click is written)
       sessionId,
-      isUniqueVisitor,
+      
+      // Redirect rule
+      redirectRuleId: rule ? rule._id.toString() : null,
+      redirectRuleName: rule ? rule.name || null : null,
+      
+      // A/B split-test variant
+      variantId: variant ? variant._id.toString() : null,
+      variantName: variant ? variant.name : null,
+      destination,
+      deepLinkPlatform: appLink ? appLink.platform : null,
       
       // Performance
       loadTime: Date.now() - (req.startTime || Date.now()),
       
-      // UTM parameters
-      utmSource: req.query.utm_source,
-      utmMedium: req.query.utm_medium,
-      utmCampaign: req.query.utm_campaign,
-      utmTerm: req.query.utm_term,
-      utmContent: req.query.utm_content
+      // UTM parameters - from the short link's query string, otherwise the
+      // ones built into the destination, so campaigns group across links
+      utmSource: req.query.utm_source || url.utm?.source || undefined,
+      utmMedium: req.query.utm_medium || url.utm?.medium || undefined,
+      utmCampaign: req.query.utm_campaign || url.utm?.campaign || undefined,
+      utmTerm: req.query.utm_term || url.utm?.term || undefined,
+      utmContent: req.query.utm_content || url.utm?.content || undefined
     };
 
-    // Update URL click count and last accessed
-    await Url.findByIdAndUpdate(url._id, {
-      $inc: { clicks: 1 },
-      $set: { 
-        lastAccessed: new Date(),
-        lastClicked: new Date()
-      },
-      $push: {
-        clickHistory: {
-          $each: [{
-            timestamp: clickData.timestamp,
-            ip: clickData.ip,
-            userAgent: clickData.userAgent,
-            referrer: clickData.referrer,
-            device: clickData.device,
-            browser: clickData.browser,
-            os: clickData.os,
-            country: clickData.country,
-            city: clickData.city
-          }],
-          $slice: -1000 // Keep only last 1000 clicks
-        }
-      }
+    // Everything else (click history, analytics, audit log) is written by the
+    // click worker, off the redirect path
+    const ownerId = url.userId?._id || url.userId;
+    clickQueueService.enqueue({
+      urlId: url._id.toString(),
+      // Link owner, for their live analytics stream
+      userId: ownerId ? ownerId.toString() : null,
+      shortCode,
+      originalUrl: url.originalUrl,
+      counted: !!url.maxClicks,
+      click: clickData
     });
 
-    // Update or create analytics record
-    let analytics = await Analytics.findOne({ shortCode });
-    
-    if (!analytics) {
-      analytics = new Analytics({
-        urlId: url._id,
-        shortCode,
-        clicks: [],
-        stats: {
-          totalClicks: 0,
-          uniqueVisitors: 0,
-          dailyStats: [],
-          topCountries: [],
-          topCities: [],
-          deviceStats: [],
-          browserStats: [],
-          osStats: [],
-          referrerStats: [],
-          hourlyPattern: Array(24).fill(0).map((_, i) => ({ hour: i, count: 0 })),
-          weeklyPattern: Array(7).fill(0).map((_, i) => ({ day: i, count: 0 }))
-        }
-      });
+    // Cache the URL for faster future access, without holding up the
+    // redirect (cacheUrl never rejects)
+    if (!req.link) {
+      cacheService.cacheUrl(shortCode, url, 3600); // Cache for 1 hour
     }
 
-    // Add click to analytics
-    await analytics.addClick(clickData);
-
-    // Cache the URL for faster future access
-    await cacheService.set(`url:${shortCode}`, url, 3600); // Cache for 1 hour
-
-    // Log the click for audit purposes (only in production)
-    if (process.env.NODE_ENV === 'production') {
-      await auditService.logUserAction(
-        'url_click',
-        `Clicked short URL: ${shortCode}`,
-        null, // No user ID for anonymous clicks
-        {
-          shortCode,
-          originalUrl: url.originalUrl,
-          userAgent: clickData.userAgent,
-          referrer: clickData.referrer,
-          country: clickData.country,
-          device: clickData.device,
-          browser: clickData.browser,
-          isBot: clickData.isBot,
-          isUniqueVisitor: clickData.isUniqueVisitor
-        },
-        {
-          category: 'analytics',
-          severity: 'low',
-          ipAddress: clientIP,
-          userAgent: clickData.userAgent
-        }
-      );
-    }
-
-    logger.info('Click tracked successfully', {
+    logger.info('Click queued', {
       shortCode,
       originalUrl: url.originalUrl,
       country: clickData.country,
       device: clickData.device,
       browser: clickData.browser,
-      isUniqueVisitor: clickData.isUniqueVisitor,
+      redirectRule: clickData.redirectRuleName || clickData.redirectRuleId,
+      variant: clickData.variantName,
+      deepLink: clickData.deepLinkPlatform,
       loadTime: clickData.loadTime
     });
 
-    // Redirect to original URL
-    res.redirect(301, url.originalUrl);
+    // Retargeting pixels only fire with the link owner's marketing consent.
+    // Fires are counted without holding up the page (recordFires never rejects).
+    const pixels = await pixelService.getFiringPixels(url);
+    const pixelHtml = pixelService.renderPixels(pixels);
+
+    // Disclaimer interstitials (owner-configured or forced by moderation) take
+    // the visitor to the web destination once they continue
+    const interstitial = getInterstitial(url);
+    if (interstitial) {
+      if (pixels.length > 0) {
+        pixelService.recordFires(shortCode, url, pixels);
+        res.set('Content-Security-Policy', PIXEL_PAGE_CSP);
+      }
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(await brandingService.generateInterstitialPage(url, webDestination, {
+        ...interstitial,
+        headHtml: pixelHtml
+      }));
+    }
+
+    // iOS URI schemes are tried from a page that falls back to the store
+    if (appLink && appLink.type === 'page') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(brandingService.generateAppRedirectPage(appLink));
+    }
+
+    // Pixels load from a minimal page that forwards once they have fired
+    if (pixels.length > 0) {
+      pixelService.recordFires(shortCode, url, pixels);
+      res.set('Content-Security-Policy', PIXEL_PAGE_CSP);
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(brandingService.generatePixelPage({
+        pixelHtml,
+        destination: appLink ? appLink.destination : webDestination
+      }));
+    }
+
+    // App links are always temporary so browsers never cache them
+    if (appLink) {
+      return res.redirect(302, appLink.destination);
+    }
+
+    // Redirect to the rule/variant destination, or the original URL
+    res.redirect(getRedirectStatus(url), webDestination);
 
   } catch (error) {
     logger.error('Click tracking error:', {
@@ -328,8 +460,13 @@ const trackClick = async (req, res) => {
         isActive: true 
       });
       
-      if (url) {
-        return res.redirect(301, url.originalUrl);
+      // Never skip a disclaimer the link would have shown, nor a use the
+      // visitor has not spent yet
+      if (url && !getInterstitial(url) && (req.linkUseSpent || !linkUsageService.isLimited(url))) {
+        return res.redirect(
+          getRedirectStatus(url),
+          applyQueryPassthrough(url.originalUrl, getRawQuery(req, url), url.queryPassthrough)
+        );
       }
     } catch (fallbackError) {
       logger.error('Fallback redirect failed:', fallbackError);
@@ -372,8 +509,9 @@ const getAnalytics = async (req, res) => {
       });
     }
     
-    // Find analytics
-    let analytics = await Analytics.findOne({ shortCode });
+    // Counters kept on the Analytics document; clicks are read from the
+    // rollups below
+    const analytics = await Analytics.findOne({ shortCode }).select('-clicks');
     
     if (!analytics) {
       return res.json({
@@ -390,6 +528,22 @@ const getAnalytics = async (req, res) => {
             deviceStats: [],
             browserStats: [],
             referrerStats: [],
+            sourceStats: [],
+            qrScans: 0,
+            ruleStats: [],
+            variantStats: [],
+            socialPreviews: { total: 0, platforms: {}, lastPreviewAt: null },
+            pixelFires: { total: 0, pixels: [], lastFiredAt: null },
+            blockedAttempts: { total: 0, reasons: {}, countries: {}, lastBlockedAt: null },
+            conversions: {
+              conversions: 0,
+              convertedClicks: 0,
+              conversionRate: 0,
+              revenue: [],
+              avgTimeToConvertMs: null,
+              medianTimeToConvertMs: null,
+              goals: []
+            },
             hourlyPattern: Array(24).fill(0).map((_, i) => ({ hour: i, count: 0 })),
             weeklyPattern: Array(7).fill(0).map((_, i) => ({ day: i, count: 0 })),
             recentClicks: []
@@ -426,94 +580,88 @@ const getAnalytics = async (req, res) => {
       }
     }
     
-    // Filter clicks by date range
-    let filteredClicks = analytics.clicks;
-    if (Object.keys(dateFilter).length > 0) {
-      filteredClicks = analytics.clicks.filter(click => {
-        if (dateFilter.$gte && click.timestamp < dateFilter.$gte) return false;
-        if (dateFilter.$lte && click.timestamp > dateFilter.$lte) return false;
-        return true;
-      });
-    }
+    const range = {
+      startDate: dateFilter.$gte || url.createdAt,
+      endDate: dateFilter.$lte || now
+    };
+    const clicksInRange = {
+      $filter: {
+        input: '$clicks',
+        as: 'click',
+        cond: {
+          $and: [
+            { $gte: ['$$click.timestamp', range.startDate] },
+            { $lte: ['$$click.timestamp', range.endDate] }
+          ]
+        }
+      }
+    };
+    
+    const [breakdown, uniqueVisitors, dailyStatsArray, patterns, [storedClicks]] = await Promise.all([
+      rollupService.getBreakdown(
+        [url._id],
+        range,
+        ['total', 'country', 'device', 'browser', 'os', 'referrer', 'source', 'rule', 'variant']
+      ),
+      uniqueVisitorService.countRange([url._id], range),
+      rollupService.getTimeSeries([url._id], range, 'day'),
+      rollupService.getPatterns([url._id], range),
+      // Only the latest clicks are loaded, unless raw data was asked for
+      Analytics.aggregate([
+        { $match: { shortCode } },
+        { $project: { clicks: includeRawData === 'true' ? clicksInRange : { $slice: [clicksInRange, -50] } } }
+      ])
+    ]);
+    const filteredClicks = storedClicks ? storedClicks.clicks : [];
     
     // Calculate filtered statistics
-    const totalClicks = filteredClicks.length;
-    const uniqueVisitors = new Set(filteredClicks.map(c => c.hashedIp)).size;
-    
-    // Group by various dimensions
-    const countryStats = {};
-    const deviceStats = {};
-    const browserStats = {};
-    const osStats = {};
-    const referrerStats = {};
-    const dailyStats = {};
-    const hourlyPattern = Array(24).fill(0);
-    const weeklyPattern = Array(7).fill(0);
-    
-    filteredClicks.forEach(click => {
-      // Country stats
-      const country = click.country || 'Unknown';
-      countryStats[country] = (countryStats[country] || 0) + 1;
-      
-      // Device stats
-      const device = click.device || 'unknown';
-      deviceStats[device] = (deviceStats[device] || 0) + 1;
-      
-      // Browser stats
-      const browser = click.browser || 'Unknown';
-      browserStats[browser] = (browserStats[browser] || 0) + 1;
-      
-      // OS stats
-      const os = click.os || 'Unknown';
-      osStats[os] = (osStats[os] || 0) + 1;
-      
-      // Referrer stats
-      const referrer = click.referrerCategory || 'direct';
-      referrerStats[referrer] = (referrerStats[referrer] || 0) + 1;
-      
-      // Daily stats
-      const dateKey = click.timestamp.toISOString().split('T')[0];
-      if (!dailyStats[dateKey]) {
-        dailyStats[dateKey] = { clicks: 0, uniqueVisitors: new Set() };
-      }
-      dailyStats[dateKey].clicks += 1;
-      dailyStats[dateKey].uniqueVisitors.add(click.hashedIp);
-      
-      // Time patterns
-      hourlyPattern[click.timestamp.getHours()] += 1;
-      weeklyPattern[click.timestamp.getDay()] += 1;
-    });
+    const [total] = breakdown.total;
+    const totalClicks = total ? total.clicks : 0;
     
     // Convert to arrays with percentages
-    const toStatsArray = (obj, keyName = 'name') => {
-      return Object.entries(obj)
-        .map(([key, count]) => ({
-          [keyName]: key,
-          count,
-          percentage: totalClicks > 0 ? Math.round((count / totalClicks) * 100) : 0
-        }))
-        .sort((a, b) => b.count - a.count);
+    const toStatsArray = (items, keyName = 'name') => {
+      return items.map(item => ({
+        [keyName]: item.value,
+        count: item.clicks,
+        percentage: totalClicks > 0 ? Math.round((item.clicks / totalClicks) * 100) : 0
+      }));
     };
     
-    const topCountries = toStatsArray(countryStats, 'country').slice(0, 10);
-    const deviceStatsArray = toStatsArray(deviceStats, 'device');
-    const browserStatsArray = toStatsArray(browserStats, 'browser');
-    const osStatsArray = toStatsArray(osStats, 'os');
-    const referrerStatsArray = toStatsArray(referrerStats, 'referrer');
-    
-    // Daily stats array
-    const dailyStatsArray = Object.entries(dailyStats)
-      .map(([date, data]) => ({
-        date: new Date(date),
-        clicks: data.clicks,
-        uniqueVisitors: data.uniqueVisitors.size
-      }))
-      .sort((a, b) => a.date - b.date);
+    const topCountries = toStatsArray(breakdown.country, 'country').slice(0, 10);
+    const deviceStatsArray = toStatsArray(breakdown.device, 'device');
+    const browserStatsArray = toStatsArray(breakdown.browser, 'browser');
+    const osStatsArray = toStatsArray(breakdown.os, 'os');
+    const referrerStatsArray = toStatsArray(breakdown.referrer, 'referrer');
+    const ruleStatsArray = toStatsArray(breakdown.rule, 'rule');
+    const sourceStatsArray = toStatsArray(breakdown.source, 'source');
+    const qrScans = breakdown.source.find(item => item.value === 'qr')?.clicks || 0;
+    
+    // Split-test stats - include configured variants that have no clicks yet
+    const variantStats = Object.fromEntries(breakdown.variant.map(item => [item.value, item]));
+    const variantIds = new Set([
+      ...(url.variants || []).map(v => v._id.toString()),
+      ...Object.keys(variantStats)
+    ]);
+    const variantClicksTotal = breakdown.variant.reduce((sum, v) => sum + v.clicks, 0);
+    const variantStatsArray = [...variantIds].map(variantId => {
+      const configured = (url.variants || []).find(v => v._id.toString() === variantId);
+      const stats = variantStats[variantId] || { clicks: 0, uniqueVisitors: 0 };
+      return {
+        variantId,
+        name: configured ? configured.name : stats.label,
+        destination: configured ? configured.destination : null,
+        weight: configured ? configured.weight : 0,
+        active: !!configured,
+        clicks: stats.clicks,
+        uniqueVisitors: stats.uniqueVisitors,
+        percentage: variantClicksTotal > 0 ? Math.round((stats.clicks / variantClicksTotal) * 100) : 0
+      };
+    }).sort((a, b) => b.clicks - a.clicks);
     
     // Recent clicks (last 50)
     const recentClicks = filteredClicks
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, 50)
+      .slice(-50)
+      .reverse()
       .map(click => ({
         timestamp: click.timestamp,
         country: click.country,
@@ -523,6 +671,9 @@ const getAnalytics = async (req, res) => {
         os: click.os,
         referrer: click.referrer,
         referrerCategory: click.referrerCategory,
+        redirectRule: click.redirectRuleName || click.redirectRuleId || null,
+        variant: click.variantName || null,
+        source: click.source || null,
         isBot: click.isBot
       }));
     
@@ -531,6 +682,22 @@ const getAnalytics = async (req, res) => {
     const clickRate = Math.round((totalClicks / daysSinceCreation) * 100) / 100;
     const engagementRate = totalClicks > 0 ? Math.round((uniqueVisitors / totalClicks) * 100) : 0;
     
+    // Conversions made in the range, against the range's clicks
+    const conversions = await conversionService.getSummary([url._id], range, totalClicks);
+
+    // Pixel fires per pixel, named from the user's pixel library
+    const pixelFireCounts = Object.fromEntries(analytics.pixelFires?.pixels || []);
+    const firedPixels = await Pixel.find({ _id: { $in: Object.keys(pixelFireCounts) } }).select('name provider').lean();
+    const pixelNames = new Map(firedPixels.map(pixel => [pixel._id.toString(), pixel]));
+    const pixelStats = Object.entries(pixelFireCounts)
+      .map(([pixelId, fires]) => ({
+        pixelId,
+        name: pixelNames.get(pixelId)?.name || null,
+        provider: pixelNames.get(pixelId)?.provider || null,
+        fires
+      }))
+      .sort((a, b) => b.fires - a.fires);
+
     const responseData = {
       url,
       analytics: {
@@ -544,8 +711,30 @@ const getAnalytics = async (req, res) => {
         browserStats: browserStatsArray,
         osStats: osStatsArray,
         referrerStats: referrerStatsArray,
-        hourlyPattern: hourlyPattern.map((count, hour) => ({ hour, count })),
-        weeklyPattern: weeklyPattern.map((count, day) => ({ day, count })),
+        sourceStats: sourceStatsArray,
+        qrScans,
+        ruleStats: ruleStatsArray,
+        variantStats: variantStatsArray,
+        splitTestWinner: url.splitTestWinner?.variantId ? url.splitTestWinner : null,
+        socialPreviews: {
+          total: analytics.socialPreviews?.total || 0,
+          platforms: Object.fromEntries(analytics.socialPreviews?.platforms || []),
+          lastPreviewAt: analytics.socialPreviews?.lastPreviewAt || null
+        },
+        pixelFires: {
+          total: analytics.pixelFires?.total || 0,
+          pixels: pixelStats,
+          lastFiredAt: analytics.pixelFires?.lastFiredAt || null
+        },
+        blockedAttempts: {
+          total: analytics.blockedAttempts?.total || 0,
+          reasons: Object.fromEntries(analytics.blockedAttempts?.reasons || []),
+          countries: Object.fromEntries(analytics.blockedAttempts?.countries || []),
+          lastBlockedAt: analytics.blockedAttempts?.lastBlockedAt || null
+        },
+        conversions,
+        hourlyPattern: patterns.hourlyPattern,
+        weeklyPattern: patterns.weeklyPattern,
         recentClicks
       },
       timeRange,
@@ -612,71 +801,70 @@ const getUserAnalyticsSummary = async (req, res) => {
     const daysBack = ranges[timeRange] || 30;
     const startDate = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000);
     
-    // Get analytics for all URLs
+    // Clicks per link from the rollups, unique visitors from the visitor
+    // sketches, plus each link's latest clicks
+    const range = { startDate, endDate: now };
     const shortCodes = urls.map(url => url.shortCode || url.shortId);
-    const analyticsData = await Analytics.find({ 
-      shortCode: { $in: shortCodes } 
-    });
+    const [linkTotals, totalUniqueVisitors, latestClicks] = await Promise.all([
+      rollupService.getTotalsByLink(urls.map(url => url._id), range),
+      uniqueVisitorService.countRange(urls.map(url => url._id), range),
+      Analytics.aggregate([
+        { $match: { shortCode: { $in: shortCodes } } },
+        {
+          $project: {
+            shortCode: 1,
+            clicks: {
+              $slice: [{
+                $filter: { input: '$clicks', as: 'click', cond: { $gte: ['$$click.timestamp', startDate] } }
+              }, -10]
+            }
+          }
+        }
+      ])
+    ]);
+    const totalsByUrl = new Map(linkTotals.map(totals => [totals.urlId.toString(), totals]));
+    const latestByShortCode = new Map(latestClicks.map(analytics => [analytics.shortCode, analytics.clicks]));
     
     let totalClicks = 0;
-    let totalUniqueVisitors = 0;
     const urlStats = [];
+    const urlIdsByStat = new Map();
     const allRecentClicks = [];
     
     for (const url of urls) {
-      const analytics = analyticsData.find(a => 
-        a.shortCode === (url.shortCode || url.shortId)
-      );
+      const shortCode = url.shortCode || url.shortId;
+      const totals = totalsByUrl.get(url._id.toString()) || { clicks: 0 };
       
-      if (analytics) {
-        // Filter clicks by date range
-        const filteredClicks = analytics.clicks.filter(
-          click => click.timestamp >= startDate
-        );
-        
-        const urlClicks = filteredClicks.length;
-        const urlUniqueVisitors = new Set(filteredClicks.map(c => c.hashedIp)).size;
-        
-        totalClicks += urlClicks;
-        totalUniqueVisitors += urlUniqueVisitors;
-        
-        urlStats.push({
-          url: {
-            shortId: url.shortId,
-            shortCode: url.shortCode,
-            originalUrl: url.originalUrl,
-            createdAt: url.createdAt
-          },
-          clicks: urlClicks,
-          uniqueVisitors: urlUniqueVisitors,
-          clickRate: Math.round((urlClicks / Math.max(1, (now - url.createdAt) / (1000 * 60 * 60 * 24))) * 100) / 100
-        });
-        
-        // Add recent clicks
-        allRecentClicks.push(...filteredClicks.slice(-10).map(click => ({
-          ...click.toObject(),
-          shortCode: url.shortCode || url.shortId,
-          originalUrl: url.originalUrl
-        })));
-      } else {
-        urlStats.push({
-          url: {
-            shortId: url.shortId,
-            shortCode: url.shortCode,
-            originalUrl: url.originalUrl,
-            createdAt: url.createdAt
-          },
-          clicks: 0,
-          uniqueVisitors: 0,
-          clickRate: 0
-        });
-      }
+      totalClicks += totals.clicks;
+      
+      const stat = {
+        url: {
+          shortId: url.shortId,
+          shortCode: url.shortCode,
+          originalUrl: url.originalUrl,
+          createdAt: url.createdAt
+        },
+        clicks: totals.clicks,
+        uniqueVisitors: 0,
+        clickRate: Math.round((totals.clicks / Math.max(1, (now - url.createdAt) / (1000 * 60 * 60 * 24))) * 100) / 100
+      };
+      urlStats.push(stat);
+      urlIdsByStat.set(stat, url._id);
+      
+      // Add recent clicks
+      allRecentClicks.push(...(latestByShortCode.get(shortCode) || []).map(click => ({
+        ...click,
+        shortCode,
+        originalUrl: url.originalUrl
+      })));
     }
     
     // Sort and get top URLs
     const topUrls = urlStats
       .sort((a, b) => b.clicks - a.clicks)
       .slice(0, 10);
+    await Promise.all(topUrls.filter(stat => stat.clicks > 0).map(async (stat) => {
+      stat.uniqueVisitors = await uniqueVisitorService.countRange([urlIdsByStat.get(stat)], range);
+    }));
     
     // Sort recent activity
     const recentActivity = allRecentClicks
@@ -881,11 +1069,88 @@ const getRealtimeStats = async (req, res) => {
   }
 };
 
+// Stream clicks as they are written, as Server-Sent Events: for one link
+// (/stream/:shortCode) or for all of the user's links (/stream)
+const streamClicks = async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    let url = null;
+
+    if (shortCode) {
+      url = await Url.findOne({ 
+        $or: [{ shortId: shortCode }, { shortCode }] 
+      }).select('userId');
+
+      if (!url) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'URL not found' 
+        });
+      }
+
+      if (url.userId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Access denied' 
+        });
+      }
+    }
+
+    if (!liveClickService.canOpenStream(req.user._id)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many live streams open; close one first'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keeps proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    // The compression middleware buffers writes until flushed
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) res.flush();
+    };
+
+    write('retry: 5000\n\n');
+    write(`event: ready\ndata: ${JSON.stringify({ shortCode: shortCode || null, connectedAt: new Date() })}\n\n`);
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => write(': ping\n\n'), 25000);
+
+    const unsubscribe = liveClickService.subscribe(
+      { userId: req.user._id, urlId: url ? url._id : null },
+      click => write(`event: click\ndata: ${JSON.stringify(click)}\n\n`),
+      () => res.end()
+    );
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    
+  } catch (error) {
+    console.error('Error opening click stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        success: false, 
+        message: 'Error opening click stream' 
+      });
+    }
+  }
+};
+
 // Export all functions
 module.exports = {
   trackClick,
   getAnalytics,
   getUserAnalyticsSummary,
   exportAnalytics,
-  getRealtimeStats
+  getRealtimeStats,
+  streamClicks
 };
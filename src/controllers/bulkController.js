@@ -4,8 +4,12 @@ const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const fs = require('fs');
 const path = require('path');
-const { nanoid } = require('nanoid');
 const Url = require('../models/Url');
+const metadataService = require('../services/metadataService');
+const shortCodeService = require('../services/shortCodeService');
+const contentModerationService = require('../services/contentModerationService');
+const { isReservedCode } = require('../utils/shortCodes');
+const { aliasKeyClauses } = require('../utils/aliasKey');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -23,34 +27,6 @@ const upload = multer({
   }
 });
 
-// Generate unique short code with retry logic
-const generateShortCode = async () => {
-  let shortCode;
-  let isUnique = false;
-  let attempts = 0;
-  const maxAttempts = 10;
-  
-  while (!isUnique && attempts < maxAttempts) {
-    shortCode = nanoid(8);
-    try {
-      const existing = await Url.findOne({ shortCode });
-      if (!existing) {
-        isUnique = true;
-      }
-    } catch (error) {
-      console.error('Error checking shortCode uniqueness:', error);
-      throw new Error('Database error while generating short code');
-    }
-    attempts++;
-  }
-  
-  if (!isUnique) {
-    throw new Error('Failed to generate unique short code after multiple attempts');
-  }
-  
-  return shortCode;
-};
-
 // POST /api/bulk/upload - Bulk upload URLs from CSV
 const bulkUploadUrls = async (req, res) => {
   try {
@@ -131,8 +107,18 @@ const bulkUploadUrls = async (req, res) => {
 
         // Handle custom alias
         if (customAlias && customAlias.trim() !== '') {
+          if (isReservedCode(customAlias)) {
+            errors.push({
+              row: i + 2,
+              error: 'Custom alias is reserved',
+              alias: customAlias,
+              url: originalUrl
+            });
+            continue;
+          }
+
           const existing = await Url.findOne({ 
-            $or: [{ shortCode: customAlias }, { customAlias: customAlias }] 
+            $or: [{ shortCode: customAlias }, { customAlias: customAlias }, ...aliasKeyClauses(customAlias)] 
           });
           
           if (existing) {
@@ -147,7 +133,7 @@ const bulkUploadUrls = async (req, res) => {
           
           shortCode = customAlias.trim();
         } else {
-          shortCode = await generateShortCode();
+          shortCode = await shortCodeService.generate();
         }
 
         // Create URL document
@@ -161,8 +147,12 @@ const bulkUploadUrls = async (req, res) => {
         };
 
         const urlDoc = new Url(urlData);
+        await contentModerationService.reviewLink(urlDoc);
         await urlDoc.save();
 
+        // Title, description and favicon are fetched in the background
+        metadataService.enqueue(urlDoc._id);
+
         const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
         
         results.push({
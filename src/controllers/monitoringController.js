@@ -1,5 +1,6 @@
 // src/controllers/monitoringController.js - Monitoring and health check endpoints
 const monitoringService = require('../services/monitoringService');
+const clickQueueService = require('../services/clickQueueService');
 const logger = require('../config/logger');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
@@ -103,6 +104,40 @@ class MonitoringController {
     }
   }
 
+  // Click ingestion queue: depth, lag, throughput, failures and backpressure
+  async getClickQueue(req, res) {
+    try {
+      const metrics = await clickQueueService.getMetrics();
+
+      res.json({
+        success: true,
+        data: metrics
+      });
+    } catch (error) {
+      logger.error('Failed to get click queue metrics:', error);
+      throw error;
+    }
+  }
+
+  // Put click events that failed to be written back on the queue
+  async replayClickQueue(req, res) {
+    try {
+      const result = await clickQueueService.replayFailed();
+
+      logger.audit.adminAction(req.user.id, 'click_events_replayed', 'click-queue', {
+        replayed: result.replayed
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to replay click events:', error);
+      throw error;
+    }
+  }
+
   // Get monitoring dashboard data
   async getDashboard(req, res) {
     try {
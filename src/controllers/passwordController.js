@@ -2,6 +2,61 @@
 const Url = require('../models/Url');
 const Analytics = require('../models/Analytics');
 const crypto = require('crypto');
+const UAParser = require('ua-parser-js');
+const brandingService = require('../services/brandingService');
+const linkUsageService = require('../services/linkUsageService');
+const urlService = require('../services/urlService');
+const { getInterstitial } = require('../utils/interstitial');
+const { checkAccess, lookupCountry } = require('../utils/accessPolicy');
+const { buildRuleContext, resolveDestination, detectDevice } = require('../utils/redirectRules');
+const {
+  getRedirectStatus,
+  getRawQuery,
+  getLinkToken,
+  applyQueryPassthrough
+} = require('../utils/urlUtils');
+
+// Password page of a link, keeping the visitor's query string (personal link
+// token and parameters passed through to the destination)
+const passwordPath = (req, shortCode, error = null) => {
+  const queryIndex = (req.originalUrl || '').indexOf('?');
+  const params = new URLSearchParams(queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex + 1));
+  params.delete('error');
+  if (error) params.set('error', error);
+
+  const query = params.toString();
+  return query ? `/password/${shortCode}?${query}` : `/password/${shortCode}`;
+};
+
+// Pick the destination the way the redirect route does: redirect rules, then
+// the sticky A/B split, then the query-string passthrough
+const resolveTarget = (req, url, ip, countryCode) => {
+  const userAgent = req.get('User-Agent') || '';
+  const visitorKey = crypto.createHash('sha256')
+    .update(ip + (process.env.IP_SALT || 'default-salt'))
+    .digest('hex');
+
+  const { destination } = resolveDestination(url, buildRuleContext(req, {
+    geoData: { country_code: countryCode },
+    device: detectDevice(userAgent),
+    uaResult: new UAParser(userAgent).getResult(),
+    visitorKey
+  }));
+
+  return applyQueryPassthrough(destination, getRawQuery(req, url), url.queryPassthrough);
+};
+
+// Same fallback as the redirect route: the link's fallback URL, or a branded
+// notice page
+const sendUnavailableLink = async (res, url, reason) => {
+  if (url.fallbackUrl) {
+    return res.redirect(302, url.fallbackUrl);
+  }
+
+  const { status, html } = await brandingService.generateUnavailableLinkPage(url, reason);
+  res.set('Cache-Control', 'no-store');
+  return res.status(status).send(html);
+};
 
 // Render password form for protected links
 const renderPasswordForm = (req, res) => {
@@ -138,7 +193,7 @@ const renderPasswordForm = (req, res) => {
             
             ${error ? `<div class="error">${error}</div>` : ''}
             
-            <form method="POST" action="/password/${shortCode}">
+            <form method="POST" action="${brandingService.escapeHtml(passwordPath(req, shortCode))}">
                 <div class="form-group">
                     <label for="password">Password</label>
                     <input type="password" id="password" name="password" required autofocus>
@@ -181,44 +236,70 @@ const verifyPassword = async (req, res) => {
       `);
     }
     
-    // Check if link is expired
-    if (url.status === 'expired' || url.isExpired()) {
-      // Track failed attempt for expired link
-      await trackAnalytics(url, req, 'expired_access_attempt');
-      
-      return res.status(410).send(`
+    // The link's country and IP restrictions apply before the password
+    const ip = req.clientIP || req.ip;
+    const countryCode = lookupCountry(ip);
+    const blocked = checkAccess(url, { ip, countryCode });
+    if (blocked) {
+      await Analytics.recordBlockedAttempt(url.shortCode || url.shortId, url._id, { reason: blocked.reason, countryCode });
+      return res.status(403).send(`
         <!DOCTYPE html>
-        <html><head><title>Link Expired</title></head>
-        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #fef2f2;">
-          <h1 style="color: #dc2626;">Link Expired</h1>
-          <p>This link has expired and is no longer accessible.</p>
-          <p style="color: #6b7280; margin-top: 20px;">Expired on: ${url.expiresAt ? url.expiresAt.toLocaleDateString() : 'N/A'}</p>
+        <html><head><title>Link Not Available</title></head>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+          <h1>Link Not Available</h1>
+          <p>${brandingService.escapeHtml(blocked.message)}</p>
         </body></html>
       `);
     }
     
+    // Expired, not active yet or out of clicks - same checks as the redirect
+    const unavailableReason = urlService.getUnavailableReason(url) ||
+      (url.status === 'expired' ? 'expired' : null);
+    if (unavailableReason) {
+      // Track failed attempt for the unavailable link
+      await trackAnalytics(url, req, `${unavailableReason}_access_attempt`);
+      return sendUnavailableLink(res, url, unavailableReason);
+    }
+    
     // Verify password
     if (!url.password || !password) {
       await trackAnalytics(url, req, 'password_missing');
-      return res.redirect(`/password/${shortCode}?error=Password is required`);
+      return res.redirect(passwordPath(req, shortCode, 'Password is required'));
     }
     
     if (!url.verifyPassword(password)) {
       await trackAnalytics(url, req, 'password_incorrect');
-      return res.redirect(`/password/${shortCode}?error=Incorrect password`);
+      return res.redirect(passwordPath(req, shortCode, 'Incorrect password'));
     }
     
+    // Count the click only while the link is under its click cap
+    if (!await urlService.consumeClick(url._id)) {
+      await trackAnalytics(url, req, 'click_limit_access_attempt');
+      return sendUnavailableLink(res, url, 'click_limit');
+    }
+
+    // One-time and limited-use links spend a use once the password is accepted
+    // and the click is counted; a refused visit gives the click back
+    if (linkUsageService.isLimited(url)) {
+      const usageReason = await linkUsageService.consume(url, { token: getLinkToken(req), ip });
+      if (usageReason) {
+        await urlService.releaseClick(url._id);
+        return sendUnavailableLink(res, url, usageReason);
+      }
+    }
+
     // Password correct - track successful access and redirect
     await trackAnalytics(url, req, 'password_success');
-    
-    // Update click count
-    url.clicks = (url.clicks || 0) + 1;
-    url.lastClicked = new Date();
-    url.lastAccessed = new Date();
-    await url.save();
-    
-    console.log(`Password verified successfully for ${shortCode}, redirecting to: ${url.originalUrl}`);
-    res.redirect(url.originalUrl);
+
+    const target = resolveTarget(req, url, ip, countryCode);
+
+    // Disclaimer interstitials still apply once the password is accepted
+    const interstitial = getInterstitial(url);
+    if (interstitial) {
+      return res.send(await brandingService.generateInterstitialPage(url, target, interstitial));
+    }
+
+    res.redirect(getRedirectStatus(url), target);
     
   } catch (error) {
     console.error('Password verification error:', error);
@@ -1,7 +1,13 @@
 // src/controllers/urlController.js
-const { nanoid } = require('nanoid');
 const Url = require('../models/Url');
 const Analytics = require('../models/Analytics');
+const shortCodeService = require('../services/shortCodeService');
+const contentModerationService = require('../services/contentModerationService');
+const folderService = require('../services/folderService');
+const utmService = require('../services/utmService');
+const urlService = require('../services/urlService');
+const { isReservedCode } = require('../utils/shortCodes');
+const { aliasKeyClauses } = require('../utils/aliasKey');
 const { 
   parseUserAgent, 
   getClientIP, 
@@ -14,34 +20,6 @@ const {
   getReferrerAnalytics
 } = require('../utils/analyticsUtils');
 
-// Generate unique short code with retry logic
-const generateShortCode = async () => {
-  let shortCode;
-  let isUnique = false;
-  let attempts = 0;
-  const maxAttempts = 10;
-  
-  while (!isUnique && attempts < maxAttempts) {
-    shortCode = nanoid(8);
-    try {
-      const existing = await Url.findOne({ shortCode });
-      if (!existing) {
-        isUnique = true;
-      }
-    } catch (error) {
-      console.error('Error checking shortCode uniqueness:', error);
-      throw new Error('Database error while generating short code');
-    }
-    attempts++;
-  }
-  
-  if (!isUnique) {
-    throw new Error('Failed to generate unique short code after multiple attempts');
-  }
-  
-  return shortCode;
-};
-
 // POST /api/shorten
 const createShortUrl = async (req, res) => {
   try {
@@ -49,7 +27,7 @@ const createShortUrl = async (req, res) => {
     console.log('Request body:', req.body);
     console.log('User ID:', req.user?._id);
     
-    const { originalUrl, customAlias, expiresAt, password, tags } = req.body;
+    const { originalUrl, customAlias, expiresAt, password, tags, folderId, utmTemplateId, dedupe } = req.body;
     
     // Validate originalUrl
     if (!originalUrl || typeof originalUrl !== 'string') {
@@ -76,10 +54,17 @@ const createShortUrl = async (req, res) => {
     // Handle custom alias
     if (customAlias && customAlias.trim() !== '') {
       console.log('Checking if custom alias exists:', customAlias);
+
+      if (isReservedCode(customAlias)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Custom alias is reserved' 
+        });
+      }
       
       // Check if custom alias already exists
       const existing = await Url.findOne({ 
-        $or: [{ shortCode: customAlias }, { customAlias: customAlias }] 
+        $or: [{ shortCode: customAlias }, { customAlias: customAlias }, ...aliasKeyClauses(customAlias)] 
       });
       
       if (existing) {
@@ -95,7 +80,7 @@ const createShortUrl = async (req, res) => {
     } else {
       // Generate unique short code
       console.log('Generating unique shortCode...');
-      shortCode = await generateShortCode();
+      shortCode = await shortCodeService.generate();
       console.log('Generated shortCode:', shortCode);
     }
     
@@ -109,7 +94,7 @@ const createShortUrl = async (req, res) => {
     }
     
     // Create URL document with all fields
-    const urlData = {
+    let urlData = {
       originalUrl: originalUrl.trim(),
       shortCode: shortCode.trim(),
       userId: req.user._id, // Associate with user
@@ -119,10 +104,59 @@ const createShortUrl = async (req, res) => {
       ...(tags && Array.isArray(tags) && { tags: tags.filter(tag => tag.trim() !== '') })
     };
     
+    // Tags, expiry and UTM parameters from the folder
+    if (folderId) {
+      try {
+        urlData = await folderService.prepareNewLink(req.user._id, folderId, urlData);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return res.status(400).json({ 
+            success: false, 
+            error: 'Folder not found' 
+          });
+        }
+        throw error;
+      }
+    }
+
+    // UTM naming conventions - rejected destinations never get a link
+    try {
+      const { warnings } = await utmService.enforce(req.user._id, urlData.originalUrl, utmTemplateId || null);
+      urlData.utmWarnings = warnings;
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(400).json({ 
+          success: false, 
+          error: error.message,
+          details: error.details || undefined
+        });
+      }
+      throw error;
+    }
+    
+    // Existing link to the same destination, depending on the dedupe mode
+    let existingUrl;
+    try {
+      existingUrl = await urlService.findReusableUrl(req.user._id, { ...urlData, dedupe });
+    } catch (error) {
+      if (error.code === 'DUPLICATE_LINK') {
+        return res.status(409).json({ 
+          success: false, 
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      throw error;
+    }
+    
     console.log('Creating URL with data:', urlData);
     
-    const urlDoc = new Url(urlData);
-    await urlDoc.save();
+    const urlDoc = existingUrl || new Url(urlData);
+    if (!existingUrl) {
+      await contentModerationService.reviewLink(urlDoc);
+      await urlDoc.save();
+    }
     
     console.log('URL saved successfully:', urlDoc.shortCode);
     
@@ -146,6 +180,9 @@ const createShortUrl = async (req, res) => {
         isExpired: urlDoc.expiresAt ? new Date() > new Date(urlDoc.expiresAt) : false,
         password: urlDoc.password ? '***' : undefined, // Don't send actual password
         tags: urlDoc.tags || [],
+        folderId: urlDoc.folderId || null,
+        utmWarnings: urlDoc.utmWarnings || [],
+        reused: !!existingUrl,
         isActive: urlDoc.isActive
       }
     };
@@ -153,7 +190,7 @@ const createShortUrl = async (req, res) => {
     console.log('Response:', response);
     console.log('=== CREATE URL REQUEST END ===');
     
-    res.status(201).json(response);
+    res.status(existingUrl ? 200 : 201).json(response);
     
   } catch (error) {
     console.error('=== CREATE URL ERROR ===');
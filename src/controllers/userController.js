@@ -1,14 +1,54 @@
 // src/controllers/userController.js
 const Url = require('../models/Url');
-const { generateQRCode } = require('../utils/urlUtils');
+const User = require('../models/User');
+const { REDIRECT_TYPES, withSourceMarker } = require('../utils/urlUtils');
+const { schemas } = require('../middleware/validation');
+const urlHistoryService = require('../services/urlHistoryService');
+const pixelService = require('../services/pixelService');
+const brandingService = require('../services/brandingService');
+const qrCodeService = require('../services/qrCodeService');
+const folderService = require('../services/folderService');
+const linkUsageService = require('../services/linkUsageService');
+const rollupService = require('../services/rollupService');
+const uniqueVisitorService = require('../services/uniqueVisitorService');
+const conversionService = require('../services/conversionService');
+const { isReservedCode } = require('../utils/shortCodes');
+const { aliasKeyClauses } = require('../utils/aliasKey');
+const { DEFAULT_DELAY_SECONDS } = require('../utils/interstitial');
+const { buildAccessPolicy } = require('../utils/accessPolicy');
 
 // GET /api/user/urls - Get user's URLs
 async function getUserUrls(req, res) {
   try {
-    const { page = 1, limit = 10, search } = req.query;
+    const { page = 1, limit = 10, search, health, folder, includeSubfolders } = req.query;
     const skip = (page - 1) * limit;
 
     let query = { userId: req.user._id };
+
+    // Health badge filter - links that were never checked count as 'unknown'
+    if (health) {
+      if (!['healthy', 'broken', 'unknown'].includes(health)) {
+        return res.status(400).json({ error: 'Health filter must be one of healthy, broken or unknown' });
+      }
+      query['health.status'] = health === 'unknown' ? { $in: [null, 'unknown'] } : health;
+    }
+
+    // Folder filter - 'unfiled' for links outside any folder; subfolders are
+    // included unless includeSubfolders=false
+    if (folder === 'unfiled') {
+      query.folderId = null;
+    } else if (folder) {
+      try {
+        query.folderId = includeSubfolders === 'false'
+          ? (await folderService.getFolder(req.user._id, folder))._id
+          : { $in: await folderService.getFolderIds(req.user._id, folder) };
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return res.status(404).json({ error: 'Folder not found' });
+        }
+        throw error;
+      }
+    }
     
     if (search) {
       query.$or = [
@@ -41,9 +81,37 @@ async function getUserUrls(req, res) {
       lastClicked: url.lastClicked,
       expiresAt: url.expiresAt,
       isExpired: url.expiresAt ? new Date() > new Date(url.expiresAt) : false,
+      activatesAt: url.activatesAt,
+      maxClicks: url.maxClicks,
+      fallbackUrl: url.fallbackUrl,
+      redirectType: url.redirectType || 302,
+      queryPassthrough: url.queryPassthrough || 'none',
+      socialPreview: url.socialPreview || {},
+      deepLink: url.deepLink || {},
+      interstitial: url.interstitial || {},
+      accessPolicy: url.accessPolicy || {},
+      usageLimits: url.usageLimits || {},
+      moderationInterstitial: !!url.moderationInterstitial,
+      pixels: url.pixels || [],
+      folderId: url.folderId || null,
+      utm: url.utm || {},
+      utmWarnings: url.utmWarnings || [],
+      title: url.title || '',
+      description: url.description || '',
+      favicon: url.metadata?.favicon || null,
+      health: {
+        status: url.health?.status || 'unknown',
+        lastStatusCode: url.health?.lastStatusCode ?? null,
+        lastError: url.health?.lastError || null,
+        lastLatencyMs: url.health?.lastLatencyMs ?? null,
+        lastCheckedAt: url.health?.lastCheckedAt || null,
+        brokenSince: url.health?.brokenSince || null
+      },
       password: url.password ? '***' : undefined, // Don't send actual password
       tags: url.tags || [],
-      isActive: url.isActive
+      isActive: url.isActive,
+      redirectRules: url.redirectRules || [],
+      variants: url.variants || []
     }));
 
     res.json({
@@ -65,9 +133,30 @@ async function getUserUrls(req, res) {
 async function updateUserUrl(req, res) {
   try {
     const { id } = req.params;
-    const { customAlias, expiresAt, password, tags, isActive } = req.body;
+    const {
+      customAlias,
+      expiresAt,
+      password,
+      tags,
+      isActive,
+      activatesAt,
+      maxClicks,
+      fallbackUrl,
+      fallbackMessage,
+      redirectType,
+      queryPassthrough,
+      socialPreview,
+      deepLink,
+      interstitial,
+      accessPolicy,
+      usageLimits,
+      pixels,
+      folderId,
+      redirectRules,
+      variants
+    } = req.body;
 
-    const url = await Url.findOne({ _id: id, userId: req.user._id });
+    const url = await Url.findOne({ _id: id, userId: req.user._id }).select('+password');
 
     if (!url) {
       return res.status(404).json({ error: 'URL not found' });
@@ -75,8 +164,12 @@ async function updateUserUrl(req, res) {
 
     // Check if custom alias already exists (if changing)
     if (customAlias && customAlias !== url.customAlias) {
+      if (isReservedCode(customAlias)) {
+        return res.status(400).json({ error: 'Custom alias is reserved' });
+      }
+
       const existingUrl = await Url.findOne({ 
-        $or: [{ shortCode: customAlias }, { customAlias: customAlias }],
+        $or: [{ shortCode: customAlias }, { customAlias: customAlias }, ...aliasKeyClauses(customAlias)],
         _id: { $ne: id }
       });
       if (existingUrl) {
@@ -84,14 +177,152 @@ async function updateUserUrl(req, res) {
       }
     }
 
+    const before = urlHistoryService.snapshot(url);
+
     // Update fields
     if (customAlias !== undefined) url.customAlias = customAlias;
     if (expiresAt !== undefined) url.expiresAt = expiresAt ? new Date(expiresAt) : null;
     if (password !== undefined) url.password = password;
     if (tags !== undefined) url.tags = tags;
     if (isActive !== undefined) url.isActive = isActive;
+    if (activatesAt !== undefined) url.activatesAt = activatesAt ? new Date(activatesAt) : null;
+    if (maxClicks !== undefined) url.maxClicks = maxClicks ? parseInt(maxClicks) : null;
+    if (fallbackMessage !== undefined) url.fallbackMessage = fallbackMessage || null;
+    if (fallbackUrl !== undefined) {
+      if (fallbackUrl) {
+        try {
+          new URL(fallbackUrl);
+        } catch {
+          return res.status(400).json({ error: 'Invalid fallback URL format' });
+        }
+      }
+      url.fallbackUrl = fallbackUrl || null;
+    }
+    if (redirectType !== undefined) {
+      if (!REDIRECT_TYPES.includes(parseInt(redirectType))) {
+        return res.status(400).json({ error: 'Redirect type must be one of 301, 302, 307 or 308' });
+      }
+      url.redirectType = parseInt(redirectType);
+    }
+    if (queryPassthrough !== undefined) {
+      if (!['none', 'append', 'merge'].includes(queryPassthrough)) {
+        return res.status(400).json({ error: 'Query passthrough must be one of none, append or merge' });
+      }
+      url.queryPassthrough = queryPassthrough;
+    }
+    if (socialPreview !== undefined) {
+      const { error, value } = schemas.socialPreview.validate(socialPreview || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid social preview',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.socialPreview = {
+        title: value.title || null,
+        description: value.description || null,
+        image: value.image || null
+      };
+    }
+    if (deepLink !== undefined) {
+      const { error, value } = schemas.deepLink.validate(deepLink || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid deep link settings',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.deepLink = value;
+    }
+    if (interstitial !== undefined) {
+      const { error, value } = schemas.interstitial.validate(interstitial || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid interstitial settings',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.interstitial = {
+        enabled: !!value.enabled,
+        message: value.message || null,
+        delaySeconds: value.delaySeconds ?? DEFAULT_DELAY_SECONDS,
+        requireClick: !!value.requireClick
+      };
+    }
+    if (accessPolicy !== undefined) {
+      const { error, value } = schemas.accessPolicy.validate(accessPolicy || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid access policy',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.accessPolicy = buildAccessPolicy(value);
+    }
+    if (usageLimits !== undefined) {
+      const { error, value } = schemas.usageLimits.validate(usageLimits || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid usage limits',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.usageLimits = {
+        perVisitor: value.perVisitor || null,
+        requireToken: !!value.requireToken
+      };
+    }
+    if (pixels !== undefined) {
+      const { error } = schemas.linkPixels.validate(pixels || []);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const unknown = await pixelService.findUnknownPixels(req.user._id, pixels || []);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown pixels: ${unknown.join(', ')}` });
+      }
+      url.pixels = pixels || [];
+    }
+    if (folderId !== undefined) {
+      const { error } = schemas.folderId.validate(folderId || null);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      if (folderId) {
+        try {
+          await folderService.getFolder(req.user._id, folderId);
+        } catch (folderError) {
+          if (folderError.statusCode === 404) {
+            return res.status(400).json({ error: 'Folder not found' });
+          }
+          throw folderError;
+        }
+      }
+      url.folderId = folderId || null;
+    }
+    if (redirectRules !== undefined) {
+      const { error, value } = schemas.redirectRules.validate(redirectRules || [], { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid redirect rules',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.redirectRules = value;
+    }
+    if (variants !== undefined) {
+      const { error, value } = schemas.variants.validate(variants || [], { abortEarly: false });
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid split-test variants',
+          details: error.details.map(detail => detail.message)
+        });
+      }
+      url.variants = value;
+    }
 
     await url.save();
+    await urlHistoryService.recordChange(url, before, req.user._id);
 
     const base = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
     
@@ -109,9 +340,25 @@ async function updateUserUrl(req, res) {
         lastClicked: url.lastClicked,
         expiresAt: url.expiresAt,
         isExpired: url.expiresAt ? new Date() > new Date(url.expiresAt) : false,
+        activatesAt: url.activatesAt,
+        maxClicks: url.maxClicks,
+        fallbackUrl: url.fallbackUrl,
+        fallbackMessage: url.fallbackMessage,
+        redirectType: url.redirectType,
+        queryPassthrough: url.queryPassthrough,
+        socialPreview: url.socialPreview,
+        deepLink: url.deepLink,
+        interstitial: url.interstitial,
+        moderationInterstitial: !!url.moderationInterstitial,
+        accessPolicy: url.accessPolicy,
+        usageLimits: url.usageLimits,
+        pixels: url.pixels || [],
+        folderId: url.folderId || null,
         password: url.password ? '***' : undefined,
         tags: url.tags || [],
-        isActive: url.isActive
+        isActive: url.isActive,
+        redirectRules: url.redirectRules || [],
+        variants: url.variants || []
       }
     });
   } catch (error) {
@@ -132,6 +379,11 @@ async function deleteUserUrl(req, res) {
     }
 
     await Url.deleteOne({ _id: id });
+    await linkUsageService.deleteForUrls([url._id]);
+    await rollupService.deleteForUrls([url._id]);
+    await uniqueVisitorService.deleteForUrls([url._id]);
+    await conversionService.deleteForUrls([url._id]);
+    await urlHistoryService.deleteForUrls([url._id]);
 
     res.json({ message: 'URL deleted successfully' });
   } catch (error) {
@@ -141,10 +393,21 @@ async function deleteUserUrl(req, res) {
 }
 
 // GET /api/user/urls/:id/qr - Generate QR code for URL
+// Without `format` the PNG is returned as a data URL in JSON; with `format`
+// (svg, png or pdf) the file itself is sent. Codes carry ?src=qr so scans show
+// up separately in analytics.
 async function generateUrlQR(req, res) {
   try {
     const { id } = req.params;
 
+    const { error, value: options } = schemas.qrCode.validate(req.query, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid QR code options',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
     const url = await Url.findOne({ _id: id, userId: req.user._id });
 
     if (!url) {
@@ -153,22 +416,85 @@ async function generateUrlQR(req, res) {
 
     const base = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
     const shortUrl = `${base}/${url.shortCode}`;
+    const scanUrl = withSourceMarker(shortUrl, 'qr');
 
-    const qrCode = await generateQRCode(shortUrl);
+    const branding = await brandingService.getUserBranding(req.user._id);
+    const qrOptions = qrCodeService.resolveOptions(options, branding);
 
-    res.json({
-      qrCode,
-      shortUrl
+    if (!options.format) {
+      const qrCode = await qrCodeService.toDataUrl(scanUrl, qrOptions);
+      return res.json({
+        qrCode,
+        shortUrl,
+        scanUrl
+      });
+    }
+
+    const file = await qrCodeService.generate(scanUrl, qrOptions);
+    const disposition = options.download ? 'attachment' : 'inline';
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `${disposition}; filename="qr-${url.shortCode}.${file.extension}"`,
+      'Cache-Control': 'private, max-age=300'
     });
+    res.send(file.body);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Generate QR code error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 }
 
+// GET /api/user/preferences - Link creation preferences
+async function getPreferences(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select('linkPreferences');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, data: user.linkPreferences });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// PUT /api/user/preferences - Update link creation preferences
+async function updatePreferences(req, res) {
+  try {
+    const { error, value } = schemas.linkPreferences.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user._id).select('linkPreferences');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    Object.entries(value).forEach(([key, setting]) => {
+      user.set(`linkPreferences.${key}`, setting);
+    });
+    await user.save();
+
+    res.json({ success: true, data: user.linkPreferences });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 module.exports = {
   getUserUrls,
   updateUserUrl,
   deleteUserUrl,
-  generateUrlQR
+  generateUrlQR,
+  getPreferences,
+  updatePreferences
 };
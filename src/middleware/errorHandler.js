@@ -53,6 +53,32 @@ class RateLimitError extends AppError {
   }
 }
 
+// Link exists but cannot be visited right now (scheduled, click cap used up, expired)
+class LinkUnavailableError extends AppError {
+  constructor(reason, url = null) {
+    const messages = {
+      scheduled: 'Link is not active yet',
+      click_limit: 'Link has reached its click limit',
+      expired: 'Link has expired'
+    };
+    super(messages[reason] || 'Link is not available', reason === 'scheduled' ? 403 : 410, 'LINK_UNAVAILABLE', { reason });
+    this.reason = reason;
+    this.url = url;
+  }
+}
+
+// A new link would duplicate an existing one and the owner asked to be told
+class DuplicateLinkError extends AppError {
+  constructor(url) {
+    super('A link to this destination already exists', 409, 'DUPLICATE_LINK', {
+      id: url._id,
+      shortCode: url.shortCode || url.shortId,
+      originalUrl: url.originalUrl
+    });
+    this.url = url;
+  }
+}
+
 class ServiceUnavailableError extends AppError {
   constructor(message = 'Service temporarily unavailable') {
     super(message, 503, 'SERVICE_UNAVAILABLE_ERROR');
@@ -161,6 +187,11 @@ const sendErrorProd = (err, req, res) => {
       response.details = err.details;
     }
 
+    // Include the existing link for duplicate-link errors
+    if (err.code === 'DUPLICATE_LINK') {
+      response.details = err.details;
+    }
+
     // Include retry information for rate limiting
     if (err.code === 'RATE_LIMIT_ERROR' && err.retryAfter) {
       response.retryAfter = err.retryAfter;
@@ -267,6 +298,24 @@ const catchAsync = (fn) => {
   };
 };
 
+// Send a service error from a route's catch block with its own status, or a
+// generic 500 naming the action that failed (e.g. 'Creating pixel')
+const sendError = (res, error, action) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      details: error.details || undefined
+    });
+  }
+
+  logger.error(`${action}:`, { error: error.message, stack: error.stack });
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action.toLowerCase()}`
+  });
+};
+
 // Unhandled rejection handler
 process.on('unhandledRejection', (err, promise) => {
   logger.error('Unhandled Promise Rejection:', {
@@ -304,6 +353,7 @@ process.on('SIGINT', () => {
 module.exports = {
   errorHandler,
   catchAsync,
+  sendError,
   AppError,
   ValidationError,
   AuthenticationError,
@@ -311,5 +361,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  LinkUnavailableError,
+  DuplicateLinkError,
   ServiceUnavailableError
 };
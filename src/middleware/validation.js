@@ -1,8 +1,232 @@
 // src/middleware/validation.js - Input validation middleware using Joi
 const Joi = require('joi');
 const logger = require('../config/logger');
+const { isReservedCode } = require('../utils/shortCodes');
+const { aliasKeyClauses } = require('../utils/aliasKey');
+const { isValidCidr } = require('../utils/accessPolicy');
+
+// Conditional redirect rule (see utils/redirectRules.js)
+const redirectRuleSchema = Joi.object({
+  _id: Joi.string().optional(),
+  name: Joi.string().max(100).allow('').optional(),
+  destination: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .required()
+    .messages({
+      'string.uri': 'Rule destination must be a valid URL starting with http:// or https://',
+      'any.required': 'Rule destination is required'
+    }),
+  enabled: Joi.boolean().optional(),
+  conditions: Joi.object({
+    countries: Joi.array().items(Joi.string().length(2)).optional(),
+    devices: Joi.array()
+      .items(Joi.string().valid('desktop', 'mobile', 'tablet', 'smart-tv', 'wearable'))
+      .optional(),
+    os: Joi.array().items(Joi.string().max(50)).optional(),
+    languages: Joi.array().items(Joi.string().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/)).optional(),
+    daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).optional(),
+    timeWindow: Joi.object({
+      start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      timezone: Joi.string().max(64).optional()
+    }).optional()
+  }).default({})
+});
+
+// A/B split-test destination (see utils/splitTest.js)
+const variantSchema = Joi.object({
+  _id: Joi.string().optional(),
+  name: Joi.string().max(100).required(),
+  destination: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .required()
+    .messages({
+      'string.uri': 'Variant destination must be a valid URL starting with http:// or https://',
+      'any.required': 'Variant destination is required'
+    }),
+  weight: Joi.number().integer().min(0).max(100).default(50)
+});
+
+// Letters and digits in any script. Aliases that only differ in case or
+// look-alike characters share an alias key (see utils/aliasKey.js).
+const aliasPattern = /^[\p{L}\p{M}\p{N}]+$/u;
+
+// Custom aliases must not collide with app routes (see utils/shortCodes.js)
+const rejectReservedAlias = (value, helpers) => {
+  return isReservedCode(value) ? helpers.error('alias.reserved') : value;
+};
 
 // Custom validation schemas
+// Open Graph overrides for social crawler previews
+const socialPreviewSchema = Joi.object({
+  title: Joi.string().max(200).allow('', null).optional(),
+  description: Joi.string().max(500).allow('', null).optional(),
+  image: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .allow('', null)
+    .optional()
+    .messages({
+      'string.uri': 'Preview image must be a valid URL starting with http:// or https://'
+    })
+});
+
+// Native app deep links (see utils/deepLinks.js)
+const appUriPattern = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+const deepLinkSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  ios: Joi.object({
+    url: Joi.string().pattern(appUriPattern).allow('', null).optional()
+      .messages({ 'string.pattern.base': 'iOS deep link must be a URI such as myapp://path or https://...' }),
+    storeUrl: Joi.string().uri({ scheme: ['http', 'https', 'itms-apps'] }).allow('', null).optional()
+  }).optional(),
+  android: Joi.object({
+    url: Joi.string().pattern(appUriPattern).allow('', null).optional()
+      .messages({ 'string.pattern.base': 'Android deep link must be a URI such as myapp://path, intent://... or https://...' }),
+    packageName: Joi.string().pattern(/^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/).allow('', null).optional()
+      .messages({ 'string.pattern.base': 'Android package name must look like com.example.app' }),
+    storeUrl: Joi.string().uri({ scheme: ['http', 'https', 'market'] }).allow('', null).optional()
+  }).optional()
+});
+
+// "You are leaving" interstitial shown before the redirect (see utils/interstitial.js)
+const interstitialSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  message: Joi.string().max(1000).allow('', null).optional()
+    .messages({ 'string.max': 'Interstitial message cannot exceed 1000 characters' }),
+  delaySeconds: Joi.number().integer().min(0).max(60).optional()
+    .messages({ 'number.max': 'Interstitial delay cannot exceed 60 seconds' }),
+  requireClick: Joi.boolean().optional()
+});
+
+// Country codes and CIDR ranges a link is restricted to (see utils/accessPolicy.js)
+const countryListSchema = Joi.array()
+  .items(Joi.string().pattern(/^[A-Za-z]{2}$/).uppercase()
+    .messages({ 'string.pattern.base': 'Countries must be two-letter country codes' }))
+  .max(250)
+  .unique();
+
+const cidrListSchema = Joi.array()
+  .items(Joi.string().custom((value, helpers) => (
+    isValidCidr(value) ? value.trim() : helpers.error('cidr.invalid')
+  )).messages({ 'cidr.invalid': '"{{#value}}" is not a valid IP address or CIDR range' }))
+  .max(100)
+  .unique();
+
+const accessPolicySchema = Joi.object({
+  allowedCountries: countryListSchema.optional(),
+  blockedCountries: countryListSchema.optional(),
+  allowedCidrs: cidrListSchema.optional(),
+  blockedCidrs: cidrListSchema.optional(),
+  blockMessage: Joi.string().max(500).allow('', null).optional()
+    .messages({ 'string.max': 'Block message cannot exceed 500 characters' })
+});
+
+// Per-visitor limits and token requirement (see services/linkUsageService.js)
+const usageLimitsSchema = Joi.object({
+  perVisitor: Joi.number().integer().min(1).max(1000).allow(null).optional()
+    .messages({
+      'number.min': 'Uses per visitor must be at least 1',
+      'number.max': 'Uses per visitor cannot exceed 1000'
+    }),
+  requireToken: Joi.boolean().optional()
+});
+
+// Pixel ids attached to a link (see services/pixelService.js)
+const linkPixelsSchema = Joi.array()
+  .items(Joi.string().hex().length(24).messages({
+    'string.hex': 'Pixel ids must be valid pixel ids',
+    'string.length': 'Pixel ids must be valid pixel ids'
+  }))
+  .max(10)
+  .unique()
+  .messages({
+    'array.max': 'Cannot attach more than 10 pixels to a link',
+    'array.unique': 'Each pixel can only be attached once'
+  });
+
+// Retargeting pixel settings; built-in providers need an id, custom ones a snippet
+const pixelIdPattern = /^[A-Za-z0-9_-]{1,64}$/;
+const pixelFields = {
+  name: Joi.string().trim().max(100),
+  provider: Joi.string().valid('facebook', 'google', 'linkedin', 'custom'),
+  pixelId: Joi.string().pattern(pixelIdPattern).allow(null)
+    .messages({ 'string.pattern.base': 'Pixel id may only contain letters, numbers, dashes and underscores' }),
+  script: Joi.string().max(10000).allow(null)
+    .messages({ 'string.max': 'Pixel snippet cannot exceed 10000 characters' }),
+  isActive: Joi.boolean()
+};
+
+// Object ids sent by the dashboard (folders, links)
+const objectIdSchema = Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id'
+});
+
+// What to do when a new link duplicates an existing destination
+const dedupeModeSchema = Joi.string().valid('reuse', 'always_new', 'ask').messages({
+  'any.only': 'Dedupe must be one of reuse, always_new or ask'
+});
+
+// Defaults applied to links created in a folder (see services/folderService.js)
+const folderDefaultsSchema = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20).unique().optional()
+    .messages({ 'array.max': 'Cannot have more than 20 default tags' }),
+  expiresInDays: Joi.number().integer().min(1).max(3650).allow(null).optional(),
+  redirectType: Joi.number().valid(301, 302, 307, 308).allow(null).optional()
+    .messages({ 'any.only': 'Redirect type must be one of 301, 302, 307 or 308' }),
+  utm: Joi.object({
+    source: Joi.string().trim().max(100).allow('', null).optional(),
+    medium: Joi.string().trim().max(100).allow('', null).optional(),
+    campaign: Joi.string().trim().max(100).allow('', null).optional(),
+    term: Joi.string().trim().max(100).allow('', null).optional(),
+    content: Joi.string().trim().max(100).allow('', null).optional()
+  }).optional()
+});
+
+// Conversion goal settings (see services/conversionService.js)
+const conversionGoalFields = {
+  name: Joi.string().trim().min(1).max(100),
+  defaultValue: Joi.number().min(0).precision(2),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3}$/)
+    .messages({ 'string.pattern.base': 'Currency must be a 3-letter ISO 4217 code' }),
+  attributionWindowDays: Joi.number().integer().min(1).max(90),
+  allowPixel: Joi.boolean(),
+  isActive: Joi.boolean()
+};
+
+// Conversion reported by postback or pixel
+const conversionFields = {
+  goalId: objectIdSchema.required().label('goalId'),
+  clickId: Joi.string().max(100).required(),
+  revenue: Joi.number().min(0).precision(2).allow(null).optional(),
+  currency: conversionGoalFields.currency.allow('', null).optional(),
+  orderId: Joi.string().trim().max(100).allow('', null).optional()
+};
+
+// Rules for one utm_* parameter of a UTM template
+const utmValue = Joi.string().trim().max(100);
+const utmFieldSchema = Joi.object({
+  defaultValue: utmValue.allow('', null).optional(),
+  allowedValues: Joi.array().items(utmValue).max(50).unique().optional()
+    .messages({ 'array.max': 'Cannot allow more than 50 values' }),
+  required: Joi.boolean().optional()
+});
+
+const utmTemplateFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('', null),
+  fields: Joi.object({
+    source: utmFieldSchema.optional(),
+    medium: utmFieldSchema.optional(),
+    campaign: utmFieldSchema.optional(),
+    term: utmFieldSchema.optional(),
+    content: utmFieldSchema.optional()
+  }),
+  forceLowercase: Joi.boolean(),
+  enforcement: Joi.string().valid('reject', 'warn'),
+  isDefault: Joi.boolean()
+};
+
 const schemas = {
   // User registration/login
   userRegistration: Joi.object({
@@ -53,12 +277,14 @@ const schemas = {
         'any.required': 'URL is required'
       }),
     customAlias: Joi.string()
-      .alphanum()
+      .pattern(aliasPattern)
       .min(3)
       .max(50)
+      .custom(rejectReservedAlias)
       .optional()
       .messages({
-        'string.alphanum': 'Custom alias can only contain letters and numbers',
+        'alias.reserved': 'Custom alias is reserved',
+        'string.pattern.base': 'Custom alias can only contain letters and numbers',
         'string.min': 'Custom alias must be at least 3 characters long',
         'string.max': 'Custom alias cannot exceed 50 characters'
       }),
@@ -76,6 +302,42 @@ const schemas = {
       .messages({
         'date.min': 'Expiration date must be in the future'
       }),
+    activatesAt: Joi.date()
+      .optional()
+      .messages({
+        'date.base': 'Activation date must be a valid date'
+      }),
+    maxClicks: Joi.number()
+      .integer()
+      .min(1)
+      .optional()
+      .messages({
+        'number.min': 'Click limit must be at least 1'
+      }),
+    fallbackUrl: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .optional()
+      .messages({
+        'string.uri': 'Fallback URL must be a valid URL starting with http:// or https://'
+      }),
+    fallbackMessage: Joi.string()
+      .max(500)
+      .optional()
+      .messages({
+        'string.max': 'Fallback message cannot exceed 500 characters'
+      }),
+    redirectType: Joi.number()
+      .valid(301, 302, 307, 308)
+      .optional()
+      .messages({
+        'any.only': 'Redirect type must be one of 301, 302, 307 or 308'
+      }),
+    queryPassthrough: Joi.string()
+      .valid('none', 'append', 'merge')
+      .optional()
+      .messages({
+        'any.only': 'Query passthrough must be one of none, append or merge'
+      }),
     tags: Joi.array()
       .items(Joi.string().max(50))
       .max(10)
@@ -95,7 +357,267 @@ const schemas = {
       .optional()
       .messages({
         'string.max': 'Description cannot exceed 500 characters'
+      }),
+    socialPreview: socialPreviewSchema.optional(),
+    deepLink: deepLinkSchema.optional(),
+    interstitial: interstitialSchema.optional(),
+    accessPolicy: accessPolicySchema.optional(),
+    usageLimits: usageLimitsSchema.optional(),
+    pixels: linkPixelsSchema.optional(),
+    folderId: objectIdSchema.allow(null).optional(),
+    utmTemplateId: objectIdSchema.allow(null).optional(),
+    dedupe: dedupeModeSchema.optional(),
+    redirectRules: Joi.array()
+      .items(redirectRuleSchema)
+      .max(20)
+      .optional()
+      .messages({
+        'array.max': 'Cannot have more than 20 redirect rules'
+      }),
+    variants: Joi.array()
+      .items(variantSchema)
+      .max(10)
+      .unique('name')
+      .optional()
+      .messages({
+        'array.max': 'Cannot have more than 10 split-test variants',
+        'array.unique': 'Split-test variant names must be unique'
+      })
+  }),
+
+  // Redirect rules on their own (used by the URL update endpoints)
+  redirectRules: Joi.array()
+    .items(redirectRuleSchema)
+    .max(20)
+    .messages({
+      'array.max': 'Cannot have more than 20 redirect rules'
+    }),
+
+  // Split-test variants on their own (used by the URL update endpoints)
+  variants: Joi.array()
+    .items(variantSchema)
+    .max(10)
+    .unique('name')
+    .messages({
+      'array.max': 'Cannot have more than 10 split-test variants',
+      'array.unique': 'Split-test variant names must be unique'
+    }),
+
+  // Social preview overrides on their own (used by the URL update endpoints)
+  socialPreview: socialPreviewSchema,
+
+  // Deep link settings on their own (used by the URL update endpoints)
+  deepLink: deepLinkSchema,
+
+  // Interstitial settings on their own (used by the URL update endpoints)
+  interstitial: interstitialSchema,
+
+  // Geo and IP access policy on its own (used by the URL create/update endpoints)
+  accessPolicy: accessPolicySchema,
+
+  // Per-visitor limits on their own (used by the URL create/update endpoints)
+  usageLimits: usageLimitsSchema,
+
+  // Bulk token minting for a link that requires tokens
+  linkTokens: Joi.object({
+    count: Joi.number().integer().min(1).max(1000)
+      .messages({
+        'number.min': 'Count must be at least 1',
+        'number.max': 'Cannot mint more than 1000 tokens at once'
+      }),
+    recipients: Joi.array()
+      .items(Joi.string().trim().max(200))
+      .min(1)
+      .max(1000)
+      .messages({
+        'array.max': 'Cannot mint more than 1000 tokens at once',
+        'string.max': 'Each recipient cannot exceed 200 characters'
+      }),
+    maxUses: Joi.number().integer().min(1).max(100000).default(1)
+      .messages({ 'number.min': 'Uses per token must be at least 1' }),
+    expiresAt: Joi.date().greater('now').allow(null).optional()
+      .messages({ 'date.greater': 'Token expiry must be in the future' })
+  }).xor('count', 'recipients')
+    .messages({
+      'object.missing': 'Provide either count or recipients',
+      'object.xor': 'Provide either count or recipients, not both'
+    }),
+
+  // Pixels attached to a link (used by the URL create/update endpoints)
+  linkPixels: linkPixelsSchema,
+
+  // New retargeting pixel
+  pixel: Joi.object({
+    ...pixelFields,
+    name: pixelFields.name.required(),
+    provider: pixelFields.provider.required(),
+    pixelId: pixelFields.pixelId.when('provider', {
+      is: 'custom',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    script: pixelFields.script.when('provider', {
+      is: 'custom',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    isActive: pixelFields.isActive.optional()
+  }),
+
+  // Retargeting pixel update
+  pixelUpdate: Joi.object({
+    name: pixelFields.name.optional(),
+    provider: pixelFields.provider.optional(),
+    pixelId: pixelFields.pixelId.optional(),
+    script: pixelFields.script.optional(),
+    isActive: pixelFields.isActive.optional()
+  }).min(1),
+
+  // New link folder
+  folder: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    parentId: objectIdSchema.allow(null).optional(),
+    defaults: folderDefaultsSchema.optional()
+  }),
+
+  // Link folder update; parentId moves the folder (null = top level)
+  folderUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    parentId: objectIdSchema.allow(null).optional(),
+    defaults: folderDefaultsSchema.optional()
+  }).min(1),
+
+  // Move links into a folder (null = unfiled)
+  moveLinks: Joi.object({
+    urlIds: Joi.array().items(objectIdSchema).min(1).max(500).unique().required(),
+    folderId: objectIdSchema.allow(null).required()
+  }),
+
+  // New conversion goal, for one link or for a folder (and its subfolders)
+  conversionGoal: Joi.object({
+    ...conversionGoalFields,
+    name: conversionGoalFields.name.required(),
+    urlId: objectIdSchema.label('urlId'),
+    folderId: objectIdSchema.label('folderId')
+  }).xor('urlId', 'folderId')
+    .messages({
+      'object.xor': 'A conversion goal is either for a link (urlId) or a folder (folderId)',
+      'object.missing': 'A conversion goal needs a link (urlId) or a folder (folderId)'
+    }),
+
+  // Conversion goal update
+  conversionGoalUpdate: Joi.object(conversionGoalFields).min(1),
+
+  // Server-to-server conversion postback
+  conversionPostback: Joi.object(conversionFields),
+
+  // Conversion reported by the browser pixel (query string). Anyone can load
+  // the pixel, so it only names the goal and the click.
+  conversionPixel: Joi.object({
+    goalId: conversionFields.goalId,
+    clickId: conversionFields.clickId
+  }),
+
+  // Link folder id on its own (used by the URL create/update endpoints)
+  folderId: objectIdSchema.allow(null).label('folderId'),
+
+  // New UTM template
+  utmTemplate: Joi.object({
+    ...utmTemplateFields,
+    name: utmTemplateFields.name.required()
+  }),
+
+  // UTM template update
+  utmTemplateUpdate: Joi.object(utmTemplateFields).min(1),
+
+  // Campaign URL builder
+  utmBuild: Joi.object({
+    destination: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+      .messages({ 'string.uri': 'Please provide a valid URL starting with http:// or https://' }),
+    templateId: objectIdSchema.allow(null).optional(),
+    values: Joi.object({
+      source: utmValue.allow('', null).optional(),
+      medium: utmValue.allow('', null).optional(),
+      campaign: utmValue.allow('', null).optional(),
+      term: utmValue.allow('', null).optional(),
+      content: utmValue.allow('', null).optional()
+    }).optional()
+  }),
+
+  // UTM template id on its own (used by the URL create/update endpoints)
+  utmTemplateId: objectIdSchema.allow(null).label('utmTemplateId'),
+
+  // Duplicate-destination handling on its own (used by the URL create endpoints)
+  dedupe: dedupeModeSchema.label('dedupe'),
+
+  // Link creation preferences
+  linkPreferences: Joi.object({
+    dedupe: dedupeModeSchema.optional()
+  }).min(1),
+
+  // Link-in-bio page settings
+  bioPage: Joi.object({
+    title: Joi.string().max(100).allow('', null).optional(),
+    bio: Joi.string().max(500).allow('', null).optional(),
+    avatar: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.uri': 'Avatar must be a valid URL starting with http:// or https://'
+      }),
+    isPublished: Joi.boolean().optional()
+  }),
+
+  // Link-in-bio page block (create and update)
+  bioBlock: Joi.object({
+    type: Joi.string().valid('link', 'header', 'text').optional(),
+    urlId: Joi.string().hex().length(24)
+      .when('type', {
+        is: Joi.valid('header', 'text'),
+        then: Joi.forbidden(),
+        otherwise: Joi.optional()
       })
+      .messages({
+        'string.hex': 'urlId must be a valid link id',
+        'string.length': 'urlId must be a valid link id'
+      }),
+    title: Joi.string().max(200).allow('', null).optional(),
+    text: Joi.string().max(1000).allow('', null).optional(),
+    thumbnail: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.uri': 'Thumbnail must be a valid URL starting with http:// or https://'
+      }),
+    visible: Joi.boolean().optional()
+  }),
+
+  // Link-in-bio block order
+  bioBlockOrder: Joi.object({
+    blockIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .required()
+  }),
+
+  // Styled QR code options (query string of GET /api/user/urls/:id/qr)
+  qrCode: Joi.object({
+    format: Joi.string().lowercase().valid('svg', 'png', 'pdf').optional(),
+    size: Joi.number().integer().min(100).max(2000).optional(),
+    margin: Joi.number().integer().min(0).max(10).optional(),
+    errorCorrection: Joi.string().uppercase().valid('L', 'M', 'Q', 'H').optional(),
+    foreground: Joi.string().pattern(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i).optional()
+      .messages({ 'string.pattern.base': 'Foreground must be a hex colour such as #1f2937' }),
+    background: Joi.string().pattern(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i).optional()
+      .messages({ 'string.pattern.base': 'Background must be a hex colour such as #ffffff' }),
+    logo: Joi.alternatives()
+      .try(Joi.string().valid('branding'), Joi.string().uri({ scheme: ['http', 'https'] }))
+      .optional()
+      .messages({ 'alternatives.match': 'Logo must be "branding" or a PNG image URL' }),
+    logoSize: Joi.number().min(0.1).max(0.3).optional(),
+    download: Joi.boolean().optional()
   }),
 
   // Bulk URL operations
@@ -103,7 +625,11 @@ const schemas = {
     urls: Joi.array()
       .items(Joi.object({
         originalUrl: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
-        customAlias: Joi.string().alphanum().min(3).max(50).optional(),
+        customAlias: Joi.string().pattern(aliasPattern).min(3).max(50).custom(rejectReservedAlias).optional()
+          .messages({
+            'alias.reserved': 'Custom alias is reserved',
+            'string.pattern.base': 'Custom alias can only contain letters and numbers'
+          }),
         tags: Joi.array().items(Joi.string().max(50)).max(5).optional()
       }))
       .min(1)
@@ -335,7 +861,8 @@ const customValidators = {
       $or: [
         { shortId: alias },
         { shortCode: alias },
-        { customAlias: alias }
+        { customAlias: alias },
+        ...aliasKeyClauses(alias)
       ]
     });
     return !existing;
@@ -114,6 +114,41 @@ const clickSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Click ID passed to the destination for conversion tracking (null = none)
+  clickId: {
+    type: String,
+    default: null
+  },
+  // Conditional redirect rule that chose the destination (null = originalUrl)
+  redirectRuleId: {
+    type: String,
+    default: null
+  },
+  redirectRuleName: {
+    type: String,
+    default: null
+  },
+  // A/B split-test variant that served the click
+  variantId: {
+    type: String,
+    default: null
+  },
+  variantName: {
+    type: String,
+    default: null
+  },
+  destination: String,
+  // Where the click came from when it was not a plain visit
+  // ('bio' = link-in-bio page, 'qr' = QR code scan)
+  source: {
+    type: String,
+    default: null
+  },
+  // Native app the visitor was deep linked into ('ios' / 'android'), if any
+  deepLinkPlatform: {
+    type: String,
+    default: null
+  },
   // Performance metrics
   loadTime: Number, // Time to redirect in ms
   // Custom tracking
@@ -211,6 +246,61 @@ const analyticsSchema = new mongoose.Schema({
       count: Number
     }]
   },
+  // Social crawler unfurls - kept apart from clicks so they never count as human traffic
+  socialPreviews: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    platforms: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    lastPreviewAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Retargeting pixels fired from the redirect page, keyed by pixel id
+  pixelFires: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    pixels: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    lastFiredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Visits refused by the link's access policy (utils/accessPolicy.js) - a
+  // separate event type, never counted as clicks
+  blockedAttempts: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    // Keyed by reason: country_blocked, country_not_allowed, ip_blocked, ip_not_allowed
+    reasons: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    countries: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    lastBlockedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Last update timestamp for cache invalidation
   lastUpdated: {
     type: Date,
@@ -248,6 +338,13 @@ analyticsSchema.virtual('engagementRate').get(function() {
 
 // Method to add a click and update stats
 analyticsSchema.methods.addClick = function(clickData) {
+  this.applyClick(clickData);
+  return this.save();
+};
+
+// Add a click and update the aggregated stats without saving, so a batch of
+// queued clicks (services/clickQueueService.js) is written with one save
+analyticsSchema.methods.applyClick = function(clickData) {
   // Add the click
   this.clicks.push(clickData);
   
@@ -259,8 +356,8 @@ analyticsSchema.methods.addClick = function(clickData) {
     this.stats.uniqueVisitors += 1;
   }
   
-  // Update daily stats
-  const today = new Date();
+  // Update daily stats (for the day of the click, which may have been queued)
+  const today = new Date(clickData.timestamp || Date.now());
   today.setHours(0, 0, 0, 0);
   
   let dailyStat = this.stats.dailyStats.find(stat => 
@@ -289,7 +386,7 @@ analyticsSchema.methods.addClick = function(clickData) {
   );
   
   this.lastUpdated = new Date();
-  return this.save();
+  return this;
 };
 
 // Method to recalculate aggregated stats
@@ -411,4 +508,57 @@ analyticsSchema.methods.recalculateStats = function() {
   return this.save();
 };
 
+// Count a social crawler unfurl without touching click stats
+analyticsSchema.statics.recordSocialPreview = function(shortCode, urlId, platform) {
+  return this.updateOne(
+    { shortCode },
+    {
+      $inc: {
+        'socialPreviews.total': 1,
+        [`socialPreviews.platforms.${platform}`]: 1
+      },
+      $set: { 'socialPreviews.lastPreviewAt': new Date() },
+      $setOnInsert: { urlId }
+    },
+    { upsert: true }
+  );
+};
+
+// Count the pixels fired on one visit to the link
+analyticsSchema.statics.recordPixelFires = function(shortCode, urlId, pixelIds) {
+  const inc = { 'pixelFires.total': pixelIds.length };
+  pixelIds.forEach(pixelId => {
+    inc[`pixelFires.pixels.${pixelId}`] = 1;
+  });
+
+  return this.updateOne(
+    { shortCode },
+    {
+      $inc: inc,
+      $set: { 'pixelFires.lastFiredAt': new Date() },
+      $setOnInsert: { urlId }
+    },
+    { upsert: true }
+  );
+};
+
+// Count a visit turned away by the link's access policy
+analyticsSchema.statics.recordBlockedAttempt = function(shortCode, urlId, { reason, countryCode }) {
+  const country = /^[A-Z]{2}$/.test(countryCode || '') ? countryCode : 'XX';
+
+  return this.updateOne(
+    { shortCode },
+    {
+      $inc: {
+        'blockedAttempts.total': 1,
+        [`blockedAttempts.reasons.${reason}`]: 1,
+        [`blockedAttempts.countries.${country}`]: 1
+      },
+      $set: { 'blockedAttempts.lastBlockedAt': new Date() },
+      $setOnInsert: { urlId }
+    },
+    { upsert: true }
+  );
+};
+
 module.exports = mongoose.model('Analytics', analyticsSchema);
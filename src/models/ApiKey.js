@@ -27,7 +27,7 @@ const apiKeySchema = new mongoose.Schema({
   },
   permissions: [{
     type: String,
-    enum: ['create_url', 'read_url', 'update_url', 'delete_url', 'read_analytics'],
+    enum: ['create_url', 'read_url', 'update_url', 'delete_url', 'read_analytics', 'track_conversions'],
     default: ['create_url', 'read_url']
   }],
   rateLimit: {
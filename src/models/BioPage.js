@@ -0,0 +1,89 @@
+// src/models/BioPage.js - Link-in-bio landing page built from a user's links
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['link', 'header', 'text'],
+    default: 'link'
+  },
+  // Short link the block points at (link blocks only)
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    default: null
+  },
+  // Falls back to the link's own title when empty
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+  // Falls back to the link's preview image or favicon when empty
+  thumbnail: {
+    type: String,
+    default: null
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  visible: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const bioPageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  blocks: [blockSchema],
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Blocks in display order
+bioPageSchema.methods.getOrderedBlocks = function() {
+  return [...this.blocks].sort((a, b) => a.position - b.position);
+};
+
+module.exports = mongoose.model('BioPage', bioPageSchema);
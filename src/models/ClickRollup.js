@@ -0,0 +1,61 @@
+// src/models/ClickRollup.js - Click counts per link, time bucket and dimension value
+const mongoose = require('mongoose');
+
+const clickRollupSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  // Start of the UTC hour or day
+  bucket: {
+    type: Date,
+    required: true
+  },
+  // What the clicks are grouped by; 'total' has the single value 'all'
+  dimension: {
+    type: String,
+    enum: ['total', 'country', 'device', 'browser', 'os', 'referrer', 'campaign', 'source', 'rule', 'variant'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Visitors' first clicks on the link that UTC day
+  uniqueVisitors: {
+    type: Number,
+    default: 0
+  },
+  lastClickAt: {
+    type: Date,
+    default: null
+  },
+  // Display name for ids, e.g. the split-test variant name
+  label: {
+    type: String,
+    default: null
+  },
+  // UTM sources and mediums seen with a campaign
+  sources: [String],
+  mediums: [String],
+  // Set on hourly breakdowns only; hourly totals and daily rollups are kept
+  expiresAt: {
+    type: Date,
+    default: undefined
+  }
+});
+
+clickRollupSchema.index({ urlId: 1, granularity: 1, dimension: 1, bucket: 1, value: 1 }, { unique: true });
+clickRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ClickRollup', clickRollupSchema);
@@ -0,0 +1,61 @@
+// src/models/Conversion.js - A conversion attributed to the click that led to it
+const mongoose = require('mongoose');
+
+const conversionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConversionGoal',
+    required: true
+  },
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  // Click ID appended to the destination (see services/conversionService.js)
+  clickId: {
+    type: String,
+    required: true
+  },
+  // Order / transaction id reported with the conversion; repeats are ignored
+  orderId: {
+    type: String,
+    default: null
+  },
+  revenue: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  source: {
+    type: String,
+    enum: ['postback', 'pixel'],
+    required: true
+  },
+  clickedAt: {
+    type: Date,
+    required: true
+  },
+  convertedAt: {
+    type: Date,
+    default: Date.now
+  },
+  timeToConvertMs: {
+    type: Number,
+    required: true
+  }
+});
+
+// One conversion per goal, click and order, so retried postbacks count once
+conversionSchema.index({ goalId: 1, clickId: 1, orderId: 1 }, { unique: true });
+conversionSchema.index({ urlId: 1, convertedAt: 1 });
+
+module.exports = mongoose.model('Conversion', conversionSchema);
@@ -0,0 +1,75 @@
+// src/models/ConversionGoal.js - Conversions a user tracks for one link or for a folder of links
+const mongoose = require('mongoose');
+
+const conversionGoalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Exactly one of urlId / folderId is set; folder goals cover its subfolders
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    default: null
+  },
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // Revenue counted when a conversion reports none
+  defaultValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // ISO 4217 code all of the goal's revenue is in
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Conversions later than this after the click are not attributed
+  attributionWindowDays: {
+    type: Number,
+    min: 1,
+    max: 90,
+    default: 30
+  },
+  // Whether the public JS/image pixel may report conversions (postbacks always can)
+  allowPixel: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conversions: {
+    type: Number,
+    default: 0
+  },
+  revenue: {
+    type: Number,
+    default: 0
+  },
+  lastConvertedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Goal names are unique per user
+conversionGoalSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConversionGoal', conversionGoalSchema);
@@ -0,0 +1,27 @@
+// src/models/Counter.js - Named atomic counters (e.g. sequential short codes)
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically reserve `count` values and return the last one
+counterSchema.statics.next = async function(name, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,61 @@
+// src/models/Folder.js - Hierarchical link folders (campaigns) with defaults for new links
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // Ids of every folder above this one, root first - kept in sync by folderService
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  }],
+  // Applied to links created in this folder (or any folder below it) unless
+  // the link sets its own value
+  defaults: {
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    expiresInDays: {
+      type: Number,
+      min: 1,
+      max: 3650,
+      default: null
+    },
+    redirectType: {
+      type: Number,
+      enum: [301, 302, 307, 308, null],
+      default: null
+    },
+    utm: {
+      source: { type: String, trim: true, default: null },
+      medium: { type: String, trim: true, default: null },
+      campaign: { type: String, trim: true, default: null },
+      term: { type: String, trim: true, default: null },
+      content: { type: String, trim: true, default: null }
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Folder names are unique among siblings
+folderSchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true });
+folderSchema.index({ userId: 1, ancestors: 1 });
+
+module.exports = mongoose.model('Folder', folderSchema);
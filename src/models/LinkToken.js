@@ -0,0 +1,52 @@
+// src/models/LinkToken.js - Signed single- or limited-use tokens minted for a short link
+const mongoose = require('mongoose');
+
+const linkTokenSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Random id; the visitor-facing token is this id plus its signature
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Who the token was minted for (e-mail, order number, ...), for the owner's reference
+  recipient: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+linkTokenSchema.index({ urlId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LinkToken', linkTokenSchema);
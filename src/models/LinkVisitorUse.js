@@ -0,0 +1,29 @@
+// src/models/LinkVisitorUse.js - Uses of a per-visitor limited link, one document per visitor
+const mongoose = require('mongoose');
+
+const linkVisitorUseSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  // Hashed IP address, as used for unique visitor counts
+  visitorKey: {
+    type: String,
+    required: true
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// One counter per visitor and link; the unique index is what makes
+// linkUsageService.consumeVisitorUse atomic
+linkVisitorUseSchema.index({ urlId: 1, visitorKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('LinkVisitorUse', linkVisitorUseSchema);
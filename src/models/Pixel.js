@@ -0,0 +1,53 @@
+// src/models/Pixel.js - Named retargeting pixels a user can attach to their links
+const mongoose = require('mongoose');
+
+const pixelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  provider: {
+    type: String,
+    enum: ['facebook', 'google', 'linkedin', 'custom'],
+    required: true
+  },
+  // Pixel / measurement / partner ID for the built-in providers
+  pixelId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Raw HTML snippet for custom pixels
+  script: {
+    type: String,
+    maxlength: 10000,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  fires: {
+    type: Number,
+    default: 0
+  },
+  lastFiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Pixel names are unique per user
+pixelSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Pixel', pixelSchema);
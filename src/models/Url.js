@@ -1,6 +1,8 @@
 // src/models/Url.js - Fixed URL Model with proper analytics support
 const mongoose = require('mongoose');
-const { nanoid } = require('nanoid');
+const { randomCode } = require('../utils/shortCodes');
+const { normalizeAlias } = require('../utils/aliasKey');
+const { UTM_FIELDS, getUtmParameters, canonicalizeUrl } = require('../utils/urlUtils');
 
 const clickHistorySchema = new mongoose.Schema({
   timestamp: {
@@ -42,31 +44,99 @@ const clickHistorySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Conditional redirect rule - evaluated in order, first match wins
+const redirectRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    countries: [{ type: String, uppercase: true, trim: true }], // ISO 3166-1 alpha-2
+    devices: [{
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'smart-tv', 'wearable']
+    }],
+    os: [{ type: String, trim: true }], // As reported by UAParser, e.g. 'iOS', 'Android'
+    languages: [{ type: String, lowercase: true, trim: true }], // e.g. 'en', 'fr-ca'
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    timeWindow: {
+      start: String, // HH:MM
+      end: String, // HH:MM
+      timezone: {
+        type: String,
+        default: 'UTC'
+      }
+    }
+  }
+});
+
+// A/B split-test destination - traffic is allocated by relative weight
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 50
+  }
+});
+
 const urlSchema = new mongoose.Schema({
   originalUrl: { 
     type: String, 
     required: true,
     trim: true
   },
+  // Normalised destination used to find duplicate links (see
+  // urlUtils.canonicalizeUrl); kept in sync on save
+  canonicalUrl: {
+    type: String,
+    default: null
+  },
   shortId: { 
     type: String, 
     required: true, 
     unique: true,
     trim: true,
-    default: () => nanoid(8)
+    default: () => randomCode(8)
   },
   shortCode: { 
     type: String, 
     required: true, 
     unique: true,
     trim: true,
-    default: () => nanoid(8)
+    default: () => randomCode(8)
   },
   customAlias: { 
     type: String, 
     sparse: true, // Allow multiple null values
     trim: true
   },
+  // Normalised customAlias (case fold, NFKC, homoglyph skeleton) - see utils/aliasKey.js.
+  // Set automatically on save; unique so look-alike aliases cannot coexist.
+  aliasKey: {
+    type: String,
+    default: undefined
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -90,14 +160,73 @@ const urlSchema = new mongoose.Schema({
   expiresAt: {
     type: Date
   },
+  activatesAt: {
+    type: Date,
+    default: null
+  },
+  maxClicks: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Where to send visitors while the link is scheduled or its click cap is used up
+  fallbackUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  fallbackMessage: {
+    type: String,
+    trim: true,
+    default: null
+  },
   password: {
     type: String,
     select: false // Don't include in queries by default
   },
+  // 302 by default so browsers don't cache redirects of editable links
+  redirectType: {
+    type: Number,
+    enum: [301, 302, 307, 308],
+    default: 302
+  },
+  // How the incoming query string (UTM parameters included) reaches the destination
+  queryPassthrough: {
+    type: String,
+    enum: ['none', 'append', 'merge'],
+    default: 'none'
+  },
   tags: [{
     type: String,
     trim: true
   }],
+  // utm_* parameters of the destination, kept in sync on save for campaign reports
+  utm: {
+    source: { type: String, default: null },
+    medium: { type: String, default: null },
+    campaign: { type: String, default: null },
+    term: { type: String, default: null },
+    content: { type: String, default: null }
+  },
+  // Convention problems found when the destination was checked against a
+  // UTM template in 'warn' mode (see services/utmService.js)
+  utmWarnings: [{
+    type: String
+  }],
+  // Folder (campaign) the link belongs to; null for unfiled links
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  redirectRules: [redirectRuleSchema],
+  variants: [variantSchema],
+  splitTestWinner: {
+    variantId: String,
+    name: String,
+    destination: String,
+    declaredAt: Date
+  },
   status: {
     type: String,
     enum: ['active', 'expired', 'deleted', 'disabled', 'flagged'],
@@ -116,6 +245,182 @@ const urlSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Destination page metadata filled in by the background fetcher
+  metadata: {
+    title: {
+      type: String,
+      default: null
+    },
+    description: {
+      type: String,
+      default: null
+    },
+    image: {
+      type: String,
+      default: null
+    },
+    siteName: {
+      type: String,
+      default: null
+    },
+    favicon: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    fetchedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Native app deep links, picked by the visitor's OS (see utils/deepLinks.js)
+  deepLink: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    ios: {
+      url: { type: String, trim: true, default: null }, // URI scheme or universal link
+      storeUrl: { type: String, trim: true, default: null }
+    },
+    android: {
+      url: { type: String, trim: true, default: null }, // URI scheme, intent:// or app link
+      packageName: { type: String, trim: true, default: null },
+      storeUrl: { type: String, trim: true, default: null }
+    }
+  },
+  // Destination health, updated by the scheduled link health checker
+  health: {
+    status: {
+      type: String,
+      enum: ['unknown', 'healthy', 'broken'],
+      default: 'unknown'
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    lastLatencyMs: {
+      type: Number,
+      default: null
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    brokenSince: {
+      type: Date,
+      default: null
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    finalUrl: {
+      type: String,
+      default: null
+    },
+    redirectChain: [{
+      _id: false,
+      url: String,
+      statusCode: Number
+    }],
+    history: [{
+      _id: false,
+      checkedAt: Date,
+      statusCode: Number,
+      latencyMs: Number,
+      ok: Boolean,
+      error: String
+    }]
+  },
+  // Open Graph overrides served to social crawlers when the link is unfurled
+  socialPreview: {
+    title: {
+      type: String,
+      maxlength: 200,
+      default: null
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      default: null
+    },
+    image: {
+      type: String,
+      default: null
+    }
+  },
+  // "You are leaving" page shown before the redirect
+  interstitial: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    message: {
+      type: String,
+      maxlength: 1000,
+      default: null
+    },
+    delaySeconds: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 5
+    },
+    requireClick: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Who may follow the link (see utils/accessPolicy.js). Empty lists don't
+  // restrict anything.
+  accessPolicy: {
+    // ISO 3166-1 alpha-2 codes, as reported by geoip-lite
+    allowedCountries: [{ type: String, uppercase: true, trim: true }],
+    blockedCountries: [{ type: String, uppercase: true, trim: true }],
+    // IPv4/IPv6 addresses or CIDR ranges, e.g. 10.0.0.0/8 for internal-only links
+    allowedCidrs: [{ type: String, trim: true }],
+    blockedCidrs: [{ type: String, trim: true }],
+    // Shown to blocked visitors instead of the default message
+    blockMessage: {
+      type: String,
+      maxlength: 500,
+      default: null
+    }
+  },
+  // One-time and limited-use links (see services/linkUsageService.js). A total
+  // cap across all visitors is maxClicks.
+  usageLimits: {
+    // Uses allowed per visitor (hashed IP); null for no limit
+    perVisitor: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    // Only visits carrying a signed token minted for this link get through
+    requireToken: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Retargeting pixels fired before the redirect (see services/pixelService.js)
+  pixels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pixel'
+  }],
   qrCode: {
     type: String, // Base64 encoded QR code
     default: null
@@ -132,6 +437,12 @@ const urlSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Set by moderation for medium-risk links; forces a click-through warning
+  // whatever the owner's interstitial settings are
+  moderationInterstitial: {
+    type: Boolean,
+    default: false
+  },
   disabledReason: {
     type: String,
     default: null
@@ -183,6 +494,16 @@ urlSchema.index({ userId: 1, createdAt: -1 });
 urlSchema.index({ lastAccessed: 1 });
 urlSchema.index({ clicks: -1 });
 urlSchema.index({ isActive: 1 });
+urlSchema.index({ status: 1, expiresAt: 1 });
+urlSchema.index({ userId: 1, 'health.status': 1 });
+urlSchema.index({ userId: 1, folderId: 1 });
+urlSchema.index({ userId: 1, 'utm.campaign': 1 });
+urlSchema.index({ userId: 1, canonicalUrl: 1 });
+urlSchema.index({ status: 1, 'health.lastCheckedAt': 1 });
+urlSchema.index({ aliasKey: 1 }, {
+  unique: true,
+  partialFilterExpression: { aliasKey: { $type: 'string' } }
+});
 
 // Virtual for unique visitors count
 urlSchema.virtual('uniqueVisitors').get(function() {
@@ -219,6 +540,27 @@ urlSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the canonical URL and UTM fields in sync with the destination
+urlSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('originalUrl')) {
+    this.canonicalUrl = canonicalizeUrl(this.originalUrl);
+    const utm = getUtmParameters(this.originalUrl);
+    UTM_FIELDS.forEach(field => {
+      this.set(`utm.${field}`, utm[field] || null);
+    });
+  }
+  next();
+});
+
+// Keep the normalised alias key in sync with customAlias. Links created before
+// the key existed get theirs from the alias-keys migration, which reports collisions.
+urlSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('customAlias')) {
+    this.aliasKey = this.customAlias ? normalizeAlias(this.customAlias) || undefined : undefined;
+  }
+  next();
+});
+
 // Static method to find active URLs
 urlSchema.statics.findActive = function() {
   return this.find({ 
@@ -235,6 +577,26 @@ urlSchema.methods.isExpired = function() {
   return this.expiresAt && new Date() > this.expiresAt;
 };
 
+// Instance method to check if URL is scheduled for later activation
+urlSchema.methods.isScheduled = function() {
+  return !!this.activatesAt && new Date() < this.activatesAt;
+};
+
+// Instance method to check if URL has used up its click cap
+urlSchema.methods.hasReachedClickLimit = function() {
+  return !!this.maxClicks && (this.clicks || 0) >= this.maxClicks;
+};
+
+// Query fragment matching URLs that can still take another click
+urlSchema.statics.clickLimitFilter = function() {
+  return {
+    $or: [
+      { maxClicks: null },
+      { $expr: { $lt: ['$clicks', '$maxClicks'] } }
+    ]
+  };
+};
+
 // Instance method to check if URL requires password
 urlSchema.methods.requiresPassword = function() {
   return !!this.password;
@@ -0,0 +1,62 @@
+// src/models/UrlVersion.js - Versioned edit history for short links
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const urlVersionSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['initial', 'update', 'restore'],
+    default: 'update'
+  },
+  // Link state after this version was applied
+  snapshot: {
+    originalUrl: String,
+    shortId: String,
+    customAlias: String,
+    tags: [String],
+    expiresAt: Date,
+    redirectRules: [mongoose.Schema.Types.Mixed],
+    variants: [mongoose.Schema.Types.Mixed],
+    hasPassword: Boolean
+  },
+  // Kept out of queries so it never leaks through the history API
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  changes: [changeSchema],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+urlVersionSchema.index({ urlId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('UrlVersion', urlVersionSchema);
@@ -118,6 +118,18 @@ const UserSchema = new mongoose.Schema({
     default: null
   },
   
+  // How new links are created
+  linkPreferences: {
+    // What to do when a new link's destination matches one of the user's
+    // existing links: 'reuse' it, 'always_new' link, or 'ask' (409 with the
+    // existing link). A request can override it with `dedupe`.
+    dedupe: {
+      type: String,
+      enum: ['reuse', 'always_new', 'ask'],
+      default: 'reuse'
+    }
+  },
+
   // Branding configuration
   branding: {
     enabled: {
@@ -0,0 +1,76 @@
+// src/models/UtmTemplate.js - Saved UTM conventions: default values and allowed-value lists
+const mongoose = require('mongoose');
+
+// Rules for one utm_* parameter
+const utmFieldSchema = new mongoose.Schema({
+  // Pre-filled by the builder
+  defaultValue: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  // Empty = any value
+  allowedValues: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const utmTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  fields: {
+    source: { type: utmFieldSchema, default: () => ({}) },
+    medium: { type: utmFieldSchema, default: () => ({}) },
+    campaign: { type: utmFieldSchema, default: () => ({}) },
+    term: { type: utmFieldSchema, default: () => ({}) },
+    content: { type: utmFieldSchema, default: () => ({}) }
+  },
+  // Values must be lower case (utm_medium=Email and utm_medium=email are
+  // different campaigns to most analytics tools)
+  forceLowercase: {
+    type: Boolean,
+    default: true
+  },
+  // 'reject' refuses links that break the convention, 'warn' creates them
+  // and reports the problems
+  enforcement: {
+    type: String,
+    enum: ['reject', 'warn'],
+    default: 'reject'
+  },
+  // Checked against every new UTM-tagged link that doesn't name a template
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Template names are unique per user
+utmTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('UtmTemplate', utmTemplateSchema);
@@ -0,0 +1,35 @@
+// src/models/VisitorSketch.js - Unique-visitor sketches kept in MongoDB when Redis is unavailable
+const mongoose = require('mongoose');
+
+const visitorSketchSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+  // UTC day ('2024-03-01'), or 'all' for the link's all-time sketch
+  day: {
+    type: String,
+    required: true
+  },
+  // HyperLogLog registers in Redis' dense encoding (utils/hyperLogLog.js)
+  registers: {
+    type: Buffer,
+    required: true
+  },
+  // Day sketches expire with the Redis ones; the all-time sketch is kept
+  expiresAt: {
+    type: Date,
+    default: undefined
+  }
+}, {
+  // Concurrent writers merge into the same sketch; a stale save fails and
+  // the click batch is retried
+  optimisticConcurrency: true,
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+visitorSketchSchema.index({ urlId: 1, day: 1 }, { unique: true });
+visitorSketchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VisitorSketch', visitorSketchSchema);
@@ -19,4 +19,8 @@ router.get('/export/:shortCode', auth, advancedAnalyticsController.exportAnalyti
 // Real-time analytics (protected)
 router.get('/realtime/:shortCode', auth, advancedAnalyticsController.getRealtimeStats);
 
+// Live click streams, Server-Sent Events (protected)
+router.get('/stream', auth, advancedAnalyticsController.streamClicks);
+router.get('/stream/:shortCode', auth, advancedAnalyticsController.streamClicks);
+
 module.exports = router;
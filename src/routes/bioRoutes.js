@@ -0,0 +1,97 @@
+// src/routes/bioRoutes.js - Link-in-bio page editor API
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { sendError } = require('../middleware/errorHandler');
+const bioPageService = require('../services/bioPageService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Page plus resolved blocks, as returned by every endpoint
+const buildPageResponse = async (page, username) => {
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    id: page._id,
+    title: page.title,
+    bio: page.bio,
+    avatar: page.avatar,
+    isPublished: page.isPublished,
+    publicUrl: `${baseUrl}/@${username}`,
+    views: page.views,
+    blocks: await bioPageService.resolveBlocks(page),
+    updatedAt: page.updatedAt
+  };
+};
+
+// GET /api/bio - Get the user's bio page (created on first visit)
+router.get('/', async (req, res) => {
+  try {
+    const page = await bioPageService.getOrCreatePage(req.user._id);
+    res.json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Fetching bio page');
+  }
+});
+
+// PUT /api/bio - Update page title, bio, avatar and published state
+router.put('/', validate('bioPage'), async (req, res) => {
+  try {
+    const page = await bioPageService.updatePage(req.user._id, req.body);
+    res.json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Updating bio page');
+  }
+});
+
+// POST /api/bio/blocks - Add a link, header or text block
+router.post('/blocks', validate('bioBlock'), async (req, res) => {
+  try {
+    if ((req.body.type || 'link') === 'link' && !req.body.urlId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link blocks need a urlId'
+      });
+    }
+
+    const page = await bioPageService.addBlock(req.user._id, req.body);
+    res.status(201).json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Adding bio page block');
+  }
+});
+
+// PUT /api/bio/blocks/order - Reorder blocks
+router.put('/blocks/order', validate('bioBlockOrder'), async (req, res) => {
+  try {
+    const page = await bioPageService.reorderBlocks(req.user._id, req.body.blockIds);
+    res.json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Reordering bio page blocks');
+  }
+});
+
+// PUT /api/bio/blocks/:blockId - Update a block
+router.put('/blocks/:blockId', validate('bioBlock'), async (req, res) => {
+  try {
+    const page = await bioPageService.updateBlock(req.user._id, req.params.blockId, req.body);
+    res.json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Updating bio page block');
+  }
+});
+
+// DELETE /api/bio/blocks/:blockId - Remove a block
+router.delete('/blocks/:blockId', async (req, res) => {
+  try {
+    const page = await bioPageService.removeBlock(req.user._id, req.params.blockId);
+    res.json({ success: true, data: await buildPageResponse(page, req.user.username) });
+  } catch (error) {
+    sendError(res, error, 'Removing bio page block');
+  }
+});
+
+module.exports = router;
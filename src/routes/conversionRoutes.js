@@ -0,0 +1,143 @@
+// src/routes/conversionRoutes.js - Conversion goals, postbacks and the conversion pixel
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { apiAuth, requirePermission } = require('../middleware/apiAuth');
+const { validate, schemas } = require('../middleware/validation');
+const { sendError } = require('../middleware/errorHandler');
+const conversionService = require('../services/conversionService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// 1x1 transparent GIF returned by the image pixel
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Goal as returned by every endpoint
+const buildGoalResponse = (goal) => ({
+  id: goal._id,
+  name: goal.name,
+  urlId: goal.urlId,
+  folderId: goal.folderId,
+  defaultValue: goal.defaultValue,
+  currency: goal.currency,
+  attributionWindowDays: goal.attributionWindowDays,
+  allowPixel: goal.allowPixel,
+  isActive: goal.isActive,
+  conversions: goal.conversions,
+  revenue: goal.revenue,
+  lastConvertedAt: goal.lastConvertedAt,
+  createdAt: goal.createdAt,
+  updatedAt: goal.updatedAt
+});
+
+const buildConversionResponse = ({ conversion, duplicate }) => ({
+  id: conversion._id,
+  goalId: conversion.goalId,
+  urlId: conversion.urlId,
+  orderId: conversion.orderId,
+  revenue: conversion.revenue,
+  currency: conversion.currency,
+  clickedAt: conversion.clickedAt,
+  convertedAt: conversion.convertedAt,
+  timeToConvertMs: conversion.timeToConvertMs,
+  duplicate
+});
+
+// The pixel is loaded from the advertiser's pages
+const allowCrossOrigin = (res) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'no-store');
+};
+
+// POST /api/conversions/postback - Report a conversion from the advertiser's
+// server. Needs an API key with the track_conversions permission.
+router.post('/postback', apiAuth, requirePermission('track_conversions'), validate('conversionPostback'), async (req, res) => {
+  try {
+    const result = await conversionService.recordPostback(req.user._id, req.body);
+    res.status(result.duplicate ? 200 : 201).json({ success: true, data: buildConversionResponse(result) });
+  } catch (error) {
+    sendError(res, error, 'Recording conversion');
+  }
+});
+
+// GET /api/conversions/pixel.gif - Report a conversion from the browser
+// (?goalId=&clickId=), for goals that allow it. Worth the goal's defaultValue,
+// once per click. Always answers with the image so the page never shows a broken one;
+// rejected reports are only logged.
+router.get('/pixel.gif', async (req, res) => {
+  const { error, value } = schemas.conversionPixel.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  try {
+    if (error) {
+      logger.warn('Pixel conversion rejected:', { reason: error.message, ip: req.ip });
+    } else {
+      await conversionService.recordPixel(value);
+    }
+  } catch (recordError) {
+    if (!recordError.statusCode || recordError.statusCode >= 500) {
+      logger.error('Recording pixel conversion:', { error: recordError.message, goalId: value.goalId });
+    } else {
+      logger.warn('Pixel conversion rejected:', { reason: recordError.message, goalId: value.goalId });
+    }
+  }
+
+  allowCrossOrigin(res);
+  res.set('Content-Type', 'image/gif');
+  res.send(PIXEL_GIF);
+});
+
+// GET /api/conversions/pixel.js - Script that keeps the click ID on the
+// landing page and reports conversions through the image pixel
+router.get('/pixel.js', (req, res) => {
+  const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  allowCrossOrigin(res);
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.send(conversionService.renderPixelScript(`${baseUrl}${req.baseUrl}/pixel.gif`));
+});
+
+// GET /api/conversions/goals - List the user's conversion goals
+router.get('/goals', auth, async (req, res) => {
+  try {
+    const goals = await conversionService.listGoals(req.user._id);
+    res.json({ success: true, data: { goals: goals.map(buildGoalResponse) } });
+  } catch (error) {
+    sendError(res, error, 'Fetching conversion goals');
+  }
+});
+
+// POST /api/conversions/goals - Create a goal for a link or a folder
+router.post('/goals', auth, validate('conversionGoal'), async (req, res) => {
+  try {
+    const goal = await conversionService.createGoal(req.user._id, req.body);
+    res.status(201).json({ success: true, data: buildGoalResponse(goal) });
+  } catch (error) {
+    sendError(res, error, 'Creating conversion goal');
+  }
+});
+
+// PUT /api/conversions/goals/:id - Update a goal
+router.put('/goals/:id', auth, validate('conversionGoalUpdate'), async (req, res) => {
+  try {
+    const goal = await conversionService.updateGoal(req.user._id, req.params.id, req.body);
+    res.json({ success: true, data: buildGoalResponse(goal) });
+  } catch (error) {
+    sendError(res, error, 'Updating conversion goal');
+  }
+});
+
+// DELETE /api/conversions/goals/:id - Delete a goal and its conversions
+router.delete('/goals/:id', auth, async (req, res) => {
+  try {
+    await conversionService.deleteGoal(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Conversion goal deleted' });
+  } catch (error) {
+    sendError(res, error, 'Deleting conversion goal');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// src/routes/folderRoutes.js - Link folders (campaigns) API
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { sendError } = require('../middleware/errorHandler');
+const folderService = require('../services/folderService');
+const analyticsService = require('../services/analyticsService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Folder as returned by every endpoint
+const buildFolderResponse = (folder) => ({
+  id: folder._id,
+  name: folder.name,
+  parentId: folder.parentId,
+  defaults: folder.defaults,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+// Folder tree node: the folder plus link counts and its subfolders
+const buildTreeResponse = (node) => ({
+  ...buildFolderResponse(node),
+  links: node.links,
+  totalLinks: node.totalLinks,
+  children: node.children.map(buildTreeResponse)
+});
+
+// GET /api/folders - The user's folders as a tree, with link counts
+router.get('/', async (req, res) => {
+  try {
+    const { folders, unfiledLinks } = await folderService.getFolderTree(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        folders: folders.map(buildTreeResponse),
+        unfiledLinks
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching folders');
+  }
+});
+
+// POST /api/folders - Create a folder, optionally inside another one
+router.post('/', validate('folder'), async (req, res) => {
+  try {
+    const folder = await folderService.createFolder(req.user._id, req.body);
+    res.status(201).json({ success: true, data: buildFolderResponse(folder) });
+  } catch (error) {
+    sendError(res, error, 'Creating folder');
+  }
+});
+
+// POST /api/folders/move-links - Move links into a folder (folderId null = unfiled)
+router.post('/move-links', validate('moveLinks'), async (req, res) => {
+  try {
+    const result = await folderService.moveLinks(req.user._id, req.body.urlIds, req.body.folderId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Moving links');
+  }
+});
+
+// GET /api/folders/:id/analytics - Aggregate analytics for the folder and its subfolders
+router.get('/:id/analytics', async (req, res) => {
+  try {
+    const report = await analyticsService.generateAnalyticsReport(req.user._id, {
+      folderId: req.params.id,
+      timeRange: req.query.timeRange || '30d'
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    sendError(res, error, 'Fetching folder analytics');
+  }
+});
+
+// PUT /api/folders/:id - Rename, move (parentId) or change the defaults of a folder
+router.put('/:id', validate('folderUpdate'), async (req, res) => {
+  try {
+    const folder = await folderService.updateFolder(req.user._id, req.params.id, req.body);
+    res.json({ success: true, data: buildFolderResponse(folder) });
+  } catch (error) {
+    sendError(res, error, 'Updating folder');
+  }
+});
+
+// DELETE /api/folders/:id - Delete a folder; its links and subfolders move to its parent
+router.delete('/:id', async (req, res) => {
+  try {
+    const { movedLinks } = await folderService.deleteFolder(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Folder deleted', data: { movedLinks } });
+  } catch (error) {
+    sendError(res, error, 'Deleting folder');
+  }
+});
+
+module.exports = router;
@@ -30,6 +30,10 @@ router.get('/performance', monitoringController.getPerformanceMetrics);
 // Get API metrics
 router.get('/api-metrics', monitoringController.getApiMetrics);
 
+// Click ingestion queue metrics, and replay of failed click events
+router.get('/click-queue', monitoringController.getClickQueue);
+router.post('/click-queue/replay', monitoringController.replayClickQueue);
+
 // Get system information
 router.get('/system-info', monitoringController.getSystemInfo);
 
@@ -0,0 +1,79 @@
+// src/routes/pixelRoutes.js - Retargeting pixel library API
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { sendError } = require('../middleware/errorHandler');
+const pixelService = require('../services/pixelService');
+const complianceService = require('../services/complianceService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Pixel as returned by every endpoint
+const buildPixelResponse = (pixel) => ({
+  id: pixel._id,
+  name: pixel.name,
+  provider: pixel.provider,
+  pixelId: pixel.pixelId,
+  script: pixel.script,
+  isActive: pixel.isActive,
+  fires: pixel.fires,
+  lastFiredAt: pixel.lastFiredAt,
+  createdAt: pixel.createdAt,
+  updatedAt: pixel.updatedAt
+});
+
+// GET /api/pixels - List the user's pixels. Pixels only fire while the user
+// has marketing consent, which is returned alongside.
+router.get('/', async (req, res) => {
+  try {
+    const [pixels, marketingConsent] = await Promise.all([
+      pixelService.listPixels(req.user._id),
+      complianceService.hasConsent(req.user._id, 'marketing')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pixels: pixels.map(buildPixelResponse),
+        marketingConsent
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching pixels');
+  }
+});
+
+// POST /api/pixels - Create a pixel
+router.post('/', validate('pixel'), async (req, res) => {
+  try {
+    const pixel = await pixelService.createPixel(req.user._id, req.body);
+    res.status(201).json({ success: true, data: buildPixelResponse(pixel) });
+  } catch (error) {
+    sendError(res, error, 'Creating pixel');
+  }
+});
+
+// PUT /api/pixels/:id - Update a pixel
+router.put('/:id', validate('pixelUpdate'), async (req, res) => {
+  try {
+    const pixel = await pixelService.updatePixel(req.user._id, req.params.id, req.body);
+    res.json({ success: true, data: buildPixelResponse(pixel) });
+  } catch (error) {
+    sendError(res, error, 'Updating pixel');
+  }
+});
+
+// DELETE /api/pixels/:id - Delete a pixel and detach it from all links
+router.delete('/:id', async (req, res) => {
+  try {
+    await pixelService.deletePixel(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Pixel deleted' });
+  } catch (error) {
+    sendError(res, error, 'Deleting pixel');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,111 @@
 // src/routes/shortenRoutes.js
 const express = require('express');
-const { nanoid } = require('nanoid');
 const Url = require('../models/Url');
 const { auth } = require('../middleware/auth');
+const { schemas } = require('../middleware/validation');
+const { REDIRECT_TYPES, withLinkToken } = require('../utils/urlUtils');
+const { isReservedCode } = require('../utils/shortCodes');
+const { aliasKeyClauses } = require('../utils/aliasKey');
+const { DEFAULT_DELAY_SECONDS } = require('../utils/interstitial');
+const { buildAccessPolicy } = require('../utils/accessPolicy');
+const metadataService = require('../services/metadataService');
+const urlHistoryService = require('../services/urlHistoryService');
+const shortCodeService = require('../services/shortCodeService');
+const contentModerationService = require('../services/contentModerationService');
+const pixelService = require('../services/pixelService');
+const folderService = require('../services/folderService');
+const utmService = require('../services/utmService');
+const urlService = require('../services/urlService');
+const linkUsageService = require('../services/linkUsageService');
+const rollupService = require('../services/rollupService');
+const uniqueVisitorService = require('../services/uniqueVisitorService');
+const conversionService = require('../services/conversionService');
 
 const router = express.Router();
 
+const QUERY_PASSTHROUGH_MODES = ['none', 'append', 'merge'];
+
+// Validate the redirect behaviour fields shared by create and update
+const validateRedirectOptions = ({ redirectType, queryPassthrough }) => {
+  if (redirectType !== undefined && !REDIRECT_TYPES.includes(parseInt(redirectType))) {
+    return 'Redirect type must be one of 301, 302, 307 or 308';
+  }
+  if (queryPassthrough !== undefined && !QUERY_PASSTHROUGH_MODES.includes(queryPassthrough)) {
+    return 'Query passthrough must be one of none, append or merge';
+  }
+  return null;
+};
+
+// Check pixel ids attached to a link; returns an error message or null
+const validateLinkPixels = async (userId, pixels) => {
+  const { error } = schemas.linkPixels.validate(pixels);
+  if (error) {
+    return error.details[0].message;
+  }
+
+  const unknown = await pixelService.findUnknownPixels(userId, pixels);
+  return unknown.length > 0 ? `Unknown pixels: ${unknown.join(', ')}` : null;
+};
+
+// Check the folder a link is filed in (null = unfiled); returns an error message or null
+const validateLinkFolder = async (userId, folderId) => {
+  const { error } = schemas.folderId.validate(folderId);
+  if (error) {
+    return error.details[0].message;
+  }
+  if (folderId === null) {
+    return null;
+  }
+
+  try {
+    await folderService.getFolder(userId, folderId);
+    return null;
+  } catch (folderError) {
+    if (folderError.statusCode === 404) {
+      return folderError.message;
+    }
+    throw folderError;
+  }
+};
+
+// Check a destination against the user's UTM conventions. Returns { error }
+// with the response body for a rejected destination, or { warnings }.
+const checkUtmConventions = async (userId, destination, templateId) => {
+  try {
+    const { warnings } = await utmService.enforce(userId, destination, templateId || null);
+    return { warnings };
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return { error: { success: false, message: error.message, details: error.details || undefined } };
+    }
+    throw error;
+  }
+};
+
 // POST /api/shorten - Create short URL
 router.post('/', auth, async (req, res) => {
   try {
-    const { originalUrl, customAlias, expiresAt, password } = req.body;
+    const {
+      originalUrl,
+      customAlias,
+      expiresAt,
+      password,
+      activatesAt,
+      maxClicks,
+      fallbackUrl,
+      fallbackMessage,
+      redirectType,
+      queryPassthrough,
+      socialPreview,
+      deepLink,
+      interstitial,
+      accessPolicy,
+      usageLimits,
+      pixels,
+      folderId,
+      utmTemplateId,
+      dedupe
+    } = req.body;
 
     // Validate original URL
     if (!originalUrl) {
@@ -19,6 +115,21 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    const redirectOptionsError = validateRedirectOptions(req.body);
+    if (redirectOptionsError) {
+      return res.status(400).json({
+        success: false,
+        message: redirectOptionsError
+      });
+    }
+
+    if (dedupe !== undefined) {
+      const { error } = schemas.dedupe.validate(dedupe);
+      if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+      }
+    }
+
     // Basic URL validation
     try {
       new URL(originalUrl);
@@ -33,8 +144,17 @@ router.post('/', auth, async (req, res) => {
 
     // Handle custom alias
     if (customAlias) {
-      // Check if custom alias already exists
-      const existingUrl = await Url.findOne({ shortId: customAlias });
+      if (isReservedCode(customAlias)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom alias is reserved'
+        });
+      }
+
+      // Check if custom alias (or a look-alike of it) already exists
+      const existingUrl = await Url.findOne({
+        $or: [{ shortId: customAlias }, ...aliasKeyClauses(customAlias)]
+      });
       if (existingUrl) {
         return res.status(400).json({
           success: false,
@@ -44,20 +164,9 @@ router.post('/', auth, async (req, res) => {
       shortId = customAlias;
     } else {
       // Generate unique short ID
-      let isUnique = false;
-      let attempts = 0;
-      const maxAttempts = 10;
-
-      while (!isUnique && attempts < maxAttempts) {
-        shortId = nanoid(8);
-        const existingUrl = await Url.findOne({ shortId });
-        if (!existingUrl) {
-          isUnique = true;
-        }
-        attempts++;
-      }
-
-      if (!isUnique) {
+      try {
+        shortId = await shortCodeService.generate();
+      } catch (error) {
         return res.status(500).json({
           success: false,
           message: 'Failed to generate unique short ID'
@@ -66,9 +175,10 @@ router.post('/', auth, async (req, res) => {
     }
 
     // Create URL document
-    const urlData = {
+    let urlData = {
       originalUrl,
       shortId,
+      customAlias: customAlias || null,
       userId: req.user.id,
       clicks: 0,
       clickHistory: [],
@@ -83,13 +193,153 @@ router.post('/', auth, async (req, res) => {
     if (password) {
       urlData.password = password;
     }
+    if (activatesAt) {
+      urlData.activatesAt = new Date(activatesAt);
+    }
+    if (maxClicks) {
+      urlData.maxClicks = parseInt(maxClicks);
+    }
+    if (fallbackUrl) {
+      try {
+        new URL(fallbackUrl);
+        urlData.fallbackUrl = fallbackUrl;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid fallback URL format'
+        });
+      }
+    }
+    if (fallbackMessage) {
+      urlData.fallbackMessage = fallbackMessage;
+    }
+    if (redirectType !== undefined) {
+      urlData.redirectType = parseInt(redirectType);
+    }
+    if (queryPassthrough !== undefined) {
+      urlData.queryPassthrough = queryPassthrough;
+    }
+    if (socialPreview) {
+      const { error, value } = schemas.socialPreview.validate(socialPreview, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid social preview',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      urlData.socialPreview = value;
+    }
+    if (deepLink) {
+      const { error, value } = schemas.deepLink.validate(deepLink, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid deep link settings',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      urlData.deepLink = value;
+    }
+    if (interstitial) {
+      const { error, value } = schemas.interstitial.validate(interstitial, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid interstitial settings',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      urlData.interstitial = value;
+    }
+    if (accessPolicy) {
+      const { error, value } = schemas.accessPolicy.validate(accessPolicy, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid access policy',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      urlData.accessPolicy = buildAccessPolicy(value);
+    }
+    if (usageLimits) {
+      const { error, value } = schemas.usageLimits.validate(usageLimits, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid usage limits',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      urlData.usageLimits = value;
+    }
+    if (pixels) {
+      const pixelsError = await validateLinkPixels(req.user.id, pixels);
+      if (pixelsError) {
+        return res.status(400).json({ success: false, message: pixelsError });
+      }
+      urlData.pixels = pixels;
+    }
+    if (folderId) {
+      const folderError = await validateLinkFolder(req.user.id, folderId);
+      if (folderError) {
+        return res.status(400).json({ success: false, message: folderError });
+      }
+      // Tags, expiry, redirect type and UTM parameters from the folder
+      urlData = await folderService.prepareNewLink(req.user.id, folderId, urlData);
+    }
 
-    const url = new Url(urlData);
-    await url.save();
+    const utmCheck = await checkUtmConventions(req.user.id, urlData.originalUrl, utmTemplateId);
+    if (utmCheck.error) {
+      return res.status(400).json(utmCheck.error);
+    }
+    urlData.utmWarnings = utmCheck.warnings;
+
+    // Hand back an existing link to the same destination, depending on the
+    // request's `dedupe` mode or the user's preference
+    let existingUrl;
+    try {
+      existingUrl = await urlService.findReusableUrl(req.user.id, { ...urlData, dedupe });
+    } catch (error) {
+      if (error.code === 'DUPLICATE_LINK') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      throw error;
+    }
+
+    const url = existingUrl || new Url(urlData);
+    if (!existingUrl) {
+      await contentModerationService.reviewLink(url);
+      await url.save();
+
+      // Title, description and favicon are fetched in the background
+      metadataService.enqueue(url._id);
+    }
 
     const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
 
-    res.status(201).json({
+    res.status(existingUrl ? 200 : 201).json({
       success: true,
       data: {
         id: url._id,
@@ -100,6 +350,24 @@ router.post('/', auth, async (req, res) => {
         clicks: url.clicks,
         createdAt: url.createdAt,
         expiresAt: url.expiresAt,
+        activatesAt: url.activatesAt,
+        maxClicks: url.maxClicks,
+        fallbackUrl: url.fallbackUrl,
+        redirectType: url.redirectType,
+        queryPassthrough: url.queryPassthrough,
+        socialPreview: url.socialPreview,
+        deepLink: url.deepLink,
+        interstitial: url.interstitial,
+        moderationInterstitial: url.moderationInterstitial,
+        accessPolicy: url.accessPolicy,
+        usageLimits: url.usageLimits,
+        pixels: url.pixels,
+        folderId: url.folderId,
+        tags: url.tags,
+        utm: url.utm,
+        utmWarnings: url.utmWarnings,
+        canonicalUrl: url.canonicalUrl,
+        reused: !!existingUrl,
         hasPassword: !!url.password
       }
     });
@@ -196,6 +464,11 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Url.deleteOne({ _id: id });
+    await linkUsageService.deleteForUrls([url._id]);
+    await rollupService.deleteForUrls([url._id]);
+    await uniqueVisitorService.deleteForUrls([url._id]);
+    await conversionService.deleteForUrls([url._id]);
+    await urlHistoryService.deleteForUrls([url._id]);
 
     res.json({
       success: true,
@@ -215,9 +488,30 @@ router.delete('/:id', auth, async (req, res) => {
 router.put('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { originalUrl, customAlias, expiresAt, password } = req.body;
+    const {
+      originalUrl,
+      customAlias,
+      expiresAt,
+      password,
+      activatesAt,
+      maxClicks,
+      fallbackUrl,
+      fallbackMessage,
+      redirectType,
+      queryPassthrough,
+      socialPreview,
+      deepLink,
+      interstitial,
+      accessPolicy,
+      usageLimits,
+      pixels,
+      folderId,
+      utmTemplateId,
+      redirectRules,
+      variants
+    } = req.body;
 
-    const url = await Url.findOne({ _id: id, userId: req.user.id });
+    const url = await Url.findOne({ _id: id, userId: req.user.id }).select('+password');
 
     if (!url) {
       return res.status(404).json({
@@ -226,7 +520,18 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    const redirectOptionsError = validateRedirectOptions(req.body);
+    if (redirectOptionsError) {
+      return res.status(400).json({
+        success: false,
+        message: redirectOptionsError
+      });
+    }
+
+    const before = urlHistoryService.snapshot(url);
+
     // Validate original URL if provided
+    const destinationChanged = originalUrl && originalUrl !== url.originalUrl;
     if (originalUrl) {
       try {
         new URL(originalUrl);
@@ -241,7 +546,17 @@ router.put('/:id', auth, async (req, res) => {
 
     // Handle custom alias update
     if (customAlias && customAlias !== url.shortId) {
-      const existingUrl = await Url.findOne({ shortId: customAlias });
+      if (isReservedCode(customAlias)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom alias is reserved'
+        });
+      }
+
+      const existingUrl = await Url.findOne({
+        _id: { $ne: url._id },
+        $or: [{ shortId: customAlias }, ...aliasKeyClauses(customAlias)]
+      });
       if (existingUrl) {
         return res.status(400).json({
           success: false,
@@ -249,6 +564,7 @@ router.put('/:id', auth, async (req, res) => {
         });
       }
       url.shortId = customAlias;
+      url.customAlias = customAlias;
     }
 
     // Update other fields
@@ -258,8 +574,178 @@ router.put('/:id', auth, async (req, res) => {
     if (password !== undefined) {
       url.password = password || null;
     }
+    if (activatesAt !== undefined) {
+      url.activatesAt = activatesAt ? new Date(activatesAt) : null;
+    }
+    if (maxClicks !== undefined) {
+      url.maxClicks = maxClicks ? parseInt(maxClicks) : null;
+    }
+    if (fallbackUrl !== undefined) {
+      if (fallbackUrl) {
+        try {
+          new URL(fallbackUrl);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid fallback URL format'
+          });
+        }
+      }
+      url.fallbackUrl = fallbackUrl || null;
+    }
+    if (fallbackMessage !== undefined) {
+      url.fallbackMessage = fallbackMessage || null;
+    }
+    if (redirectType !== undefined) {
+      url.redirectType = parseInt(redirectType);
+    }
+    if (queryPassthrough !== undefined) {
+      url.queryPassthrough = queryPassthrough;
+    }
+    if (socialPreview !== undefined) {
+      const { error, value } = schemas.socialPreview.validate(socialPreview || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid social preview',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.socialPreview = {
+        title: value.title || null,
+        description: value.description || null,
+        image: value.image || null
+      };
+    }
+    if (deepLink !== undefined) {
+      const { error, value } = schemas.deepLink.validate(deepLink || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid deep link settings',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.deepLink = value;
+    }
+    if (interstitial !== undefined) {
+      const { error, value } = schemas.interstitial.validate(interstitial || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid interstitial settings',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.interstitial = {
+        enabled: !!value.enabled,
+        message: value.message || null,
+        delaySeconds: value.delaySeconds ?? DEFAULT_DELAY_SECONDS,
+        requireClick: !!value.requireClick
+      };
+    }
+    if (accessPolicy !== undefined) {
+      const { error, value } = schemas.accessPolicy.validate(accessPolicy || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid access policy',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.accessPolicy = buildAccessPolicy(value);
+    }
+    if (usageLimits !== undefined) {
+      const { error, value } = schemas.usageLimits.validate(usageLimits || {}, { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid usage limits',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.usageLimits = {
+        perVisitor: value.perVisitor || null,
+        requireToken: !!value.requireToken
+      };
+    }
+    if (pixels !== undefined) {
+      const pixelsError = await validateLinkPixels(req.user.id, pixels || []);
+      if (pixelsError) {
+        return res.status(400).json({ success: false, message: pixelsError });
+      }
+      url.pixels = pixels || [];
+    }
+    if (folderId !== undefined) {
+      const folderError = await validateLinkFolder(req.user.id, folderId || null);
+      if (folderError) {
+        return res.status(400).json({ success: false, message: folderError });
+      }
+      url.folderId = folderId || null;
+    }
+    if (redirectRules !== undefined) {
+      const { error, value } = schemas.redirectRules.validate(redirectRules || [], { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid redirect rules',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.redirectRules = value;
+    }
+    if (variants !== undefined) {
+      const { error, value } = schemas.variants.validate(variants || [], { abortEarly: false });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid split-test variants',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      url.variants = value;
+    }
+
+    // A new destination is checked against the UTM conventions again and
+    // needs a fresh health check and moderation pass
+    if (destinationChanged) {
+      const utmCheck = await checkUtmConventions(req.user.id, url.originalUrl, utmTemplateId);
+      if (utmCheck.error) {
+        return res.status(400).json(utmCheck.error);
+      }
+      url.utmWarnings = utmCheck.warnings;
+      url.set('health.status', 'unknown');
+      url.set('health.lastCheckedAt', null);
+      await contentModerationService.reviewLink(url);
+    }
 
     await url.save();
+    await urlHistoryService.recordChange(url, before, req.user.id);
+
+    if (destinationChanged) {
+      metadataService.enqueue(url._id);
+    }
 
     const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
 
@@ -274,7 +760,25 @@ router.put('/:id', auth, async (req, res) => {
         createdAt: url.createdAt,
         lastAccessed: url.lastAccessed,
         expiresAt: url.expiresAt,
-        hasPassword: !!url.password
+        activatesAt: url.activatesAt,
+        maxClicks: url.maxClicks,
+        fallbackUrl: url.fallbackUrl,
+        fallbackMessage: url.fallbackMessage,
+        redirectType: url.redirectType,
+        queryPassthrough: url.queryPassthrough,
+        socialPreview: url.socialPreview,
+        deepLink: url.deepLink,
+        interstitial: url.interstitial,
+        moderationInterstitial: url.moderationInterstitial,
+        accessPolicy: url.accessPolicy,
+        usageLimits: url.usageLimits,
+        pixels: url.pixels,
+        folderId: url.folderId,
+        utm: url.utm,
+        utmWarnings: url.utmWarnings,
+        hasPassword: !!url.password,
+        redirectRules: url.redirectRules,
+        variants: url.variants
       }
     });
 
@@ -287,4 +791,350 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// POST /api/shorten/:id/variants/:variantId/winner - End a split test
+router.post('/:id/variants/:variantId/winner', auth, async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const url = await Url.findOne({ _id: id, userId: req.user.id }).select('+password');
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to update it'
+      });
+    }
+
+    const winner = url.variants.id(variantId);
+
+    if (!winner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Split-test variant not found'
+      });
+    }
+
+    const before = urlHistoryService.snapshot(url);
+
+    // Collapse the link to the winning destination
+    url.splitTestWinner = {
+      variantId: winner._id.toString(),
+      name: winner.name,
+      destination: winner.destination,
+      declaredAt: new Date()
+    };
+    url.originalUrl = winner.destination;
+    url.variants = [];
+    url.set('health.status', 'unknown');
+    url.set('health.lastCheckedAt', null);
+
+    await url.save();
+    await urlHistoryService.recordChange(url, before, req.user.id);
+    metadataService.enqueue(url._id);
+
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    res.json({
+      success: true,
+      message: `Variant "${winner.name}" declared winner`,
+      data: {
+        id: url._id,
+        originalUrl: url.originalUrl,
+        shortId: url.shortId,
+        shortUrl: `${baseUrl}/${url.shortId}`,
+        splitTestWinner: url.splitTestWinner
+      }
+    });
+
+  } catch (error) {
+    console.error('Declare split-test winner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while declaring split-test winner'
+    });
+  }
+});
+
+// GET /api/shorten/:id/history - Versioned edit history of a link
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const url = await Url.findOne({ _id: req.params.id, userId: req.user.id }).select('_id');
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to view it'
+      });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const { versions, total } = await urlHistoryService.getHistory(url._id, {
+      limit: pageSize,
+      skip: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      data: {
+        versions: versions.map(version => ({
+          version: version.version,
+          action: version.action,
+          changes: version.changes || [],
+          snapshot: version.snapshot,
+          changedBy: version.changedBy,
+          restoredFrom: version.restoredFrom,
+          createdAt: version.createdAt
+        })),
+        pagination: {
+          page: parseInt(page) || 1,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get URL history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching URL history'
+    });
+  }
+});
+
+// POST /api/shorten/:id/history/:version/restore - Roll a link back to an earlier version
+router.post('/:id/history/:version/restore', auth, async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const { url, version: newVersion } = await urlHistoryService.restoreVersion(req.params.id, version, req.user.id);
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    res.json({
+      success: true,
+      message: `Restored version ${version}`,
+      data: {
+        id: url._id,
+        originalUrl: url.originalUrl,
+        shortId: url.shortId,
+        shortUrl: `${baseUrl}/${url.shortId}`,
+        customAlias: url.customAlias,
+        tags: url.tags,
+        expiresAt: url.expiresAt,
+        hasPassword: !!url.password,
+        redirectRules: url.redirectRules,
+        variants: url.variants,
+        version: newVersion
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Restore URL version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring URL version'
+    });
+  }
+});
+
+// POST /api/shorten/:id/metadata/refresh - Re-fetch title, description and favicon
+router.post('/:id/metadata/refresh', auth, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to update it'
+      });
+    }
+
+    const refreshed = await metadataService.refreshMetadata(url._id);
+
+    if (refreshed.metadata.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not fetch metadata from the destination',
+        error: refreshed.metadata.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: refreshed._id,
+        title: refreshed.title,
+        description: refreshed.description,
+        metadata: refreshed.metadata
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh metadata error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing metadata'
+    });
+  }
+});
+
+// Token as returned by the token endpoints
+const formatLinkToken = (token) => ({
+  tokenId: token.tokenId,
+  recipient: token.recipient,
+  maxUses: token.maxUses,
+  uses: token.uses,
+  lastUsedAt: token.lastUsedAt,
+  expiresAt: token.expiresAt,
+  createdAt: token.createdAt
+});
+
+// POST /api/shorten/:id/tokens - Mint signed single-use (or N-use) tokens in bulk
+router.post('/:id/tokens', auth, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to update it'
+      });
+    }
+
+    const { error, value } = schemas.linkTokens.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token request',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+    }
+
+    const minted = await linkUsageService.mintTokens(url, value);
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        count: minted.length,
+        // Tokens are only shown once; the links are what gets sent out
+        tokens: minted.map(({ token, doc }) => ({
+          ...formatLinkToken(doc),
+          token,
+          shortUrl: withLinkToken(`${baseUrl}/${url.shortId}`, token)
+        }))
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Mint link tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while minting tokens'
+    });
+  }
+});
+
+// GET /api/shorten/:id/tokens - Tokens minted for a link and how often they were used
+router.get('/:id/tokens', auth, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to view it'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { tokens, total } = await linkUsageService.listTokens(url._id, {
+      limit,
+      skip: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map(formatLinkToken),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get link tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tokens'
+    });
+  }
+});
+
+// DELETE /api/shorten/:id/tokens/:tokenId - Revoke a token
+router.delete('/:id/tokens/:tokenId', auth, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found or you do not have permission to update it'
+      });
+    }
+
+    await linkUsageService.revokeToken(url._id, req.params.tokenId);
+
+    res.json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke link token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking token'
+    });
+  }
+});
+
 module.exports = router;
@@ -4,7 +4,9 @@ const {
   getUserUrls, 
   updateUserUrl, 
   deleteUserUrl, 
-  generateUrlQR 
+  generateUrlQR,
+  getPreferences,
+  updatePreferences
 } = require('../controllers/userController');
 const { auth } = require('../middleware/auth');
 
@@ -25,4 +27,10 @@ router.delete('/urls/:id', deleteUserUrl);
 // GET /api/user/urls/:id/qr - Generate QR code for URL
 router.get('/urls/:id/qr', generateUrlQR);
 
+// GET /api/user/preferences - Get link creation preferences
+router.get('/preferences', getPreferences);
+
+// PUT /api/user/preferences - Update link creation preferences
+router.put('/preferences', updatePreferences);
+
 module.exports = router;
@@ -0,0 +1,101 @@
+// src/routes/utmRoutes.js - UTM templates, campaign URL builder and campaign report
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { sendError } = require('../middleware/errorHandler');
+const utmService = require('../services/utmService');
+const analyticsService = require('../services/analyticsService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Template as returned by every endpoint
+const buildTemplateResponse = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  fields: template.fields,
+  forceLowercase: template.forceLowercase,
+  enforcement: template.enforcement,
+  isDefault: template.isDefault,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// GET /api/utm/templates - List the user's UTM templates
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await utmService.listTemplates(req.user._id);
+    res.json({ success: true, data: templates.map(buildTemplateResponse) });
+  } catch (error) {
+    sendError(res, error, 'Fetching UTM templates');
+  }
+});
+
+// POST /api/utm/templates - Create a UTM template
+router.post('/templates', validate('utmTemplate'), async (req, res) => {
+  try {
+    const template = await utmService.createTemplate(req.user._id, req.body);
+    res.status(201).json({ success: true, data: buildTemplateResponse(template) });
+  } catch (error) {
+    sendError(res, error, 'Creating UTM template');
+  }
+});
+
+// PUT /api/utm/templates/:id - Update a UTM template
+router.put('/templates/:id', validate('utmTemplateUpdate'), async (req, res) => {
+  try {
+    const template = await utmService.updateTemplate(req.user._id, req.params.id, req.body);
+    res.json({ success: true, data: buildTemplateResponse(template) });
+  } catch (error) {
+    sendError(res, error, 'Updating UTM template');
+  }
+});
+
+// DELETE /api/utm/templates/:id - Delete a UTM template
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    await utmService.deleteTemplate(req.user._id, req.params.id);
+    res.json({ success: true, message: 'UTM template deleted' });
+  } catch (error) {
+    sendError(res, error, 'Deleting UTM template');
+  }
+});
+
+// POST /api/utm/build - Add UTM parameters to a destination and report any
+// convention problems with the chosen template
+router.post('/build', validate('utmBuild'), async (req, res) => {
+  try {
+    const { destination, templateId, values } = req.body;
+    const template = templateId ? await utmService.getTemplate(req.user._id, templateId) : null;
+    const result = utmService.buildUrl(destination, template, values || {});
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        valid: result.violations.length === 0
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Building campaign URL');
+  }
+});
+
+// GET /api/utm/campaigns - Clicks grouped by campaign across all links
+router.get('/campaigns', async (req, res) => {
+  try {
+    const timeRange = req.query.timeRange || '30d';
+    const campaigns = await analyticsService.getCampaignAnalytics(
+      req.user._id,
+      analyticsService.calculateDateRange(timeRange)
+    );
+    res.json({ success: true, data: { timeRange, campaigns } });
+  } catch (error) {
+    sendError(res, error, 'Fetching campaign analytics');
+  }
+});
+
+module.exports = router;
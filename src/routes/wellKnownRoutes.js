@@ -0,0 +1,32 @@
+// src/routes/wellKnownRoutes.js - Association files that let native apps open short links
+const express = require('express');
+const { getMobileApps, buildAppleAppSiteAssociation, buildAssetLinks } = require('../config/mobileApps');
+
+const router = express.Router();
+
+// GET /.well-known/apple-app-site-association - iOS universal links
+router.get('/apple-app-site-association', (req, res) => {
+  const apps = getMobileApps();
+
+  if (apps.ios.length === 0) {
+    return res.status(404).json({ error: 'No iOS apps configured' });
+  }
+
+  // Must be served as JSON, without redirects, for iOS to accept it
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(buildAppleAppSiteAssociation(apps));
+});
+
+// GET /.well-known/assetlinks.json - Android app links
+router.get('/assetlinks.json', (req, res) => {
+  const assetLinks = buildAssetLinks();
+
+  if (assetLinks.length === 0) {
+    return res.status(404).json({ error: 'No Android apps configured' });
+  }
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(assetLinks);
+});
+
+module.exports = router;
@@ -2,8 +2,22 @@
 const Analytics = require('../models/Analytics');
 const Url = require('../models/Url');
 const User = require('../models/User');
+const Folder = require('../models/Folder');
 const logger = require('../config/logger');
 const cacheService = require('./cacheService');
+const folderService = require('./folderService');
+const rollupService = require('./rollupService');
+const uniqueVisitorService = require('./uniqueVisitorService');
+
+// Report labels for the referrer categories clicks are stored with
+const REFERRER_CATEGORIES = {
+  direct: 'Direct',
+  search: 'Search Engine',
+  social: 'Social Media',
+  email: 'Email',
+  ads: 'Ads',
+  other: 'Other'
+};
 
 class AnalyticsService {
   // Generate comprehensive analytics report
@@ -12,6 +26,7 @@ class AnalyticsService {
       const {
         timeRange = '30d',
         urlId = null,
+        folderId = null,
         includeDetailed = false,
         format = 'json'
       } = options;
@@ -23,6 +38,17 @@ class AnalyticsService {
         baseQuery.urlId = urlId;
       }
 
+      // Folder reports cover the links in the folder and all its subfolders
+      let folder = null;
+      if (folderId) {
+        folder = await folderService.getFolder(userId, folderId);
+        if (!urlId) {
+          const folderIds = await folderService.getFolderIds(userId, folderId);
+          const urlIds = await Url.find({ userId, folderId: { $in: folderIds } }).distinct('_id');
+          baseQuery.urlId = { $in: urlIds };
+        }
+      }
+
       // Get analytics data
       const [
         clicksData,
@@ -30,14 +56,18 @@ class AnalyticsService {
         geographicData,
         deviceData,
         referrerData,
-        timeSeriesData
+        timeSeriesData,
+        folderData,
+        campaignData
       ] = await Promise.all([
         this.getClicksAnalytics(baseQuery, dateRange),
-        this.getTopUrls(userId, dateRange),
+        this.getTopUrls(userId, dateRange, 10, folder ? baseQuery.urlId : null),
         this.getGeographicAnalytics(baseQuery, dateRange),
         this.getDeviceAnalytics(baseQuery, dateRange),
         this.getReferrerAnalytics(baseQuery, dateRange),
-        this.getTimeSeriesData(baseQuery, dateRange)
+        this.getTimeSeriesData(baseQuery, dateRange),
+        urlId ? [] : this.getFolderAnalytics(userId, dateRange, folder ? folder._id : null),
+        this.getCampaignAnalytics(userId, dateRange, baseQuery.urlId ? baseQuery.urlId.$in || [baseQuery.urlId] : null)
       ]);
 
       const report = {
@@ -48,9 +78,12 @@ class AnalyticsService {
           totalClicks: clicksData.totalClicks,
           uniqueVisitors: clicksData.uniqueVisitors,
           totalUrls: topUrls.length,
-          avgClicksPerUrl: topUrls.length > 0 ? clicksData.totalClicks / topUrls.length : 0
+          avgClicksPerUrl: topUrls.length > 0 ? clicksData.totalClicks / topUrls.length : 0,
+          folder: folder ? { id: folder._id, name: folder.name } : null
         },
         topUrls,
+        folders: folderData,
+        campaigns: campaignData,
         geographic: geographicData,
         devices: deviceData,
         referrers: referrerData,
@@ -62,7 +95,7 @@ class AnalyticsService {
       }
 
       // Cache the report
-      const cacheKey = `analytics:report:${userId}:${timeRange}:${urlId || 'all'}`;
+      const cacheKey = `analytics:report:${userId}:${timeRange}:${urlId || 'all'}:${folderId || 'all'}`;
       await cacheService.set(cacheKey, report, 300); // Cache for 5 minutes
 
       return format === 'csv' ? this.formatAsCSV(report) : report;
@@ -73,343 +106,183 @@ class AnalyticsService {
     }
   }
 
+  // Links covered by a report query: the given urlId(s) or all of the user's links
+  async getUrlIds(baseQuery) {
+    if (baseQuery.urlId) {
+      return baseQuery.urlId.$in || [baseQuery.urlId];
+    }
+    return await Url.find({ userId: baseQuery.userId }).distinct('_id');
+  }
+
   // Get clicks analytics
   async getClicksAnalytics(baseQuery, dateRange) {
-    const pipeline = [
-      {
-        $match: {
-          ...baseQuery,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalClicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' },
-          uniqueUrls: { $addToSet: '$urlId' }
-        }
-      },
-      {
-        $project: {
-          totalClicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' },
-          uniqueUrls: { $size: '$uniqueUrls' }
-        }
-      }
-    ];
+    const urlIds = await this.getUrlIds(baseQuery);
+    const [totals, uniqueVisitors] = await Promise.all([
+      rollupService.getTotalsByLink(urlIds, dateRange),
+      uniqueVisitorService.countRange(urlIds, dateRange)
+    ]);
 
-    const result = await Analytics.aggregate(pipeline);
-    return result[0] || { totalClicks: 0, uniqueVisitors: 0, uniqueUrls: 0 };
+    return {
+      totalClicks: totals.reduce((sum, link) => sum + link.clicks, 0),
+      uniqueVisitors,
+      uniqueUrls: totals.filter(link => link.clicks > 0).length
+    };
   }
 
-  // Get top performing URLs
-  async getTopUrls(userId, dateRange, limit = 10) {
-    const pipeline = [
-      {
-        $match: {
-          userId,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: '$urlId',
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' },
-          lastClick: { $max: '$timestamp' }
-        }
-      },
-      {
-        $lookup: {
-          from: 'urls',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'url'
-        }
-      },
-      {
-        $unwind: '$url'
-      },
-      {
-        $project: {
-          urlId: '$_id',
-          shortCode: '$url.shortCode',
-          originalUrl: '$url.originalUrl',
-          title: '$url.title',
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' },
-          lastClick: 1,
-          clickThroughRate: {
-            $divide: ['$clicks', { $ifNull: ['$url.impressions', 1] }]
-          }
+  // Get top performing URLs, optionally limited by a urlId filter
+  async getTopUrls(userId, dateRange, limit = 10, urlFilter = null) {
+    const urlIds = await this.getUrlIds({ userId, urlId: urlFilter });
+    const totals = (await rollupService.getTotalsByLink(urlIds, dateRange)).slice(0, limit);
+
+    const urls = await Url.find({ _id: { $in: totals.map(link => link.urlId) } })
+      .select('shortCode originalUrl title impressions')
+      .lean();
+    const urlsById = new Map(urls.map(url => [url._id.toString(), url]));
+
+    return await Promise.all(totals
+      .filter(link => urlsById.has(link.urlId.toString()))
+      .map(async (link) => {
+        const url = urlsById.get(link.urlId.toString());
+        return {
+          urlId: link.urlId,
+          shortCode: url.shortCode,
+          originalUrl: url.originalUrl,
+          title: url.title,
+          clicks: link.clicks,
+          uniqueVisitors: await uniqueVisitorService.countRange([link.urlId], dateRange),
+          lastClick: link.lastClickAt,
+          clickThroughRate: link.clicks / (url.impressions || 1)
+        };
+      }));
+  }
+
+  // Clicks per folder in the date range, each folder including its
+  // subfolders. Limited to the subtree of `folderId` when given.
+  async getFolderAnalytics(userId, dateRange, folderId = null) {
+    const folders = await Folder.find(
+      folderId ? { userId, $or: [{ _id: folderId }, { ancestors: folderId }] } : { userId }
+    ).lean();
+    if (folders.length === 0) {
+      return [];
+    }
+
+    const urls = await Url.find({ userId, folderId: { $in: folders.map(folder => folder._id) } })
+      .select('_id folderId clicks')
+      .lean();
+
+    const urlClicks = urls.length === 0
+      ? []
+      : await rollupService.getTotalsByLink(urls.map(url => url._id), dateRange);
+
+    return this.rollUpFolderStats(folders, urls, urlClicks);
+  }
+
+  // Add each link's clicks to its folder and every folder above it
+  rollUpFolderStats(folders, urls, urlClicks) {
+    const foldersById = new Map(folders.map(folder => [folder._id.toString(), folder]));
+    const clicksByUrl = new Map(urlClicks.map(entry => [entry.urlId.toString(), entry]));
+    const stats = new Map(folders.map(folder => [folder._id.toString(), {
+      folderId: folder._id,
+      name: folder.name,
+      parentId: folder.parentId || null,
+      depth: (folder.ancestors || []).length,
+      links: 0,
+      totalClicks: 0,
+      clicks: 0,
+      uniqueVisitors: 0
+    }]));
+
+    urls.forEach(url => {
+      const folder = foldersById.get(url.folderId.toString());
+      if (!folder) return;
+
+      const ranged = clicksByUrl.get(url._id.toString());
+      [folder._id, ...(folder.ancestors || [])].forEach(id => {
+        const entry = stats.get(id.toString());
+        if (!entry) return;
+
+        entry.links += 1;
+        entry.totalClicks += url.clicks || 0;
+        if (ranged) {
+          entry.clicks += ranged.clicks;
+          entry.uniqueVisitors += ranged.uniqueVisitors;
         }
-      },
-      {
-        $sort: { clicks: -1 }
-      },
-      {
-        $limit: limit
-      }
-    ];
+      });
+    });
 
-    return await Analytics.aggregate(pipeline);
+    return [...stats.values()]
+      .sort((a, b) => b.clicks - a.clicks || a.name.localeCompare(b.name));
+  }
+
+  // Clicks grouped by utm_campaign across links. A click's campaign comes from
+  // the short link's query string or the UTM parameters of its destination.
+  // Limited to `urlIds` when given.
+  async getCampaignAnalytics(userId, dateRange, urlIds = null) {
+    const ids = urlIds || await Url.find({ userId }).distinct('_id');
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const { campaign } = await rollupService.getBreakdown(ids, dateRange, ['campaign']);
+
+    return campaign.slice(0, 100).map(item => ({
+      campaign: item.value,
+      clicks: item.clicks,
+      uniqueVisitors: item.uniqueVisitors,
+      links: item.links,
+      sources: item.sources,
+      mediums: item.mediums,
+      lastClick: item.lastClickAt
+    }));
   }
 
   // Get geographic analytics
   async getGeographicAnalytics(baseQuery, dateRange) {
-    const pipeline = [
-      {
-        $match: {
-          ...baseQuery,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            country: '$country',
-            city: '$city'
-          },
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' }
-        }
-      },
-      {
-        $project: {
-          country: '$_id.country',
-          city: '$_id.city',
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' }
-        }
-      },
-      {
-        $sort: { clicks: -1 }
-      },
-      {
-        $limit: 50
-      }
-    ];
+    const urlIds = await this.getUrlIds(baseQuery);
+    const { country } = await rollupService.getBreakdown(urlIds, dateRange, ['country']);
 
-    const results = await Analytics.aggregate(pipeline);
-    
-    // Group by country for summary
-    const countryStats = {};
-    results.forEach(item => {
-      const country = item.country || 'Unknown';
-      if (!countryStats[country]) {
-        countryStats[country] = { clicks: 0, uniqueVisitors: 0, cities: [] };
-      }
-      countryStats[country].clicks += item.clicks;
-      countryStats[country].uniqueVisitors += item.uniqueVisitors;
-      countryStats[country].cities.push({
-        city: item.city || 'Unknown',
-        clicks: item.clicks,
-        uniqueVisitors: item.uniqueVisitors
-      });
-    });
+    const byCountry = country.map(item => ({
+      country: item.value,
+      clicks: item.clicks,
+      uniqueVisitors: item.uniqueVisitors
+    }));
 
     return {
-      byLocation: results,
-      byCountry: Object.entries(countryStats).map(([country, stats]) => ({
-        country,
-        ...stats
-      })).sort((a, b) => b.clicks - a.clicks)
+      byLocation: byCountry.slice(0, 50),
+      byCountry
     };
   }
 
   // Get device analytics
   async getDeviceAnalytics(baseQuery, dateRange) {
-    const pipeline = [
-      {
-        $match: {
-          ...baseQuery,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            deviceType: '$deviceType',
-            browser: '$browser',
-            os: '$os'
-          },
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' }
-        }
-      },
-      {
-        $project: {
-          deviceType: '$_id.deviceType',
-          browser: '$_id.browser',
-          os: '$_id.os',
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' }
-        }
-      },
-      {
-        $sort: { clicks: -1 }
-      }
-    ];
-
-    const results = await Analytics.aggregate(pipeline);
-    
-    // Categorize results
-    const deviceTypes = {};
-    const browsers = {};
-    const operatingSystems = {};
-
-    results.forEach(item => {
-      // Device types
-      const deviceType = item.deviceType || 'Unknown';
-      if (!deviceTypes[deviceType]) {
-        deviceTypes[deviceType] = { clicks: 0, uniqueVisitors: 0 };
-      }
-      deviceTypes[deviceType].clicks += item.clicks;
-      deviceTypes[deviceType].uniqueVisitors += item.uniqueVisitors;
-
-      // Browsers
-      const browser = item.browser || 'Unknown';
-      if (!browsers[browser]) {
-        browsers[browser] = { clicks: 0, uniqueVisitors: 0 };
-      }
-      browsers[browser].clicks += item.clicks;
-      browsers[browser].uniqueVisitors += item.uniqueVisitors;
-
-      // Operating systems
-      const os = item.os || 'Unknown';
-      if (!operatingSystems[os]) {
-        operatingSystems[os] = { clicks: 0, uniqueVisitors: 0 };
-      }
-      operatingSystems[os].clicks += item.clicks;
-      operatingSystems[os].uniqueVisitors += item.uniqueVisitors;
-    });
+    const urlIds = await this.getUrlIds(baseQuery);
+    const { device, browser, os } = await rollupService.getBreakdown(urlIds, dateRange, ['device', 'browser', 'os']);
+    const stats = item => ({ clicks: item.clicks, uniqueVisitors: item.uniqueVisitors });
 
     return {
-      deviceTypes: Object.entries(deviceTypes).map(([type, stats]) => ({ type, ...stats })),
-      browsers: Object.entries(browsers).map(([browser, stats]) => ({ browser, ...stats })),
-      operatingSystems: Object.entries(operatingSystems).map(([os, stats]) => ({ os, ...stats }))
+      deviceTypes: device.map(item => ({ type: item.value, ...stats(item) })),
+      browsers: browser.map(item => ({ browser: item.value, ...stats(item) })),
+      operatingSystems: os.map(item => ({ os: item.value, ...stats(item) }))
     };
   }
 
-  // Get referrer analytics
+  // Get referrer analytics, by referrer category
   async getReferrerAnalytics(baseQuery, dateRange) {
-    const pipeline = [
-      {
-        $match: {
-          ...baseQuery,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: '$referrer',
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' }
-        }
-      },
-      {
-        $project: {
-          referrer: '$_id',
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' }
-        }
-      },
-      {
-        $sort: { clicks: -1 }
-      },
-      {
-        $limit: 20
-      }
-    ];
-
-    const results = await Analytics.aggregate(pipeline);
-    
-    // Categorize referrers
-    const categorized = results.map(item => {
-      const referrer = item.referrer || 'Direct';
-      let category = 'Other';
-      
-      if (!item.referrer || item.referrer === '') {
-        category = 'Direct';
-      } else if (item.referrer.includes('google')) {
-        category = 'Search Engine';
-      } else if (item.referrer.includes('facebook') || item.referrer.includes('twitter') || 
-                 item.referrer.includes('linkedin') || item.referrer.includes('instagram')) {
-        category = 'Social Media';
-      } else if (item.referrer.includes('email') || item.referrer.includes('newsletter')) {
-        category = 'Email';
-      }
-
-      return {
-        ...item,
-        referrer,
-        category
-      };
-    });
-
-    return categorized;
+    const urlIds = await this.getUrlIds(baseQuery);
+    const { referrer } = await rollupService.getBreakdown(urlIds, dateRange, ['referrer']);
+
+    return referrer.map(item => ({
+      referrer: item.value,
+      category: REFERRER_CATEGORIES[item.value] || 'Other',
+      clicks: item.clicks,
+      uniqueVisitors: item.uniqueVisitors
+    }));
   }
 
-  // Get time series data
+  // Get time series data: hourly points for up to a week, daily beyond
   async getTimeSeriesData(baseQuery, dateRange) {
-    const pipeline = [
-      {
-        $match: {
-          ...baseQuery,
-          timestamp: {
-            $gte: dateRange.startDate,
-            $lte: dateRange.endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' },
-            hour: { $hour: '$timestamp' }
-          },
-          clicks: { $sum: 1 },
-          uniqueVisitors: { $addToSet: '$ipHash' }
-        }
-      },
-      {
-        $project: {
-          date: {
-            $dateFromParts: {
-              year: '$_id.year',
-              month: '$_id.month',
-              day: '$_id.day',
-              hour: '$_id.hour'
-            }
-          },
-          clicks: 1,
-          uniqueVisitors: { $size: '$uniqueVisitors' }
-        }
-      },
-      {
-        $sort: { date: 1 }
-      }
-    ];
-
-    return await Analytics.aggregate(pipeline);
+    const urlIds = await this.getUrlIds(baseQuery);
+    return await rollupService.getTimeSeries(urlIds, dateRange);
   }
 
   // Calculate date range based on time range string
@@ -460,11 +333,39 @@ class AnalyticsService {
     });
     csvData.push('');
 
+    // Add folder data
+    if (report.folders && report.folders.length > 0) {
+      csvData.push('Folders');
+      csvData.push('Folder,Links,Clicks,Unique Visitors,Total Clicks');
+      report.folders.forEach(folder => {
+        csvData.push(`"${folder.name.replace(/"/g, '""')}",${folder.links},${folder.clicks},${folder.uniqueVisitors},${folder.totalClicks}`);
+      });
+      csvData.push('');
+    }
+
+    // Add campaign data
+    if (report.campaigns && report.campaigns.length > 0) {
+      csvData.push('Campaigns');
+      csvData.push('Campaign,Links,Clicks,Unique Visitors,Sources,Mediums');
+      report.campaigns.forEach(campaign => {
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        csvData.push([
+          quote(campaign.campaign),
+          campaign.links,
+          campaign.clicks,
+          campaign.uniqueVisitors,
+          quote(campaign.sources.join(' ')),
+          quote(campaign.mediums.join(' '))
+        ].join(','));
+      });
+      csvData.push('');
+    }
+
     // Add geographic data
     csvData.push('Geographic Data');
-    csvData.push('Country,City,Clicks,Unique Visitors');
+    csvData.push('Country,Clicks,Unique Visitors');
     report.geographic.byLocation.forEach(location => {
-      csvData.push(`${location.country || 'Unknown'},${location.city || 'Unknown'},${location.clicks},${location.uniqueVisitors}`);
+      csvData.push(`${location.country || 'Unknown'},${location.clicks},${location.uniqueVisitors}`);
     });
 
     return csvData.join('\n');
@@ -0,0 +1,204 @@
+// src/services/bioPageService.js - Link-in-bio pages built from a user's short links
+const BioPage = require('../models/BioPage');
+const Url = require('../models/Url');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const MAX_BLOCKS = 100;
+const PAGE_FIELDS = ['title', 'bio', 'avatar', 'isPublished'];
+const BLOCK_FIELDS = ['title', 'text', 'thumbnail', 'visible'];
+
+class BioPageService {
+  // Get the user's bio page, creating an empty draft on first use
+  async getOrCreatePage(userId) {
+    const page = await BioPage.findOne({ userId });
+    if (page) return page;
+
+    return BioPage.create({ userId });
+  }
+
+  // Update page-level settings (title, bio, avatar, published state)
+  async updatePage(userId, data) {
+    const page = await this.getOrCreatePage(userId);
+
+    for (const field of PAGE_FIELDS) {
+      if (data[field] !== undefined) {
+        page[field] = data[field];
+      }
+    }
+
+    await page.save();
+    return page;
+  }
+
+  // Make sure a link block points at one of the user's own links
+  async assertOwnsUrl(userId, urlId) {
+    const url = await Url.findOne({ _id: urlId, userId }).select('_id');
+    if (!url) {
+      throw new NotFoundError('URL');
+    }
+  }
+
+  async addBlock(userId, data) {
+    const page = await this.getOrCreatePage(userId);
+
+    if (page.blocks.length >= MAX_BLOCKS) {
+      throw new ValidationError(`A bio page cannot have more than ${MAX_BLOCKS} blocks`);
+    }
+
+    const type = data.type || 'link';
+    if (type === 'link') {
+      await this.assertOwnsUrl(userId, data.urlId);
+    }
+
+    const lastPosition = page.blocks.reduce((max, block) => Math.max(max, block.position), -1);
+
+    page.blocks.push({
+      type,
+      urlId: type === 'link' ? data.urlId : null,
+      title: data.title || null,
+      text: data.text || null,
+      thumbnail: data.thumbnail || null,
+      visible: data.visible !== false,
+      position: lastPosition + 1
+    });
+
+    await page.save();
+    return page;
+  }
+
+  async updateBlock(userId, blockId, data) {
+    const page = await this.getOrCreatePage(userId);
+    const block = page.blocks.id(blockId);
+
+    if (!block) {
+      throw new NotFoundError('Block');
+    }
+
+    if (block.type === 'link' && data.urlId !== undefined) {
+      await this.assertOwnsUrl(userId, data.urlId);
+      block.urlId = data.urlId;
+    }
+
+    for (const field of BLOCK_FIELDS) {
+      if (data[field] !== undefined) {
+        block[field] = data[field];
+      }
+    }
+
+    await page.save();
+    return page;
+  }
+
+  async removeBlock(userId, blockId) {
+    const page = await this.getOrCreatePage(userId);
+    const block = page.blocks.id(blockId);
+
+    if (!block) {
+      throw new NotFoundError('Block');
+    }
+
+    block.deleteOne();
+    await page.save();
+    return page;
+  }
+
+  // Reorder blocks to match the given list of block ids. Blocks left out of
+  // the list keep their relative order after the listed ones.
+  async reorderBlocks(userId, blockIds) {
+    const page = await this.getOrCreatePage(userId);
+    const ordered = page.getOrderedBlocks();
+    const rank = new Map(blockIds.map((id, index) => [id.toString(), index]));
+
+    const unknown = blockIds.filter(id => !page.blocks.id(id));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown block ids', { blockIds: unknown });
+    }
+
+    ordered
+      .sort((a, b) => (rank.get(a._id.toString()) ?? Infinity) - (rank.get(b._id.toString()) ?? Infinity))
+      .forEach((block, index) => {
+        block.position = index;
+      });
+
+    await page.save();
+    return page;
+  }
+
+  // Resolve blocks into display data, joining in each link's title and image.
+  // Links that are disabled, expired or deleted are left off public pages.
+  async resolveBlocks(page, { publicOnly = false } = {}) {
+    const urlIds = page.blocks.filter(block => block.urlId).map(block => block.urlId);
+    const urls = await Url.find({ _id: { $in: urlIds }, userId: page.userId })
+      .select('shortCode shortId customAlias originalUrl title description socialPreview metadata status isActive expiresAt clicks')
+      .lean();
+    const urlsById = new Map(urls.map(url => [url._id.toString(), url]));
+
+    return page.getOrderedBlocks()
+      .map(block => {
+        const data = {
+          id: block._id,
+          type: block.type,
+          title: block.title,
+          text: block.text,
+          thumbnail: block.thumbnail,
+          position: block.position,
+          visible: block.visible
+        };
+
+        if (block.type !== 'link') return data;
+
+        const url = block.urlId ? urlsById.get(block.urlId.toString()) : null;
+        if (!url) return { ...data, url: null };
+
+        return {
+          ...data,
+          title: block.title || url.socialPreview?.title || url.title || url.metadata?.title || url.originalUrl,
+          thumbnail: block.thumbnail || url.socialPreview?.image || url.metadata?.image || url.metadata?.favicon || null,
+          url: {
+            id: url._id,
+            shortCode: url.customAlias || url.shortId || url.shortCode,
+            originalUrl: url.originalUrl,
+            clicks: url.clicks || 0,
+            isLive: url.isActive !== false && (!url.status || url.status === 'active') &&
+              (!url.expiresAt || new Date(url.expiresAt) > new Date())
+          }
+        };
+      })
+      .filter(block => {
+        if (!publicOnly) return true;
+        if (!block.visible) return false;
+        return block.type !== 'link' || (block.url && block.url.isLive);
+      });
+  }
+
+  // Published page for a username, with its visible blocks
+  async getPublicPage(username) {
+    const user = await User.findOne({ username }).select('_id username name');
+    if (!user) return null;
+
+    const page = await BioPage.findOne({ userId: user._id, isPublished: true });
+    if (!page) return null;
+
+    const blocks = await this.resolveBlocks(page, { publicOnly: true });
+    return { user, page, blocks };
+  }
+
+  // Short link behind a block on a published page, or null
+  async getBlockLink(username, blockId) {
+    const result = await this.getPublicPage(username);
+    if (!result) return null;
+
+    const block = result.blocks.find(entry => entry.id.toString() === blockId && entry.type === 'link');
+    return block ? block.url : null;
+  }
+
+  // Count a page view without holding up the response
+  recordView(pageId) {
+    BioPage.updateOne({ _id: pageId }, { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } })
+      .catch(error => logger.error('Failed to record bio page view:', { error: error.message, pageId: pageId.toString() }));
+  }
+}
+
+module.exports = new BioPageService();
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const logger = require('../config/logger');
 const cacheService = require('./cacheService');
 const subscriptionService = require('./subscriptionService');
+const { USAGE_PAGES } = require('./linkUsageService');
 
 class BrandingService {
   // Get user's branding configuration
@@ -171,26 +172,44 @@ class BrandingService {
     return validated;
   }
 
-  // Generate branded short URL page
-  async generateBrandedPage(shortCode, branding, urlData) {
+  // Generate the branded interstitial shown before a visitor leaves for the
+  // destination. It counts down and redirects, or waits for a "Continue" click
+  // when requireClick is set.
+  async generateBrandedPage(shortCode, branding, urlData, options = {}) {
     try {
+      const {
+        title = "You're leaving this site",
+        message = '',
+        delaySeconds = 5,
+        requireClick = false,
+        headHtml = ''
+      } = options;
+      const colors = branding.colors || {};
+      const fonts = branding.fonts || {};
+      const companyName = this.escapeHtml(branding.companyName || 'Link Shortener');
+      const destination = this.escapeHtml(urlData.originalUrl);
+      const delay = Math.max(0, Math.floor(Number(delaySeconds) || 0));
+      const socialLinks = Object.entries(branding.socialLinks || {})
+        .filter(([, href]) => typeof href === 'string' && /^https?:\/\//i.test(href));
+
       const template = `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${branding.companyName || 'Link Shortener'}</title>
-    ${branding.favicon ? `<link rel="icon" href="${branding.favicon}">` : ''}
+    <meta name="robots" content="noindex">
+    <title>${this.escapeHtml(title)} - ${companyName}</title>
+    ${branding.favicon ? `<link rel="icon" href="${this.escapeHtml(branding.favicon)}">` : ''}
     <style>
         :root {
-            --primary-color: ${branding.colors?.primary || '#2563eb'};
-            --secondary-color: ${branding.colors?.secondary || '#64748b'};
-            --accent-color: ${branding.colors?.accent || '#10b981'};
-            --background-color: ${branding.colors?.background || '#ffffff'};
-            --text-color: ${branding.colors?.text || '#1f2937'};
-            --primary-font: ${branding.fonts?.primary || 'Inter, sans-serif'};
-            --secondary-font: ${branding.fonts?.secondary || 'system-ui, sans-serif'};
+            --primary-color: ${this.pickColor(colors.primary) || '#2563eb'};
+            --secondary-color: ${this.pickColor(colors.secondary) || '#64748b'};
+            --accent-color: ${this.pickColor(colors.accent) || '#10b981'};
+            --background-color: ${this.pickColor(colors.background) || '#ffffff'};
+            --text-color: ${this.pickColor(colors.text) || '#1f2937'};
+            --primary-font: ${this.cssValue(fonts.primary, 'Inter, sans-serif')};
+            --secondary-font: ${this.cssValue(fonts.secondary, 'system-ui, sans-serif')};
         }
         
         * {
@@ -239,6 +258,12 @@ class BrandingService {
             color: var(--secondary-color);
         }
         
+        .disclaimer {
+            margin-bottom: 2rem;
+            line-height: 1.6;
+            white-space: pre-line;
+        }
+        
         .url-info {
             background: rgba(0, 0, 0, 0.05);
             padding: 1.5rem;
@@ -292,67 +317,71 @@ class BrandingService {
             margin: 1rem 0;
         }
         
-        ${branding.customCSS || ''}
+        ${(branding.customCSS || '').replace(/</g, '')}
     </style>
+    ${headHtml}
 </head>
 <body>
     <div class="container">
         ${branding.logo ? `
         <div class="logo">
-            <img src="${branding.logo}" alt="${branding.companyName || 'Logo'}">
+            <img src="${this.escapeHtml(branding.logo)}" alt="${companyName}">
         </div>
         ` : ''}
         
-        <h1 class="company-name">${branding.companyName || 'Link Shortener'}</h1>
+        <h1 class="company-name">${companyName}</h1>
         
-        <p class="redirect-message">You're being redirected to:</p>
+        <p class="redirect-message">${this.escapeHtml(title)}</p>
+        
+        ${message ? `<p class="disclaimer">${this.escapeHtml(message)}</p>` : ''}
         
         <div class="url-info">
-            <a href="${urlData.originalUrl}" class="original-url" target="_blank">
-                ${urlData.originalUrl}
+            <a href="${destination}" class="original-url" rel="noopener noreferrer">
+                ${destination}
             </a>
         </div>
         
+        ${!requireClick ? `
         <div class="countdown">
-            Redirecting in <span id="countdown">5</span> seconds...
+            Redirecting in <span id="countdown">${delay}</span> seconds...
         </div>
+        ` : ''}
         
-        <a href="${urlData.originalUrl}" class="continue-button">
-            Continue Now
+        <a href="${destination}" class="continue-button" rel="noopener noreferrer">
+            Continue${requireClick ? '' : ' Now'}
         </a>
         
         <div class="footer">
-            ${branding.customFooter || ''}
+            ${branding.customFooter ? `<p>${this.escapeHtml(branding.customFooter)}</p>` : ''}
             
             ${!branding.hideDefaultBranding ? `
-            <p>Powered by ${branding.companyName || 'Link Shortener'}</p>
+            <p>Powered by ${companyName}</p>
             ` : ''}
             
-            ${branding.socialLinks && Object.values(branding.socialLinks).some(link => link) ? `
+            ${socialLinks.length > 0 ? `
             <div class="social-links">
-                ${branding.socialLinks.website ? `<a href="${branding.socialLinks.website}">Website</a>` : ''}
-                ${branding.socialLinks.twitter ? `<a href="${branding.socialLinks.twitter}">Twitter</a>` : ''}
-                ${branding.socialLinks.linkedin ? `<a href="${branding.socialLinks.linkedin}">LinkedIn</a>` : ''}
-                ${branding.socialLinks.facebook ? `<a href="${branding.socialLinks.facebook}">Facebook</a>` : ''}
+                ${socialLinks.map(([name, href]) => `<a href="${this.escapeHtml(href)}" rel="noopener">${this.escapeHtml(name.charAt(0).toUpperCase() + name.slice(1))}</a>`).join('')}
             </div>
             ` : ''}
         </div>
     </div>
-    
+    ${!requireClick ? `
     <script>
-        let countdown = 5;
-        const countdownElement = document.getElementById('countdown');
+        var countdown = ${delay};
+        var destination = ${JSON.stringify(urlData.originalUrl).replace(/</g, '\\u003c')};
+        var countdownElement = document.getElementById('countdown');
         
-        const timer = setInterval(() => {
+        var timer = setInterval(function () {
             countdown--;
-            countdownElement.textContent = countdown;
+            countdownElement.textContent = Math.max(countdown, 0);
             
             if (countdown <= 0) {
                 clearInterval(timer);
-                window.location.href = '${urlData.originalUrl}';
+                window.location.replace(destination);
             }
         }, 1000);
     </script>
+    ` : ''}
 </body>
 </html>`;
 
@@ -363,6 +392,296 @@ class BrandingService {
     }
   }
 
+  // Render a link's interstitial, branded with its owner's settings
+  async generateInterstitialPage(url, destination, interstitial) {
+    const ownerId = url.userId?._id || url.userId;
+    const branding = ownerId
+      ? await this.getUserBranding(ownerId)
+      : this.getDefaultBranding();
+
+    return this.generateBrandedPage(
+      url.shortCode || url.shortId,
+      branding,
+      { originalUrl: destination },
+      interstitial
+    );
+  }
+
+  // Render the owner-branded notice for a link that is scheduled, capped,
+  // expired or refused by its usage limits. Returns the HTTP status and page.
+  async generateUnavailableLinkPage(url, reason) {
+    const ownerId = url.userId?._id || url.userId;
+    const branding = ownerId
+      ? await this.getUserBranding(ownerId)
+      : this.getDefaultBranding();
+
+    // One-time and limited-use links (see services/linkUsageService.js)
+    if (USAGE_PAGES[reason]) {
+      const { status, ...page } = USAGE_PAGES[reason];
+      return { status, html: this.generateUnavailablePage(branding, page) };
+    }
+
+    const pages = {
+      scheduled: {
+        title: 'Link Not Active Yet',
+        message: url.fallbackMessage || 'This link is not active yet. Please check back later.',
+        details: url.activatesAt ? `Available from: ${new Date(url.activatesAt).toUTCString()}` : ''
+      },
+      click_limit: {
+        title: 'Link Limit Reached',
+        message: url.fallbackMessage || 'This link has reached its maximum number of visits.'
+      },
+      expired: {
+        title: 'Link Expired',
+        message: url.fallbackMessage || 'This link has expired and is no longer accessible.',
+        details: url.expiresAt ? `Expired on: ${new Date(url.expiresAt).toUTCString()}` : ''
+      }
+    };
+
+    return {
+      status: reason === 'scheduled' ? 403 : 410,
+      html: this.generateUnavailablePage(branding, pages[reason] || pages.expired)
+    };
+  }
+
+  // Generate a branded notice page for links that cannot be visited right now
+  generateUnavailablePage(branding, { title, message, details = '' }) {
+    const colors = branding.colors || {};
+    const fonts = branding.fonts || {};
+    const primary = this.pickColor(colors.primary) || '#2563eb';
+    const secondary = this.pickColor(colors.secondary) || '#64748b';
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${this.escapeHtml(title)} - ${this.escapeHtml(branding.companyName || 'Link Shortener')}</title>
+    ${branding.favicon ? `<link rel="icon" href="${this.escapeHtml(branding.favicon)}">` : ''}
+    <style>
+        body {
+            font-family: ${this.cssValue(fonts.primary, 'Inter, sans-serif')};
+            background-color: ${this.pickColor(colors.background) || '#ffffff'};
+            color: ${this.pickColor(colors.text) || '#1f2937'};
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin: 0;
+            padding: 20px;
+        }
+        .container { text-align: center; max-width: 600px; width: 100%; }
+        .logo img { max-width: 200px; height: auto; margin-bottom: 2rem; }
+        h1 { color: ${primary}; margin-bottom: 1rem; }
+        p { color: ${secondary}; line-height: 1.6; }
+        .details { margin-top: 1rem; font-size: 0.9rem; color: ${this.pickColor(colors.accent) || '#10b981'}; }
+        .footer { margin-top: 3rem; font-size: 0.9rem; color: ${secondary}; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${branding.logo ? `<div class="logo"><img src="${this.escapeHtml(branding.logo)}" alt="${this.escapeHtml(branding.companyName || 'Logo')}"></div>` : ''}
+        <h1>${this.escapeHtml(title)}</h1>
+        <p>${this.escapeHtml(message)}</p>
+        ${details ? `<div class="details">${this.escapeHtml(details)}</div>` : ''}
+        <div class="footer">
+            ${!branding.hideDefaultBranding ? `<p>Powered by ${this.escapeHtml(branding.companyName || 'Link Shortener')}</p>` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  // Generate the Open Graph page served to link-unfurling crawlers. Anything
+  // that follows it (or a browser that lands on it) is sent on to the destination.
+  generateSocialPreviewPage({ title, description, image, shortUrl, destination }) {
+    const meta = (attr, name, content) =>
+      content ? `<meta ${attr}="${name}" content="${this.escapeHtml(content)}">` : '';
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="robots" content="noindex">
+    <title>${this.escapeHtml(title)}</title>
+    ${meta('name', 'description', description)}
+    ${meta('property', 'og:type', 'website')}
+    ${meta('property', 'og:title', title)}
+    ${meta('property', 'og:description', description)}
+    ${meta('property', 'og:image', image)}
+    ${meta('property', 'og:url', shortUrl)}
+    ${meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary')}
+    ${meta('name', 'twitter:title', title)}
+    ${meta('name', 'twitter:description', description)}
+    ${meta('name', 'twitter:image', image)}
+    <meta http-equiv="refresh" content="0; url=${this.escapeHtml(destination)}">
+</head>
+<body>
+    <p><a href="${this.escapeHtml(destination)}">${this.escapeHtml(title)}</a></p>
+</body>
+</html>`;
+  }
+
+  // Generate the page that fires retargeting pixels (already rendered into
+  // `pixelHtml`) and forwards once they have loaded, or after maxWaitMs
+  generatePixelPage({ pixelHtml, destination, maxWaitMs = 1500 }) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Redirecting...</title>
+    ${pixelHtml}
+</head>
+<body>
+    <p>Redirecting... <a href="${this.escapeHtml(destination)}">Continue here</a> if nothing happens.</p>
+    <noscript><meta http-equiv="refresh" content="0; url=${this.escapeHtml(destination)}"></noscript>
+    <script>
+        (function () {
+            var destination = ${JSON.stringify(destination).replace(/</g, '\\u003c')};
+            var done = false;
+            function forward() {
+                if (done) return;
+                done = true;
+                window.location.replace(destination);
+            }
+            window.addEventListener('load', function () { setTimeout(forward, 100); });
+            setTimeout(forward, ${Math.max(0, Math.floor(Number(maxWaitMs) || 0))});
+        })();
+    </script>
+</body>
+</html>`;
+  }
+
+  // Generate the page that tries to open an app through its URI scheme and
+  // falls back to the store (or web) when nothing handles it
+  generateAppRedirectPage({ appUrl, fallbackUrl }) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Opening app...</title>
+</head>
+<body>
+    <p>Opening the app... <a href="${this.escapeHtml(fallbackUrl)}">Continue here</a> if nothing happens.</p>
+    <script>
+        var fallback = ${JSON.stringify(fallbackUrl).replace(/</g, '\\u003c')};
+        var timer = setTimeout(function () { window.location.replace(fallback); }, 1500);
+        // The page is hidden once the app opens - don't send the visitor to the store then
+        document.addEventListener('visibilitychange', function () {
+            if (document.hidden) clearTimeout(timer);
+        });
+        window.location.href = ${JSON.stringify(appUrl).replace(/</g, '\\u003c')};
+    </script>
+</body>
+</html>`;
+  }
+
+  // Generate a public link-in-bio page. Link blocks point at `${linkBase}/<blockId>`
+  // so clicks go through the redirect route and are tracked.
+  generateBioPage(branding, { user, page, blocks, linkBase }) {
+    const colors = branding.colors || {};
+    const fonts = branding.fonts || {};
+    // Account branding stores flat primaryColor / secondaryColor
+    const primary = this.pickColor(colors.primary, branding.primaryColor) || '#2563eb';
+    const secondary = this.pickColor(colors.secondary, branding.secondaryColor) || '#64748b';
+    const title = page.title || user.name || `@${user.username}`;
+    const socialLinks = Object.entries(branding.socialLinks || {})
+      .filter(([, href]) => /^https?:\/\//i.test(href || ''));
+
+    const renderBlock = (block) => {
+      if (block.type === 'header') {
+        return `<h2 class="block-header">${this.escapeHtml(block.title || block.text)}</h2>`;
+      }
+      if (block.type === 'text') {
+        return `<p class="block-text">${this.escapeHtml(block.text || block.title)}</p>`;
+      }
+      return `
+        <a class="block-link" href="${this.escapeHtml(`${linkBase}/${block.id}`)}" rel="noopener">
+            ${block.thumbnail ? `<img src="${this.escapeHtml(block.thumbnail)}" alt="" loading="lazy">` : ''}
+            <span>${this.escapeHtml(block.title)}</span>
+        </a>`;
+    };
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(title)}</title>
+    ${page.bio ? `<meta name="description" content="${this.escapeHtml(page.bio)}">` : ''}
+    <meta property="og:title" content="${this.escapeHtml(title)}">
+    ${page.bio ? `<meta property="og:description" content="${this.escapeHtml(page.bio)}">` : ''}
+    ${page.avatar ? `<meta property="og:image" content="${this.escapeHtml(page.avatar)}">` : ''}
+    ${branding.favicon ? `<link rel="icon" href="${this.escapeHtml(branding.favicon)}">` : ''}
+    <style>
+        body {
+            font-family: ${this.cssValue(fonts.primary, 'Inter, sans-serif')};
+            background-color: ${this.pickColor(colors.background) || '#ffffff'};
+            color: ${this.pickColor(colors.text) || '#1f2937'};
+            margin: 0;
+            padding: 40px 20px;
+        }
+        .container { max-width: 560px; margin: 0 auto; text-align: center; }
+        .logo img { max-width: 160px; height: auto; margin-bottom: 1.5rem; }
+        .avatar { width: 96px; height: 96px; border-radius: 50%; object-fit: cover; }
+        h1 { color: ${primary}; margin: 1rem 0 0.5rem; }
+        .bio { color: ${secondary}; line-height: 1.6; margin-bottom: 2rem; }
+        .block-header { font-family: ${this.cssValue(fonts.secondary || fonts.primary, 'system-ui, sans-serif')}; font-size: 1.1rem; margin: 2rem 0 1rem; }
+        .block-text { color: ${secondary}; line-height: 1.6; }
+        .block-link {
+            display: flex; align-items: center; gap: 12px;
+            margin: 0 0 12px; padding: 14px 18px;
+            border: 2px solid ${primary}; border-radius: 12px;
+            color: ${primary}; text-decoration: none; font-weight: 600;
+        }
+        .block-link:hover { background-color: ${primary}; color: #ffffff; }
+        .block-link img { width: 40px; height: 40px; border-radius: 8px; object-fit: cover; }
+        .block-link span { flex: 1; }
+        .social { margin-top: 2rem; }
+        .social a { color: ${secondary}; margin: 0 8px; text-transform: capitalize; }
+        .footer { margin-top: 3rem; font-size: 0.9rem; color: ${secondary}; }
+        ${(branding.customCSS || '').replace(/</g, '')}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${branding.logo ? `<div class="logo"><img src="${this.escapeHtml(branding.logo)}" alt="${this.escapeHtml(branding.companyName || 'Logo')}"></div>` : ''}
+        ${page.avatar ? `<img class="avatar" src="${this.escapeHtml(page.avatar)}" alt="${this.escapeHtml(title)}">` : ''}
+        <h1>${this.escapeHtml(title)}</h1>
+        ${page.bio ? `<p class="bio">${this.escapeHtml(page.bio)}</p>` : ''}
+        ${blocks.map(renderBlock).join('')}
+        ${socialLinks.length > 0 ? `
+        <div class="social">
+            ${socialLinks.map(([name, href]) => `<a href="${this.escapeHtml(href)}" rel="noopener">${this.escapeHtml(name)}</a>`).join('')}
+        </div>` : ''}
+        <div class="footer">
+            ${!branding.hideDefaultBranding ? `<p>Powered by ${this.escapeHtml(branding.companyName || 'Link Shortener')}</p>` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  // Escape user-provided text before embedding it in HTML
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   // Generate custom domain configuration
   async generateDomainConfig(userId, domain) {
     try {
@@ -417,6 +736,16 @@ class BrandingService {
     return colorRegex.test(color);
   }
 
+  // Return the first valid color so stored values can't escape a <style> block
+  pickColor(...values) {
+    return values.find(value => value && this.isValidColor(value));
+  }
+
+  // Strip characters that would end a CSS declaration or the <style> block
+  cssValue(value, fallback) {
+    return value ? String(value).replace(/[<>{};]/g, '') : fallback;
+  }
+
   // Sanitize CSS to prevent XSS
   sanitizeCSS(css) {
     // Remove potentially dangerous CSS
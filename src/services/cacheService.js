@@ -13,6 +13,34 @@ class CacheService {
     return `${this.keyPrefix}${type}:${identifier}`;
   }
 
+  // Generic key/value helpers (keys are namespaced with the cache prefix)
+  async get(key) {
+    try {
+      return await redisManager.get(`${this.keyPrefix}${key}`);
+    } catch (error) {
+      logger.error('Error reading cache key:', { error: error.message, key });
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = this.defaultTTL) {
+    try {
+      return await redisManager.set(`${this.keyPrefix}${key}`, value, ttl);
+    } catch (error) {
+      logger.error('Error writing cache key:', { error: error.message, key });
+      return false;
+    }
+  }
+
+  async del(key) {
+    try {
+      return await redisManager.del(`${this.keyPrefix}${key}`);
+    } catch (error) {
+      logger.error('Error deleting cache key:', { error: error.message, key });
+      return false;
+    }
+  }
+
   // URL caching methods
   async cacheUrl(shortCode, urlData, ttl = this.defaultTTL) {
     try {
@@ -0,0 +1,458 @@
+// src/services/clickQueueService.js - Click events queued off the redirect path and batch-written by a worker
+const Queue = require('bull');
+const Url = require('../models/Url');
+const Analytics = require('../models/Analytics');
+const auditService = require('./auditService');
+const rollupService = require('./rollupService');
+const uniqueVisitorService = require('./uniqueVisitorService');
+const liveClickService = require('./liveClickService');
+const logger = require('../config/logger');
+
+const QUEUE_NAME = 'click-events';
+
+const MAX_DEAD_LETTERS = 1000;
+
+// Click history entry kept on the Url document
+const toHistoryEntry = (click) => ({
+  timestamp: click.timestamp,
+  ip: click.ip,
+  userAgent: click.userAgent,
+  referrer: click.referrer,
+  device: click.device,
+  browser: click.browser,
+  os: click.os,
+  country: click.country,
+  city: click.city
+});
+
+// Events come back from Redis as JSON
+const reviveEvent = (event) => ({
+  ...event,
+  click: { ...event.click, timestamp: new Date(event.click.timestamp) }
+});
+
+// Each event records the write steps it has been through (`written`), so a
+// retry after a failed write skips them instead of counting the click twice
+const pendingFor = (events, step) => events.filter(event => !(event.written || []).includes(step));
+
+const markWritten = (events, step) => {
+  events.forEach((event) => {
+    event.written = [...(event.written || []), step];
+  });
+};
+
+// Clicks of some events, oldest first - Bull hands jobs over concurrently
+const sortedClicks = events => events.map(event => event.click).sort((a, b) => a.timestamp - b.timestamp);
+
+class ClickQueueService {
+  constructor() {
+    this.batchSize = parseInt(process.env.CLICK_BATCH_SIZE) || 100;
+    this.flushIntervalMs = parseInt(process.env.CLICK_FLUSH_INTERVAL_MS) || 1000;
+    this.maxAttempts = parseInt(process.env.CLICK_MAX_ATTEMPTS) || 5;
+    // Queue depth reported as backpressure, and the most events held in memory
+    this.highWaterMark = parseInt(process.env.CLICK_QUEUE_HIGH_WATER) || 5000;
+    this.maxBuffered = parseInt(process.env.CLICK_QUEUE_MAX_BUFFERED) || 10000;
+
+    this.queue = null;
+    this.isWorker = false;
+    // Events waiting to be written by this process: everything in in-memory
+    // mode, jobs handed over by Bull otherwise. Bull entries carry `done`.
+    this.buffer = [];
+    // Events that kept failing in in-memory mode, kept for replay
+    this.deadLetters = [];
+    this.flushTimer = null;
+    this.flushing = null;
+    this.stats = {
+      enqueued: 0,
+      written: 0,
+      batches: 0,
+      failedWrites: 0,
+      dropped: 0,
+      replayed: 0,
+      lastFlushAt: null,
+      lastFlushMs: null,
+      lastError: null
+    };
+  }
+
+  // Queue a click without waiting for it to be written. Uses Bull when Redis
+  // is configured and an in-process buffer otherwise.
+  enqueue(event) {
+    this.stats.enqueued++;
+
+    if (this.queue) {
+      this.queue.add(event, {
+        attempts: this.maxAttempts,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        // Failed jobs stay in Redis until replayed
+        removeOnFail: false
+      }).catch((error) => {
+        logger.warn('Failed to queue click event, buffering in-process', {
+          shortCode: event.shortCode,
+          error: error.message
+        });
+        this.bufferLocal(event);
+      });
+      return;
+    }
+
+    this.bufferLocal(event);
+  }
+
+  bufferLocal(event) {
+    this.buffer.push({ event: reviveEvent(event), attempts: 0 });
+
+    // Oldest events are dropped rather than letting memory grow without bound
+    if (this.buffer.length > this.maxBuffered) {
+      const dropped = this.buffer.splice(0, this.buffer.length - this.maxBuffered);
+      this.stats.dropped += dropped.length;
+      logger.error('Click buffer full, dropped oldest events', { dropped: dropped.length });
+    }
+
+    this.scheduleFlush();
+  }
+
+  // Write full batches right away, partial ones after the flush interval
+  scheduleFlush() {
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+      return;
+    }
+    this.startFlushTimer();
+  }
+
+  startFlushTimer() {
+    if (this.flushTimer || this.buffer.length === 0) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  // Write everything buffered, one batch at a time. Never rejects.
+  flush() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      const retries = [];
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, this.batchSize);
+        retries.push(...await this.processBatch(batch));
+      }
+      this.buffer.push(...retries);
+    })()
+      .catch((error) => {
+        logger.error('Click flush failed:', { error: error.message });
+      })
+      .finally(() => {
+        this.flushing = null;
+        // Retries wait for the next interval
+        this.startFlushTimer();
+      });
+
+    return this.flushing;
+  }
+
+  // Write one batch and settle its entries. Returns in-memory entries to retry.
+  async processBatch(entries) {
+    const started = Date.now();
+    const failures = await this.writeBatch(entries.map(entry => entry.event));
+    const retries = [];
+
+    for (const entry of entries) {
+      const error = failures.get(entry.event.shortCode);
+      if (!error) {
+        this.stats.written++;
+        if (entry.done) entry.done();
+        continue;
+      }
+
+      this.stats.failedWrites++;
+      if (entry.done) {
+        // Bull retries the job with backoff, then keeps it as failed. The job
+        // keeps the steps already written so the retry skips them.
+        await entry.job.update(entry.event).catch((updateError) => {
+          logger.warn('Failed to save click write progress', {
+            shortCode: entry.event.shortCode,
+            error: updateError.message
+          });
+        });
+        entry.done(error);
+      } else if (++entry.attempts < this.maxAttempts) {
+        retries.push(entry);
+      } else {
+        this.deadLetters.push({ event: entry.event, error: error.message, failedAt: new Date() });
+        if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+          this.stats.dropped += this.deadLetters.length - MAX_DEAD_LETTERS;
+          this.deadLetters.splice(0, this.deadLetters.length - MAX_DEAD_LETTERS);
+        }
+      }
+    }
+
+    this.stats.batches++;
+    this.stats.lastFlushAt = new Date();
+    this.stats.lastFlushMs = Date.now() - started;
+    if (failures.size > 0) {
+      this.stats.lastError = [...failures.values()][0].message;
+    }
+
+    return retries;
+  }
+
+  // Write a batch link by link, so one failing link doesn't hold back the
+  // others. Returns a Map of shortCode -> error for the links that failed.
+  async writeBatch(events) {
+    const groups = new Map();
+    events.forEach((event) => {
+      if (!groups.has(event.shortCode)) groups.set(event.shortCode, []);
+      groups.get(event.shortCode).push(event);
+    });
+
+    const failures = new Map();
+    for (const [shortCode, linkEvents] of groups) {
+      try {
+        await this.writeLinkClicks(shortCode, linkEvents);
+      } catch (error) {
+        logger.error('Failed to write clicks', { shortCode, count: linkEvents.length, error: error.message });
+        failures.set(shortCode, error);
+      }
+    }
+    return failures;
+  }
+
+  // All queued clicks of one link: counters and history on the Url, the
+  // visitor sketches, which decide unique visitors, then the Analytics
+  // document and the rollups, and finally the live streams. Delivery is
+  // at-least-once; a link whose write fails is written again, skipping the
+  // steps each event has already been through.
+  async writeLinkClicks(shortCode, events) {
+    const { urlId } = events[0];
+
+    const toUrl = pendingFor(events, 'url');
+    if (toUrl.length > 0) {
+      const clicks = sortedClicks(toUrl);
+      const lastClick = clicks[clicks.length - 1].timestamp;
+      // Links with a click cap were already counted on the redirect path
+      const uncounted = toUrl.filter(event => !event.counted).length;
+      const urlUpdate = {
+        $set: { lastAccessed: lastClick, lastClicked: lastClick },
+        $push: {
+          clickHistory: {
+            $each: clicks.map(toHistoryEntry),
+            $slice: -1000 // Keep only last 1000 clicks
+          }
+        }
+      };
+      if (uncounted > 0) {
+        urlUpdate.$inc = { clicks: uncounted };
+      }
+      await Url.updateOne({ _id: urlId }, urlUpdate);
+      markWritten(toUrl, 'url');
+    }
+
+    const analytics = await Analytics.findOne({ shortCode }) || new Analytics({
+      urlId,
+      shortCode,
+      clicks: [],
+      stats: {
+        totalClicks: 0,
+        uniqueVisitors: 0,
+        dailyStats: [],
+        topCountries: [],
+        topCities: [],
+        deviceStats: [],
+        browserStats: [],
+        osStats: [],
+        referrerStats: [],
+        hourlyPattern: Array(24).fill(0).map((_, i) => ({ hour: i, count: 0 })),
+        weeklyPattern: Array(7).fill(0).map((_, i) => ({ day: i, count: 0 }))
+      }
+    });
+
+    const toVisitors = pendingFor(events, 'visitors');
+    if (toVisitors.length > 0) {
+      await uniqueVisitorService.recordVisitors(analytics.urlId, sortedClicks(toVisitors));
+      markWritten(toVisitors, 'visitors');
+    }
+
+    const toAnalytics = pendingFor(events, 'analytics');
+    if (toAnalytics.length > 0) {
+      sortedClicks(toAnalytics).forEach(click => analytics.applyClick(click));
+      analytics.stats.uniqueVisitors = await uniqueVisitorService.countAllTime(analytics.urlId);
+      await analytics.save();
+      markWritten(toAnalytics, 'analytics');
+    }
+
+    const toRollups = pendingFor(events, 'rollups');
+    if (toRollups.length > 0) {
+      await rollupService.recordClicks(analytics.urlId, sortedClicks(toRollups));
+      markWritten(toRollups, 'rollups');
+    }
+
+    const toPublish = pendingFor(events, 'published');
+    if (toPublish.length > 0) {
+      const owner = events.find(event => event.userId);
+      await liveClickService.publish({ urlId: analytics.urlId, userId: owner && owner.userId, shortCode }, sortedClicks(toPublish));
+      markWritten(toPublish, 'published');
+    }
+
+    // Log the clicks for audit purposes (only in production)
+    if (process.env.NODE_ENV === 'production') {
+      const toAudit = pendingFor(events, 'audited');
+      await Promise.all(toAudit.map(event => this.auditClick(event)));
+      markWritten(toAudit, 'audited');
+    }
+  }
+
+  async auditClick({ shortCode, originalUrl, click }) {
+    try {
+      await auditService.logUserAction(
+        'url_click',
+        `Clicked short URL: ${shortCode}`,
+        null, // No user ID for anonymous clicks
+        {
+          shortCode,
+          originalUrl,
+          userAgent: click.userAgent,
+          referrer: click.referrer,
+          country: click.country,
+          device: click.device,
+          browser: click.browser,
+          isBot: click.isBot,
+          isUniqueVisitor: click.isUniqueVisitor
+        },
+        {
+          category: 'analytics',
+          severity: 'low',
+          ipAddress: click.ip,
+          userAgent: click.userAgent
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to audit click:', { error: error.message, shortCode });
+    }
+  }
+
+  // Queue depth, throughput and failures. `backpressure` is set once the
+  // backlog reaches CLICK_QUEUE_HIGH_WATER events.
+  async getMetrics() {
+    const metrics = {
+      mode: this.queue ? 'redis' : 'memory',
+      worker: this.isWorker || !this.queue,
+      batchSize: this.batchSize,
+      flushIntervalMs: this.flushIntervalMs,
+      buffered: this.buffer.length,
+      deadLetters: this.deadLetters.length,
+      ...this.stats
+    };
+
+    if (this.queue) {
+      const counts = await this.queue.getJobCounts();
+      const [oldest] = await this.queue.getWaiting(0, 0);
+      metrics.queue = counts;
+      metrics.depth = counts.waiting + counts.active + counts.delayed;
+      metrics.failed = counts.failed;
+      metrics.lagMs = oldest ? Date.now() - oldest.timestamp : 0;
+    } else {
+      metrics.depth = this.buffer.length;
+      metrics.failed = this.deadLetters.length;
+      metrics.lagMs = this.buffer.length > 0
+        ? Date.now() - this.buffer[0].event.click.timestamp.getTime()
+        : 0;
+    }
+
+    metrics.backpressure = metrics.depth >= this.highWaterMark;
+    return metrics;
+  }
+
+  // Put failed events back on the queue: Bull's failed jobs and the
+  // in-memory dead letters
+  async replayFailed() {
+    let replayed = 0;
+
+    if (this.queue) {
+      const jobs = await this.queue.getFailed();
+      await Promise.all(jobs.map(job => job.retry()));
+      replayed += jobs.length;
+    }
+
+    const letters = this.deadLetters.splice(0);
+    letters.forEach(letter => this.buffer.push({ event: letter.event, attempts: 0 }));
+    replayed += letters.length;
+
+    this.stats.replayed += replayed;
+    this.scheduleFlush();
+
+    logger.info('Replayed failed click events', { replayed });
+    return { replayed };
+  }
+
+  // Connect to the Bull queue when Redis is available. With `worker` set this
+  // process also writes the queued clicks; web servers can leave that to
+  // scripts/click-worker.js. Without Redis clicks are always written in-process.
+  start({ worker = true } = {}) {
+    const redisConfigured = process.env.REDIS_ENABLED !== 'false' &&
+      (process.env.REDIS_URL || process.env.REDIS_HOST);
+
+    if (!redisConfigured || this.queue) {
+      logger.info('Click ingestion using in-process queue');
+      return;
+    }
+
+    try {
+      this.queue = process.env.REDIS_URL
+        ? new Queue(QUEUE_NAME, process.env.REDIS_URL)
+        : new Queue(QUEUE_NAME, {
+          redis: {
+            host: process.env.REDIS_HOST,
+            port: parseInt(process.env.REDIS_PORT) || 6379,
+            password: process.env.REDIS_PASSWORD || undefined
+          }
+        });
+
+      this.queue.on('error', (error) => {
+        logger.error('Click queue error:', { error: error.message });
+      });
+
+      if (worker) {
+        // Up to a batch of jobs is taken at once; each settles when the batch
+        // it landed in has been written
+        this.queue.process(this.batchSize, job => new Promise((resolve, reject) => {
+          this.buffer.push({
+            event: reviveEvent(job.data),
+            attempts: 0,
+            job,
+            done: error => (error ? reject(error) : resolve())
+          });
+          this.scheduleFlush();
+        }));
+        this.isWorker = true;
+      }
+
+      logger.info(worker ? 'Click ingestion worker started' : 'Click ingestion queue connected');
+    } catch (error) {
+      logger.error('Failed to start click queue, using in-process queue:', { error: error.message });
+      this.queue = null;
+    }
+  }
+
+  // Write what's buffered and disconnect
+  async stop() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+      this.isWorker = false;
+    }
+  }
+}
+
+module.exports = new ClickQueueService();
@@ -4,6 +4,11 @@ const Url = require('../models/Url');
 const Analytics = require('../models/Analytics');
 const logger = require('../config/logger');
 const cacheService = require('./cacheService');
+const linkUsageService = require('./linkUsageService');
+const rollupService = require('./rollupService');
+const uniqueVisitorService = require('./uniqueVisitorService');
+const conversionService = require('./conversionService');
+const urlHistoryService = require('./urlHistoryService');
 
 class ComplianceService {
   // Handle GDPR data export request
@@ -152,7 +157,15 @@ class ComplianceService {
     const analyticsResult = await Analytics.deleteMany({ userId });
     deletedData.analytics = analyticsResult.deletedCount;
 
-    // Delete URLs
+    // Delete link tokens, per-visitor use counts, click rollups and version
+    // history, then the URLs
+    const urlIds = await Url.find({ userId }).distinct('_id');
+    await linkUsageService.deleteForUrls(urlIds);
+    await rollupService.deleteForUrls(urlIds);
+    await uniqueVisitorService.deleteForUrls(urlIds);
+    await urlHistoryService.deleteForUrls(urlIds);
+    deletedData.conversionGoals = await conversionService.deleteForUser(userId);
+
     const urlsResult = await Url.deleteMany({ userId });
     deletedData.urls = urlsResult.deletedCount;
 
@@ -161,6 +174,26 @@ class ComplianceService {
     const subscriptionResult = await Subscription.deleteMany({ userId });
     deletedData.subscription = subscriptionResult.deletedCount;
 
+    // Delete retargeting pixels
+    const Pixel = require('../models/Pixel');
+    const pixelResult = await Pixel.deleteMany({ userId });
+    deletedData.pixels = pixelResult.deletedCount;
+
+    // Delete link folders
+    const Folder = require('../models/Folder');
+    const folderResult = await Folder.deleteMany({ userId });
+    deletedData.folders = folderResult.deletedCount;
+
+    // Delete UTM templates
+    const UtmTemplate = require('../models/UtmTemplate');
+    const utmTemplateResult = await UtmTemplate.deleteMany({ userId });
+    deletedData.utmTemplates = utmTemplateResult.deletedCount;
+
+    // Delete bio pages
+    const BioPage = require('../models/BioPage');
+    const bioPageResult = await BioPage.deleteMany({ userId });
+    deletedData.bioPages = bioPageResult.deletedCount;
+
     // Delete user account
     const userResult = await User.deleteOne({ _id: userId });
     deletedData.user = userResult.deletedCount;
@@ -175,14 +208,23 @@ class ComplianceService {
   // Delete only analytics data
   async deleteAnalyticsData(userId) {
     const result = await Analytics.deleteMany({ userId });
+    const urlIds = await Url.find({ userId }).distinct('_id');
+    await rollupService.deleteForUrls(urlIds);
+    await uniqueVisitorService.deleteForUrls(urlIds);
+    const conversions = await conversionService.deleteConversions(userId);
     await cacheService.invalidatePattern(`analytics:*:${userId}*`);
     
-    return { analytics: result.deletedCount };
+    return { analytics: result.deletedCount, conversions };
   }
 
   // Delete only URLs data
   async deleteUrlsData(userId) {
     const urls = await Url.find({ userId }).select('shortCode');
+    await linkUsageService.deleteForUrls(urls.map(url => url._id));
+    await rollupService.deleteForUrls(urls.map(url => url._id));
+    await uniqueVisitorService.deleteForUrls(urls.map(url => url._id));
+    await conversionService.deleteForUrls(urls.map(url => url._id));
+    await urlHistoryService.deleteForUrls(urls.map(url => url._id));
     const result = await Url.deleteMany({ userId });
     
     // Clear URL caches
@@ -269,6 +311,11 @@ class ComplianceService {
         $set: { consent: consentRecord }
       });
 
+      // Retargeting pixels fire only with marketing consent. Required here
+      // because pixelService depends on this service.
+      const pixelService = require('./pixelService');
+      await pixelService.invalidateFiringPixels(userId);
+
       // Log consent change
       logger.audit.userAction('Consent updated', {
         userId,
@@ -401,6 +448,7 @@ class ComplianceService {
       const analyticsResult = await Analytics.deleteMany({
         timestamp: { $lt: analyticsCleanupDate }
       });
+      const rollupsDeleted = await rollupService.deleteBefore(analyticsCleanupDate);
 
       // Clean up inactive users (if they haven't logged in for the retention period)
       const inactiveUsersResult = await User.deleteMany({
@@ -411,6 +459,7 @@ class ComplianceService {
       const cleanupReport = {
         cleanupDate: now,
         analyticsDeleted: analyticsResult.deletedCount,
+        rollupsDeleted,
         inactiveUsersDeleted: inactiveUsersResult.deletedCount,
         retentionPolicies: {
           analyticsRetentionDays,
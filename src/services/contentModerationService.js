@@ -4,6 +4,9 @@ const User = require('../models/User');
 const logger = require('../config/logger');
 const cacheService = require('./cacheService');
 
+// Moderation outcomes that keep a link live behind a warning page
+const MEDIUM_RISK_STATUSES = ['flagged', 'review_required'];
+
 class ContentModerationService {
   constructor() {
     // Initialize blocked domains and patterns
@@ -157,6 +160,40 @@ class ContentModerationService {
     }
   }
 
+  // Moderate a link's destination and record the outcome on the document
+  // (the caller saves it). Medium-risk results - scored high enough to flag
+  // but not to reject - force an interstitial warning in front of the link.
+  async reviewLink(url) {
+    if (process.env.CONTENT_MODERATION_ENABLED === 'false') {
+      return null;
+    }
+
+    const result = await this.moderateUrl(url.originalUrl, url.userId?._id || url.userId, {
+      title: url.title,
+      description: url.description
+    });
+
+    // A failed check leaves the link as it was
+    if (result.status === 'error') {
+      return result;
+    }
+
+    const knownFlags = Url.schema.path('moderationFlags').caster.enumValues;
+    url.moderationScore = Math.min(result.riskScore, 100);
+    url.moderationFlags = result.flags.filter(flag => knownFlags.includes(flag));
+    url.moderationInterstitial = MEDIUM_RISK_STATUSES.includes(result.status);
+
+    if (url.moderationInterstitial) {
+      logger.security.suspiciousActivity('Interstitial forced by moderation', {
+        shortCode: url.shortCode || url.shortId,
+        status: result.status,
+        riskScore: result.riskScore
+      });
+    }
+
+    return result;
+  }
+
   // Check if domain is blocked
   async checkBlockedDomains(hostname) {
     const domain = hostname.toLowerCase();
@@ -0,0 +1,441 @@
+// src/services/conversionService.js - Conversion goals, click IDs and conversion attribution
+//
+// Links covered by an active goal get a signed click ID appended to their
+// destination. The advertiser reports a conversion with that click ID, either
+// server-to-server (postback, API key) or from the browser (JS/image pixel),
+// and it is attributed to the link and the time of the click the ID encodes.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ConversionGoal = require('../models/ConversionGoal');
+const Conversion = require('../models/Conversion');
+const Folder = require('../models/Folder');
+const Url = require('../models/Url');
+const cacheService = require('./cacheService');
+const logger = require('../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+
+// Query parameter the click ID is appended to the destination as
+const CLICK_ID_PARAM = 'lsclid';
+const GOAL_FIELDS = ['name', 'defaultValue', 'currency', 'attributionWindowDays', 'allowPixel', 'isActive'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a user's active goals are cached for the redirect path (seconds)
+const GOALS_CACHE_TTL = 300;
+
+const idString = id => (id ? id.toString() : null);
+
+class ConversionService {
+  getSecret() {
+    return process.env.CLICK_ID_SECRET || process.env.JWT_SECRET || 'click-id-secret';
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(payload)
+      .digest('base64url')
+      .slice(0, 16);
+  }
+
+  // Click ID: "<urlId>.<click time>.<nonce>.<signature>", all URL-safe, so a
+  // postback only needs the ID to find the link and when it was clicked
+  createClickId(urlId, clickedAt = new Date()) {
+    const payload = [
+      Buffer.from(urlId.toString(), 'hex').toString('base64url'),
+      clickedAt.getTime().toString(36),
+      crypto.randomBytes(6).toString('base64url')
+    ].join('.');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // { urlId, clickedAt } of a correctly signed click ID, or null
+  verifyClickId(clickId) {
+    const parts = String(clickId || '').split('.');
+    if (parts.length !== 4) {
+      return null;
+    }
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(parts[3]);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    const urlId = Buffer.from(parts[0], 'base64url').toString('hex');
+    const clickedAt = new Date(parseInt(parts[1], 36));
+    if (!mongoose.isValidObjectId(urlId) || isNaN(clickedAt.getTime())) {
+      return null;
+    }
+    return { urlId, clickedAt };
+  }
+
+  // Destination with the click ID added to its query string
+  withClickId(destination, clickId) {
+    try {
+      const target = new URL(destination);
+      target.searchParams.set(CLICK_ID_PARAM, clickId);
+      return target.toString();
+    } catch (error) {
+      return destination;
+    }
+  }
+
+  goalsCacheKey(userId) {
+    return `conversion-goals:${userId}`;
+  }
+
+  // The links and folders a user's active goals cover - a folder goal covers
+  // its subfolders too. Cached so the redirect path needs no database
+  // lookups; goal and folder changes clear it.
+  async getActiveGoalScopes(userId) {
+    const key = this.goalsCacheKey(userId);
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    const goals = await ConversionGoal.find({ userId, isActive: true }).select('urlId folderId').lean();
+    const goalFolderIds = goals.map(goal => goal.folderId).filter(Boolean);
+    const subfolders = goalFolderIds.length > 0
+      ? await Folder.find({ userId, ancestors: { $in: goalFolderIds } }).select('_id').lean()
+      : [];
+
+    const scopes = {
+      urlIds: goals.map(goal => idString(goal.urlId)).filter(Boolean),
+      folderIds: [...goalFolderIds, ...subfolders.map(folder => folder._id)].map(idString)
+    };
+    await cacheService.set(key, scopes, GOALS_CACHE_TTL);
+    return scopes;
+  }
+
+  async invalidateGoals(userId) {
+    await cacheService.del(this.goalsCacheKey(userId));
+  }
+
+  // The link's folder and the folders above it
+  async getFolderChain(folderId) {
+    if (!folderId) return [];
+    const folder = await Folder.findById(folderId).select('ancestors').lean();
+    return folder ? [folder._id, ...folder.ancestors].map(idString) : [];
+  }
+
+  // Whether clicks on the link should carry a click ID (accepts cached plain objects)
+  async isTracked(url) {
+    const ownerId = url.userId?._id || url.userId;
+    if (!ownerId) return false;
+
+    const { urlIds, folderIds } = await this.getActiveGoalScopes(ownerId);
+    return urlIds.includes(idString(url._id)) ||
+      (!!url.folderId && folderIds.includes(idString(url.folderId)));
+  }
+
+  // Goals
+
+  async listGoals(userId) {
+    return ConversionGoal.find({ userId }).sort({ name: 1 });
+  }
+
+  async getGoal(userId, goalId) {
+    const goal = mongoose.isValidObjectId(goalId)
+      ? await ConversionGoal.findOne({ _id: goalId, userId })
+      : null;
+    if (!goal) {
+      throw new NotFoundError('Conversion goal');
+    }
+    return goal;
+  }
+
+  async assertNameAvailable(userId, name, excludeId = null) {
+    const existing = await ConversionGoal.findOne({
+      userId,
+      name,
+      ...(excludeId && { _id: { $ne: excludeId } })
+    }).select('_id');
+
+    if (existing) {
+      throw new ConflictError(`A conversion goal named "${name}" already exists`);
+    }
+  }
+
+  // Check the goal's link or folder belongs to the user
+  async assertScopeOwned(userId, { urlId, folderId }) {
+    if (urlId && !(await Url.exists({ _id: urlId, userId }))) {
+      throw new NotFoundError('URL');
+    }
+    if (folderId && !(await Folder.exists({ _id: folderId, userId }))) {
+      throw new NotFoundError('Folder');
+    }
+  }
+
+  async createGoal(userId, data) {
+    await this.assertNameAvailable(userId, data.name);
+    await this.assertScopeOwned(userId, data);
+
+    const goal = await ConversionGoal.create({
+      userId,
+      urlId: data.urlId || null,
+      folderId: data.folderId || null,
+      ...Object.fromEntries(GOAL_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]))
+    });
+    await this.invalidateGoals(userId);
+
+    logger.info('Conversion goal created', { userId: userId.toString(), goalId: goal._id.toString() });
+    return goal;
+  }
+
+  // Update a goal's settings; the link or folder it covers is fixed
+  async updateGoal(userId, goalId, data) {
+    const goal = await this.getGoal(userId, goalId);
+
+    if (data.name && data.name !== goal.name) {
+      await this.assertNameAvailable(userId, data.name, goal._id);
+    }
+    // Revenue already counted stays in the old currency
+    if (data.currency && data.currency !== goal.currency && goal.conversions > 0) {
+      throw new ValidationError('The currency of a goal with conversions cannot be changed');
+    }
+
+    for (const field of GOAL_FIELDS) {
+      if (data[field] !== undefined) {
+        goal[field] = data[field];
+      }
+    }
+
+    await goal.save();
+    await this.invalidateGoals(userId);
+    return goal;
+  }
+
+  // Delete a goal and its conversions
+  async deleteGoal(userId, goalId) {
+    const goal = await this.getGoal(userId, goalId);
+
+    await Conversion.deleteMany({ goalId: goal._id });
+    await goal.deleteOne();
+    await this.invalidateGoals(userId);
+
+    return goal;
+  }
+
+  // A folder is being deleted: its goals move up to the parent folder along
+  // with its links; goals of a top-level folder are switched off
+  async reassignFolderGoals(userId, folder) {
+    const update = folder.parentId
+      ? { $set: { folderId: folder.parentId } }
+      : { $set: { isActive: false } };
+
+    await ConversionGoal.updateMany({ userId, folderId: folder._id }, update);
+    await this.invalidateGoals(userId);
+  }
+
+  // Conversions
+
+  // Record a conversion for a goal. Returns { conversion, duplicate }; a
+  // conversion already recorded for the same click and order is returned as is.
+  async recordConversion(goal, { clickId, revenue, currency, orderId }, source) {
+    if (!goal.isActive) {
+      throw new ValidationError('This conversion goal is not active');
+    }
+
+    const click = this.verifyClickId(clickId);
+    if (!click) {
+      throw new ValidationError('Invalid click ID');
+    }
+    if (currency && currency.toUpperCase() !== goal.currency) {
+      throw new ValidationError(`Revenue for this goal must be in ${goal.currency}`);
+    }
+
+    const url = await Url.findOne({ _id: click.urlId, userId: goal.userId }).select('folderId').lean();
+    const covered = url && (idString(goal.urlId) === idString(url._id) ||
+      (goal.folderId && (await this.getFolderChain(url.folderId)).includes(idString(goal.folderId))));
+    if (!covered) {
+      throw new ValidationError('The click is not on a link this goal tracks');
+    }
+
+    const convertedAt = new Date();
+    const timeToConvertMs = Math.max(0, convertedAt - click.clickedAt);
+    if (timeToConvertMs > goal.attributionWindowDays * DAY_MS) {
+      throw new ValidationError(`The click is older than the goal's ${goal.attributionWindowDays}-day attribution window`);
+    }
+
+    const filter = { goalId: goal._id, clickId, orderId: orderId || null };
+    const existing = await Conversion.findOne(filter);
+    if (existing) {
+      return { conversion: existing, duplicate: true };
+    }
+
+    let conversion;
+    try {
+      conversion = await Conversion.create({
+        ...filter,
+        userId: goal.userId,
+        urlId: url._id,
+        revenue: revenue !== undefined && revenue !== null ? revenue : goal.defaultValue,
+        currency: goal.currency,
+        source,
+        clickedAt: click.clickedAt,
+        convertedAt,
+        timeToConvertMs
+      });
+    } catch (error) {
+      // The same conversion reported twice at once
+      if (error.code === 11000) {
+        return { conversion: await Conversion.findOne(filter), duplicate: true };
+      }
+      throw error;
+    }
+
+    await ConversionGoal.updateOne(
+      { _id: goal._id },
+      { $inc: { conversions: 1, revenue: conversion.revenue }, $set: { lastConvertedAt: convertedAt } }
+    );
+
+    logger.info('Conversion recorded', {
+      goalId: goal._id.toString(),
+      urlId: url._id.toString(),
+      source,
+      revenue: conversion.revenue
+    });
+    return { conversion, duplicate: false };
+  }
+
+  // Conversion postback from the advertiser's server, for one of the API key owner's goals
+  async recordPostback(userId, data) {
+    const goal = await this.getGoal(userId, data.goalId);
+    return this.recordConversion(goal, data, 'postback');
+  }
+
+  // Conversion reported by the browser pixel; only goals that allow it. Pixel
+  // reports are unauthenticated, so they are worth the goal's defaultValue and
+  // carry no order ID: each click converts a goal at most once.
+  async recordPixel(data) {
+    const goal = mongoose.isValidObjectId(data.goalId)
+      ? await ConversionGoal.findById(data.goalId)
+      : null;
+    if (!goal || !goal.allowPixel) {
+      throw new NotFoundError('Conversion goal');
+    }
+    return this.recordConversion(goal, { clickId: data.clickId }, 'pixel');
+  }
+
+  // Script for the advertiser's site. On the landing page it keeps the click
+  // ID from the URL (first-party storage); on the conversion page
+  // lsConvert(goalId) reports the conversion through the image pixel. A
+  // data-goal attribute on the tag reports on load.
+  renderPixelScript(endpoint) {
+    return `(function (w, d) {
+  var PARAM = ${JSON.stringify(CLICK_ID_PARAM)};
+  var ENDPOINT = ${JSON.stringify(endpoint).replace(/</g, '\\u003c')};
+  var script = d.currentScript;
+  var found = new RegExp('[?&]' + PARAM + '=([^&#]+)').exec(w.location.search);
+  if (found) {
+    try { w.localStorage.setItem(PARAM, decodeURIComponent(found[1])); } catch (e) {}
+    d.cookie = PARAM + '=' + found[1] + '; path=/; max-age=7776000; SameSite=Lax';
+  }
+  function clickId() {
+    try {
+      var stored = w.localStorage.getItem(PARAM);
+      if (stored) return stored;
+    } catch (e) {}
+    var cookie = new RegExp('(?:^|; )' + PARAM + '=([^;]+)').exec(d.cookie);
+    return cookie ? decodeURIComponent(cookie[1]) : null;
+  }
+  w.lsConvert = function (goalId) {
+    var id = clickId();
+    if (!goalId || !id) return false;
+    new Image().src = ENDPOINT + '?goalId=' + encodeURIComponent(goalId) + '&clickId=' + encodeURIComponent(id);
+    return true;
+  };
+  if (script && script.getAttribute('data-goal')) {
+    w.lsConvert(script.getAttribute('data-goal'));
+  }
+})(window, document);
+`;
+  }
+
+  // Conversion stats for the links' conversions made in the range. The rate
+  // is the share of the range's clicks that led to at least one conversion.
+  async getSummary(urlIds, { startDate, endDate }, totalClicks) {
+    const match = { urlId: { $in: urlIds }, convertedAt: { $gte: startDate, $lte: endDate } };
+
+    const [byGoal, [totals], convertedClicks] = await Promise.all([
+      Conversion.aggregate([
+        { $match: match },
+        { $group: {
+          _id: '$goalId',
+          conversions: { $sum: 1 },
+          revenue: { $sum: '$revenue' },
+          currency: { $first: '$currency' },
+          avgTimeToConvertMs: { $avg: '$timeToConvertMs' }
+        } }
+      ]),
+      Conversion.aggregate([
+        { $match: match },
+        { $group: { _id: null, conversions: { $sum: 1 }, avgTimeToConvertMs: { $avg: '$timeToConvertMs' } } }
+      ]),
+      Conversion.distinct('clickId', match)
+    ]);
+
+    const conversions = totals ? totals.conversions : 0;
+    const [median] = conversions > 0
+      ? await Conversion.find(match).sort({ timeToConvertMs: 1 }).skip(Math.floor(conversions / 2)).limit(1)
+        .select('timeToConvertMs').lean()
+      : [];
+
+    const goals = await ConversionGoal.find({ _id: { $in: byGoal.map(goal => goal._id) } }).select('name').lean();
+    const goalNames = new Map(goals.map(goal => [goal._id.toString(), goal.name]));
+
+    // Goals can be in different currencies, so revenue is totalled per currency
+    const revenue = {};
+    byGoal.forEach(goal => {
+      revenue[goal.currency] = (revenue[goal.currency] || 0) + goal.revenue;
+    });
+
+    const rate = count => (totalClicks > 0 ? Math.round((count / totalClicks) * 10000) / 100 : 0);
+
+    return {
+      conversions,
+      convertedClicks: convertedClicks.length,
+      conversionRate: rate(convertedClicks.length),
+      revenue: Object.entries(revenue)
+        .map(([currency, amount]) => ({ currency, amount }))
+        .sort((a, b) => b.amount - a.amount),
+      avgTimeToConvertMs: totals ? Math.round(totals.avgTimeToConvertMs) : null,
+      medianTimeToConvertMs: median ? median.timeToConvertMs : null,
+      goals: byGoal
+        .map(goal => ({
+          goalId: goal._id.toString(),
+          name: goalNames.get(goal._id.toString()) || null,
+          conversions: goal.conversions,
+          conversionRate: rate(goal.conversions),
+          revenue: goal.revenue,
+          currency: goal.currency,
+          avgTimeToConvertMs: Math.round(goal.avgTimeToConvertMs)
+        }))
+        .sort((a, b) => b.conversions - a.conversions)
+    };
+  }
+
+  // Link deleted: drop its goals and conversions
+  async deleteForUrls(urlIds) {
+    await Conversion.deleteMany({ urlId: { $in: urlIds } });
+    await ConversionGoal.deleteMany({ urlId: { $in: urlIds } });
+  }
+
+  // Analytics deleted: drop the user's conversions and reset their goals' counts
+  async deleteConversions(userId) {
+    const { deletedCount } = await Conversion.deleteMany({ userId });
+    await ConversionGoal.updateMany({ userId }, { $set: { conversions: 0, revenue: 0, lastConvertedAt: null } });
+    return deletedCount;
+  }
+
+  // Account deleted: drop all of the user's goals and conversions
+  async deleteForUser(userId) {
+    const [goals] = await Promise.all([
+      ConversionGoal.deleteMany({ userId }),
+      Conversion.deleteMany({ userId })
+    ]);
+    await this.invalidateGoals(userId);
+    return goals.deletedCount;
+  }
+}
+
+module.exports = new ConversionService();
+module.exports.CLICK_ID_PARAM = CLICK_ID_PARAM;
@@ -0,0 +1,310 @@
+// src/services/folderService.js - Link folders (campaigns): tree, moves and defaults for new links
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const Url = require('../models/Url');
+const cacheService = require('./cacheService');
+const conversionService = require('./conversionService');
+const logger = require('../config/logger');
+const { UTM_FIELDS, applyUtmParameters } = require('../utils/urlUtils');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+
+const MAX_DEPTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+class FolderService {
+  constructor() {
+    this.maxDepth = MAX_DEPTH;
+  }
+
+  async listFolders(userId) {
+    return Folder.find({ userId }).sort({ name: 1 }).lean();
+  }
+
+  // Nest a flat, name-sorted folder list under its parents. `linkCounts`
+  // maps folder id -> number of links directly in the folder.
+  buildTree(folders, linkCounts = {}) {
+    const nodes = new Map();
+    folders.forEach(folder => {
+      nodes.set(folder._id.toString(), {
+        ...folder,
+        links: linkCounts[folder._id.toString()] || 0,
+        totalLinks: 0,
+        children: []
+      });
+    });
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId && nodes.get(node.parentId.toString());
+      (parent ? parent.children : roots).push(node);
+    });
+
+    const countLinks = (node) => {
+      node.totalLinks = node.links + node.children.reduce((sum, child) => sum + countLinks(child), 0);
+      return node.totalLinks;
+    };
+    roots.forEach(countLinks);
+
+    return roots;
+  }
+
+  // The user's folders as a tree, with link counts and the number of unfiled links
+  async getFolderTree(userId) {
+    const [folders, counts, unfiledLinks] = await Promise.all([
+      this.listFolders(userId),
+      Url.aggregate([
+        { $match: { userId: toObjectId(userId), folderId: { $ne: null } } },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } }
+      ]),
+      Url.countDocuments({ userId, folderId: null })
+    ]);
+
+    const linkCounts = {};
+    counts.forEach(({ _id, count }) => {
+      linkCounts[_id.toString()] = count;
+    });
+
+    return {
+      folders: this.buildTree(folders, linkCounts),
+      unfiledLinks
+    };
+  }
+
+  async getFolder(userId, folderId) {
+    const folder = mongoose.isValidObjectId(folderId)
+      ? await Folder.findOne({ _id: folderId, userId })
+      : null;
+    if (!folder) {
+      throw new NotFoundError('Folder');
+    }
+    return folder;
+  }
+
+  async assertNameAvailable(userId, parentId, name, excludeId = null) {
+    const existing = await Folder.findOne({
+      userId,
+      parentId: parentId || null,
+      name,
+      ...(excludeId && { _id: { $ne: excludeId } })
+    }).select('_id');
+
+    if (existing) {
+      throw new ConflictError(`A folder named "${name}" already exists here`);
+    }
+  }
+
+  async createFolder(userId, data) {
+    const parent = data.parentId ? await this.getFolder(userId, data.parentId) : null;
+    const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+    if (ancestors.length >= MAX_DEPTH) {
+      throw new ValidationError(`Folders can only be nested ${MAX_DEPTH} levels deep`);
+    }
+    await this.assertNameAvailable(userId, parent?._id, data.name);
+
+    const folder = await Folder.create({
+      userId,
+      name: data.name,
+      parentId: parent ? parent._id : null,
+      ancestors,
+      defaults: data.defaults || {}
+    });
+    // A goal on the parent folder covers the new subfolder
+    if (parent) {
+      await conversionService.invalidateGoals(userId);
+    }
+
+    logger.info('Folder created', { userId: userId.toString(), folderId: folder._id.toString() });
+    return folder;
+  }
+
+  async updateFolder(userId, folderId, data) {
+    const folder = await this.getFolder(userId, folderId);
+    const parentChanged = data.parentId !== undefined &&
+      String(data.parentId || '') !== String(folder.parentId || '');
+
+    if (parentChanged) {
+      await this.moveFolder(folder, data.parentId, data.name || folder.name);
+      // Folder goals cover the subtree, which has changed
+      await conversionService.invalidateGoals(userId);
+    } else if (data.name && data.name !== folder.name) {
+      await this.assertNameAvailable(userId, folder.parentId, data.name, folder._id);
+    }
+
+    if (data.name) folder.name = data.name;
+    if (data.defaults !== undefined) folder.defaults = data.defaults || {};
+
+    await folder.save();
+    return folder;
+  }
+
+  // Re-parent a folder (null = top level), rewriting the ancestors of every
+  // folder below it. A folder cannot be moved into its own subtree.
+  async moveFolder(folder, parentId, name) {
+    const parent = parentId ? await this.getFolder(folder.userId, parentId) : null;
+
+    if (parent && (parent._id.equals(folder._id) || parent.ancestors.some(id => id.equals(folder._id)))) {
+      throw new ValidationError('A folder cannot be moved into itself or one of its subfolders');
+    }
+
+    const descendants = await Folder.find({ userId: folder.userId, ancestors: folder._id })
+      .select('ancestors')
+      .lean();
+    const oldPrefix = folder.ancestors.length;
+    const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+    const subtreeDepth = descendants.reduce(
+      (depth, child) => Math.max(depth, child.ancestors.length - oldPrefix),
+      0
+    );
+
+    if (newAncestors.length + subtreeDepth >= MAX_DEPTH) {
+      throw new ValidationError(`Folders can only be nested ${MAX_DEPTH} levels deep`);
+    }
+    await this.assertNameAvailable(folder.userId, parent?._id, name, folder._id);
+
+    if (descendants.length > 0) {
+      await Folder.bulkWrite(descendants.map(child => ({
+        updateOne: {
+          filter: { _id: child._id },
+          update: { $set: { ancestors: [...newAncestors, folder._id, ...child.ancestors.slice(oldPrefix + 1)] } }
+        }
+      })));
+    }
+
+    folder.parentId = parent ? parent._id : null;
+    folder.ancestors = newAncestors;
+  }
+
+  // Delete a folder. Its links, subfolders and conversion goals move up to
+  // its parent folder.
+  async deleteFolder(userId, folderId) {
+    const folder = await this.getFolder(userId, folderId);
+
+    const [children, siblings] = await Promise.all([
+      Folder.find({ userId, parentId: folder._id }).select('name').lean(),
+      Folder.find({ userId, parentId: folder.parentId, _id: { $ne: folder._id } }).select('name').lean()
+    ]);
+    const siblingNames = new Set(siblings.map(sibling => sibling.name));
+    const clash = children.find(child => siblingNames.has(child.name));
+    if (clash) {
+      throw new ConflictError(`Subfolder "${clash.name}" would clash with a folder of the same name; rename it first`);
+    }
+
+    await Folder.updateMany({ userId, parentId: folder._id }, { $set: { parentId: folder.parentId } });
+    await Folder.updateMany({ userId, ancestors: folder._id }, { $pull: { ancestors: folder._id } });
+    const linkCodes = await this.getLinkCodes({ userId, folderId: folder._id });
+    const { modifiedCount: movedLinks } = await Url.updateMany(
+      { userId, folderId: folder._id },
+      { $set: { folderId: folder.parentId } }
+    );
+    await this.invalidateLinks(linkCodes);
+    await conversionService.reassignFolderGoals(userId, folder);
+    await folder.deleteOne();
+
+    logger.info('Folder deleted', { userId: userId.toString(), folderId: folder._id.toString(), movedLinks });
+    return { folder, movedLinks };
+  }
+
+  // Move links into a folder (null = unfiled). Folder defaults only apply to
+  // new links, so moved links keep their settings.
+  async moveLinks(userId, urlIds, folderId) {
+    const folder = folderId ? await this.getFolder(userId, folderId) : null;
+
+    const owned = await Url.find({ _id: { $in: urlIds }, userId }).select('_id').lean();
+    if (owned.length !== new Set(urlIds.map(String)).size) {
+      throw new NotFoundError('URL');
+    }
+
+    const linkCodes = await this.getLinkCodes({ _id: { $in: urlIds }, userId });
+    const { modifiedCount } = await Url.updateMany(
+      { _id: { $in: urlIds }, userId },
+      { $set: { folderId: folder ? folder._id : null } }
+    );
+    await this.invalidateLinks(linkCodes);
+
+    return { moved: modifiedCount, folderId: folder ? folder._id : null };
+  }
+
+  // Every code the matching links answer to, so their cached redirects
+  // (which carry the folder) can be dropped once they move
+  async getLinkCodes(filter) {
+    const links = await Url.find(filter).select('shortCode shortId customAlias').lean();
+    return [...new Set(links.flatMap(link => [link.shortCode, link.shortId, link.customAlias]))]
+      .filter(Boolean);
+  }
+
+  async invalidateLinks(codes) {
+    await Promise.all(codes.map(code => cacheService.invalidateUrl(code)));
+  }
+
+  // Id of the folder and of every folder below it
+  async getFolderIds(userId, folderId) {
+    const folder = await this.getFolder(userId, folderId);
+    const descendants = await Folder.find({ userId, ancestors: folder._id }).select('_id').lean();
+    return [folder._id, ...descendants.map(child => child._id)];
+  }
+
+  // Combine defaults from the top-level folder down to `folders`' last entry.
+  // Tags add up; for everything else the deepest folder that sets a value wins.
+  mergeDefaults(folders) {
+    const merged = { tags: [], expiresInDays: null, redirectType: null, utm: {} };
+
+    folders.forEach(folder => {
+      const defaults = folder.defaults || {};
+      (defaults.tags || []).forEach(tag => {
+        if (!merged.tags.includes(tag)) merged.tags.push(tag);
+      });
+      if (defaults.expiresInDays) merged.expiresInDays = defaults.expiresInDays;
+      if (defaults.redirectType) merged.redirectType = defaults.redirectType;
+      UTM_FIELDS.forEach(field => {
+        if (defaults.utm && defaults.utm[field]) merged.utm[field] = defaults.utm[field];
+      });
+    });
+
+    return merged;
+  }
+
+  // Defaults a new link in `folder` gets, including those inherited from parent folders
+  async getEffectiveDefaults(folder) {
+    const ancestors = folder.ancestors.length > 0
+      ? await Folder.find({ _id: { $in: folder.ancestors } }).select('defaults').lean()
+      : [];
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+    const chain = folder.ancestors.map(id => byId.get(id.toString())).filter(Boolean);
+
+    return this.mergeDefaults([...chain, folder]);
+  }
+
+  // Fill in a new link's data from folder defaults. Values the link sets
+  // itself win; tags are combined; UTM parameters already on the URL are kept.
+  applyDefaults(urlData, defaults, now = new Date()) {
+    const result = { ...urlData };
+
+    if (defaults.tags.length > 0) {
+      result.tags = [...new Set([...defaults.tags, ...(urlData.tags || [])])];
+    }
+    if (!urlData.expiresAt && defaults.expiresInDays) {
+      result.expiresAt = new Date(now.getTime() + defaults.expiresInDays * DAY_MS);
+    }
+    if ((urlData.redirectType === undefined || urlData.redirectType === null) && defaults.redirectType) {
+      result.redirectType = defaults.redirectType;
+    }
+    result.originalUrl = applyUtmParameters(urlData.originalUrl, defaults.utm);
+
+    return result;
+  }
+
+  // Link data for a new link filed in `folderId` (no-op without a folder)
+  async prepareNewLink(userId, folderId, urlData) {
+    if (!folderId) return urlData;
+
+    const folder = await this.getFolder(userId, folderId);
+    const defaults = await this.getEffectiveDefaults(folder);
+
+    return { ...this.applyDefaults(urlData, defaults), folderId: folder._id };
+  }
+}
+
+module.exports = new FolderService();
@@ -0,0 +1,228 @@
+// src/services/linkHealthService.js - Scheduled destination health checks for active links
+const axios = require('axios');
+const Url = require('../models/Url');
+const metadataService = require('./metadataService');
+const monitoringService = require('./monitoringService');
+const logger = require('../config/logger');
+
+const USER_AGENT = 'LinkShortener-Bot/1.0 (+health-check)';
+const HISTORY_LIMIT = 50;
+
+class LinkHealthService {
+  constructor() {
+    this.timeout = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 10000;
+    this.maxRedirects = 5;
+    this.recheckAfterMs = parseInt(process.env.HEALTH_CHECK_RECHECK_MS) || 24 * 60 * 60 * 1000;
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  // Send a single request without following redirects
+  async probe(targetUrl, method) {
+    const parsed = new URL(targetUrl);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Unsupported protocol ${parsed.protocol}`);
+    }
+
+    // Same SSRF guard as the metadata fetcher - internal addresses are never probed
+    const pinned = await metadataService.resolveSafeAddress(parsed.hostname);
+
+    const response = await axios.request({
+      url: parsed.toString(),
+      method,
+      responseType: 'stream',
+      timeout: this.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT },
+      lookup: async () => pinned
+    });
+
+    // Only the status matters - never read the body
+    response.data.destroy();
+
+    return response;
+  }
+
+  // Probe a destination, following redirects and recording every hop
+  async checkDestination(targetUrl) {
+    const startedAt = Date.now();
+    const redirectChain = [];
+    let current = targetUrl;
+
+    try {
+      for (let hop = 0; hop <= this.maxRedirects; hop++) {
+        let response = await this.probe(current, 'HEAD');
+
+        // Plenty of servers reject HEAD - retry those with GET
+        if ([403, 405, 501].includes(response.status)) {
+          response = await this.probe(current, 'GET');
+        }
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+          redirectChain.push({ url: current, statusCode: response.status });
+          current = new URL(response.headers.location, current).toString();
+          continue;
+        }
+
+        return {
+          ok: response.status < 400,
+          statusCode: response.status,
+          finalUrl: current,
+          redirectChain,
+          latencyMs: Date.now() - startedAt,
+          error: response.status < 400 ? null : `HTTP ${response.status}`
+        };
+      }
+
+      throw new Error('Too many redirects');
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        finalUrl: current,
+        redirectChain,
+        latencyMs: Date.now() - startedAt,
+        error: error.code || error.message
+      };
+    }
+  }
+
+  // Check one link, store the result and alert the owner when it breaks
+  async checkUrl(url) {
+    const result = await this.checkDestination(url.originalUrl);
+    const checkedAt = new Date();
+    const status = result.ok ? 'healthy' : 'broken';
+    const wasBroken = url.health?.status === 'broken';
+
+    const update = {
+      $set: {
+        'health.status': status,
+        'health.lastStatusCode': result.statusCode,
+        'health.lastError': result.error,
+        'health.lastLatencyMs': result.latencyMs,
+        'health.lastCheckedAt': checkedAt,
+        'health.finalUrl': result.finalUrl,
+        'health.redirectChain': result.redirectChain
+      },
+      $push: {
+        'health.history': {
+          $each: [{
+            checkedAt,
+            statusCode: result.statusCode,
+            latencyMs: result.latencyMs,
+            ok: result.ok,
+            error: result.error
+          }],
+          $slice: -HISTORY_LIMIT
+        }
+      }
+    };
+
+    if (result.ok) {
+      update.$set['health.consecutiveFailures'] = 0;
+    } else {
+      update.$inc = { 'health.consecutiveFailures': 1 };
+      if (!wasBroken) {
+        update.$set['health.brokenSince'] = checkedAt;
+      }
+    }
+
+    await Url.updateOne({ _id: url._id }, update);
+
+    // Only alert on the transition to broken, not on every failed re-check
+    if (!result.ok && !wasBroken) {
+      this.alertOwner(url, result);
+    }
+
+    return { ...result, status };
+  }
+
+  // Raise a broken-link alert addressed to the link owner
+  alertOwner(url, result) {
+    const reason = result.statusCode ? `returned HTTP ${result.statusCode}` : `is unreachable (${result.error})`;
+
+    monitoringService.triggerAlert(`broken_link_${url._id}`, {
+      level: 'warning',
+      type: 'broken_link',
+      message: `Destination of /${url.customAlias || url.shortCode} ${reason}`,
+      userId: url.userId ? url.userId.toString() : null,
+      urlId: url._id.toString(),
+      shortCode: url.shortCode,
+      originalUrl: url.originalUrl,
+      details: {
+        statusCode: result.statusCode,
+        error: result.error,
+        redirectChain: result.redirectChain
+      }
+    });
+  }
+
+  // Re-check active links that have not been checked recently, oldest first
+  async runChecks(batchSize = parseInt(process.env.HEALTH_CHECK_BATCH_SIZE) || 100) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    try {
+      const staleBefore = new Date(Date.now() - this.recheckAfterMs);
+      const urls = await Url.find({
+        status: 'active',
+        isActive: true,
+        $or: [
+          { 'health.lastCheckedAt': null },
+          { 'health.lastCheckedAt': { $lte: staleBefore } },
+          // Broken links are re-checked more often so they recover quickly
+          { 'health.status': 'broken', 'health.lastCheckedAt': { $lte: new Date(Date.now() - this.recheckAfterMs / 4) } }
+        ]
+      })
+        .sort({ 'health.lastCheckedAt': 1 })
+        .limit(batchSize)
+        .select('_id shortCode customAlias originalUrl userId health.status')
+        .lean();
+
+      let broken = 0;
+      for (const url of urls) {
+        const result = await this.checkUrl(url);
+        if (result.status === 'broken') broken++;
+      }
+
+      if (urls.length > 0) {
+        logger.info('Link health checks completed', { checked: urls.length, broken });
+      }
+
+      return urls.length;
+    } catch (error) {
+      logger.error('Error running link health checks:', { error: error.message });
+      return 0;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the health checker
+  start(intervalMs = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 15 * 60 * 1000) {
+    if (process.env.LINK_HEALTH_CHECKS_ENABLED === 'false') {
+      logger.info('Link health checks disabled');
+      return;
+    }
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+
+    this.checkInterval = setInterval(() => {
+      this.runChecks();
+    }, intervalMs);
+
+    logger.info(`Link health checker started (runs every ${Math.round(intervalMs / 1000)} seconds)`);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+}
+
+module.exports = new LinkHealthService();
@@ -0,0 +1,205 @@
+// src/services/linkUsageService.js - One-time and limited-use links: per-visitor limits and signed tokens
+const crypto = require('crypto');
+const LinkToken = require('../models/LinkToken');
+const LinkVisitorUse = require('../models/LinkVisitorUse');
+const logger = require('../config/logger');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Branded pages for visits that are refused, by reason
+const USAGE_PAGES = {
+  token_required: {
+    status: 403,
+    title: 'Personal Link Required',
+    message: 'This link only works from the personal link you were sent.'
+  },
+  token_invalid: {
+    status: 403,
+    title: 'Invalid Link',
+    message: 'This personal link is not valid. Check that you copied the whole link.'
+  },
+  token_used: {
+    status: 410,
+    title: 'Link Already Used',
+    message: 'This personal link has already been used or has expired.'
+  },
+  visitor_limit: {
+    status: 410,
+    title: 'Link Already Used',
+    message: 'You have already used this link as many times as allowed.'
+  }
+};
+
+class LinkUsageService {
+  // Tokens are signed so guessed or tampered ones are rejected without a lookup
+  getSecret() {
+    return process.env.LINK_TOKEN_SECRET || process.env.JWT_SECRET || 'link-token-secret';
+  }
+
+  sign(urlId, tokenId) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(`${urlId}.${tokenId}`)
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  // Visitor-facing token: "<tokenId>.<signature>", only valid for this link
+  createToken(urlId, tokenId) {
+    return `${tokenId}.${this.sign(urlId, tokenId)}`;
+  }
+
+  // Token id of a correctly signed token for the link, or null
+  verifyToken(urlId, token) {
+    const [tokenId, signature, ...rest] = String(token || '').split('.');
+    if (!tokenId || !signature || rest.length > 0) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(urlId, tokenId));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+      ? tokenId
+      : null;
+  }
+
+  // Same hashing as the unique visitor counts in click analytics
+  getVisitorKey(ip) {
+    return crypto.createHash('sha256')
+      .update(ip + (process.env.IP_SALT || 'default-salt'))
+      .digest('hex');
+  }
+
+  // Whether following the link uses something up (accepts cached plain objects)
+  isLimited(url) {
+    const limits = (url && url.usageLimits) || {};
+    return !!(limits.requireToken || limits.perVisitor);
+  }
+
+  // Mint tokens for a link, one per recipient or `count` anonymous ones.
+  // Returns [{ token, doc }].
+  async mintTokens(url, { count, recipients, maxUses = 1, expiresAt = null }) {
+    if (!url.usageLimits || !url.usageLimits.requireToken) {
+      throw new ValidationError('Turn on usageLimits.requireToken for this link before minting tokens');
+    }
+
+    const labels = recipients && recipients.length > 0 ? recipients : Array(count).fill(null);
+    const docs = await LinkToken.insertMany(labels.map(recipient => ({
+      urlId: url._id,
+      userId: url.userId,
+      tokenId: crypto.randomBytes(12).toString('base64url'),
+      recipient,
+      maxUses,
+      expiresAt
+    })));
+
+    logger.info('Link tokens minted', { urlId: url._id.toString(), count: docs.length });
+
+    return docs.map(doc => ({ token: this.createToken(url._id, doc.tokenId), doc }));
+  }
+
+  async listTokens(urlId, { limit = 50, skip = 0 } = {}) {
+    const [tokens, total] = await Promise.all([
+      LinkToken.find({ urlId }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      LinkToken.countDocuments({ urlId })
+    ]);
+    return { tokens, total };
+  }
+
+  async revokeToken(urlId, tokenId) {
+    const result = await LinkToken.deleteOne({ urlId, tokenId });
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('Token');
+    }
+  }
+
+  async deleteForUrls(urlIds) {
+    await Promise.all([
+      LinkToken.deleteMany({ urlId: { $in: urlIds } }),
+      LinkVisitorUse.deleteMany({ urlId: { $in: urlIds } })
+    ]);
+  }
+
+  // Count one use by a visitor. The conditional upsert is atomic: once the
+  // visitor is at the limit the filter no longer matches and the insert it
+  // falls back to hits the unique index.
+  async consumeVisitorUse(urlId, visitorKey, limit) {
+    try {
+      await LinkVisitorUse.findOneAndUpdate(
+        { urlId, visitorKey, uses: { $lt: limit } },
+        { $inc: { uses: 1 }, $set: { lastUsedAt: new Date() } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Give back a token use counted for a visit that was refused afterwards
+  async releaseToken(urlId, tokenId) {
+    await LinkToken.updateOne({ urlId, tokenId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+  }
+
+  // Count one use of a token; null when it was still valid, otherwise the reason
+  async consumeToken(urlId, tokenId) {
+    const now = new Date();
+    const token = await LinkToken.findOneAndUpdate(
+      {
+        urlId,
+        tokenId,
+        $expr: { $lt: ['$uses', '$maxUses'] },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      { $inc: { uses: 1 }, $set: { lastUsedAt: now } }
+    );
+    if (token) {
+      return null;
+    }
+
+    // Revoked tokens are gone; used-up and expired ones are still there
+    return (await LinkToken.exists({ urlId, tokenId })) ? 'token_used' : 'token_invalid';
+  }
+
+  // Use up one visit of a limited link. Returns null when the visitor may
+  // continue, otherwise the reason (a key of USAGE_PAGES). The signature is
+  // checked before anything is counted, and the token is spent before the
+  // per-visitor allowance so a bad token never costs the visitor a use.
+  async consume(url, { token, ip }) {
+    const limits = url.usageLimits || {};
+
+    let tokenId = null;
+    if (limits.requireToken) {
+      if (!token) {
+        return 'token_required';
+      }
+      tokenId = this.verifyToken(url._id, token);
+      if (!tokenId) {
+        return 'token_invalid';
+      }
+    }
+
+    if (tokenId) {
+      const tokenReason = await this.consumeToken(url._id, tokenId);
+      if (tokenReason) {
+        return tokenReason;
+      }
+    }
+
+    if (limits.perVisitor) {
+      const allowed = await this.consumeVisitorUse(url._id, this.getVisitorKey(ip), limits.perVisitor);
+      if (!allowed) {
+        if (tokenId) {
+          await this.releaseToken(url._id, tokenId);
+        }
+        return 'visitor_limit';
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new LinkUsageService();
+module.exports.USAGE_PAGES = USAGE_PAGES;
@@ -0,0 +1,158 @@
+// src/services/liveClickService.js - Live click feed for the real-time analytics streams
+//
+// The click worker publishes each written batch of clicks, stripped down to
+// what a live dashboard needs (no IP, user agent, session or city), on a Redis
+// channel. Every web server subscribes to it and hands the clicks to the
+// streams open on that server, so a stream sees clicks whichever process wrote
+// them. Without Redis the worker runs in-process and clicks go straight to the
+// local streams.
+const EventEmitter = require('events');
+const redisManager = require('../config/redis');
+const logger = require('../config/logger');
+
+const CHANNEL = 'ls:live-clicks';
+// Most streams one user can have open at once
+const MAX_STREAMS_PER_USER = parseInt(process.env.LIVE_STREAMS_PER_USER) || 5;
+
+const referrerHost = (referrer) => {
+  try {
+    return referrer ? new URL(referrer).hostname : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class LiveClickService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.subscriber = null;
+    // Open streams per user: userId -> count
+    this.streamCounts = new Map();
+    this.maxStreamsPerUser = MAX_STREAMS_PER_USER;
+  }
+
+  // What a live stream shows of a click
+  toLiveClick(shortCode, click) {
+    return {
+      shortCode,
+      timestamp: click.timestamp,
+      country: click.country || 'Unknown',
+      countryCode: click.countryCode || 'XX',
+      device: click.device || 'unknown',
+      browser: click.browser || 'Unknown',
+      os: click.os || 'Unknown',
+      referrer: referrerHost(click.referrer),
+      referrerCategory: click.referrerCategory || 'direct',
+      source: click.source || null,
+      isUniqueVisitor: !!click.isUniqueVisitor,
+      isBot: !!click.isBot
+    };
+  }
+
+  // Publish a link's clicks once they are written. Never throws, so a failed
+  // publish cannot make the click write be retried.
+  async publish({ urlId, userId, shortCode }, clicks) {
+    const message = {
+      urlId: urlId.toString(),
+      userId: userId ? userId.toString() : null,
+      clicks: clicks.map(click => this.toLiveClick(shortCode, click))
+    };
+
+    const client = redisManager.isHealthy() ? redisManager.getClient() : null;
+    if (client) {
+      try {
+        await client.publish(CHANNEL, JSON.stringify(message));
+        // Without a subscription of its own this process only hears about
+        // clicks it publishes through the local fallback
+        if (this.subscriber) return;
+      } catch (error) {
+        logger.warn('Failed to publish live clicks', { urlId: message.urlId, error: error.message });
+      }
+    }
+    this.dispatch(message);
+  }
+
+  dispatch({ urlId, userId, clicks }) {
+    clicks.forEach((click) => {
+      this.emitter.emit(`url:${urlId}`, click);
+      if (userId) {
+        this.emitter.emit(`user:${userId}`, click);
+      }
+    });
+  }
+
+  // Subscribe this process to the Redis channel, once Redis is available
+  async ensureSubscribed() {
+    if (this.subscriber || !redisManager.isHealthy()) return;
+
+    const subscriber = redisManager.getClient().duplicate();
+    this.subscriber = subscriber;
+    subscriber.on('message', (channel, payload) => {
+      try {
+        this.dispatch(JSON.parse(payload));
+      } catch (error) {
+        logger.warn('Ignoring malformed live click message', { error: error.message });
+      }
+    });
+    subscriber.on('error', (error) => {
+      logger.warn('Live click subscriber error', { error: error.message });
+    });
+
+    try {
+      await subscriber.connect();
+      await subscriber.subscribe(CHANNEL);
+    } catch (error) {
+      logger.warn('Failed to subscribe to live clicks, only local clicks are streamed', { error: error.message });
+      subscriber.disconnect();
+      this.subscriber = null;
+    }
+  }
+
+  // Whether the user may open another stream
+  canOpenStream(userId) {
+    return (this.streamCounts.get(userId.toString()) || 0) < this.maxStreamsPerUser;
+  }
+
+  // Follow the clicks on one link ({ userId, urlId }) or on all of a user's
+  // links ({ userId }). `onStop` is called when the server shuts down.
+  // Returns a function that ends the subscription.
+  subscribe({ userId, urlId }, onClick, onStop) {
+    const viewer = userId.toString();
+    const eventName = urlId ? `url:${urlId}` : `user:${viewer}`;
+
+    this.emitter.on(eventName, onClick);
+    this.emitter.on('stop', onStop);
+    this.streamCounts.set(viewer, (this.streamCounts.get(viewer) || 0) + 1);
+    this.ensureSubscribed().catch(error => {
+      logger.warn('Live click subscription failed', { error: error.message });
+    });
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      this.emitter.off(eventName, onClick);
+      this.emitter.off('stop', onStop);
+      const remaining = (this.streamCounts.get(viewer) || 1) - 1;
+      if (remaining > 0) {
+        this.streamCounts.set(viewer, remaining);
+      } else {
+        this.streamCounts.delete(viewer);
+      }
+    };
+  }
+
+  // End every open stream (they would hold the HTTP server open) and the
+  // Redis subscription
+  async stop() {
+    this.emitter.emit('stop');
+    if (this.subscriber) {
+      const subscriber = this.subscriber;
+      this.subscriber = null;
+      await subscriber.quit().catch(() => subscriber.disconnect());
+    }
+  }
+}
+
+module.exports = new LiveClickService();
@@ -0,0 +1,373 @@
+// src/services/metadataService.js - Background fetcher for destination page metadata
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const Queue = require('bull');
+const Url = require('../models/Url');
+const cacheService = require('./cacheService');
+const logger = require('../config/logger');
+
+const QUEUE_NAME = 'url-metadata';
+const USER_AGENT = 'LinkShortener-Bot/1.0 (+metadata)';
+
+// IPv4 ranges that must never be fetched (loopback, private, link-local, CGNAT, multicast, reserved)
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
+
+// Pull a single attribute value out of an HTML tag
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[2] ?? match[3] ?? match[4] ?? null;
+};
+
+const decodeEntities = (value) => {
+  return value
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, maxLength) : null;
+};
+
+class MetadataService {
+  constructor() {
+    this.timeout = parseInt(process.env.METADATA_FETCH_TIMEOUT_MS) || 5000;
+    this.maxBytes = parseInt(process.env.METADATA_MAX_BYTES) || 512 * 1024;
+    this.maxRedirects = 3;
+    // Only ever enabled by tests that fetch from a local HTTP stand-in
+    this.allowPrivateAddresses = false;
+    this.queue = null;
+    this.localQueue = Promise.resolve();
+  }
+
+  // Check whether an IP address is loopback, private or otherwise internal
+  isPrivateAddress(address) {
+    const family = net.isIP(address);
+
+    if (family === 4) {
+      const ip = ipv4ToInt(address);
+      return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+        const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+        return (ip & mask) === (ipv4ToInt(base) & mask);
+      });
+    }
+
+    if (family === 6) {
+      const normalized = address.toLowerCase();
+      const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+      if (mapped) return this.isPrivateAddress(mapped[1]);
+
+      return normalized === '::' ||
+        normalized === '::1' ||
+        /^f[cd]/.test(normalized) ||        // fc00::/7 unique local
+        /^fe[89ab]/.test(normalized) ||     // fe80::/10 link-local
+        /^ff/.test(normalized) ||           // multicast
+        normalized.startsWith('64:ff9b:') || // NAT64
+        normalized.startsWith('2001:db8:');  // documentation
+    }
+
+    // Not an IP at all - treat as unsafe
+    return true;
+  }
+
+  // Resolve a hostname and refuse it if any address is internal. The resolved
+  // address is pinned for the actual request so DNS cannot be rebound in between.
+  async resolveSafeAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    if (net.isIP(host)) {
+      if (!this.allowPrivateAddresses && this.isPrivateAddress(host)) {
+        throw new Error(`Refusing to fetch private address ${host}`);
+      }
+      return { address: host, family: net.isIP(host) };
+    }
+
+    const addresses = await dns.lookup(host, { all: true });
+    if (addresses.length === 0) {
+      throw new Error(`Could not resolve ${host}`);
+    }
+
+    if (!this.allowPrivateAddresses) {
+      const blocked = addresses.find(entry => this.isPrivateAddress(entry.address));
+      if (blocked) {
+        throw new Error(`Refusing to fetch ${host}: resolves to private address ${blocked.address}`);
+      }
+    }
+
+    return addresses[0];
+  }
+
+  // Read at most maxBytes of the response, stopping early once </head> is seen
+  readHead(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let settled = false;
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        stream.destroy();
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      };
+
+      stream.on('data', (chunk) => {
+        const remaining = this.maxBytes - size;
+        chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+        size += Math.min(chunk.length, remaining);
+
+        if (size >= this.maxBytes || /<\/head>/i.test(chunk.toString('utf8'))) {
+          finish();
+        }
+      });
+      stream.on('end', finish);
+      stream.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        reject(error);
+      });
+    });
+  }
+
+  // Fetch the destination page, following a few redirects and re-checking each hop
+  async fetchPage(targetUrl) {
+    let current = targetUrl;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      const parsed = new URL(current);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Unsupported protocol ${parsed.protocol}`);
+      }
+
+      const pinned = await this.resolveSafeAddress(parsed.hostname);
+
+      const response = await axios.get(parsed.toString(), {
+        responseType: 'stream',
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'text/html,application/xhtml+xml'
+        },
+        lookup: async () => pinned
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        response.data.destroy();
+        current = new URL(response.headers.location, parsed).toString();
+        continue;
+      }
+
+      if (response.status >= 400) {
+        response.data.destroy();
+        throw new Error(`Destination responded with ${response.status}`);
+      }
+
+      const contentType = response.headers['content-type'] || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        response.data.destroy();
+        throw new Error(`Unsupported content type ${contentType || 'unknown'}`);
+      }
+
+      const html = await Promise.race([
+        this.readHead(response.data),
+        new Promise((_, reject) => setTimeout(() => {
+          response.data.destroy();
+          reject(new Error('Timed out reading destination page'));
+        }, this.timeout).unref())
+      ]);
+
+      return { html, finalUrl: current };
+    }
+
+    throw new Error('Too many redirects');
+  }
+
+  // Extract title, description, Open Graph tags and favicon from an HTML document
+  parseMetadata(html, pageUrl) {
+    const meta = {};
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+      const key = (getAttribute(tag, 'property') || getAttribute(tag, 'name') || '').toLowerCase();
+      const content = getAttribute(tag, 'content');
+      if (key && content && !(key in meta)) {
+        meta[key] = content;
+      }
+    }
+
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    let favicon = null;
+    for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+      const rel = (getAttribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+      const href = getAttribute(tag, 'href');
+      if (href && (rel.includes('icon') || rel.includes('apple-touch-icon'))) {
+        favicon = href;
+        if (rel.includes('icon')) break;
+      }
+    }
+
+    const toAbsolute = (value) => {
+      if (!value) return null;
+      try {
+        const absolute = new URL(decodeEntities(value), pageUrl);
+        return ['http:', 'https:'].includes(absolute.protocol) ? absolute.toString() : null;
+      } catch {
+        return null;
+      }
+    };
+
+    return {
+      title: clean(meta['og:title'] || meta['twitter:title'] || (titleMatch && titleMatch[1]), 200),
+      description: clean(meta['og:description'] || meta.description || meta['twitter:description'], 500),
+      image: toAbsolute(meta['og:image'] || meta['twitter:image']),
+      siteName: clean(meta['og:site_name'], 100),
+      favicon: toAbsolute(favicon || '/favicon.ico')
+    };
+  }
+
+  // Fetch metadata for a URL document and store it. User-entered title and
+  // description are never overwritten.
+  async refreshMetadata(urlId) {
+    const url = await Url.findById(urlId);
+    if (!url) {
+      throw new Error(`URL ${urlId} not found`);
+    }
+
+    try {
+      const { html, finalUrl } = await this.fetchPage(url.originalUrl);
+      const metadata = this.parseMetadata(html, finalUrl);
+
+      url.metadata = {
+        ...metadata,
+        status: 'success',
+        error: null,
+        fetchedAt: new Date()
+      };
+      if (!url.title && metadata.title) url.title = metadata.title;
+      if (!url.description && metadata.description) url.description = metadata.description;
+
+      logger.info('URL metadata fetched', { urlId: url._id.toString(), shortCode: url.shortCode });
+    } catch (error) {
+      // Keep whatever was fetched last time
+      url.set('metadata.status', 'failed');
+      url.set('metadata.error', error.message.substring(0, 200));
+      url.set('metadata.fetchedAt', new Date());
+
+      logger.warn('URL metadata fetch failed', {
+        urlId: url._id.toString(),
+        shortCode: url.shortCode,
+        error: error.message
+      });
+    }
+
+    await url.save();
+    await cacheService.invalidateUrl(url.shortCode);
+
+    return url;
+  }
+
+  // Queue a metadata fetch without blocking the caller. Uses Bull when Redis is
+  // configured and an in-process queue otherwise.
+  enqueue(urlId) {
+    if (process.env.METADATA_FETCH_ENABLED === 'false') return;
+
+    const id = urlId.toString();
+
+    if (this.queue) {
+      this.queue.add({ urlId: id }, {
+        attempts: 2,
+        backoff: { type: 'exponential', delay: 30000 },
+        removeOnComplete: true,
+        removeOnFail: 100
+      }).catch((error) => {
+        logger.warn('Failed to queue metadata job, fetching in-process', { urlId: id, error: error.message });
+        this.enqueueLocal(id);
+      });
+      return;
+    }
+
+    this.enqueueLocal(id);
+  }
+
+  // Run fetches one at a time in this process
+  enqueueLocal(urlId) {
+    this.localQueue = this.localQueue
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => this.refreshMetadata(urlId))
+      .catch((error) => {
+        logger.error('Metadata job failed', { urlId, error: error.message });
+      });
+  }
+
+  // Start the Bull worker when Redis is available
+  startWorker() {
+    const redisConfigured = process.env.REDIS_ENABLED !== 'false' &&
+      (process.env.REDIS_URL || process.env.REDIS_HOST);
+
+    if (!redisConfigured || this.queue) {
+      logger.info('Metadata fetcher using in-process queue');
+      return;
+    }
+
+    try {
+      this.queue = process.env.REDIS_URL
+        ? new Queue(QUEUE_NAME, process.env.REDIS_URL)
+        : new Queue(QUEUE_NAME, {
+          redis: {
+            host: process.env.REDIS_HOST,
+            port: parseInt(process.env.REDIS_PORT) || 6379,
+            password: process.env.REDIS_PASSWORD || undefined
+          }
+        });
+
+      this.queue.process(parseInt(process.env.METADATA_WORKER_CONCURRENCY) || 2, async (job) => {
+        await this.refreshMetadata(job.data.urlId);
+      });
+
+      this.queue.on('error', (error) => {
+        logger.error('Metadata queue error:', { error: error.message });
+      });
+
+      logger.info('Metadata fetcher worker started');
+    } catch (error) {
+      logger.error('Failed to start metadata queue, using in-process queue:', { error: error.message });
+      this.queue = null;
+    }
+  }
+
+  async stopWorker() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+module.exports = new MetadataService();
@@ -0,0 +1,219 @@
+// src/services/pixelService.js - Retargeting pixel library and pixel firing on redirect
+const mongoose = require('mongoose');
+const Pixel = require('../models/Pixel');
+const Url = require('../models/Url');
+const Analytics = require('../models/Analytics');
+const complianceService = require('./complianceService');
+const cacheService = require('./cacheService');
+const logger = require('../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+
+const MAX_PIXELS_PER_LINK = 10;
+const PIXEL_FIELDS = ['name', 'provider', 'pixelId', 'script', 'isActive'];
+// Seconds the pixels a user can fire stay cached for the redirect path
+const FIRING_PIXELS_CACHE_TTL = 300;
+
+// Values embedded in inline scripts: JSON-encoded and unable to close the tag
+const scriptValue = (value) => JSON.stringify(String(value)).replace(/</g, '\\u003c');
+
+// Standard base snippets for the built-in providers
+const SNIPPETS = {
+  facebook: (id) => `
+    <script>
+        !function(f,b,e,v,n,t,s){if(f.fbq)return;n=f.fbq=function(){n.callMethod?
+        n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;
+        n.push=n;n.loaded=!0;n.version='2.0';n.queue=[];t=b.createElement(e);t.async=!0;
+        t.src=v;s=b.getElementsByTagName(e)[0];s.parentNode.insertBefore(t,s)}(window,
+        document,'script','https://connect.facebook.net/en_US/fbevents.js');
+        fbq('init', ${scriptValue(id)});
+        fbq('track', 'PageView');
+    </script>`,
+  google: (id) => `
+    <script async src="https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(id)}"></script>
+    <script>
+        window.dataLayer = window.dataLayer || [];
+        function gtag(){dataLayer.push(arguments);}
+        gtag('js', new Date());
+        gtag('config', ${scriptValue(id)});
+    </script>`,
+  linkedin: (id) => `
+    <script>
+        window._linkedin_data_partner_ids = window._linkedin_data_partner_ids || [];
+        window._linkedin_data_partner_ids.push(${scriptValue(id)});
+    </script>
+    <script async src="https://snap.licdn.com/li.lms-analytics/insight.min.js"></script>`
+};
+
+class PixelService {
+  constructor() {
+    this.maxPixelsPerLink = MAX_PIXELS_PER_LINK;
+  }
+
+  async listPixels(userId) {
+    return Pixel.find({ userId }).sort({ name: 1 });
+  }
+
+  async getPixel(userId, pixelId) {
+    const pixel = mongoose.isValidObjectId(pixelId)
+      ? await Pixel.findOne({ _id: pixelId, userId })
+      : null;
+    if (!pixel) {
+      throw new NotFoundError('Pixel');
+    }
+    return pixel;
+  }
+
+  async assertNameAvailable(userId, name, excludeId = null) {
+    const existing = await Pixel.findOne({
+      userId,
+      name,
+      ...(excludeId && { _id: { $ne: excludeId } })
+    }).select('_id');
+
+    if (existing) {
+      throw new ConflictError(`A pixel named "${name}" already exists`);
+    }
+  }
+
+  async createPixel(userId, data) {
+    await this.assertNameAvailable(userId, data.name);
+
+    const pixel = await Pixel.create({
+      userId,
+      name: data.name,
+      provider: data.provider,
+      pixelId: data.provider === 'custom' ? null : data.pixelId,
+      script: data.provider === 'custom' ? data.script : null,
+      isActive: data.isActive !== undefined ? data.isActive : true
+    });
+
+    await this.invalidateFiringPixels(userId);
+
+    logger.info('Pixel created', { userId: userId.toString(), pixelId: pixel._id.toString(), provider: pixel.provider });
+    return pixel;
+  }
+
+  async updatePixel(userId, pixelId, data) {
+    const pixel = await this.getPixel(userId, pixelId);
+
+    if (data.name && data.name !== pixel.name) {
+      await this.assertNameAvailable(userId, data.name, pixel._id);
+    }
+
+    for (const field of PIXEL_FIELDS) {
+      if (data[field] !== undefined) {
+        pixel[field] = data[field];
+      }
+    }
+
+    // Keep only the setting the provider uses
+    if (pixel.provider === 'custom') {
+      pixel.pixelId = null;
+      if (!pixel.script) {
+        throw new ValidationError('Custom pixels need a script snippet');
+      }
+    } else {
+      pixel.script = null;
+      if (!pixel.pixelId) {
+        throw new ValidationError(`${pixel.provider} pixels need a pixel id`);
+      }
+    }
+
+    await pixel.save();
+    await this.invalidateFiringPixels(userId);
+    return pixel;
+  }
+
+  // Delete a pixel and detach it from every link it was attached to
+  async deletePixel(userId, pixelId) {
+    const pixel = await this.getPixel(userId, pixelId);
+
+    await Url.updateMany({ userId, pixels: pixel._id }, { $pull: { pixels: pixel._id } });
+    await pixel.deleteOne();
+    await this.invalidateFiringPixels(userId);
+
+    return pixel;
+  }
+
+  // Ids from `pixelIds` that are not pixels of this user
+  async findUnknownPixels(userId, pixelIds) {
+    if (!pixelIds || pixelIds.length === 0) return [];
+
+    const owned = await Pixel.find({ _id: { $in: pixelIds }, userId }).select('_id').lean();
+    const ownedIds = new Set(owned.map(pixel => pixel._id.toString()));
+
+    return pixelIds.filter(id => !ownedIds.has(id.toString()));
+  }
+
+  firingPixelsCacheKey(userId) {
+    return `firing-pixels:${userId}`;
+  }
+
+  // The user's active pixels, or none without marketing consent. Cached so
+  // the redirect path needs no database lookups; pixel and consent changes
+  // clear it.
+  async getUserFiringPixels(userId) {
+    const key = this.firingPixelsCacheKey(userId);
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    const pixels = await complianceService.hasConsent(userId, 'marketing')
+      ? await Pixel.find({ userId, isActive: true }).lean()
+      : [];
+    await cacheService.set(key, pixels, FIRING_PIXELS_CACHE_TTL);
+    return pixels;
+  }
+
+  async invalidateFiringPixels(userId) {
+    await cacheService.del(this.firingPixelsCacheKey(userId));
+  }
+
+  // Pixels to fire for a visit to the link. Nothing fires unless the link
+  // owner has given marketing consent.
+  async getFiringPixels(url) {
+    if (!url.pixels || url.pixels.length === 0) {
+      return [];
+    }
+
+    const ownerId = url.userId?._id || url.userId;
+    if (!ownerId) {
+      return [];
+    }
+
+    const linkPixels = new Set(url.pixels.map(id => id.toString()));
+    const pixels = await this.getUserFiringPixels(ownerId);
+    return pixels.filter(pixel => linkPixels.has(pixel._id.toString()));
+  }
+
+  // HTML for the <head> of the page that fires the pixels
+  renderPixels(pixels) {
+    return pixels
+      .map(pixel => {
+        if (pixel.provider === 'custom') return pixel.script || '';
+        const snippet = SNIPPETS[pixel.provider];
+        return snippet && pixel.pixelId ? snippet(pixel.pixelId) : '';
+      })
+      .join('\n');
+  }
+
+  // Count the pixels served on a visit, per link and per pixel
+  async recordFires(shortCode, url, pixels) {
+    if (pixels.length === 0) return;
+
+    const pixelIds = pixels.map(pixel => pixel._id.toString());
+
+    try {
+      await Promise.all([
+        Analytics.recordPixelFires(shortCode, url._id, pixelIds),
+        Pixel.updateMany(
+          { _id: { $in: pixelIds } },
+          { $inc: { fires: 1 }, $set: { lastFiredAt: new Date() } }
+        )
+      ]);
+    } catch (error) {
+      logger.error('Failed to record pixel fires:', { error: error.message, urlId: url._id.toString() });
+    }
+  }
+}
+
+module.exports = new PixelService();
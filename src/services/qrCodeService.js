@@ -0,0 +1,137 @@
+// src/services/qrCodeService.js - Styled QR codes for short links (colours, centre logo, SVG/PNG/PDF)
+const axios = require('axios');
+const { PNG } = require('pngjs');
+const metadataService = require('./metadataService');
+const cacheService = require('./cacheService');
+const logger = require('../config/logger');
+const { HEX_COLOR, renderQRCode } = require('../utils/qrCodes');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const DEFAULT_OPTIONS = {
+  format: 'png',
+  size: 300,
+  margin: 2,
+  foreground: '#000000',
+  background: '#ffffff',
+  logoSize: 0.2
+};
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Accept colours with or without the leading '#'
+const normalizeColor = (value) => {
+  if (!value) return null;
+  const color = value.startsWith('#') ? value : `#${value}`;
+  return HEX_COLOR.test(color) ? color.toLowerCase() : null;
+};
+
+class QrCodeService {
+  constructor() {
+    this.logoTimeout = parseInt(process.env.QR_LOGO_FETCH_TIMEOUT_MS) || 5000;
+    this.maxLogoBytes = parseInt(process.env.QR_LOGO_MAX_BYTES) || 512 * 1024;
+    this.maxLogoPixels = 1024 * 1024;
+  }
+
+  // Fill in defaults. Colours fall back to the owner's branding (when it uses
+  // hex colours), and `logo: 'branding'` uses the branding logo.
+  resolveOptions(options = {}, branding = {}) {
+    const colors = branding.colors || {};
+    const brandColor = (...values) => values.map(normalizeColor).find(Boolean);
+
+    let logoUrl = options.logo || null;
+    if (logoUrl === 'branding') {
+      if (!branding.logo) {
+        throw new ValidationError('No branding logo is set');
+      }
+      logoUrl = branding.logo;
+    }
+
+    // A centre logo hides modules, so at least 25% must be recoverable
+    let errorCorrection = options.errorCorrection || (logoUrl ? 'H' : 'M');
+    if (logoUrl && ERROR_CORRECTION_LEVELS.indexOf(errorCorrection) < ERROR_CORRECTION_LEVELS.indexOf('Q')) {
+      errorCorrection = 'Q';
+    }
+
+    return {
+      format: options.format || DEFAULT_OPTIONS.format,
+      size: options.size || DEFAULT_OPTIONS.size,
+      margin: options.margin ?? DEFAULT_OPTIONS.margin,
+      errorCorrection,
+      foreground: normalizeColor(options.foreground) ||
+        brandColor(colors.primary, branding.primaryColor) ||
+        DEFAULT_OPTIONS.foreground,
+      background: normalizeColor(options.background) ||
+        brandColor(colors.background) ||
+        DEFAULT_OPTIONS.background,
+      logoUrl,
+      logoSize: options.logoSize || DEFAULT_OPTIONS.logoSize
+    };
+  }
+
+  // Download a PNG logo, refusing internal addresses (same checks as the
+  // metadata fetcher). Decoded logos are cached for an hour.
+  async fetchLogo(logoUrl) {
+    const cacheKey = `qr-logo:${logoUrl}`;
+    const cached = await cacheService.get(cacheKey);
+    const buffer = cached ? Buffer.from(cached, 'base64') : await this.downloadLogo(logoUrl);
+
+    if (!buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      throw new ValidationError('Logo must be a PNG image');
+    }
+
+    let image;
+    try {
+      image = PNG.sync.read(buffer);
+    } catch (error) {
+      throw new ValidationError('Logo could not be decoded as a PNG image');
+    }
+    if (image.width * image.height > this.maxLogoPixels) {
+      throw new ValidationError('Logo is too large (maximum 1024x1024 pixels)');
+    }
+
+    if (!cached) {
+      await cacheService.set(cacheKey, buffer.toString('base64'), 3600);
+    }
+
+    return { buffer, image };
+  }
+
+  async downloadLogo(logoUrl) {
+    try {
+      const parsed = new URL(logoUrl);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Unsupported protocol ${parsed.protocol}`);
+      }
+
+      const pinned = await metadataService.resolveSafeAddress(parsed.hostname);
+      const response = await axios.get(parsed.toString(), {
+        responseType: 'arraybuffer',
+        timeout: this.logoTimeout,
+        maxRedirects: 0,
+        maxContentLength: this.maxLogoBytes,
+        headers: { Accept: 'image/png' },
+        lookup: async () => pinned
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.warn('Failed to fetch QR code logo', { logoUrl, error: error.message });
+      throw new ValidationError(`Could not fetch logo: ${error.message}`);
+    }
+  }
+
+  // Render a QR code for `text` with resolved options
+  async generate(text, options) {
+    const logo = options.logoUrl ? await this.fetchLogo(options.logoUrl) : null;
+    return renderQRCode(text, { ...options, logo });
+  }
+
+  // PNG data URL, as stored on links and returned to the dashboard
+  async toDataUrl(text, options) {
+    const { body } = await this.generate(text, { ...options, format: 'png' });
+    return `data:image/png;base64,${body.toString('base64')}`;
+  }
+}
+
+module.exports = new QrCodeService();
@@ -0,0 +1,300 @@
+// src/services/rollupService.js - Hourly and daily click rollups per link and dimension
+//
+// Each click is counted into an hourly and a daily bucket (UTC) for every
+// dimension below. Analytics read these instead of the raw click arrays, so a
+// query costs the same for any date range and link size. Unique visitors are
+// a visitor's first clicks of the UTC day, so daily rollups hold daily unique
+// visitors; unique visitors over a range come from uniqueVisitorService.
+const mongoose = require('mongoose');
+const ClickRollup = require('../models/ClickRollup');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Value a click is counted under for each dimension; null skips the click
+const DIMENSIONS = {
+  total: () => 'all',
+  country: click => click.country || 'Unknown',
+  device: click => click.device || 'unknown',
+  browser: click => click.browser || 'Unknown',
+  os: click => click.os || 'Unknown',
+  referrer: click => click.referrerCategory || 'direct',
+  campaign: click => click.utmCampaign || null,
+  source: click => click.source || 'link',
+  rule: click => click.redirectRuleName || click.redirectRuleId || 'default',
+  variant: click => click.variantId || null
+};
+
+const floorHour = date => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+const floorDay = date => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+const ceilDay = (date) => {
+  const day = floorDay(date);
+  return day.getTime() === date.getTime() ? day : new Date(day.getTime() + DAY_MS);
+};
+
+const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id));
+
+class RollupService {
+  constructor() {
+    // Hourly breakdowns expire after this many days; hourly totals and all
+    // daily rollups are kept
+    this.hourlyRetentionDays = parseInt(process.env.ROLLUP_HOURLY_RETENTION_DAYS) || 30;
+  }
+
+  // Oldest hour whose breakdowns are still stored
+  getHourlyCutoff() {
+    return new Date(Date.now() - this.hourlyRetentionDays * DAY_MS);
+  }
+
+  // Add a link's clicks to its rollups with one bulk write. Clicks need
+  // `isUniqueVisitor` decided already.
+  async recordClicks(urlId, clicks) {
+    const hourlyCutoff = this.getHourlyCutoff();
+    const entries = new Map();
+
+    clicks.forEach((click) => {
+      const timestamp = new Date(click.timestamp);
+      const buckets = [['hour', floorHour(timestamp)], ['day', floorDay(timestamp)]];
+
+      Object.entries(DIMENSIONS).forEach(([dimension, valueOf]) => {
+        const value = valueOf(click);
+        if (value === null) return;
+
+        buckets.forEach(([granularity, bucket]) => {
+          const breakdown = granularity === 'hour' && dimension !== 'total';
+          // Backfilled hours past retention would only be expired again
+          if (breakdown && bucket < hourlyCutoff) return;
+
+          const key = `${granularity}|${bucket.getTime()}|${dimension}|${value}`;
+          let entry = entries.get(key);
+          if (!entry) {
+            entry = {
+              filter: { urlId, granularity, bucket, dimension, value: String(value) },
+              clicks: 0,
+              uniqueVisitors: 0,
+              lastClickAt: timestamp,
+              expiresAt: breakdown ? new Date(bucket.getTime() + this.hourlyRetentionDays * DAY_MS) : null,
+              label: dimension === 'variant' ? click.variantName || null : null,
+              sources: new Set(),
+              mediums: new Set()
+            };
+            entries.set(key, entry);
+          }
+
+          entry.clicks += 1;
+          if (click.isUniqueVisitor) entry.uniqueVisitors += 1;
+          if (timestamp > entry.lastClickAt) entry.lastClickAt = timestamp;
+          if (dimension === 'campaign') {
+            if (click.utmSource) entry.sources.add(click.utmSource);
+            if (click.utmMedium) entry.mediums.add(click.utmMedium);
+          }
+        });
+      });
+    });
+
+    const operations = [...entries.values()].map((entry) => {
+      const update = {
+        $inc: { clicks: entry.clicks, uniqueVisitors: entry.uniqueVisitors },
+        $max: { lastClickAt: entry.lastClickAt }
+      };
+      if (entry.expiresAt) update.$setOnInsert = { expiresAt: entry.expiresAt };
+      if (entry.label) update.$set = { label: entry.label };
+      if (entry.sources.size > 0 || entry.mediums.size > 0) {
+        update.$addToSet = {
+          sources: { $each: [...entry.sources] },
+          mediums: { $each: [...entry.mediums] }
+        };
+      }
+      return { updateOne: { filter: entry.filter, update, upsert: true } };
+    });
+
+    if (operations.length > 0) {
+      await ClickRollup.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // Rebuild a link's rollups from its stored clicks (backfill). Clicks
+  // written while the link is being rebuilt may be counted twice or missed.
+  async rebuildLink(urlId, clicks) {
+    await ClickRollup.deleteMany({ urlId });
+    return this.recordClicks(urlId, clicks);
+  }
+
+  async deleteForUrls(urlIds) {
+    await ClickRollup.deleteMany({ urlId: { $in: urlIds } });
+  }
+
+  // Drop rollups for buckets before `date` (analytics retention)
+  async deleteBefore(date) {
+    const result = await ClickRollup.deleteMany({ bucket: { $lt: date } });
+    return result.deletedCount;
+  }
+
+  // Bucket conditions covering startDate..endDate: daily rollups for whole
+  // days and hourly ones for the partial days at either end. With
+  // `hourlySince` set, partial days before it fall back to the whole day.
+  bucketFilter(startDate, endDate, { hourlySince = null } = {}) {
+    const from = floorHour(startDate);
+    const firstDay = ceilDay(from);
+    const lastDay = floorDay(endDate);
+
+    const hours = (start, bucket) => (hourlySince && start < hourlySince
+      ? { granularity: 'day', bucket: floorDay(start) }
+      : { granularity: 'hour', bucket });
+
+    if (floorDay(from).getTime() === lastDay.getTime()) {
+      return [hours(from, { $gte: from, $lte: endDate })];
+    }
+
+    const conditions = [];
+    if (from < firstDay) {
+      conditions.push(hours(from, { $gte: from, $lt: firstDay }));
+    }
+    if (firstDay < lastDay) {
+      conditions.push({ granularity: 'day', bucket: { $gte: firstDay, $lt: lastDay } });
+    }
+    conditions.push(hours(lastDay, { $gte: lastDay, $lte: endDate }));
+    return conditions;
+  }
+
+  // Hourly points for ranges up to a week, daily ones beyond
+  pickGranularity({ startDate, endDate }) {
+    return endDate - startDate <= 7 * DAY_MS ? 'hour' : 'day';
+  }
+
+  // Clicks per dimension value, e.g. { country: [{ value, clicks, ... }] },
+  // each list sorted by clicks
+  async getBreakdown(urlIds, { startDate, endDate }, dimensions) {
+    const hourlySince = dimensions.some(dimension => dimension !== 'total') ? this.getHourlyCutoff() : null;
+
+    const rows = await ClickRollup.aggregate([
+      {
+        $match: {
+          urlId: { $in: toObjectIds(urlIds) },
+          dimension: { $in: dimensions },
+          $or: this.bucketFilter(startDate, endDate, { hourlySince })
+        }
+      },
+      {
+        $group: {
+          _id: { dimension: '$dimension', value: '$value' },
+          clicks: { $sum: '$clicks' },
+          uniqueVisitors: { $sum: '$uniqueVisitors' },
+          links: { $addToSet: '$urlId' },
+          lastClickAt: { $max: '$lastClickAt' },
+          label: { $max: '$label' },
+          sources: { $push: '$sources' },
+          mediums: { $push: '$mediums' }
+        }
+      },
+      {
+        $sort: { clicks: -1 }
+      }
+    ]);
+
+    const breakdown = Object.fromEntries(dimensions.map(dimension => [dimension, []]));
+    rows.forEach((row) => {
+      breakdown[row._id.dimension].push({
+        value: row._id.value,
+        clicks: row.clicks,
+        uniqueVisitors: row.uniqueVisitors,
+        links: row.links.length,
+        lastClickAt: row.lastClickAt,
+        label: row.label,
+        sources: [...new Set(row.sources.flat().filter(Boolean))],
+        mediums: [...new Set(row.mediums.flat().filter(Boolean))]
+      });
+    });
+    return breakdown;
+  }
+
+  // Clicks per link in the range, sorted by clicks
+  async getTotalsByLink(urlIds, { startDate, endDate }) {
+    const rows = await ClickRollup.aggregate([
+      {
+        $match: {
+          urlId: { $in: toObjectIds(urlIds) },
+          dimension: 'total',
+          $or: this.bucketFilter(startDate, endDate)
+        }
+      },
+      {
+        $group: {
+          _id: '$urlId',
+          clicks: { $sum: '$clicks' },
+          uniqueVisitors: { $sum: '$uniqueVisitors' },
+          lastClickAt: { $max: '$lastClickAt' }
+        }
+      },
+      {
+        $sort: { clicks: -1 }
+      }
+    ]);
+
+    return rows.map(({ _id, ...totals }) => ({ urlId: _id, ...totals }));
+  }
+
+  // Clicks per hour or day across the links
+  async getTimeSeries(urlIds, { startDate, endDate }, granularity = this.pickGranularity({ startDate, endDate })) {
+    const from = granularity === 'hour' ? floorHour(startDate) : floorDay(startDate);
+
+    const rows = await ClickRollup.aggregate([
+      {
+        $match: {
+          urlId: { $in: toObjectIds(urlIds) },
+          dimension: 'total',
+          granularity,
+          bucket: { $gte: from, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$bucket',
+          clicks: { $sum: '$clicks' },
+          uniqueVisitors: { $sum: '$uniqueVisitors' }
+        }
+      },
+      {
+        $sort: { _id: 1 }
+      }
+    ]);
+
+    return rows.map(row => ({ date: row._id, clicks: row.clicks, uniqueVisitors: row.uniqueVisitors }));
+  }
+
+  // Clicks by hour of day and day of week (UTC), from the hourly totals
+  async getPatterns(urlIds, { startDate, endDate }) {
+    const rows = await ClickRollup.aggregate([
+      {
+        $match: {
+          urlId: { $in: toObjectIds(urlIds) },
+          dimension: 'total',
+          granularity: 'hour',
+          bucket: { $gte: floorHour(startDate), $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: { hour: { $hour: '$bucket' }, day: { $dayOfWeek: '$bucket' } },
+          count: { $sum: '$clicks' }
+        }
+      }
+    ]);
+
+    const hourly = Array(24).fill(0);
+    const weekly = Array(7).fill(0);
+    rows.forEach((row) => {
+      hourly[row._id.hour] += row.count;
+      // $dayOfWeek counts from 1 (Sunday); Date#getDay from 0
+      weekly[row._id.day - 1] += row.count;
+    });
+
+    return {
+      hourlyPattern: hourly.map((count, hour) => ({ hour, count })),
+      weeklyPattern: weekly.map((count, day) => ({ day, count }))
+    };
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,84 @@
+// src/services/shortCodeService.js - Unique short code generation with selectable strategies
+const Url = require('../models/Url');
+const Counter = require('../models/Counter');
+const logger = require('../config/logger');
+const {
+  ALPHABETS,
+  isReservedCode,
+  encodeBase62,
+  randomCode,
+  unambiguousCode,
+  pronounceableCode
+} = require('../utils/shortCodes');
+
+const STRATEGIES = ['random', 'sequential', 'pronounceable', 'unambiguous'];
+const SEQUENCE_NAME = 'shortCode';
+
+class ShortCodeService {
+  constructor() {
+    this.strategy = STRATEGIES.includes(process.env.SHORT_CODE_STRATEGY)
+      ? process.env.SHORT_CODE_STRATEGY
+      : 'random';
+    this.length = parseInt(process.env.SHORT_CODE_LENGTH) || 8;
+    this.alphabet = process.env.SHORT_CODE_ALPHABET || ALPHABETS.urlSafe;
+    // Sequential codes start here so the first links don't get 1-character codes
+    this.sequenceOffset = parseInt(process.env.SHORT_CODE_SEQUENCE_OFFSET) || Math.pow(62, 3);
+    this.batchSize = 5;
+    this.maxAttempts = 10;
+  }
+
+  // Produce a batch of candidate codes for a strategy
+  async createCandidates(strategy, length, count) {
+    if (strategy === 'sequential') {
+      // Reserve the whole batch in one atomic increment
+      const last = await Counter.next(SEQUENCE_NAME, count);
+      return Array.from({ length: count }, (_, i) => encodeBase62(this.sequenceOffset + last - count + i + 1));
+    }
+
+    const generators = {
+      random: () => randomCode(length, this.alphabet),
+      pronounceable: () => pronounceableCode(length),
+      unambiguous: () => unambiguousCode(length)
+    };
+
+    return Array.from({ length: count }, generators[strategy]);
+  }
+
+  // Codes from the list that no link uses as shortId, shortCode or alias
+  async filterAvailable(codes) {
+    const taken = await Url.find({
+      $or: [
+        { shortId: { $in: codes } },
+        { shortCode: { $in: codes } },
+        { customAlias: { $in: codes } }
+      ]
+    }).select('shortId shortCode customAlias').lean();
+
+    const used = new Set(taken.flatMap(url => [url.shortId, url.shortCode, url.customAlias]));
+    return codes.filter(code => !used.has(code));
+  }
+
+  // Generate a short code that is unique and not a reserved word.
+  // Each attempt checks a batch of candidates with a single query.
+  async generate({ strategy = this.strategy, length = this.length } = {}) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown short code strategy "${strategy}"`);
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const candidates = (await this.createCandidates(strategy, length, this.batchSize))
+        .filter(code => !isReservedCode(code));
+
+      if (candidates.length === 0) continue;
+
+      const [code] = await this.filterAvailable(candidates);
+      if (code) return code;
+
+      logger.warn('Short code candidates all taken, retrying', { strategy, length, attempt });
+    }
+
+    throw new Error('Unable to generate unique short code');
+  }
+}
+
+module.exports = new ShortCodeService();
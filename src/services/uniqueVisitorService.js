@@ -0,0 +1,198 @@
+// src/services/uniqueVisitorService.js - Unique visitors per link from daily HyperLogLog sketches
+//
+// Every click adds the visitor's hashed IP to the link's sketch for that UTC
+// day and to its all-time sketch. Sketches merge, so unique visitors over any
+// run of days (and across links) are counted without reading clicks. Redis
+// holds the sketches (PFADD/PFCOUNT); while it is unavailable they are kept in
+// MongoDB with the pure-JS implementation and folded into Redis once it is back.
+const crypto = require('crypto');
+const HyperLogLog = require('../utils/hyperLogLog');
+const VisitorSketch = require('../models/VisitorSketch');
+const redisManager = require('../config/redis');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_TIME = 'all';
+// Most keys passed to one PFCOUNT or PFMERGE
+const MAX_KEYS_PER_COMMAND = 1000;
+
+const toDay = date => new Date(date).toISOString().slice(0, 10);
+
+// UTC days from startDate to endDate, inclusive
+const listDays = (startDate, endDate) => {
+  const days = [];
+  const end = new Date(toDay(endDate)).getTime();
+  for (let time = new Date(toDay(startDate)).getTime(); time <= end; time += DAY_MS) {
+    days.push(toDay(time));
+  }
+  return days;
+};
+
+class UniqueVisitorService {
+  constructor() {
+    this.keyPrefix = 'hll:visitors:';
+    this.retentionDays = parseInt(process.env.VISITOR_SKETCH_RETENTION_DAYS) || 400;
+  }
+
+  sketchKey(urlId, day) {
+    return `${this.keyPrefix}${urlId}:${day}`;
+  }
+
+  getClient() {
+    return redisManager.isHealthy() ? redisManager.getClient() : null;
+  }
+
+  // Add a link's clicks to its sketches and set each click's
+  // `isUniqueVisitor`: true for the visitor's first click of the UTC day
+  async recordVisitors(urlId, clicks) {
+    if (clicks.length === 0) return;
+
+    const client = this.getClient();
+    if (client) {
+      try {
+        await this.recordInRedis(client, urlId, clicks);
+        return;
+      } catch (error) {
+        logger.warn('Failed to record visitors in Redis, using stored sketches', {
+          urlId: urlId.toString(),
+          error: error.message
+        });
+      }
+    }
+    await this.recordInMongo(urlId, clicks);
+  }
+
+  async recordInRedis(client, urlId, clicks) {
+    const pipeline = client.pipeline();
+    const dayKeys = new Set();
+
+    clicks.forEach((click) => {
+      const dayKey = this.sketchKey(urlId, toDay(click.timestamp));
+      dayKeys.add(dayKey);
+      pipeline.pfadd(dayKey, click.hashedIp);
+    });
+    pipeline.pfadd(this.sketchKey(urlId, ALL_TIME), ...clicks.map(click => click.hashedIp));
+    dayKeys.forEach(key => pipeline.expire(key, this.retentionDays * 24 * 60 * 60));
+
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+
+    // PFADD answers 1 when the sketch changed, i.e. the visitor is new that day
+    clicks.forEach((click, i) => {
+      click.isUniqueVisitor = results[i][1] === 1;
+    });
+  }
+
+  async recordInMongo(urlId, clicks) {
+    const byDay = new Map();
+    clicks.forEach((click) => {
+      const day = toDay(click.timestamp);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(click);
+    });
+
+    for (const [day, dayClicks] of byDay) {
+      await this.updateStoredSketch(urlId, day, (sketch) => {
+        dayClicks.forEach((click) => {
+          click.isUniqueVisitor = sketch.add(click.hashedIp);
+        });
+      });
+    }
+
+    await this.updateStoredSketch(urlId, ALL_TIME, (sketch) => {
+      clicks.forEach(click => sketch.add(click.hashedIp));
+    });
+  }
+
+  async updateStoredSketch(urlId, day, update) {
+    const doc = await VisitorSketch.findOne({ urlId, day }) || new VisitorSketch({
+      urlId,
+      day,
+      registers: new HyperLogLog().toBuffer(),
+      expiresAt: day === ALL_TIME ? undefined : new Date(new Date(day).getTime() + this.retentionDays * DAY_MS)
+    });
+
+    const sketch = HyperLogLog.fromBuffer(doc.registers);
+    update(sketch);
+    doc.registers = sketch.toBuffer();
+    await doc.save();
+  }
+
+  // Move sketches stored while Redis was down into Redis
+  async foldStoredSketches(client, urlIds) {
+    const docs = await VisitorSketch.find({ urlId: { $in: urlIds } });
+
+    for (const doc of docs) {
+      const key = this.sketchKey(doc.urlId, doc.day);
+      const tempKey = `${this.keyPrefix}tmp:${crypto.randomUUID()}`;
+
+      await client.set(tempKey, doc.registers, 'EX', 60);
+      await client.pfmerge(key, key, tempKey);
+      await client.del(tempKey);
+      if (doc.day !== ALL_TIME) {
+        await client.expire(key, this.retentionDays * 24 * 60 * 60);
+      }
+      // A sketch updated meanwhile is kept and folded again next time
+      await VisitorSketch.deleteOne({ _id: doc._id, __v: doc.__v });
+    }
+  }
+
+  // Unique visitors across the sketch keys, merging in batches when there
+  // are more keys than one command takes
+  async countKeys(client, keys) {
+    if (keys.length === 0) return 0;
+    if (keys.length <= MAX_KEYS_PER_COMMAND) {
+      return await client.pfcount(...keys);
+    }
+
+    const tempKey = `${this.keyPrefix}tmp:${crypto.randomUUID()}`;
+    try {
+      for (let i = 0; i < keys.length; i += MAX_KEYS_PER_COMMAND) {
+        await client.pfmerge(tempKey, ...keys.slice(i, i + MAX_KEYS_PER_COMMAND));
+      }
+      return await client.pfcount(tempKey);
+    } finally {
+      await client.del(tempKey);
+    }
+  }
+
+  async count(urlIds, days) {
+    const client = this.getClient();
+    if (client) {
+      try {
+        await this.foldStoredSketches(client, urlIds);
+        return await this.countKeys(client, urlIds.flatMap(urlId => days.map(day => this.sketchKey(urlId, day))));
+      } catch (error) {
+        logger.warn('Failed to count visitors in Redis, using stored sketches', { error: error.message });
+      }
+    }
+
+    // Only covers what was recorded while Redis was unavailable, or
+    // everything when Redis isn't used at all
+    const docs = await VisitorSketch.find({ urlId: { $in: urlIds }, day: { $in: days } });
+    return docs
+      .reduce((sketch, doc) => sketch.merge(HyperLogLog.fromBuffer(doc.registers)), new HyperLogLog())
+      .count();
+  }
+
+  // Unique visitors of the links on the UTC days from startDate to endDate
+  async countRange(urlIds, { startDate, endDate }) {
+    if (urlIds.length === 0) return 0;
+    return this.count(urlIds, listDays(startDate, endDate));
+  }
+
+  // Unique visitors of a link since it was created
+  async countAllTime(urlId) {
+    return this.count([urlId], [ALL_TIME]);
+  }
+
+  async deleteForUrls(urlIds) {
+    await VisitorSketch.deleteMany({ urlId: { $in: urlIds } });
+    await Promise.all(urlIds.map(urlId => redisManager.deletePattern(this.sketchKey(urlId, '*'))));
+  }
+}
+
+module.exports = new UniqueVisitorService();
@@ -0,0 +1,211 @@
+// src/services/urlHistoryService.js - Versioned link edit history with rollback
+const Url = require('../models/Url');
+const UrlVersion = require('../models/UrlVersion');
+const cacheService = require('./cacheService');
+const contentModerationService = require('./contentModerationService');
+const logger = require('../config/logger');
+const { aliasKeyClauses } = require('../utils/aliasKey');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Fields that are versioned. Password is tracked as set/cleared only.
+const TRACKED_FIELDS = ['originalUrl', 'shortId', 'customAlias', 'tags', 'expiresAt', 'redirectRules', 'variants'];
+
+// Convert mongoose values into plain JSON-comparable values
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toObject === 'function') value = value.toObject();
+  return JSON.parse(JSON.stringify(value));
+};
+
+class UrlHistoryService {
+  // Capture the versioned state of a link. Load the link with +password so
+  // password changes are detected; otherwise the password state is unknown (null).
+  snapshot(url) {
+    const state = {};
+    for (const field of TRACKED_FIELDS) {
+      state[field] = toPlain(url[field]);
+    }
+
+    const passwordLoaded = typeof url.isSelected !== 'function' || url.isSelected('password');
+    state.hasPassword = passwordLoaded ? !!url.password : null;
+    state.password = passwordLoaded ? url.password || null : null;
+    return state;
+  }
+
+  // List field-level changes between two snapshots
+  diff(before, after) {
+    const changes = [];
+
+    for (const field of TRACKED_FIELDS) {
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    if (before.hasPassword === null || after.hasPassword === null) {
+      // Password was not loaded - nothing to compare
+    } else if (before.hasPassword !== after.hasPassword) {
+      changes.push({
+        field: 'password',
+        from: before.hasPassword ? 'set' : 'none',
+        to: after.hasPassword ? 'set' : 'cleared'
+      });
+    } else if (before.password !== after.password) {
+      changes.push({ field: 'password', from: 'set', to: 'changed' });
+    }
+
+    return changes;
+  }
+
+  async getLatestVersion(urlId) {
+    const latest = await UrlVersion.findOne({ urlId }).sort({ version: -1 }).select('version');
+    return latest ? latest.version : 0;
+  }
+
+  async createVersion(urlId, state, data) {
+    const { password, ...snapshot } = state;
+
+    return UrlVersion.create({
+      urlId,
+      snapshot,
+      password,
+      ...data
+    });
+  }
+
+  // Record a new version after a link was saved. `before` is the snapshot taken
+  // before the edit. Links edited for the first time get their prior state
+  // stored as version 1 so the very first change can be rolled back too.
+  async recordChange(url, before, userId, { action = 'update', restoredFrom = null } = {}) {
+    try {
+      const after = this.snapshot(url);
+      const changes = this.diff(before, after);
+
+      if (changes.length === 0) return null;
+
+      let version = await this.getLatestVersion(url._id);
+
+      if (version === 0) {
+        await this.createVersion(url._id, before, {
+          version: 1,
+          action: 'initial',
+          changedBy: url.userId || null
+        });
+        version = 1;
+      }
+
+      const entry = await this.createVersion(url._id, after, {
+        version: version + 1,
+        action,
+        changes,
+        changedBy: userId || null,
+        restoredFrom
+      });
+
+      logger.info('URL version recorded', {
+        urlId: url._id.toString(),
+        version: entry.version,
+        fields: changes.map(change => change.field)
+      });
+
+      return entry;
+    } catch (error) {
+      // History must never block the edit itself
+      logger.error('Failed to record URL version:', { error: error.message, urlId: url._id?.toString() });
+      return null;
+    }
+  }
+
+  // Version list for a link, newest first
+  async getHistory(urlId, { limit = 50, skip = 0 } = {}) {
+    const [versions, total] = await Promise.all([
+      UrlVersion.find({ urlId })
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('changedBy', 'name email')
+        .lean(),
+      UrlVersion.countDocuments({ urlId })
+    ]);
+
+    return { versions, total };
+  }
+
+  // Roll a link back to the state captured in a version
+  async restoreVersion(urlId, versionNumber, userId) {
+    const url = await Url.findOne({ _id: urlId, userId }).select('+password');
+    if (!url) {
+      throw new NotFoundError('URL');
+    }
+
+    const target = await UrlVersion.findOne({ urlId, version: versionNumber }).select('+password');
+    if (!target) {
+      throw new NotFoundError('Version');
+    }
+
+    const { snapshot } = target;
+
+    // The old alias may have been taken by another link since
+    for (const field of ['shortId', 'customAlias']) {
+      const alias = snapshot[field];
+      if (alias && alias !== url[field]) {
+        const taken = await Url.findOne({
+          _id: { $ne: url._id },
+          $or: [{ shortId: alias }, { shortCode: alias }, { customAlias: alias }, ...aliasKeyClauses(alias)]
+        });
+        if (taken) {
+          throw new ConflictError(`Alias "${alias}" is now used by another link`);
+        }
+      }
+    }
+
+    const before = this.snapshot(url);
+    const previousCodes = [url.shortCode, url.shortId, url.customAlias];
+
+    url.originalUrl = snapshot.originalUrl;
+    url.shortId = snapshot.shortId || url.shortId;
+    url.customAlias = snapshot.customAlias || null;
+    url.tags = snapshot.tags || [];
+    url.expiresAt = snapshot.expiresAt || null;
+    url.redirectRules = snapshot.redirectRules || [];
+    url.variants = snapshot.variants || [];
+    if (snapshot.hasPassword !== null && snapshot.hasPassword !== undefined) {
+      url.password = snapshot.hasPassword ? target.password : null;
+    }
+
+    // A restored destination goes through moderation like a new one
+    if (url.originalUrl !== before.originalUrl) {
+      await contentModerationService.reviewLink(url);
+    }
+
+    await url.save();
+
+    // Drop cached redirects for every code the link answered to
+    for (const code of new Set([...previousCodes, url.shortCode, url.shortId, url.customAlias])) {
+      if (code) await cacheService.invalidateUrl(code);
+    }
+
+    const entry = await this.recordChange(url, before, userId, {
+      action: 'restore',
+      restoredFrom: versionNumber
+    });
+
+    logger.info('URL restored to earlier version', {
+      urlId: url._id.toString(),
+      restoredFrom: versionNumber,
+      userId
+    });
+
+    return { url, version: entry ? entry.version : null };
+  }
+
+  // Snapshots carry the link's password hash, so they go with the link
+  async deleteForUrls(urlIds) {
+    await UrlVersion.deleteMany({ urlId: { $in: urlIds } });
+  }
+}
+
+module.exports = new UrlHistoryService();
@@ -1,15 +1,34 @@
 // src/services/urlService.js - Enhanced URL service with caching and business logic
-const { nanoid } = require('nanoid');
-const QRCode = require('qrcode');
 const Url = require('../models/Url');
 const Analytics = require('../models/Analytics');
+const User = require('../models/User');
 const cacheService = require('./cacheService');
+const metadataService = require('./metadataService');
+const urlHistoryService = require('./urlHistoryService');
+const shortCodeService = require('./shortCodeService');
+const contentModerationService = require('./contentModerationService');
+const qrCodeService = require('./qrCodeService');
+const folderService = require('./folderService');
+const utmService = require('./utmService');
+const linkUsageService = require('./linkUsageService');
 const logger = require('../config/logger');
-const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { isReservedCode } = require('../utils/shortCodes');
+const { normalizeAlias, aliasKeyClauses } = require('../utils/aliasKey');
+const { withSourceMarker, canonicalizeUrl } = require('../utils/urlUtils');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  LinkUnavailableError,
+  DuplicateLinkError
+} = require('../middleware/errorHandler');
+
+const DEDUPE_MODES = ['reuse', 'always_new', 'ask'];
 
 class UrlService {
   constructor() {
     this.baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+    this.expirySweepInterval = null;
   }
 
   // Create a new short URL
@@ -25,14 +44,16 @@ class UrlService {
         }
       }
 
-      // Check for existing URL to prevent duplicates
-      const existingUrl = await Url.findOne({
-        originalUrl: urlData.originalUrl,
-        userId,
-        status: 'active'
-      });
+      // Folder defaults (tags, expiry, redirect type, UTM parameters)
+      urlData = await folderService.prepareNewLink(userId, urlData.folderId, urlData);
+
+      // UTM naming conventions - throws when the template rejects the destination
+      const { warnings: utmWarnings } = await utmService.enforce(userId, urlData.originalUrl, urlData.utmTemplateId);
 
-      if (existingUrl && !urlData.customAlias) {
+      // Reuse a link to the same destination, depending on the dedupe mode
+      const existingUrl = await this.findReusableUrl(userId, urlData);
+
+      if (existingUrl) {
         logger.info('Returning existing URL', { shortCode: existingUrl.shortCode });
         
         // Update cache
@@ -44,6 +65,10 @@ class UrlService {
       // Generate short code
       let shortCode;
       if (urlData.customAlias) {
+        if (isReservedCode(urlData.customAlias)) {
+          throw new ValidationError(`Custom alias "${urlData.customAlias}" is reserved`);
+        }
+
         // Check if custom alias is available
         const aliasExists = await this.checkAliasAvailability(urlData.customAlias);
         if (!aliasExists) {
@@ -66,12 +91,29 @@ class UrlService {
         userId,
         password: urlData.password || null,
         expiresAt: urlData.expiresAt || null,
+        activatesAt: urlData.activatesAt || null,
+        maxClicks: urlData.maxClicks || null,
+        fallbackUrl: urlData.fallbackUrl || null,
+        fallbackMessage: urlData.fallbackMessage || null,
+        redirectType: urlData.redirectType || 302,
+        queryPassthrough: urlData.queryPassthrough || 'none',
         tags: urlData.tags || [],
+        folderId: urlData.folderId || null,
+        utmWarnings,
+        redirectRules: urlData.redirectRules || [],
+        variants: urlData.variants || [],
         title: urlData.title || '',
         description: urlData.description || '',
+        socialPreview: urlData.socialPreview || {},
+        deepLink: urlData.deepLink || {},
+        interstitial: urlData.interstitial || {},
+        accessPolicy: urlData.accessPolicy || {},
+        usageLimits: urlData.usageLimits || {},
         qrCode
       });
 
+      await contentModerationService.reviewLink(newUrl);
+
       const savedUrl = await newUrl.save();
       
       // Cache the new URL
@@ -80,6 +122,9 @@ class UrlService {
       // Create initial analytics record
       await this.createInitialAnalytics(savedUrl);
 
+      // Fill in title, description and favicon in the background
+      metadataService.enqueue(newUrl._id);
+
       logger.info('Short URL created successfully', { 
         shortCode, 
         originalUrl: urlData.originalUrl,
@@ -97,6 +142,54 @@ class UrlService {
     }
   }
 
+  // Duplicate handling for a new link: the request's `dedupe` mode, else the
+  // owner's preference, else 'reuse'
+  async getDedupeMode(userId, requested) {
+    if (DEDUPE_MODES.includes(requested)) {
+      return requested;
+    }
+
+    const user = await User.findOne({ _id: userId }, 'linkPreferences');
+    return (user && user.linkPreferences && user.linkPreferences.dedupe) || 'reuse';
+  }
+
+  // The user's active link whose destination has the same canonical form
+  async findDuplicate(userId, originalUrl) {
+    const canonicalUrl = canonicalizeUrl(originalUrl);
+    if (!canonicalUrl) {
+      return null;
+    }
+
+    // One-time and limited-use links are never handed out again
+    return Url.findOne({
+      userId,
+      canonicalUrl,
+      status: 'active',
+      'usageLimits.requireToken': { $ne: true },
+      'usageLimits.perVisitor': null
+    });
+  }
+
+  // Existing link to hand back instead of creating a new one, or null. Links
+  // with a custom alias or usage limits are always new. Throws
+  // DuplicateLinkError in 'ask' mode.
+  async findReusableUrl(userId, urlData) {
+    if (urlData.customAlias || linkUsageService.isLimited(urlData)) {
+      return null;
+    }
+
+    const mode = await this.getDedupeMode(userId, urlData.dedupe);
+    if (mode === 'always_new') {
+      return null;
+    }
+
+    const existingUrl = await this.findDuplicate(userId, urlData.originalUrl);
+    if (existingUrl && mode === 'ask') {
+      throw new DuplicateLinkError(existingUrl);
+    }
+    return existingUrl;
+  }
+
   // Get URL by short code with caching
   async getUrlByShortCode(shortCode) {
     try {
@@ -104,24 +197,40 @@ class UrlService {
       let url = await cacheService.getCachedUrl(shortCode);
       
       if (!url) {
-        // Cache miss - fetch from database
+        // Cache miss - fetch from database. Links moved to 'expired' by the
+        // sweeper are still found, so their fallback can be served.
         url = await Url.findOne({
           $or: [{ shortId: shortCode }, { shortCode }],
-          status: 'active'
+          status: { $in: ['active', 'expired'] }
         }).populate('userId', 'username email');
 
+        if (url) {
+          // Cache the result
+          await cacheService.cacheUrl(shortCode, url);
+        } else {
+          // No exact match - try custom aliases that differ only in case,
+          // Unicode form or look-alike characters. Not cached, so edits to
+          // the link are never hidden behind a variant spelling.
+          const aliasKey = normalizeAlias(shortCode);
+          url = aliasKey
+            ? await Url.findOne({ aliasKey, status: { $in: ['active', 'expired'] } }).populate('userId', 'username email')
+            : null;
+        }
+
         if (!url) {
           throw new NotFoundError('URL');
         }
-
-        // Cache the result
-        await cacheService.cacheUrl(shortCode, url);
       }
 
-      // Check if URL is expired
-      if (url.isExpired && url.isExpired()) {
-        await this.markUrlAsExpired(url._id);
-        throw new NotFoundError('URL has expired');
+      // Check expiry, activation window and click cap (works for cached plain
+      // objects too) so the redirect route can serve the link's fallback
+      const unavailableReason = this.getUnavailableReason(url) ||
+        (url.status === 'expired' ? 'expired' : null);
+      if (unavailableReason) {
+        if (unavailableReason === 'expired' && url.status === 'active' && url.isExpired) {
+          await this.markUrlAsExpired(url._id);
+        }
+        throw new LinkUnavailableError(unavailableReason, url);
       }
 
       return url;
@@ -144,6 +253,8 @@ class UrlService {
         throw new NotFoundError('URL');
       }
 
+      const before = urlHistoryService.snapshot(url);
+
       // Update fields
       Object.keys(updateData).forEach(key => {
         if (updateData[key] !== undefined) {
@@ -151,12 +262,16 @@ class UrlService {
         }
       });
 
-      // Regenerate QR code if URL changed
+      // Regenerate QR code and re-run UTM checks and moderation if URL changed
       if (updateData.originalUrl) {
+        const { warnings } = await utmService.enforce(userId, updateData.originalUrl, updateData.utmTemplateId);
+        url.utmWarnings = warnings;
         url.qrCode = await this.generateQRCode(`${this.baseUrl}/${shortCode}`);
+        await contentModerationService.reviewLink(url);
       }
 
       const updatedUrl = await url.save();
+      await urlHistoryService.recordChange(updatedUrl, before, userId);
 
       // Update cache
       await cacheService.cacheUrl(shortCode, updatedUrl);
@@ -281,13 +396,22 @@ class UrlService {
   // Track URL click
   async trackClick(shortCode, clickData) {
     try {
-      const url = await this.getUrlByShortCode(shortCode);
+      let url = await this.getUrlByShortCode(shortCode);
       
-      // Update URL click count
-      url.clicks = (url.clicks || 0) + 1;
-      url.lastClicked = new Date();
-      url.lastAccessed = new Date();
-      await url.save();
+      if (url.maxClicks) {
+        // Atomically count the click, refusing it once the click cap is used up
+        const cappedUrl = url;
+        url = await this.consumeClick(cappedUrl._id);
+        if (!url) {
+          throw new LinkUnavailableError('click_limit', cappedUrl);
+        }
+      } else {
+        // Update URL click count
+        url.clicks = (url.clicks || 0) + 1;
+        url.lastClicked = new Date();
+        url.lastAccessed = new Date();
+        await url.save();
+      }
 
       // Update cache
       await cacheService.cacheUrl(shortCode, url);
@@ -379,21 +503,8 @@ class UrlService {
   }
 
   // Helper methods
-  async generateUniqueShortCode(length = 8) {
-    let shortCode;
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    do {
-      shortCode = nanoid(length);
-      attempts++;
-      
-      if (attempts > maxAttempts) {
-        throw new Error('Unable to generate unique short code');
-      }
-    } while (!(await this.checkAliasAvailability(shortCode)));
-
-    return shortCode;
+  async generateUniqueShortCode(length) {
+    return shortCodeService.generate({ length });
   }
 
   async checkAliasAvailability(alias) {
@@ -401,27 +512,24 @@ class UrlService {
       $or: [
         { shortId: alias },
         { shortCode: alias },
-        { customAlias: alias }
+        { customAlias: alias },
+        ...aliasKeyClauses(alias)
       ]
     });
     
     return !existing;
   }
 
-  async generateQRCode(url) {
+  // PNG data URL QR code for a short URL, tagged with ?src=qr so scans can be
+  // told apart from other clicks. See qrCodeService for the styling options.
+  async generateQRCode(shortUrl, options = {}) {
     try {
-      return await QRCode.toDataURL(url, {
-        errorCorrectionLevel: 'M',
-        type: 'image/png',
-        quality: 0.92,
-        margin: 1,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        }
-      });
+      return await qrCodeService.toDataUrl(
+        withSourceMarker(shortUrl, 'qr'),
+        qrCodeService.resolveOptions(options)
+      );
     } catch (error) {
-      logger.error('Error generating QR code:', { error: error.message, url });
+      logger.error('Error generating QR code:', { error: error.message, url: shortUrl });
       return null;
     }
   }
@@ -502,6 +610,99 @@ class UrlService {
     }
   }
 
+  // Why a URL cannot be visited right now, or null if it can.
+  // Uses plain fields so cached (serialized) URLs are handled as well.
+  getUnavailableReason(url, now = new Date()) {
+    if (url.expiresAt && now > new Date(url.expiresAt)) {
+      return 'expired';
+    }
+    if (url.activatesAt && now < new Date(url.activatesAt)) {
+      return 'scheduled';
+    }
+    if (url.maxClicks && (url.clicks || 0) >= url.maxClicks) {
+      return 'click_limit';
+    }
+    return null;
+  }
+
+  // Increment the click counter only while the URL is under its click cap.
+  // Returns the updated URL, or null when the cap has been reached.
+  async consumeClick(urlId) {
+    const now = new Date();
+
+    return Url.findOneAndUpdate(
+      { _id: urlId, ...Url.clickLimitFilter() },
+      {
+        $inc: { clicks: 1 },
+        $set: { lastClicked: now, lastAccessed: now }
+      },
+      { new: true }
+    );
+  }
+
+  // Give back a click counted by consumeClick for a visit refused afterwards
+  async releaseClick(urlId) {
+    await Url.updateOne({ _id: urlId, clicks: { $gt: 0 } }, { $inc: { clicks: -1 } });
+  }
+
+  // Move links past their expiry date, or out of clicks with no fallback, to 'expired'
+  async sweepExpiredUrls(batchSize = 500) {
+    try {
+      const now = new Date();
+      const candidates = await Url.find({
+        status: 'active',
+        $or: [
+          { expiresAt: { $ne: null, $lte: now } },
+          {
+            maxClicks: { $ne: null },
+            fallbackUrl: null,
+            $expr: { $gte: ['$clicks', '$maxClicks'] }
+          }
+        ]
+      })
+        .select('_id shortCode customAlias')
+        .limit(batchSize)
+        .lean();
+
+      for (const url of candidates) {
+        await this.markUrlAsExpired(url._id);
+        await cacheService.invalidateUrl(url.shortCode);
+        if (url.customAlias) {
+          await cacheService.invalidateUrl(url.customAlias);
+        }
+      }
+
+      if (candidates.length > 0) {
+        logger.info('Expiry sweep completed', { expired: candidates.length });
+      }
+
+      return candidates.length;
+    } catch (error) {
+      logger.error('Error sweeping expired URLs:', { error: error.message });
+      return 0;
+    }
+  }
+
+  // Schedule the expiry sweeper
+  startExpirySweeper(intervalMs = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000) {
+    if (this.expirySweepInterval) {
+      clearInterval(this.expirySweepInterval);
+    }
+
+    this.expirySweepInterval = setInterval(() => {
+      this.sweepExpiredUrls();
+    }, intervalMs);
+
+    logger.info(`URL expiry sweeper started (runs every ${Math.round(intervalMs / 1000)} seconds)`);
+  }
+
+  stopExpirySweeper() {
+    if (this.expirySweepInterval) {
+      clearInterval(this.expirySweepInterval);
+      this.expirySweepInterval = null;
+    }
+  }
+
   async markUrlAsExpired(urlId) {
     try {
       await Url.findByIdAndUpdate(urlId, {
@@ -0,0 +1,180 @@
+// src/services/utmService.js - UTM templates: campaign URL builder and naming-convention checks
+const mongoose = require('mongoose');
+const UtmTemplate = require('../models/UtmTemplate');
+const logger = require('../config/logger');
+const { UTM_FIELDS, getUtmParameters } = require('../utils/urlUtils');
+const { NotFoundError, ConflictError, ValidationError } = require('../middleware/errorHandler');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'fields', 'forceLowercase', 'enforcement', 'isDefault'];
+
+class UtmService {
+  async listTemplates(userId) {
+    return UtmTemplate.find({ userId }).sort({ name: 1 });
+  }
+
+  async getTemplate(userId, templateId) {
+    const template = mongoose.isValidObjectId(templateId)
+      ? await UtmTemplate.findOne({ _id: templateId, userId })
+      : null;
+    if (!template) {
+      throw new NotFoundError('UTM template');
+    }
+    return template;
+  }
+
+  async getDefaultTemplate(userId) {
+    return UtmTemplate.findOne({ userId, isDefault: true });
+  }
+
+  async assertNameAvailable(userId, name, excludeId = null) {
+    const existing = await UtmTemplate.findOne({
+      userId,
+      name,
+      ...(excludeId && { _id: { $ne: excludeId } })
+    }).select('_id');
+
+    if (existing) {
+      throw new ConflictError(`A UTM template named "${name}" already exists`);
+    }
+  }
+
+  // Only one template per user is the default
+  async clearDefault(userId, excludeId = null) {
+    await UtmTemplate.updateMany(
+      { userId, isDefault: true, ...(excludeId && { _id: { $ne: excludeId } }) },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  async createTemplate(userId, data) {
+    await this.assertNameAvailable(userId, data.name);
+    if (data.isDefault) {
+      await this.clearDefault(userId);
+    }
+
+    const template = await UtmTemplate.create({ userId, ...data });
+
+    logger.info('UTM template created', { userId: userId.toString(), templateId: template._id.toString() });
+    return template;
+  }
+
+  async updateTemplate(userId, templateId, data) {
+    const template = await this.getTemplate(userId, templateId);
+
+    if (data.name && data.name !== template.name) {
+      await this.assertNameAvailable(userId, data.name, template._id);
+    }
+    if (data.isDefault) {
+      await this.clearDefault(userId, template._id);
+    }
+
+    for (const field of TEMPLATE_FIELDS) {
+      if (data[field] !== undefined) {
+        template[field] = data[field];
+      }
+    }
+
+    await template.save();
+    return template;
+  }
+
+  async deleteTemplate(userId, templateId) {
+    const template = await this.getTemplate(userId, templateId);
+    await template.deleteOne();
+    return template;
+  }
+
+  // Convention problems of a set of UTM values, as [{ field, message }]
+  checkValues(utm, template) {
+    const violations = [];
+
+    UTM_FIELDS.forEach(field => {
+      const rules = (template.fields && template.fields[field]) || {};
+      const value = utm[field];
+      const param = `utm_${field}`;
+
+      if (!value) {
+        if (rules.required) {
+          violations.push({ field: param, message: `${param} is required` });
+        }
+        return;
+      }
+
+      if (template.forceLowercase && value !== value.toLowerCase()) {
+        violations.push({ field: param, message: `${param} must be lower case` });
+      }
+
+      const allowed = rules.allowedValues || [];
+      if (allowed.length > 0 && !allowed.includes(value)) {
+        violations.push({ field: param, message: `${param} must be one of ${allowed.join(', ')}` });
+      }
+    });
+
+    return violations;
+  }
+
+  // Campaign builder: set utm_* parameters on `destination`. Values not given
+  // fall back to the template defaults, then to what the URL already has.
+  // An empty value removes the parameter.
+  buildUrl(destination, template, values = {}) {
+    let target;
+    try {
+      target = new URL(destination);
+    } catch {
+      throw new ValidationError('Destination must be a valid URL');
+    }
+
+    const existing = getUtmParameters(destination);
+    const utm = {};
+
+    UTM_FIELDS.forEach(field => {
+      const rules = (template && template.fields && template.fields[field]) || {};
+      let value = values[field] !== undefined && values[field] !== null
+        ? String(values[field]).trim()
+        : rules.defaultValue || existing[field] || '';
+
+      if (template && template.forceLowercase) {
+        value = value.toLowerCase();
+      }
+
+      if (value) {
+        target.searchParams.set(`utm_${field}`, value);
+        utm[field] = value;
+      } else {
+        target.searchParams.delete(`utm_${field}`);
+      }
+    });
+
+    return {
+      url: target.toString(),
+      utm,
+      violations: template ? this.checkValues(utm, template) : []
+    };
+  }
+
+  // Check a new destination against the chosen template, or the user's default
+  // template when the destination carries UTM parameters. Throws in 'reject'
+  // mode; in 'warn' mode returns the problems as messages.
+  async enforce(userId, destination, templateId = null) {
+    const template = templateId
+      ? await this.getTemplate(userId, templateId)
+      : await this.getDefaultTemplate(userId);
+    if (!template) {
+      return { template: null, warnings: [] };
+    }
+
+    const utm = getUtmParameters(destination);
+    if (!templateId && Object.keys(utm).length === 0) {
+      return { template, warnings: [] };
+    }
+
+    const violations = this.checkValues(utm, template);
+    if (violations.length > 0 && template.enforcement === 'reject') {
+      throw new ValidationError(`Destination does not follow the "${template.name}" UTM template`, violations);
+    }
+
+    return { template, warnings: violations.map(violation => violation.message) };
+  }
+}
+
+module.exports = new UtmService();
@@ -0,0 +1,111 @@
+// src/utils/accessPolicy.js - Per-link geo-blocking and IP allow/deny lists
+const net = require('net');
+const geoip = require('geoip-lite');
+
+const DEFAULT_BLOCK_MESSAGE = 'This link is not available in your location or network.';
+
+// Why a visitor was turned away, as recorded in analytics
+const BLOCK_REASONS = ['country_blocked', 'country_not_allowed', 'ip_blocked', 'ip_not_allowed'];
+
+// IPv4 addresses can arrive IPv4-mapped ("::ffff:10.0.0.1")
+const normalizeIp = (ip) => {
+  const address = String(ip || '').trim();
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : address;
+};
+
+// Parse "10.0.0.0/8", "2001:db8::/32" or a single address into
+// { address, prefix, family }, or null when invalid
+const parseCidr = (cidr) => {
+  const [rawAddress, rawPrefix, ...rest] = String(cidr || '').trim().split('/');
+  const address = normalizeIp(rawAddress);
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (rawPrefix !== undefined && !/^\d{1,3}$/.test(rawPrefix)) return null;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (prefix > maxPrefix) return null;
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+const isValidCidr = (cidr) => parseCidr(cidr) !== null;
+
+// Two-letter country code for an address, or null (private and unknown addresses)
+const lookupCountry = (ip) => {
+  const geo = ip ? geoip.lookup(normalizeIp(ip)) : null;
+  return (geo && geo.country) || null;
+};
+
+// Whether an address falls inside any of the CIDR ranges
+const matchesCidr = (ip, cidrs = []) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  const blockList = new net.BlockList();
+  cidrs.map(parseCidr).filter(Boolean).forEach(range => {
+    blockList.addSubnet(range.address, range.prefix, range.family);
+  });
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+const hasValues = (list) => Array.isArray(list) && list.length > 0;
+
+// Whether a link (document or cached plain object) restricts who may follow it
+const hasAccessPolicy = (url) => {
+  const policy = (url && url.accessPolicy) || {};
+  return hasValues(policy.allowedCountries) || hasValues(policy.blockedCountries) ||
+    hasValues(policy.allowedCidrs) || hasValues(policy.blockedCidrs);
+};
+
+// Stored form of validated policy settings; settings left out are cleared
+const buildAccessPolicy = (settings = {}) => ({
+  allowedCountries: settings.allowedCountries || [],
+  blockedCountries: settings.blockedCountries || [],
+  allowedCidrs: settings.allowedCidrs || [],
+  blockedCidrs: settings.blockedCidrs || [],
+  blockMessage: settings.blockMessage || null
+});
+
+// Check a visitor against the link's policy. Deny lists are checked first;
+// every allow list that is set must then match. Visitors whose country is
+// unknown never match an allowed-country list. Returns null when the visitor
+// may continue, otherwise { reason, message }.
+const checkAccess = (url, { ip, countryCode } = {}) => {
+  if (!hasAccessPolicy(url)) return null;
+
+  const policy = url.accessPolicy;
+  const country = (countryCode || '').toUpperCase();
+  const inCountries = (list) => hasValues(list) && list.some(code => code.toUpperCase() === country);
+
+  let reason = null;
+  if (hasValues(policy.blockedCidrs) && matchesCidr(ip, policy.blockedCidrs)) {
+    reason = 'ip_blocked';
+  } else if (inCountries(policy.blockedCountries)) {
+    reason = 'country_blocked';
+  } else if (hasValues(policy.allowedCidrs) && !matchesCidr(ip, policy.allowedCidrs)) {
+    reason = 'ip_not_allowed';
+  } else if (hasValues(policy.allowedCountries) && !inCountries(policy.allowedCountries)) {
+    reason = 'country_not_allowed';
+  }
+
+  return reason
+    ? { reason, message: policy.blockMessage || DEFAULT_BLOCK_MESSAGE }
+    : null;
+};
+
+module.exports = {
+  DEFAULT_BLOCK_MESSAGE,
+  BLOCK_REASONS,
+  normalizeIp,
+  parseCidr,
+  isValidCidr,
+  lookupCountry,
+  matchesCidr,
+  hasAccessPolicy,
+  buildAccessPolicy,
+  checkAccess
+};
@@ -0,0 +1,61 @@
+// src/utils/aliasKey.js - Normalised keys so look-alike custom aliases collide
+
+// Characters that render (almost) identically to a Latin letter or digit.
+// A small subset of the Unicode confusables table (UTS #39) covering the
+// scripts most often used to spoof Latin aliases.
+const CONFUSABLES = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j',
+  'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y',
+  'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ү': 'y', 'ɡ': 'g',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w', 'ϲ': 'c',
+  // Latin look-alikes and digits
+  'ı': 'i', 'ȷ': 'j', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h',
+  '0': 'o', '1': 'l', '|': 'l'
+};
+
+// Letter pairs that read as a single letter
+const SEQUENCES = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w']
+];
+
+// Zero-width and other invisible characters
+const INVISIBLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF]/g;
+
+// Build the comparison key for an alias: NFKC, case fold, strip accents and
+// invisible characters, then map confusable characters onto one skeleton.
+// "Sale", "SALE", "ѕаle" and "sa1e" all share the key "sale".
+const normalizeAlias = (alias) => {
+  if (alias === undefined || alias === null) return null;
+
+  const folded = String(alias)
+    .normalize('NFKC')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(INVISIBLE, '')
+    .trim();
+
+  let skeleton = Array.from(folded, char => CONFUSABLES[char] || char).join('');
+  for (const [pattern, replacement] of SEQUENCES) {
+    skeleton = skeleton.replace(pattern, replacement);
+  }
+
+  return skeleton.normalize('NFC') || null;
+};
+
+// `$or` clauses matching links whose alias shares this alias' key. Empty when
+// the alias has no key, since { aliasKey: null } would match every link
+// without a custom alias.
+const aliasKeyClauses = (alias) => {
+  const aliasKey = normalizeAlias(alias);
+  return aliasKey ? [{ aliasKey }] : [];
+};
+
+module.exports = {
+  normalizeAlias,
+  aliasKeyClauses
+};
@@ -0,0 +1,77 @@
+// src/utils/deepLinks.js - Per-link native app deep links with store / web fallback
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+// Map UAParser's OS name onto the platforms we deep link into
+const getAppPlatform = (osName) => {
+  const os = (osName || '').toLowerCase();
+  if (os === 'ios' || os === 'ipados') return 'ios';
+  if (os === 'android') return 'android';
+  return null;
+};
+
+// Turn an Android custom-scheme link into an intent URL so Chrome opens the
+// app when installed and goes to the fallback otherwise
+const buildAndroidIntentUrl = (deepLink, packageName, fallbackUrl) => {
+  if (deepLink.startsWith('intent://')) {
+    if (!fallbackUrl || deepLink.includes('S.browser_fallback_url=')) return deepLink;
+    return deepLink.replace(/;end$/, `;S.browser_fallback_url=${encodeURIComponent(fallbackUrl)};end`);
+  }
+
+  const match = deepLink.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/i);
+  if (!match) return deepLink;
+
+  const [, scheme, rest] = match;
+  const parts = [`scheme=${scheme}`];
+  if (packageName) parts.push(`package=${packageName}`);
+  if (fallbackUrl) parts.push(`S.browser_fallback_url=${encodeURIComponent(fallbackUrl)}`);
+
+  return `intent://${rest}#Intent;${parts.join(';')};end`;
+};
+
+// Store URL for a platform - explicit setting first, then the Play Store page for the package
+const getStoreUrl = (platform, settings) => {
+  if (settings.storeUrl) return settings.storeUrl;
+  if (platform === 'android' && settings.packageName) {
+    return `https://play.google.com/store/apps/details?id=${encodeURIComponent(settings.packageName)}`;
+  }
+  return null;
+};
+
+// Decide how to send a visitor into the app.
+// Returns null when the link has no deep link for the visitor's platform,
+// { type: 'redirect', destination } when a plain redirect does the job
+// (universal links, app links, intent URLs), or { type: 'page', appUrl, fallbackUrl }
+// when an iOS custom scheme has to be tried from a page before falling back.
+const resolveAppLink = (url, osName, webFallback) => {
+  const platform = getAppPlatform(osName);
+  const settings = platform && url.deepLink && url.deepLink.enabled !== false
+    ? url.deepLink[platform]
+    : null;
+
+  if (!settings || !settings.url) return null;
+
+  const fallbackUrl = getStoreUrl(platform, settings) || webFallback;
+
+  // Universal links and Android app links open the app themselves, and the
+  // web page when it is not installed
+  if (isHttpUrl(settings.url)) {
+    return { type: 'redirect', platform, destination: settings.url };
+  }
+
+  if (platform === 'android') {
+    return {
+      type: 'redirect',
+      platform,
+      destination: buildAndroidIntentUrl(settings.url, settings.packageName, fallbackUrl)
+    };
+  }
+
+  return { type: 'page', platform, appUrl: settings.url, fallbackUrl };
+};
+
+module.exports = {
+  getAppPlatform,
+  buildAndroidIntentUrl,
+  resolveAppLink
+};
@@ -0,0 +1,189 @@
+// src/utils/hyperLogLog.js - HyperLogLog sketches compatible with Redis PFADD/PFCOUNT
+//
+// Uses Redis' hash (MurmurHash64A), register layout and estimator, so a
+// sketch built here counts the same as one built with PFADD and the two can
+// be merged: toBuffer() is Redis' dense encoding and fromBuffer() reads both
+// its dense and sparse encodings.
+
+const P = 14;
+const REGISTERS = 1 << P; // 16384
+const Q = 64 - P;
+const REGISTER_MAX = 63;
+const HEADER_SIZE = 16;
+const DENSE_SIZE = HEADER_SIZE + (REGISTERS * 6 + 7) / 8;
+const MAGIC = 'HYLL';
+
+const MASK64 = (1n << 64n) - 1n;
+const M = 0xc6a4a7935bd1e995n;
+const R = 47n;
+const SEED = 0xadc83b19n;
+
+// MurmurHash64A as used by Redis' HyperLogLog
+const murmurHash64A = (data) => {
+  const length = BigInt(data.length);
+  let h = (SEED ^ (length * M)) & MASK64;
+  const blocks = data.length - (data.length & 7);
+
+  for (let i = 0; i < blocks; i += 8) {
+    let k = data.readBigUInt64LE(i);
+    k = (k * M) & MASK64;
+    k ^= k >> R;
+    k = (k * M) & MASK64;
+    h ^= k;
+    h = (h * M) & MASK64;
+  }
+
+  const tail = data.length & 7;
+  if (tail > 0) {
+    for (let i = tail - 1; i >= 0; i--) {
+      h ^= BigInt(data[blocks + i]) << BigInt(i * 8);
+    }
+    h = (h * M) & MASK64;
+  }
+
+  h ^= h >> R;
+  h = (h * M) & MASK64;
+  h ^= h >> R;
+  return h;
+};
+
+// Register index and run length of zeros (plus one) for a value
+const hashValue = (value) => {
+  const hash = murmurHash64A(Buffer.from(String(value)));
+  const index = Number(hash & BigInt(REGISTERS - 1));
+  let rest = (hash >> BigInt(P)) | (1n << BigInt(Q));
+  let rank = 1;
+  while ((rest & 1n) === 0n) {
+    rank++;
+    rest >>= 1n;
+  }
+  return { index, rank };
+};
+
+// Terms of the improved estimator (Ertl) that Redis uses
+const sigma = (x) => {
+  if (x === 1) return Infinity;
+  let y = 1;
+  let z = x;
+  let previous;
+  do {
+    x *= x;
+    previous = z;
+    z += x * y;
+    y += y;
+  } while (previous !== z);
+  return z;
+};
+
+const tau = (x) => {
+  if (x === 0 || x === 1) return 0;
+  let y = 1;
+  let z = 1 - x;
+  let previous;
+  do {
+    x = Math.sqrt(x);
+    previous = z;
+    y *= 0.5;
+    z -= Math.pow(1 - x, 2) * y;
+  } while (previous !== z);
+  return z / 3;
+};
+
+class HyperLogLog {
+  constructor(registers = new Uint8Array(REGISTERS)) {
+    this.registers = registers;
+  }
+
+  // Add a value; true when the sketch changed, i.e. the value is new
+  add(value) {
+    const { index, rank } = hashValue(value);
+    if (rank <= this.registers[index]) return false;
+    this.registers[index] = rank;
+    return true;
+  }
+
+  merge(other) {
+    for (let i = 0; i < REGISTERS; i++) {
+      if (other.registers[i] > this.registers[i]) {
+        this.registers[i] = other.registers[i];
+      }
+    }
+    return this;
+  }
+
+  count() {
+    const histogram = new Array(Q + 2).fill(0);
+    this.registers.forEach((value) => {
+      histogram[value]++;
+    });
+
+    let z = REGISTERS * tau((REGISTERS - histogram[Q + 1]) / REGISTERS);
+    for (let j = Q; j >= 1; j--) {
+      z += histogram[j];
+      z *= 0.5;
+    }
+    z += REGISTERS * sigma(histogram[0] / REGISTERS);
+
+    return Math.round((0.5 / Math.log(2)) * REGISTERS * REGISTERS / z);
+  }
+
+  // Redis dense encoding: 16 byte header, then 6-bit registers
+  toBuffer() {
+    const buffer = Buffer.alloc(DENSE_SIZE);
+    buffer.write(MAGIC, 0, 'ascii');
+    // Mark the cached cardinality as stale so Redis recomputes it
+    buffer[15] = 0x80;
+
+    this.registers.forEach((value, index) => {
+      const bit = index * 6;
+      const byte = HEADER_SIZE + (bit >> 3);
+      const shift = bit & 7;
+      buffer[byte] |= (value << shift) & 0xff;
+      if (shift > 2) {
+        buffer[byte + 1] |= value >> (8 - shift);
+      }
+    });
+    return buffer;
+  }
+
+  static fromBuffer(buffer) {
+    if (!buffer || buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error('Not a HyperLogLog sketch');
+    }
+
+    const registers = new Uint8Array(REGISTERS);
+    const data = buffer.subarray(HEADER_SIZE);
+
+    if (buffer[4] === 0) {
+      for (let index = 0; index < REGISTERS; index++) {
+        const bit = index * 6;
+        const byte = bit >> 3;
+        const shift = bit & 7;
+        registers[index] = ((data[byte] >> shift) | ((data[byte + 1] || 0) << (8 - shift))) & REGISTER_MAX;
+      }
+      return new HyperLogLog(registers);
+    }
+
+    // Sparse: runs of zero registers (ZERO, XZERO) and of equal values (VAL)
+    let index = 0;
+    for (let i = 0; i < data.length && index < REGISTERS;) {
+      const op = data[i];
+      if ((op & 0xc0) === 0) {
+        index += (op & 0x3f) + 1;
+        i += 1;
+      } else if ((op & 0xc0) === 0x40) {
+        index += (((op & 0x3f) << 8) | data[i + 1]) + 1;
+        i += 2;
+      } else {
+        const value = ((op >> 2) & 0x1f) + 1;
+        const run = (op & 0x3) + 1;
+        registers.fill(value, index, index + run);
+        index += run;
+        i += 1;
+      }
+    }
+    return new HyperLogLog(registers);
+  }
+}
+
+module.exports = HyperLogLog;
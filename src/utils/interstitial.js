@@ -0,0 +1,40 @@
+// src/utils/interstitial.js - "You are leaving" disclaimer pages shown before a redirect
+
+const DEFAULT_DELAY_SECONDS = 5;
+
+const MODERATION_TITLE = 'Proceed with caution';
+const MODERATION_MESSAGE = 'This link has been flagged by our automated checks. ' +
+  'Only continue if you trust where it leads.';
+
+// Work out which interstitial (if any) a link shows. Accepts documents and
+// cached plain objects. Links flagged by moderation always wait for a click.
+const getInterstitial = (url) => {
+  const settings = (url && url.interstitial) || {};
+  const forced = !!(url && url.moderationInterstitial);
+
+  if (!settings.enabled && !forced) {
+    return null;
+  }
+
+  if (forced) {
+    return {
+      title: MODERATION_TITLE,
+      message: (settings.enabled && settings.message) || MODERATION_MESSAGE,
+      delaySeconds: 0,
+      requireClick: true,
+      forcedByModeration: true
+    };
+  }
+
+  return {
+    message: settings.message || '',
+    delaySeconds: Number.isFinite(settings.delaySeconds) ? settings.delaySeconds : DEFAULT_DELAY_SECONDS,
+    requireClick: !!settings.requireClick,
+    forcedByModeration: false
+  };
+};
+
+module.exports = {
+  DEFAULT_DELAY_SECONDS,
+  getInterstitial
+};
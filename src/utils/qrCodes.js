@@ -0,0 +1,288 @@
+// src/utils/qrCodes.js - Render QR codes as SVG, PNG or PDF with colours and a centre logo
+const zlib = require('zlib');
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// '#abc' / '#aabbcc' -> [r, g, b]
+const parseHexColor = (hex) => {
+  let value = hex.replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(char => char + char).join('');
+  }
+  return [0, 2, 4].map(index => parseInt(value.substr(index, 2), 16));
+};
+
+// Encode the text and collect the dark modules as horizontal runs, which keeps
+// SVG paths and PDF content streams small
+const createMatrix = (text, errorCorrectionLevel = 'M') => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel });
+  const count = modules.size;
+  const runs = [];
+
+  for (let row = 0; row < count; row++) {
+    let start = null;
+    for (let col = 0; col <= count; col++) {
+      const dark = col < count && modules.get(row, col);
+      if (dark && start === null) {
+        start = col;
+      } else if (!dark && start !== null) {
+        runs.push({ row, col: start, length: col - start });
+        start = null;
+      }
+    }
+  }
+
+  return { count, runs, isDark: (row, col) => !!modules.get(row, col) };
+};
+
+// Centre logo box in module units, or null without a logo
+const getLogoBox = (matrix, options) => {
+  if (!options.logo) return null;
+
+  const size = Math.max(3, Math.round(matrix.count * options.logoSize));
+  const offset = options.margin + (matrix.count - size) / 2;
+  return { x: offset, y: offset, size, padding: 0.5 };
+};
+
+// Fit an image of width x height inside a square box, keeping its aspect ratio
+const fitInBox = (width, height, box) => {
+  const scale = Math.min(box / width, box / height);
+  return { width: width * scale, height: height * scale };
+};
+
+const formatNumber = (value) => Number(value.toFixed(3)).toString();
+
+// SVG with one path for all dark modules. The logo is embedded as a data URI
+// so the file is self-contained.
+const renderSvg = (matrix, options) => {
+  const total = matrix.count + options.margin * 2;
+  const path = matrix.runs
+    .map(run => `M${run.col + options.margin} ${run.row + options.margin}h${run.length}v1h-${run.length}z`)
+    .join('');
+
+  let logo = '';
+  const box = getLogoBox(matrix, options);
+  if (box) {
+    const inner = box.size - box.padding * 2;
+    logo = `<rect x="${formatNumber(box.x)}" y="${formatNumber(box.y)}" width="${box.size}" height="${box.size}" fill="${options.background}"/>` +
+      `<image x="${formatNumber(box.x + box.padding)}" y="${formatNumber(box.y + box.padding)}" width="${inner}" height="${inner}" ` +
+      `preserveAspectRatio="xMidYMid meet" href="data:image/png;base64,${options.logo.buffer.toString('base64')}"/>`;
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${options.size}" height="${options.size}" ` +
+    `viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${total}" fill="${options.background}"/>` +
+    `<path fill="${options.foreground}" d="${path}"/>` +
+    logo +
+    '</svg>\n';
+};
+
+// PNG drawn pixel by pixel; the logo is scaled nearest-neighbour and alpha blended
+const renderPng = (matrix, options) => {
+  const { size, margin } = options;
+  const total = matrix.count + margin * 2;
+  const scale = size / total;
+  const foreground = parseHexColor(options.foreground);
+  const background = parseHexColor(options.background);
+  const png = new PNG({ width: size, height: size });
+
+  const setPixel = (x, y, [r, g, b]) => {
+    const index = (y * size + x) * 4;
+    png.data[index] = r;
+    png.data[index + 1] = g;
+    png.data[index + 2] = b;
+    png.data[index + 3] = 255;
+  };
+
+  for (let y = 0; y < size; y++) {
+    const row = Math.floor(y / scale) - margin;
+    for (let x = 0; x < size; x++) {
+      const col = Math.floor(x / scale) - margin;
+      const dark = row >= 0 && row < matrix.count && col >= 0 && col < matrix.count && matrix.isDark(row, col);
+      setPixel(x, y, dark ? foreground : background);
+    }
+  }
+
+  const box = getLogoBox(matrix, options);
+  if (box) {
+    const boxX = Math.round(box.x * scale);
+    const boxY = Math.round(box.y * scale);
+    const boxSize = Math.round(box.size * scale);
+    for (let y = boxY; y < Math.min(size, boxY + boxSize); y++) {
+      for (let x = boxX; x < Math.min(size, boxX + boxSize); x++) {
+        setPixel(x, y, background);
+      }
+    }
+
+    const logo = options.logo.image;
+    const padding = Math.round(box.padding * scale);
+    const fitted = fitInBox(logo.width, logo.height, boxSize - padding * 2);
+    const width = Math.max(1, Math.round(fitted.width));
+    const height = Math.max(1, Math.round(fitted.height));
+    const left = boxX + Math.round((boxSize - width) / 2);
+    const top = boxY + Math.round((boxSize - height) / 2);
+
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(logo.height - 1, Math.floor(y * logo.height / height));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(logo.width - 1, Math.floor(x * logo.width / width));
+        const source = (sourceY * logo.width + sourceX) * 4;
+        const alpha = logo.data[source + 3] / 255;
+        setPixel(left + x, top + y, [0, 1, 2].map(channel =>
+          Math.round(logo.data[source + channel] * alpha + background[channel] * (1 - alpha))
+        ));
+      }
+    }
+  }
+
+  return PNG.sync.write(png);
+};
+
+// Assemble PDF objects (Buffers, numbered from 1) into a document with an xref table
+const buildPdf = (objects) => {
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      body,
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+};
+
+const pdfStream = (dictionary, data) => {
+  const compressed = zlib.deflateSync(data);
+  return Buffer.concat([
+    Buffer.from(`<< ${dictionary} /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`, 'latin1'),
+    compressed,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+};
+
+// Single-page vector PDF; the page is `size` points square
+const renderPdf = (matrix, options) => {
+  const { size, margin } = options;
+  const total = matrix.count + margin * 2;
+  const unit = size / total;
+  const color = (hex) => parseHexColor(hex).map(channel => formatNumber(channel / 255)).join(' ');
+  // PDF y runs bottom-up
+  const rect = (x, y, width, height) =>
+    `${formatNumber(x * unit)} ${formatNumber(size - (y + height) * unit)} ${formatNumber(width * unit)} ${formatNumber(height * unit)} re`;
+
+  const content = [
+    `${color(options.background)} rg`,
+    `0 0 ${size} ${size} re f`,
+    `${color(options.foreground)} rg`,
+    ...matrix.runs.map(run => rect(run.col + margin, run.row + margin, run.length, 1)),
+    'f'
+  ];
+
+  const box = getLogoBox(matrix, options);
+  const logo = box ? options.logo.image : null;
+  if (box) {
+    const inner = box.size - box.padding * 2;
+    const fitted = fitInBox(logo.width, logo.height, inner);
+    const x = box.x + box.padding + (inner - fitted.width) / 2;
+    const y = box.y + box.padding + (inner - fitted.height) / 2;
+
+    content.push(
+      `${color(options.background)} rg`,
+      `${rect(box.x, box.y, box.size, box.size)} f`,
+      'q',
+      `${formatNumber(fitted.width * unit)} 0 0 ${formatNumber(fitted.height * unit)} ` +
+        `${formatNumber(x * unit)} ${formatNumber(size - (y + fitted.height) * unit)} cm`,
+      '/Logo Do',
+      'Q'
+    );
+  }
+
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1'),
+    Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>', 'latin1'),
+    Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${size} ${size}] /Contents 4 0 R ` +
+      `/Resources << ${logo ? '/XObject << /Logo 5 0 R >>' : ''} >> >>`,
+      'latin1'
+    ),
+    pdfStream('', Buffer.from(content.join('\n'), 'latin1'))
+  ];
+
+  if (logo) {
+    // Split RGBA into an RGB image and a greyscale soft mask for transparency
+    const pixels = logo.width * logo.height;
+    const rgb = Buffer.alloc(pixels * 3);
+    const alpha = Buffer.alloc(pixels);
+    for (let i = 0; i < pixels; i++) {
+      rgb[i * 3] = logo.data[i * 4];
+      rgb[i * 3 + 1] = logo.data[i * 4 + 1];
+      rgb[i * 3 + 2] = logo.data[i * 4 + 2];
+      alpha[i] = logo.data[i * 4 + 3];
+    }
+
+    const image = `/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /BitsPerComponent 8`;
+    objects.push(
+      pdfStream(`${image} /ColorSpace /DeviceRGB /SMask 6 0 R`, rgb),
+      pdfStream(`${image} /ColorSpace /DeviceGray`, alpha)
+    );
+  }
+
+  return buildPdf(objects);
+};
+
+const RENDERERS = {
+  svg: { render: renderSvg, contentType: 'image/svg+xml' },
+  png: { render: renderPng, contentType: 'image/png' },
+  pdf: { render: renderPdf, contentType: 'application/pdf' }
+};
+
+// Render `text` as a QR code. Options: format, size, margin, errorCorrection,
+// foreground, background (hex colours), logo ({ buffer, image } of a decoded
+// PNG) and logoSize (fraction of the code's width).
+const renderQRCode = (text, options) => {
+  const renderer = RENDERERS[options.format];
+  if (!renderer) {
+    throw new Error(`Unsupported QR code format "${options.format}"`);
+  }
+
+  const matrix = createMatrix(text, options.errorCorrection);
+  const body = renderer.render(matrix, options);
+
+  return {
+    body: Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8'),
+    contentType: renderer.contentType,
+    extension: options.format
+  };
+};
+
+module.exports = {
+  HEX_COLOR,
+  QR_FORMATS: Object.keys(RENDERERS),
+  parseHexColor,
+  createMatrix,
+  renderQRCode
+};
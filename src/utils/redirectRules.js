@@ -0,0 +1,175 @@
+// src/utils/redirectRules.js - Conditional redirect rule evaluation
+const UAParser = require('ua-parser-js');
+const { pickVariant } = require('./splitTest');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Parse an Accept-Language header into an ordered list of lowercase language tags
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') return [];
+
+  return header
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(p => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: isNaN(q) ? 0 : q };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(entry => entry.tag);
+};
+
+// Get day of week (0-6) and minutes since midnight for a date in a given timezone
+const getLocalTime = (date, timezone = 'UTC') => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch {
+    // Unknown timezone - fall back to UTC
+    return getLocalTime(date, 'UTC');
+  }
+
+  const lookup = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  return {
+    day: DAY_NAMES.indexOf(lookup.weekday.toLowerCase()),
+    minutes: parseInt(lookup.hour, 10) * 60 + parseInt(lookup.minute, 10)
+  };
+};
+
+// Convert "HH:MM" into minutes since midnight
+const toMinutes = (value) => {
+  const [hours, minutes] = value.split(':').map(n => parseInt(n, 10));
+  return hours * 60 + minutes;
+};
+
+// Check whether minutes-of-day falls inside a window (windows may wrap midnight)
+const isWithinWindow = (minutes, window) => {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start <= end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+};
+
+// Check a single language condition against the visitor's preferred languages.
+// "en" matches "en-GB", while "en-gb" only matches "en-gb".
+const matchesLanguage = (wanted, visitorLanguages) => {
+  return wanted.some(lang => {
+    const target = lang.toLowerCase();
+    return visitorLanguages.some(tag => tag === target || tag.startsWith(`${target}-`));
+  });
+};
+
+const hasValues = (list) => Array.isArray(list) && list.length > 0;
+
+// Check if a rule's conditions all match the request context
+const matchesRule = (rule, context) => {
+  if (!rule || rule.enabled === false || !rule.destination) return false;
+
+  const conditions = rule.conditions || {};
+
+  if (hasValues(conditions.countries)) {
+    const country = (context.country || '').toUpperCase();
+    if (!conditions.countries.some(c => c.toUpperCase() === country)) return false;
+  }
+
+  if (hasValues(conditions.devices)) {
+    const device = (context.device || '').toLowerCase();
+    if (!conditions.devices.some(d => d.toLowerCase() === device)) return false;
+  }
+
+  if (hasValues(conditions.os)) {
+    const os = (context.os || '').toLowerCase();
+    if (!conditions.os.some(o => o.toLowerCase() === os)) return false;
+  }
+
+  if (hasValues(conditions.languages)) {
+    if (!matchesLanguage(conditions.languages, context.languages || [])) return false;
+  }
+
+  const needsTime = hasValues(conditions.daysOfWeek) ||
+    (conditions.timeWindow && conditions.timeWindow.start && conditions.timeWindow.end);
+
+  if (needsTime) {
+    const timezone = conditions.timeWindow?.timezone || 'UTC';
+    const { day, minutes } = getLocalTime(context.timestamp || new Date(), timezone);
+
+    if (hasValues(conditions.daysOfWeek) && !conditions.daysOfWeek.includes(day)) {
+      return false;
+    }
+
+    if (conditions.timeWindow?.start && conditions.timeWindow?.end &&
+        !isWithinWindow(minutes, conditions.timeWindow)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Device type of a user agent, as tracked on clicks and matched by rules
+const detectDevice = (userAgent) => {
+  const parser = new UAParser(userAgent);
+  const device = parser.getDevice();
+  
+  if (device.type === 'mobile') return 'mobile';
+  if (device.type === 'tablet') return 'tablet';
+  if (device.type === 'smarttv') return 'smart-tv';
+  if (device.type === 'wearable') return 'wearable';
+  
+  return 'desktop';
+};
+
+// Build the evaluation context from an incoming request and its parsed user agent
+const buildRuleContext = (req, { geoData = {}, device, uaResult, visitorKey } = {}) => {
+  return {
+    country: geoData.country_code || geoData.country || null,
+    device: device || null,
+    os: uaResult?.os?.name || null,
+    languages: parseAcceptLanguage(req.get('Accept-Language')),
+    visitorKey: visitorKey || null,
+    timestamp: new Date()
+  };
+};
+
+// Find the first matching rule; returns null when the link should use originalUrl
+const evaluateRules = (rules, context) => {
+  if (!hasValues(rules)) return null;
+  return rules.find(rule => matchesRule(rule, context)) || null;
+};
+
+// Resolve the destination for a URL document. Redirect rules win first, then
+// the A/B split (sticky per visitorKey), then originalUrl.
+const resolveDestination = (url, context) => {
+  const rule = evaluateRules(url.redirectRules, context);
+  if (rule) {
+    return { destination: rule.destination, rule, variant: null };
+  }
+
+  const variant = pickVariant(url.variants, context.visitorKey, url._id ? url._id.toString() : '');
+
+  return {
+    destination: variant ? variant.destination : url.originalUrl,
+    rule: null,
+    variant
+  };
+};
+
+module.exports = {
+  parseAcceptLanguage,
+  matchesRule,
+  evaluateRules,
+  detectDevice,
+  buildRuleContext,
+  resolveDestination
+};
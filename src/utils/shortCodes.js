@@ -0,0 +1,81 @@
+// src/utils/shortCodes.js - Short code strategies and reserved words
+const { customAlphabet } = require('nanoid');
+
+const ALPHABETS = {
+  // nanoid's URL-safe alphabet
+  urlSafe: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_-',
+  base62: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  // No 0/O/o, 1/I/l, 2/Z, 5/S, 8/B or u/v - easy to read out loud or copy from print
+  unambiguous: '34679ACDEFGHJKLMNPQRTUVWXYabcdefghijkmnpqrstwxyz'
+};
+
+const CONSONANTS = 'bdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+
+// First path segments used by routes in src/app.js and the frontend. A short
+// code equal to one of these would be shadowed by (or shadow) the route.
+const RESERVED_WORDS = [
+  'api', 'auth', 'password', 'static', 'health', 'ready', 'favicon', 'robots',
+  'sitemap', 'well-known', 'admin', 'dashboard', 'login', 'logout', 'signup',
+  'register', 'bio', 'settings', 'account', 'analytics', 'help', 'support',
+  'docs', 'status', 'assets', 'public', 'manifest', 'sw', 'www', 'app', 'null',
+  'undefined'
+];
+
+const getReservedWords = () => {
+  const extra = (process.env.RESERVED_SHORT_CODES || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+  return new Set([...RESERVED_WORDS, ...extra]);
+};
+
+// Check a short code or custom alias against the reserved words (case-insensitive)
+const isReservedCode = (code) => {
+  if (!code || typeof code !== 'string') return false;
+  return getReservedWords().has(code.trim().toLowerCase());
+};
+
+// Encode a non-negative integer in base62
+const encodeBase62 = (value) => {
+  const alphabet = ALPHABETS.base62;
+  let n = Math.floor(value);
+  let code = '';
+
+  do {
+    code = alphabet[n % 62] + code;
+    n = Math.floor(n / 62);
+  } while (n > 0);
+
+  return code;
+};
+
+const randomCode = (length = 8, alphabet = ALPHABETS.urlSafe) => {
+  return customAlphabet(alphabet, length)();
+};
+
+const unambiguousCode = (length = 8) => randomCode(length, ALPHABETS.unambiguous);
+
+// Alternating consonant/vowel syllables, e.g. "bakotimu"
+const pronounceableCode = (length = 8) => {
+  const consonant = customAlphabet(CONSONANTS, 1);
+  const vowel = customAlphabet(VOWELS, 1);
+  let code = '';
+
+  while (code.length < length) {
+    code += code.length % 2 === 0 ? consonant() : vowel();
+  }
+
+  return code;
+};
+
+module.exports = {
+  ALPHABETS,
+  RESERVED_WORDS,
+  isReservedCode,
+  encodeBase62,
+  randomCode,
+  unambiguousCode,
+  pronounceableCode
+};
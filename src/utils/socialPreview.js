@@ -0,0 +1,51 @@
+// src/utils/socialPreview.js - Social crawler detection and Open Graph preview data
+
+// Link-unfurling crawlers and the platform they belong to. Order matters:
+// iMessage and others reuse the Facebook/Twitter agents, so match those last.
+const SOCIAL_BOTS = [
+  { platform: 'slack', pattern: /slackbot|slack-imgproxy/i },
+  { platform: 'discord', pattern: /discordbot/i },
+  { platform: 'linkedin', pattern: /linkedinbot/i },
+  { platform: 'whatsapp', pattern: /whatsapp/i },
+  { platform: 'telegram', pattern: /telegrambot/i },
+  { platform: 'pinterest', pattern: /pinterest(bot)?/i },
+  { platform: 'skype', pattern: /skypeuripreview/i },
+  { platform: 'reddit', pattern: /redditbot/i },
+  { platform: 'twitter', pattern: /twitterbot/i },
+  { platform: 'facebook', pattern: /facebookexternalhit|facebot/i }
+];
+
+// Return the social platform for a crawler user agent, or null for everyone else
+const getSocialBotPlatform = (userAgent) => {
+  if (!userAgent) return null;
+  const match = SOCIAL_BOTS.find(bot => bot.pattern.test(userAgent));
+  return match ? match.platform : null;
+};
+
+const isSocialBot = (userAgent) => getSocialBotPlatform(userAgent) !== null;
+
+// Resolve the preview fields for a link: per-link overrides first, then the
+// link's own title/description, then fetched page metadata, then the destination itself
+const getPreviewMeta = (url) => {
+  const preview = url.socialPreview || {};
+  const fetched = url.metadata || {};
+
+  let hostname = url.originalUrl;
+  try {
+    hostname = new URL(url.originalUrl).hostname;
+  } catch {
+    // Keep the raw destination as the title
+  }
+
+  return {
+    title: preview.title || url.title || fetched.title || hostname,
+    description: preview.description || url.description || fetched.description || '',
+    image: preview.image || fetched.image || null
+  };
+};
+
+module.exports = {
+  getSocialBotPlatform,
+  isSocialBot,
+  getPreviewMeta
+};
@@ -0,0 +1,43 @@
+// src/utils/splitTest.js - Weighted A/B destination selection
+const crypto = require('crypto');
+
+// Map a visitor to a stable point in [0, 1) for a given link
+const visitorBucket = (visitorKey, salt = '') => {
+  const hash = crypto.createHash('sha256')
+    .update(`${salt}:${visitorKey}`)
+    .digest();
+
+  return hash.readUInt32BE(0) / 0x100000000;
+};
+
+// Only variants with a destination and a positive weight take part in the split
+const getActiveVariants = (variants) => {
+  if (!Array.isArray(variants)) return [];
+  return variants.filter(variant => variant && variant.destination && variant.weight > 0);
+};
+
+// Pick a variant using weighted allocation. The same visitor always lands on
+// the same variant as long as the variants and weights are unchanged.
+const pickVariant = (variants, visitorKey, salt = '') => {
+  const active = getActiveVariants(variants);
+  if (active.length === 0) return null;
+
+  const totalWeight = active.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = visitorKey
+    ? visitorBucket(visitorKey, salt) * totalWeight
+    : Math.random() * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of active) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+
+  return active[active.length - 1];
+};
+
+module.exports = {
+  visitorBucket,
+  getActiveVariants,
+  pickVariant
+};
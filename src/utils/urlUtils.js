@@ -1,10 +1,10 @@
 // src/utils/urlUtils.js
-const { nanoid } = require('nanoid');
-const QRCode = require('qrcode');
+const { randomCode } = require('./shortCodes');
+const { renderQRCode } = require('./qrCodes');
 
-// Generate short code (simplified)
+// Generate a random short code (not checked for uniqueness - see shortCodeService)
 const generateShortCode = (length = 8) => {
-  return nanoid(length);
+  return randomCode(length);
 };
 
 // Validate URL format
@@ -17,26 +17,239 @@ const isValidUrl = (url) => {
   }
 };
 
-// Generate QR code for URL
-const generateQRCode = async (url) => {
+// Generate a PNG data URL QR code for a URL. Options are passed to
+// renderQRCode (size, margin, errorCorrection, foreground, background).
+const generateQRCode = async (url, options = {}) => {
   try {
-    const qrCode = await QRCode.toDataURL(url, {
-      width: 200,
+    const { body } = renderQRCode(url, {
+      size: 200,
       margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
+      errorCorrection: 'M',
+      foreground: '#000000',
+      background: '#ffffff',
+      ...options,
+      format: 'png'
     });
-    return qrCode;
+    return `data:image/png;base64,${body.toString('base64')}`;
   } catch (error) {
     console.error('Error generating QR code:', error);
     throw new Error('Failed to generate QR code');
   }
 };
 
+const REDIRECT_TYPES = [301, 302, 307, 308];
+const DEFAULT_REDIRECT_TYPE = 302;
+
+// Resolve the HTTP status to redirect with for a URL document
+const getRedirectStatus = (url) => {
+  const type = parseInt(url?.redirectType, 10);
+  return REDIRECT_TYPES.includes(type) ? type : DEFAULT_REDIRECT_TYPE;
+};
+
+// Markers this service adds to its own short links (e.g. `?src=qr` on QR
+// codes) so analytics can tell where a click came from
+const SOURCE_PARAM = 'src';
+const SOURCE_MARKERS = ['qr'];
+
+// Signed one-time token carried by per-recipient links (see services/linkUsageService.js)
+const TOKEN_PARAM = 't';
+
+const isSourceMarker = (pair) => {
+  const [key, value = ''] = pair.split('=');
+  try {
+    return decodeURIComponent(key) === SOURCE_PARAM &&
+      SOURCE_MARKERS.includes(decodeURIComponent(value.replace(/\+/g, ' ')));
+  } catch {
+    return false;
+  }
+};
+
+const isLinkToken = (pair) => {
+  try {
+    return decodeURIComponent(pair.split('=')[0]) === TOKEN_PARAM;
+  } catch {
+    return false;
+  }
+};
+
+// Raw query string of the incoming request, without the leading "?" and
+// without source markers, which are never passed on to the destination.
+// For links that require tokens the token is dropped too; other links keep
+// "t" as some destinations use it (e.g. video timestamps).
+const getRawQuery = (req, url = null) => {
+  const original = req.originalUrl || req.url || '';
+  const index = original.indexOf('?');
+  if (index === -1) return '';
+
+  const stripToken = !!(url && url.usageLimits && url.usageLimits.requireToken);
+
+  return original.substring(index + 1)
+    .split('&')
+    .filter(pair => pair && !isSourceMarker(pair) && !(stripToken && isLinkToken(pair)))
+    .join('&');
+};
+
+// Source marker on the incoming request ('qr'), or null
+const getSourceMarker = (req) => {
+  const value = req.query ? req.query[SOURCE_PARAM] : null;
+  return SOURCE_MARKERS.includes(value) ? value : null;
+};
+
+// Short URL tagged with a source marker
+const withSourceMarker = (shortUrl, source) => {
+  const separator = shortUrl.includes('?') ? '&' : '?';
+  return `${shortUrl}${separator}${SOURCE_PARAM}=${encodeURIComponent(source)}`;
+};
+
+// Link token on the incoming request, or null
+const getLinkToken = (req) => {
+  const value = req.query ? req.query[TOKEN_PARAM] : null;
+  return typeof value === 'string' && value ? value : null;
+};
+
+// Per-recipient short URL carrying a link token
+const withLinkToken = (shortUrl, token) => {
+  const separator = shortUrl.includes('?') ? '&' : '?';
+  return `${shortUrl}${separator}${TOKEN_PARAM}=${encodeURIComponent(token)}`;
+};
+
+// Carry the incoming query string over to the destination.
+// 'append' keeps the destination's own values and adds the incoming ones;
+// 'merge' lets incoming values replace destination values with the same name.
+const applyQueryPassthrough = (destination, rawQuery, mode = 'none') => {
+  if (!mode || mode === 'none' || !rawQuery) return destination;
+
+  let target;
+  try {
+    target = new URL(destination);
+  } catch {
+    return destination;
+  }
+
+  const incoming = new URLSearchParams(rawQuery);
+
+  if (mode === 'merge') {
+    for (const key of new Set(incoming.keys())) {
+      target.searchParams.delete(key);
+    }
+  }
+
+  for (const [key, value] of incoming) {
+    target.searchParams.append(key, value);
+  }
+
+  return target.toString();
+};
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Add utm_* parameters ({ source, medium, ... }) to a URL. Parameters the URL
+// already has are left alone.
+const applyUtmParameters = (destination, utm = {}) => {
+  let target;
+  try {
+    target = new URL(destination);
+  } catch {
+    return destination;
+  }
+
+  let changed = false;
+  for (const field of UTM_FIELDS) {
+    const key = `utm_${field}`;
+    if (utm[field] && !target.searchParams.has(key)) {
+      target.searchParams.set(key, utm[field]);
+      changed = true;
+    }
+  }
+
+  return changed ? target.toString() : destination;
+};
+
+// utm_* parameters of a URL as { source, medium, ... }; missing ones are left out
+const getUtmParameters = (destination) => {
+  let target;
+  try {
+    target = new URL(destination);
+  } catch {
+    return {};
+  }
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    const value = target.searchParams.get(`utm_${field}`);
+    if (value) utm[field] = value;
+  }
+  return utm;
+};
+
+// Tracking parameters dropped from canonical URLs. Entries ending in "*" match
+// a prefix. CANONICAL_STRIP_PARAMS (comma-separated) replaces the list.
+const DEFAULT_STRIP_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'lsclid'
+];
+
+const getStripParams = () => {
+  if (process.env.CANONICAL_STRIP_PARAMS === undefined) return DEFAULT_STRIP_PARAMS;
+  return process.env.CANONICAL_STRIP_PARAMS
+    .split(',')
+    .map(param => param.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const isStrippedParam = (name, stripParams) => {
+  const key = name.toLowerCase();
+  return stripParams.some(param => param.endsWith('*')
+    ? key.startsWith(param.slice(0, -1))
+    : key === param);
+};
+
+// Canonical form of a destination, used to spot duplicate links: lower-case
+// scheme and host, IDN hosts in punycode, no default port, fragment or
+// trailing slash, tracking parameters removed and the rest sorted by name.
+// Returns null when the URL can't be parsed.
+const canonicalizeUrl = (destination, stripParams = getStripParams()) => {
+  let target;
+  try {
+    // The URL parser already lower-cases the scheme and host, converts IDN
+    // hosts to punycode and drops default ports
+    target = new URL(String(destination).trim());
+  } catch {
+    return null;
+  }
+
+  target.hash = '';
+  if (target.hostname.endsWith('.')) {
+    target.hostname = target.hostname.slice(0, -1);
+  }
+  if (target.pathname.length > 1 && target.pathname.endsWith('/')) {
+    target.pathname = target.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const params = [...target.searchParams]
+    .filter(([key]) => !isStrippedParam(key, stripParams))
+    // Stable sort by name: repeated parameters keep their relative order
+    .sort(([keyA], [keyB]) => (keyA < keyB ? -1 : keyA > keyB ? 1 : 0));
+  target.search = new URLSearchParams(params).toString();
+
+  return target.toString();
+};
+
 module.exports = {
   generateShortCode,
   isValidUrl,
-  generateQRCode
+  generateQRCode,
+  REDIRECT_TYPES,
+  getRedirectStatus,
+  getRawQuery,
+  getSourceMarker,
+  withSourceMarker,
+  getLinkToken,
+  withLinkToken,
+  applyQueryPassthrough,
+  UTM_FIELDS,
+  applyUtmParameters,
+  getUtmParameters,
+  DEFAULT_STRIP_PARAMS,
+  canonicalizeUrl
 };
\ No newline at end of file
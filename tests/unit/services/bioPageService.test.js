@@ -0,0 +1,114 @@
+// tests/unit/services/bioPageService.test.js - Unit tests for link-in-bio pages
+const mongoose = require('mongoose');
+const bioPageService = require('../../../src/services/bioPageService');
+const BioPage = require('../../../src/models/BioPage');
+const Url = require('../../../src/models/Url');
+
+describe('BioPageService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const liveUrlId = new mongoose.Types.ObjectId();
+  const disabledUrlId = new mongoose.Types.ObjectId();
+  let page;
+
+  const mockUrlFind = (urls) => {
+    jest.spyOn(Url, 'find').mockReturnValue({
+      select: () => ({ lean: async () => urls })
+    });
+  };
+
+  beforeEach(() => {
+    page = new BioPage({
+      userId,
+      blocks: [
+        { type: 'link', urlId: liveUrlId, position: 1 },
+        { type: 'header', title: 'My links', position: 0 },
+        { type: 'link', urlId: disabledUrlId, position: 2 },
+        { type: 'text', text: 'Hidden note', position: 3, visible: false }
+      ]
+    });
+    page.save = jest.fn().mockResolvedValue(page);
+    jest.spyOn(BioPage, 'findOne').mockResolvedValue(page);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveBlocks', () => {
+    beforeEach(() => {
+      mockUrlFind([
+        {
+          _id: liveUrlId,
+          shortCode: 'abc123',
+          originalUrl: 'https://example.com',
+          metadata: { title: 'Example Domain', favicon: 'https://example.com/favicon.ico' },
+          status: 'active',
+          isActive: true,
+          clicks: 4
+        },
+        {
+          _id: disabledUrlId,
+          shortCode: 'def456',
+          originalUrl: 'https://blocked.example',
+          status: 'disabled',
+          isActive: true
+        }
+      ]);
+    });
+
+    it('should order blocks and fill link titles and thumbnails from the link', async () => {
+      const blocks = await bioPageService.resolveBlocks(page);
+
+      expect(blocks.map(block => block.type)).toEqual(['header', 'link', 'link', 'text']);
+      expect(blocks[1].title).toBe('Example Domain');
+      expect(blocks[1].thumbnail).toBe('https://example.com/favicon.ico');
+      expect(blocks[1].url).toMatchObject({ shortCode: 'abc123', clicks: 4, isLive: true });
+    });
+
+    it('should leave hidden blocks and links that are not live off public pages', async () => {
+      const blocks = await bioPageService.resolveBlocks(page, { publicOnly: true });
+
+      expect(blocks).toHaveLength(2);
+      expect(blocks.map(block => block.type)).toEqual(['header', 'link']);
+      expect(blocks[1].url.shortCode).toBe('abc123');
+    });
+  });
+
+  describe('reorderBlocks', () => {
+    it('should apply the given order and keep unlisted blocks after it', async () => {
+      const [live, header, disabled, text] = page.blocks;
+
+      await bioPageService.reorderBlocks(userId, [text._id.toString(), live._id.toString()]);
+
+      const order = page.getOrderedBlocks().map(block => block._id.toString());
+      expect(order).toEqual([text, live, header, disabled].map(block => block._id.toString()));
+      expect(page.save).toHaveBeenCalled();
+    });
+
+    it('should reject block ids that are not on the page', async () => {
+      await expect(
+        bioPageService.reorderBlocks(userId, [new mongoose.Types.ObjectId().toString()])
+      ).rejects.toThrow('Unknown block ids');
+    });
+  });
+
+  describe('addBlock', () => {
+    it('should not add links owned by someone else', async () => {
+      jest.spyOn(Url, 'findOne').mockReturnValue({ select: async () => null });
+
+      await expect(
+        bioPageService.addBlock(userId, { type: 'link', urlId: new mongoose.Types.ObjectId().toString() })
+      ).rejects.toThrow('URL not found');
+      expect(page.save).not.toHaveBeenCalled();
+    });
+
+    it('should append new blocks after the last one', async () => {
+      await bioPageService.addBlock(userId, { type: 'header', title: 'More' });
+
+      const added = page.blocks[page.blocks.length - 1];
+      expect(added.title).toBe('More');
+      expect(added.position).toBe(4);
+      expect(added.urlId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// tests/unit/services/brandingService.test.js - Unit tests for branded page rendering
+const brandingService = require('../../../src/services/brandingService');
+
+describe('BrandingService', () => {
+  const hostileBranding = {
+    companyName: 'Acme',
+    colors: {
+      primary: 'red;}</style><script>alert(1)</script>',
+      background: '#fff}</style><script>alert(2)</script>',
+      text: '#000000'
+    },
+    fonts: {
+      primary: 'Inter;}</style><script>alert(3)</script>'
+    }
+  };
+
+  const styleBlock = (html) => html.slice(html.indexOf('<style>'), html.indexOf('</style>'));
+
+  describe('generateUnavailablePage', () => {
+    it('keeps stored fonts and colors inside the style block', () => {
+      const html = brandingService.generateUnavailablePage(hostileBranding, {
+        title: 'Link unavailable',
+        message: 'This link is not active yet.'
+      });
+
+      expect(html).not.toContain('<script>');
+      expect(html.match(/<\/style>/g)).toHaveLength(1);
+      expect(styleBlock(html)).toContain('background-color: #ffffff');
+      expect(styleBlock(html)).toContain('color: #000000');
+      expect(styleBlock(html)).toContain('h1 { color: #2563eb');
+    });
+  });
+
+  describe('generateBioPage', () => {
+    it('does not let stored branding break out of the style block', () => {
+      const html = brandingService.generateBioPage(
+        { ...hostileBranding, customCSS: '.x { color: red; }</style><script>alert(4)</script>' },
+        {
+          user: { username: 'acme', name: 'Acme' },
+          page: { title: 'Acme links' },
+          blocks: [],
+          linkBase: 'http://localhost:5000/@acme'
+        }
+      );
+
+      expect(html).not.toContain('<script>');
+      expect(html.match(/<\/style>/g)).toHaveLength(1);
+      expect(styleBlock(html)).toContain('.x { color: red; }');
+      expect(styleBlock(html)).toContain('h1 { color: #2563eb');
+    });
+  });
+});
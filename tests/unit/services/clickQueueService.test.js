@@ -0,0 +1,170 @@
+// tests/unit/services/clickQueueService.test.js - Unit tests for batched click ingestion
+const mongoose = require('mongoose');
+const clickQueueService = require('../../../src/services/clickQueueService');
+const Url = require('../../../src/models/Url');
+const Analytics = require('../../../src/models/Analytics');
+const ClickRollup = require('../../../src/models/ClickRollup');
+const uniqueVisitorService = require('../../../src/services/uniqueVisitorService');
+const liveClickService = require('../../../src/services/liveClickService');
+
+describe('ClickQueueService', () => {
+  const urlId = new mongoose.Types.ObjectId().toString();
+
+  const clickEvent = (hashedIp, minutesAgo, extra = {}) => ({
+    urlId,
+    shortCode: 'abc123',
+    originalUrl: 'https://example.com',
+    counted: false,
+    click: {
+      timestamp: new Date(Date.now() - minutesAgo * 60 * 1000),
+      hashedIp,
+      country: 'Germany',
+      device: 'Desktop'
+    },
+    ...extra
+  });
+
+  beforeEach(() => {
+    clickQueueService.buffer = [];
+    clickQueueService.deadLetters = [];
+    clickQueueService.maxAttempts = 5;
+    clickQueueService.highWaterMark = 5000;
+    jest.spyOn(Analytics.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ClickRollup, 'bulkWrite').mockResolvedValue({});
+    // Visitors are new until seen, as a sketch would report them
+    const seen = new Set();
+    jest.spyOn(uniqueVisitorService, 'recordVisitors').mockImplementation(async (id, clicks) => {
+      clicks.forEach((click) => {
+        click.isUniqueVisitor = !seen.has(click.hashedIp);
+        seen.add(click.hashedIp);
+      });
+    });
+    jest.spyOn(uniqueVisitorService, 'countAllTime').mockImplementation(async () => seen.size);
+  });
+
+  afterEach(async () => {
+    await clickQueueService.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('writeLinkClicks', () => {
+    it('should write a link\'s clicks with one Url update and one Analytics save', async () => {
+      jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Analytics, 'findOne').mockResolvedValue(null);
+
+      await clickQueueService.writeLinkClicks('abc123', [
+        clickEvent('visitor-a', 3),
+        clickEvent('visitor-b', 2, { counted: true }),
+        clickEvent('visitor-a', 1)
+      ]);
+
+      const [filter, update] = Url.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: urlId });
+      expect(update.$inc).toEqual({ clicks: 2 });
+      expect(update.$push.clickHistory.$each).toHaveLength(3);
+      expect(Analytics.prototype.save).toHaveBeenCalledTimes(1);
+
+      const analytics = Analytics.prototype.save.mock.contexts[0];
+      expect(analytics.stats.totalClicks).toBe(3);
+      expect(analytics.stats.uniqueVisitors).toBe(2);
+      expect(ClickRollup.bulkWrite).toHaveBeenCalledTimes(1);
+    });
+
+    it('should take unique visitors from the visitor sketches', async () => {
+      const analytics = new Analytics({ urlId, shortCode: 'abc123' });
+      jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Analytics, 'findOne').mockResolvedValue(analytics);
+
+      await clickQueueService.writeLinkClicks('abc123', [clickEvent('visitor-a', 2)]);
+      await clickQueueService.writeLinkClicks('abc123', [clickEvent('visitor-a', 1)]);
+
+      expect(uniqueVisitorService.recordVisitors).toHaveBeenCalledTimes(2);
+      expect(analytics.clicks[1].isUniqueVisitor).toBe(false);
+      expect(analytics.stats.totalClicks).toBe(2);
+      expect(analytics.stats.uniqueVisitors).toBe(1);
+    });
+
+    it('should skip the steps already written when a failed write is retried', async () => {
+      const analytics = new Analytics({ urlId, shortCode: 'abc123' });
+      jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Analytics, 'findOne').mockResolvedValue(analytics);
+      Analytics.prototype.save.mockRejectedValueOnce(new Error('write conflict'));
+      const events = [clickEvent('visitor-a', 2), clickEvent('visitor-b', 1)];
+
+      await expect(clickQueueService.writeLinkClicks('abc123', events)).rejects.toThrow('write conflict');
+      expect(events[0].written).toEqual(['url', 'visitors']);
+
+      await clickQueueService.writeLinkClicks('abc123', events);
+
+      expect(Url.updateOne).toHaveBeenCalledTimes(1);
+      expect(uniqueVisitorService.recordVisitors).toHaveBeenCalledTimes(1);
+      expect(ClickRollup.bulkWrite).toHaveBeenCalledTimes(1);
+      expect(events[0].written).toEqual(['url', 'visitors', 'analytics', 'rollups', 'published']);
+    });
+
+    it('should not publish the clicks to the live stream again on a retry', async () => {
+      jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Analytics, 'findOne').mockResolvedValue(new Analytics({ urlId, shortCode: 'abc123' }));
+      jest.spyOn(liveClickService, 'publish').mockResolvedValue();
+      jest.spyOn(clickQueueService, 'auditClick')
+        .mockRejectedValueOnce(new Error('audit log down'))
+        .mockResolvedValue();
+      const events = [clickEvent('visitor-a', 1)];
+
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        await expect(clickQueueService.writeLinkClicks('abc123', events)).rejects.toThrow('audit log down');
+        await clickQueueService.writeLinkClicks('abc123', events);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+
+      expect(liveClickService.publish).toHaveBeenCalledTimes(1);
+      expect(clickQueueService.auditClick).toHaveBeenCalledTimes(2);
+      expect(events[0].written).toEqual(['url', 'visitors', 'analytics', 'rollups', 'published', 'audited']);
+    });
+  });
+
+  describe('in-memory queue', () => {
+    it('should retry failed writes, then keep them for replay', async () => {
+      clickQueueService.maxAttempts = 2;
+      jest.spyOn(clickQueueService, 'writeLinkClicks').mockRejectedValue(new Error('write conflict'));
+
+      clickQueueService.enqueue(clickEvent('visitor-a', 1));
+      await clickQueueService.flush();
+      expect(clickQueueService.buffer).toHaveLength(1);
+
+      await clickQueueService.flush();
+      expect(clickQueueService.buffer).toHaveLength(0);
+      expect(clickQueueService.deadLetters).toHaveLength(1);
+
+      const metrics = await clickQueueService.getMetrics();
+      expect(metrics.mode).toBe('memory');
+      expect(metrics.failed).toBe(1);
+      expect(metrics.lastError).toBe('write conflict');
+
+      clickQueueService.writeLinkClicks.mockResolvedValue();
+      expect(await clickQueueService.replayFailed()).toEqual({ replayed: 1 });
+      await clickQueueService.flush();
+      expect(clickQueueService.deadLetters).toHaveLength(0);
+      expect(clickQueueService.buffer).toHaveLength(0);
+    });
+
+    it('should report backpressure once the backlog reaches the high-water mark', async () => {
+      clickQueueService.highWaterMark = 2;
+      jest.spyOn(clickQueueService, 'flush').mockResolvedValue();
+
+      clickQueueService.enqueue(clickEvent('visitor-a', 2));
+      expect((await clickQueueService.getMetrics()).backpressure).toBe(false);
+
+      clickQueueService.enqueue(clickEvent('visitor-b', 1));
+      const metrics = await clickQueueService.getMetrics();
+      expect(metrics.depth).toBe(2);
+      expect(metrics.backpressure).toBe(true);
+      expect(metrics.lagMs).toBeGreaterThanOrEqual(2 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// tests/unit/services/conversionService.test.js - Unit tests for conversion tracking
+const mongoose = require('mongoose');
+const conversionService = require('../../../src/services/conversionService');
+const Conversion = require('../../../src/models/Conversion');
+const ConversionGoal = require('../../../src/models/ConversionGoal');
+const Folder = require('../../../src/models/Folder');
+const Url = require('../../../src/models/Url');
+const cacheService = require('../../../src/services/cacheService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stand-in for a mongoose query ending in .select().lean()
+const query = (result) => ({ select: () => ({ lean: () => Promise.resolve(result) }) });
+
+describe('ConversionService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const urlId = new mongoose.Types.ObjectId();
+  const campaigns = new mongoose.Types.ObjectId();
+  const spring = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('click IDs', () => {
+    it('should carry the link and click time and reject tampered IDs', () => {
+      const clickedAt = new Date('2024-03-01T09:00:00Z');
+      const clickId = conversionService.createClickId(urlId, clickedAt);
+
+      expect(clickId).toMatch(/^[\w-]+(\.[\w-]+){3}$/);
+      expect(conversionService.verifyClickId(clickId)).toEqual({ urlId: urlId.toString(), clickedAt });
+
+      const otherLink = conversionService.createClickId(new mongoose.Types.ObjectId(), clickedAt);
+      const forged = [otherLink.split('.')[0], ...clickId.split('.').slice(1)].join('.');
+      expect(conversionService.verifyClickId(forged)).toBeNull();
+      expect(conversionService.verifyClickId('not-a-click-id')).toBeNull();
+    });
+  });
+
+  describe('isTracked', () => {
+    it('should track links in a folder below a goal\'s folder', async () => {
+      jest.spyOn(cacheService, 'get').mockResolvedValue(null);
+      jest.spyOn(cacheService, 'set').mockResolvedValue(true);
+      jest.spyOn(ConversionGoal, 'find').mockReturnValue(query([{ urlId: null, folderId: campaigns }]));
+      jest.spyOn(Folder, 'find').mockReturnValue(query([{ _id: spring }]));
+
+      expect(await conversionService.isTracked({ _id: urlId, userId, folderId: spring })).toBe(true);
+      expect(await conversionService.isTracked({ _id: urlId, userId, folderId: null })).toBe(false);
+      expect(Folder.find).toHaveBeenCalledWith({ userId, ancestors: { $in: [campaigns] } });
+      expect(cacheService.set).toHaveBeenCalledWith(
+        `conversion-goals:${userId}`,
+        { urlIds: [], folderIds: [campaigns.toString(), spring.toString()] },
+        expect.any(Number)
+      );
+    });
+
+    it('should answer from the cached scopes without database lookups', async () => {
+      jest.spyOn(cacheService, 'get').mockResolvedValue({ urlIds: [urlId.toString()], folderIds: [] });
+      jest.spyOn(ConversionGoal, 'find');
+
+      expect(await conversionService.isTracked({ _id: urlId, userId, folderId: null })).toBe(true);
+      expect(ConversionGoal.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordConversion', () => {
+    const goal = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      urlId,
+      folderId: null,
+      defaultValue: 25,
+      currency: 'USD',
+      attributionWindowDays: 7,
+      isActive: true
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Url, 'findOne').mockReturnValue(query({ _id: urlId, folderId: null }));
+      jest.spyOn(ConversionGoal, 'updateOne').mockResolvedValue({});
+    });
+
+    it('should attribute the conversion to the click, using the goal\'s default value', async () => {
+      jest.spyOn(Conversion, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Conversion, 'create').mockImplementation(async data => data);
+      const clickId = conversionService.createClickId(urlId, new Date(Date.now() - 2 * 60 * 60 * 1000));
+
+      const { conversion, duplicate } = await conversionService.recordConversion(goal, { clickId, orderId: 'A-1' }, 'postback');
+
+      expect(duplicate).toBe(false);
+      expect(conversion).toMatchObject({ urlId, clickId, orderId: 'A-1', revenue: 25, currency: 'USD', source: 'postback' });
+      expect(Math.round(conversion.timeToConvertMs / 60000)).toBe(120);
+      expect(ConversionGoal.updateOne).toHaveBeenCalledWith(
+        { _id: goal._id },
+        expect.objectContaining({ $inc: { conversions: 1, revenue: 25 } })
+      );
+    });
+
+    it('should ignore repeats and reject clicks outside the attribution window', async () => {
+      const existing = { _id: new mongoose.Types.ObjectId() };
+      jest.spyOn(Conversion, 'findOne').mockResolvedValue(existing);
+      const clickId = conversionService.createClickId(urlId, new Date(Date.now() - DAY_MS));
+
+      expect(await conversionService.recordConversion(goal, { clickId }, 'pixel'))
+        .toEqual({ conversion: existing, duplicate: true });
+      expect(ConversionGoal.updateOne).not.toHaveBeenCalled();
+
+      const oldClickId = conversionService.createClickId(urlId, new Date(Date.now() - 8 * DAY_MS));
+      await expect(conversionService.recordConversion(goal, { clickId: oldClickId }, 'pixel'))
+        .rejects.toThrow('attribution window');
+    });
+  });
+
+  describe('recordPixel', () => {
+    it('should count the goal\'s default value once per click, whatever the page reports', async () => {
+      const goal = { _id: new mongoose.Types.ObjectId(), allowPixel: true };
+      const clickId = conversionService.createClickId(urlId, new Date());
+      jest.spyOn(ConversionGoal, 'findById').mockResolvedValue(goal);
+      jest.spyOn(conversionService, 'recordConversion').mockResolvedValue({ duplicate: false });
+
+      await conversionService.recordPixel({ goalId: goal._id.toString(), clickId, revenue: 9999, orderId: 'A-2' });
+
+      expect(conversionService.recordConversion).toHaveBeenCalledWith(goal, { clickId }, 'pixel');
+    });
+  });
+});
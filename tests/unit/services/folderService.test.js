@@ -0,0 +1,116 @@
+// tests/unit/services/folderService.test.js - Unit tests for link folders
+const mongoose = require('mongoose');
+const folderService = require('../../../src/services/folderService');
+const Folder = require('../../../src/models/Folder');
+const Url = require('../../../src/models/Url');
+const cacheService = require('../../../src/services/cacheService');
+
+describe('FolderService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const campaigns = { _id: new mongoose.Types.ObjectId(), name: 'Campaigns', parentId: null, ancestors: [] };
+  const spring = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Spring sale',
+    parentId: campaigns._id,
+    ancestors: [campaigns._id]
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildTree', () => {
+    it('should nest folders and total their links', () => {
+      const tree = folderService.buildTree([campaigns, spring], {
+        [campaigns._id.toString()]: 2,
+        [spring._id.toString()]: 3
+      });
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].links).toBe(2);
+      expect(tree[0].totalLinks).toBe(5);
+      expect(tree[0].children.map(child => child.name)).toEqual(['Spring sale']);
+    });
+  });
+
+  describe('mergeDefaults', () => {
+    it('should combine tags and let the deepest folder win', () => {
+      const defaults = folderService.mergeDefaults([
+        { defaults: { tags: ['marketing'], redirectType: 301, utm: { source: 'newsletter', medium: 'email' } } },
+        { defaults: { tags: ['spring', 'marketing'], expiresInDays: 30, utm: { source: 'promo' } } }
+      ]);
+
+      expect(defaults).toEqual({
+        tags: ['marketing', 'spring'],
+        expiresInDays: 30,
+        redirectType: 301,
+        utm: { source: 'promo', medium: 'email' }
+      });
+    });
+  });
+
+  describe('applyDefaults', () => {
+    const defaults = {
+      tags: ['spring'],
+      expiresInDays: 30,
+      redirectType: 301,
+      utm: { source: 'promo', campaign: 'spring' }
+    };
+    const now = new Date('2026-03-01T00:00:00Z');
+
+    it('should fill in values the link does not set', () => {
+      const data = folderService.applyDefaults({ originalUrl: 'https://example.com/shop' }, defaults, now);
+
+      expect(data.tags).toEqual(['spring']);
+      expect(data.expiresAt).toEqual(new Date('2026-03-31T00:00:00Z'));
+      expect(data.redirectType).toBe(301);
+      expect(data.originalUrl).toBe('https://example.com/shop?utm_source=promo&utm_campaign=spring');
+    });
+
+    it('should keep the link\'s own values', () => {
+      const expiresAt = new Date('2026-04-15T00:00:00Z');
+      const data = folderService.applyDefaults({
+        originalUrl: 'https://example.com/shop?utm_source=partner',
+        tags: ['featured'],
+        expiresAt,
+        redirectType: 302
+      }, defaults, now);
+
+      expect(data.tags).toEqual(['spring', 'featured']);
+      expect(data.expiresAt).toBe(expiresAt);
+      expect(data.redirectType).toBe(302);
+      expect(data.originalUrl).toBe('https://example.com/shop?utm_source=partner&utm_campaign=spring');
+    });
+  });
+
+  describe('moveFolder', () => {
+    it('should refuse to move a folder into its own subfolder', async () => {
+      jest.spyOn(folderService, 'getFolder').mockResolvedValue(spring);
+      jest.spyOn(Folder, 'find');
+
+      const folder = { ...campaigns, userId };
+
+      await expect(folderService.moveFolder(folder, spring._id, folder.name))
+        .rejects.toThrow('A folder cannot be moved into itself or one of its subfolders');
+      expect(Folder.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moveLinks', () => {
+    it('should drop the cached redirects of the moved links', async () => {
+      const links = [
+        { _id: new mongoose.Types.ObjectId(), shortCode: 'abc123', shortId: 'abc123', customAlias: 'spring' },
+        { _id: new mongoose.Types.ObjectId(), shortCode: 'def456', shortId: 'def456', customAlias: null }
+      ];
+      jest.spyOn(folderService, 'getFolder').mockResolvedValue(spring);
+      jest.spyOn(Url, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(links) }) });
+      jest.spyOn(Url, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(cacheService, 'invalidateUrl').mockResolvedValue(true);
+
+      const result = await folderService.moveLinks(userId, links.map(link => link._id), spring._id);
+
+      expect(result.moved).toBe(2);
+      expect(cacheService.invalidateUrl.mock.calls.map(([code]) => code)).toEqual(['abc123', 'spring', 'def456']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// tests/unit/services/linkHealthService.test.js - Unit tests for destination health checks
+// Mock dependencies (jest.mock is not hoisted - there is no babel transform)
+jest.mock('../../../src/services/monitoringService', () => ({ triggerAlert: jest.fn() }));
+jest.mock('../../../src/models/Url', () => ({ updateOne: jest.fn() }));
+
+const http = require('http');
+const linkHealthService = require('../../../src/services/linkHealthService');
+const metadataService = require('../../../src/services/metadataService');
+const monitoringService = require('../../../src/services/monitoringService');
+const Url = require('../../../src/models/Url');
+
+describe('LinkHealthService', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    // Local stand-in for destination sites
+    server = http.createServer((req, res) => {
+      if (req.url === '/ok') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('ok');
+      }
+      if (req.url === '/old') {
+        res.writeHead(301, { Location: '/ok' });
+        return res.end();
+      }
+      if (req.url === '/no-head') {
+        res.writeHead(req.method === 'HEAD' ? 405 : 200);
+        return res.end();
+      }
+      res.writeHead(404);
+      res.end();
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    metadataService.allowPrivateAddresses = true;
+  });
+
+  describe('checkDestination', () => {
+    it('should record the redirect chain and final status', async () => {
+      const result = await linkHealthService.checkDestination(`${baseUrl}/old`);
+
+      expect(result.ok).toBe(true);
+      expect(result.statusCode).toBe(200);
+      expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+      expect(result.redirectChain).toEqual([{ url: `${baseUrl}/old`, statusCode: 301 }]);
+      expect(typeof result.latencyMs).toBe('number');
+    });
+
+    it('should retry with GET when HEAD is not allowed', async () => {
+      const result = await linkHealthService.checkDestination(`${baseUrl}/no-head`);
+
+      expect(result.ok).toBe(true);
+    });
+
+    it('should flag 4xx responses', async () => {
+      const result = await linkHealthService.checkDestination(`${baseUrl}/missing`);
+
+      expect(result.ok).toBe(false);
+      expect(result.statusCode).toBe(404);
+    });
+
+    it('should flag private destinations as unreachable', async () => {
+      metadataService.allowPrivateAddresses = false;
+
+      const result = await linkHealthService.checkDestination(`${baseUrl}/ok`);
+
+      expect(result.ok).toBe(false);
+      expect(result.statusCode).toBeNull();
+      expect(result.error).toContain('private address');
+    });
+  });
+
+  describe('checkUrl', () => {
+    const url = {
+      _id: 'url123',
+      shortCode: 'abc123',
+      userId: 'user123',
+      originalUrl: ''
+    };
+
+    it('should alert the owner when a link becomes broken', async () => {
+      await linkHealthService.checkUrl({ ...url, originalUrl: `${baseUrl}/missing`, health: { status: 'healthy' } });
+
+      expect(Url.updateOne).toHaveBeenCalledWith(
+        { _id: 'url123' },
+        expect.objectContaining({ $inc: { 'health.consecutiveFailures': 1 } })
+      );
+      expect(monitoringService.triggerAlert).toHaveBeenCalledWith(
+        'broken_link_url123',
+        expect.objectContaining({ userId: 'user123', shortCode: 'abc123' })
+      );
+    });
+
+    it('should not alert again while a link stays broken', async () => {
+      await linkHealthService.checkUrl({ ...url, originalUrl: `${baseUrl}/missing`, health: { status: 'broken' } });
+
+      expect(monitoringService.triggerAlert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// tests/unit/services/linkUsageService.test.js - Unit tests for one-time and limited-use links
+const mongoose = require('mongoose');
+const linkUsageService = require('../../../src/services/linkUsageService');
+const LinkToken = require('../../../src/models/LinkToken');
+const LinkVisitorUse = require('../../../src/models/LinkVisitorUse');
+
+describe('LinkUsageService', () => {
+  const urlId = new mongoose.Types.ObjectId();
+  const link = (usageLimits) => ({ _id: urlId, userId: new mongoose.Types.ObjectId(), usageLimits });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyToken', () => {
+    it('should accept tokens signed for the link only', () => {
+      const token = linkUsageService.createToken(urlId, 'abc123');
+
+      expect(linkUsageService.verifyToken(urlId, token)).toBe('abc123');
+      expect(linkUsageService.verifyToken(new mongoose.Types.ObjectId(), token)).toBeNull();
+      expect(linkUsageService.verifyToken(urlId, 'abc123.forged')).toBeNull();
+      expect(linkUsageService.verifyToken(urlId, 'abc123')).toBeNull();
+    });
+  });
+
+  describe('mintTokens', () => {
+    it('should mint one token per recipient', async () => {
+      jest.spyOn(LinkToken, 'insertMany').mockImplementation(async docs => docs);
+
+      const minted = await linkUsageService.mintTokens(link({ requireToken: true }), {
+        recipients: ['ana@example.com', 'bo@example.com'],
+        maxUses: 1
+      });
+
+      expect(minted).toHaveLength(2);
+      expect(minted[0].doc.recipient).toBe('ana@example.com');
+      expect(linkUsageService.verifyToken(urlId, minted[1].token)).toBe(minted[1].doc.tokenId);
+    });
+
+    it('should refuse links that do not require tokens', async () => {
+      await expect(linkUsageService.mintTokens(link({ requireToken: false }), { count: 5 }))
+        .rejects.toThrow('requireToken');
+    });
+  });
+
+  describe('consume', () => {
+    it('should refuse missing and forged tokens without counting anything', async () => {
+      const update = jest.spyOn(LinkToken, 'findOneAndUpdate');
+      const url = link({ requireToken: true });
+
+      expect(await linkUsageService.consume(url, { token: null, ip: '1.2.3.4' })).toBe('token_required');
+      expect(await linkUsageService.consume(url, { token: 'abc.def', ip: '1.2.3.4' })).toBe('token_invalid');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should report a used-up token', async () => {
+      jest.spyOn(LinkToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(LinkToken, 'exists').mockResolvedValue({ _id: 'token1' });
+      const token = linkUsageService.createToken(urlId, 'abc123');
+
+      expect(await linkUsageService.consume(link({ requireToken: true }), { token, ip: '1.2.3.4' }))
+        .toBe('token_used');
+    });
+
+    it('should not spend the visitor\'s allowance on a used-up token', async () => {
+      jest.spyOn(LinkToken, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(LinkToken, 'exists').mockResolvedValue({ _id: 'token1' });
+      const visitorUse = jest.spyOn(LinkVisitorUse, 'findOneAndUpdate');
+      const token = linkUsageService.createToken(urlId, 'abc123');
+
+      expect(await linkUsageService.consume(link({ requireToken: true, perVisitor: 1 }), { token, ip: '1.2.3.4' }))
+        .toBe('token_used');
+      expect(visitorUse).not.toHaveBeenCalled();
+    });
+
+    it('should give the token use back when the visitor is at their limit', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      jest.spyOn(LinkToken, 'findOneAndUpdate').mockResolvedValue({ uses: 0 });
+      jest.spyOn(LinkToken, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(LinkVisitorUse, 'findOneAndUpdate').mockRejectedValue(duplicate);
+      const token = linkUsageService.createToken(urlId, 'abc123');
+
+      expect(await linkUsageService.consume(link({ requireToken: true, perVisitor: 1 }), { token, ip: '1.2.3.4' }))
+        .toBe('visitor_limit');
+      expect(LinkToken.updateOne).toHaveBeenCalledWith(
+        { urlId, tokenId: 'abc123', uses: { $gt: 0 } },
+        { $inc: { uses: -1 } }
+      );
+    });
+
+    it('should stop a visitor at their limit', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      jest.spyOn(LinkVisitorUse, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ uses: 1 })
+        .mockRejectedValueOnce(duplicate);
+      const url = link({ perVisitor: 1 });
+
+      expect(await linkUsageService.consume(url, { ip: '1.2.3.4' })).toBeNull();
+      expect(await linkUsageService.consume(url, { ip: '1.2.3.4' })).toBe('visitor_limit');
+      expect(LinkVisitorUse.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ urlId, uses: { $lt: 1 } }),
+        expect.any(Object),
+        { upsert: true }
+      );
+    });
+  });
+});
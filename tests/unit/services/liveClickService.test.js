@@ -0,0 +1,73 @@
+// tests/unit/services/liveClickService.test.js - Unit tests for the live click feed
+const mongoose = require('mongoose');
+const liveClickService = require('../../../src/services/liveClickService');
+const redisManager = require('../../../src/config/redis');
+
+describe('LiveClickService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const urlId = new mongoose.Types.ObjectId();
+  const click = {
+    timestamp: new Date('2024-03-01T09:00:00Z'),
+    ip: '203.0.113.7',
+    hashedIp: 'abc123',
+    userAgent: 'Mozilla/5.0',
+    city: 'Lyon',
+    country: 'France',
+    countryCode: 'FR',
+    device: 'mobile',
+    browser: 'Safari',
+    os: 'iOS',
+    referrer: 'https://news.example.com/story?id=42',
+    referrerCategory: 'other',
+    isUniqueVisitor: true
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send anonymised clicks to the link\'s and the owner\'s streams', async () => {
+    jest.spyOn(redisManager, 'isHealthy').mockReturnValue(false);
+    const linkClicks = [];
+    const userClicks = [];
+    const stopLink = liveClickService.subscribe({ userId, urlId }, c => linkClicks.push(c), () => {});
+    const stopUser = liveClickService.subscribe({ userId }, c => userClicks.push(c), () => {});
+
+    await liveClickService.publish({ urlId, userId, shortCode: 'abc123' }, [click]);
+    stopLink();
+    await liveClickService.publish({ urlId, userId, shortCode: 'abc123' }, [click]);
+    stopUser();
+
+    expect(linkClicks).toHaveLength(1);
+    expect(userClicks).toHaveLength(2);
+    expect(linkClicks[0]).toEqual({
+      shortCode: 'abc123',
+      timestamp: click.timestamp,
+      country: 'France',
+      countryCode: 'FR',
+      device: 'mobile',
+      browser: 'Safari',
+      os: 'iOS',
+      referrer: 'news.example.com',
+      referrerCategory: 'other',
+      source: null,
+      isUniqueVisitor: true,
+      isBot: false
+    });
+    expect(liveClickService.canOpenStream(userId)).toBe(true);
+  });
+
+  it('should fan out through Redis pub/sub when Redis is available', async () => {
+    const client = { publish: jest.fn().mockResolvedValue(1) };
+    jest.spyOn(redisManager, 'isHealthy').mockReturnValue(true);
+    jest.spyOn(redisManager, 'getClient').mockReturnValue(client);
+
+    await liveClickService.publish({ urlId, userId, shortCode: 'abc123' }, [click]);
+
+    expect(client.publish).toHaveBeenCalledWith('ls:live-clicks', expect.any(String));
+    const message = JSON.parse(client.publish.mock.calls[0][1]);
+    expect(message).toMatchObject({ urlId: urlId.toString(), userId: userId.toString() });
+    expect(message.clicks[0]).not.toHaveProperty('ip');
+    expect(message.clicks[0]).not.toHaveProperty('city');
+  });
+});
@@ -0,0 +1,143 @@
+// tests/unit/services/metadataService.test.js - Unit tests for the metadata fetcher
+// Mock dependencies (jest.mock is not hoisted - there is no babel transform)
+jest.mock('../../../src/services/cacheService');
+jest.mock('../../../src/models/Url', () => ({ findById: jest.fn() }));
+
+const http = require('http');
+const metadataService = require('../../../src/services/metadataService');
+const Url = require('../../../src/models/Url');
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Fallback &amp; title</title>
+  <meta name="description" content="Plain description">
+  <meta property="og:title" content="OG title">
+  <meta property="og:image" content="/images/card.png">
+  <link rel="icon" href="/static/favicon.png">
+</head>
+<body>Hello</body>
+</html>`;
+
+describe('MetadataService', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    // Local stand-in for destination sites
+    server = http.createServer((req, res) => {
+      if (req.url === '/page') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(PAGE);
+      }
+      if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/page' });
+        return res.end();
+      }
+      if (req.url === '/image') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end('not html');
+      }
+      if (req.url === '/huge') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<html><head><title>Huge</title>');
+        return res.end('x'.repeat(2 * 1024 * 1024));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    metadataService.allowPrivateAddresses = true;
+  });
+
+  describe('isPrivateAddress', () => {
+    it('should block loopback, private and link-local ranges', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.0.0.1']
+        .forEach(address => expect(metadataService.isPrivateAddress(address)).toBe(true));
+    });
+
+    it('should allow public addresses', () => {
+      ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']
+        .forEach(address => expect(metadataService.isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('parseMetadata', () => {
+    it('should prefer OG tags and resolve relative URLs', () => {
+      expect(metadataService.parseMetadata(PAGE, 'https://example.com/post/1')).toEqual({
+        title: 'OG title',
+        description: 'Plain description',
+        image: 'https://example.com/images/card.png',
+        siteName: null,
+        favicon: 'https://example.com/static/favicon.png'
+      });
+    });
+
+    it('should fall back to <title> and /favicon.ico', () => {
+      const metadata = metadataService.parseMetadata('<title> Fallback &amp; title </title>', 'https://example.com/a');
+
+      expect(metadata.title).toBe('Fallback & title');
+      expect(metadata.favicon).toBe('https://example.com/favicon.ico');
+    });
+  });
+
+  describe('fetchPage', () => {
+    it('should follow redirects and return the page', async () => {
+      const { html, finalUrl } = await metadataService.fetchPage(`${baseUrl}/moved`);
+
+      expect(finalUrl).toBe(`${baseUrl}/page`);
+      expect(html).toContain('OG title');
+    });
+
+    it('should refuse private addresses', async () => {
+      metadataService.allowPrivateAddresses = false;
+
+      await expect(metadataService.fetchPage(`${baseUrl}/page`)).rejects.toThrow('private address');
+    });
+
+    it('should reject non-HTML responses', async () => {
+      await expect(metadataService.fetchPage(`${baseUrl}/image`)).rejects.toThrow('Unsupported content type');
+    });
+
+    it('should stop reading at the size limit', async () => {
+      const { html } = await metadataService.fetchPage(`${baseUrl}/huge`);
+
+      expect(html.length).toBeLessThanOrEqual(metadataService.maxBytes);
+    });
+  });
+
+  describe('refreshMetadata', () => {
+    it('should fill in missing fields without overwriting the user title', async () => {
+      const mockUrl = {
+        _id: 'url123',
+        shortCode: 'abc123',
+        originalUrl: `${baseUrl}/page`,
+        title: 'My own title',
+        description: '',
+        set: jest.fn(),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Url.findById.mockResolvedValue(mockUrl);
+
+      await metadataService.refreshMetadata('url123');
+
+      expect(mockUrl.title).toBe('My own title');
+      expect(mockUrl.description).toBe('Plain description');
+      expect(mockUrl.metadata.status).toBe('success');
+      expect(mockUrl.metadata.favicon).toBe(`${baseUrl}/static/favicon.png`);
+      expect(mockUrl.save).toHaveBeenCalled();
+    });
+  });
+});
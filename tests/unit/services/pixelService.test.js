@@ -0,0 +1,116 @@
+// tests/unit/services/pixelService.test.js - Unit tests for retargeting pixels
+const mongoose = require('mongoose');
+const pixelService = require('../../../src/services/pixelService');
+const complianceService = require('../../../src/services/complianceService');
+const cacheService = require('../../../src/services/cacheService');
+const Pixel = require('../../../src/models/Pixel');
+const Analytics = require('../../../src/models/Analytics');
+
+describe('PixelService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const pixelId = new mongoose.Types.ObjectId();
+  const url = {
+    _id: new mongoose.Types.ObjectId(),
+    shortCode: 'promo',
+    userId,
+    pixels: [pixelId]
+  };
+  const facebookPixel = { _id: pixelId, userId, name: 'Meta', provider: 'facebook', pixelId: '1234567890', isActive: true };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getFiringPixels', () => {
+    const otherPixel = { ...facebookPixel, _id: new mongoose.Types.ObjectId(), name: 'Other' };
+
+    beforeEach(() => {
+      jest.spyOn(Pixel, 'find').mockReturnValue({ lean: async () => [facebookPixel, otherPixel] });
+      jest.spyOn(cacheService, 'get').mockResolvedValue(null);
+      jest.spyOn(cacheService, 'set').mockResolvedValue(true);
+    });
+
+    it('should fire the link pixels when the owner has marketing consent', async () => {
+      jest.spyOn(complianceService, 'hasConsent').mockResolvedValue(true);
+
+      const pixels = await pixelService.getFiringPixels(url);
+
+      expect(complianceService.hasConsent).toHaveBeenCalledWith(userId, 'marketing');
+      expect(Pixel.find).toHaveBeenCalledWith({ userId, isActive: true });
+      expect(cacheService.set).toHaveBeenCalledWith(`firing-pixels:${userId}`, [facebookPixel, otherPixel], 300);
+      expect(pixels).toEqual([facebookPixel]);
+    });
+
+    it('should use the cached pixels without database lookups', async () => {
+      cacheService.get.mockResolvedValue([{ ...facebookPixel, _id: pixelId.toString() }]);
+      jest.spyOn(complianceService, 'hasConsent');
+
+      const pixels = await pixelService.getFiringPixels(url);
+
+      expect(pixels).toHaveLength(1);
+      expect(complianceService.hasConsent).not.toHaveBeenCalled();
+      expect(Pixel.find).not.toHaveBeenCalled();
+    });
+
+    it('should fire nothing without marketing consent', async () => {
+      jest.spyOn(complianceService, 'hasConsent').mockResolvedValue(false);
+
+      expect(await pixelService.getFiringPixels(url)).toEqual([]);
+      expect(Pixel.find).not.toHaveBeenCalled();
+    });
+
+    it('should skip the consent lookup for links without pixels', async () => {
+      jest.spyOn(complianceService, 'hasConsent');
+
+      expect(await pixelService.getFiringPixels({ ...url, pixels: [] })).toEqual([]);
+      expect(complianceService.hasConsent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderPixels', () => {
+    it('should render the provider snippet with the pixel id', () => {
+      const html = pixelService.renderPixels([facebookPixel]);
+
+      expect(html).toContain('fbevents.js');
+      expect(html).toContain("fbq('init', \"1234567890\")");
+    });
+
+    it('should keep ids from breaking out of the script', () => {
+      const html = pixelService.renderPixels([{ provider: 'linkedin', pixelId: '</script><script>alert(1)' }]);
+
+      expect(html).not.toContain('</script><script>alert(1)');
+    });
+
+    it('should include custom snippets as they are', () => {
+      const script = '<img src="https://track.example.com/p.gif" alt="">';
+
+      expect(pixelService.renderPixels([{ provider: 'custom', script }])).toBe(script);
+    });
+  });
+
+  describe('recordFires', () => {
+    it('should count the fire on the link analytics and on each pixel', async () => {
+      jest.spyOn(Analytics, 'recordPixelFires').mockResolvedValue({});
+      jest.spyOn(Pixel, 'updateMany').mockResolvedValue({});
+
+      await pixelService.recordFires('promo', url, [facebookPixel]);
+
+      expect(Analytics.recordPixelFires).toHaveBeenCalledWith('promo', url._id, [pixelId.toString()]);
+      expect(Pixel.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [pixelId.toString()] } },
+        expect.objectContaining({ $inc: { fires: 1 } })
+      );
+    });
+  });
+
+  describe('findUnknownPixels', () => {
+    it('should report ids that are not pixels of the user', async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Pixel, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: pixelId }] })
+      });
+
+      expect(await pixelService.findUnknownPixels(userId, [pixelId.toString(), otherId])).toEqual([otherId]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/unit/services/rollupService.test.js - Unit tests for click rollups
+const mongoose = require('mongoose');
+const rollupService = require('../../../src/services/rollupService');
+const ClickRollup = require('../../../src/models/ClickRollup');
+
+describe('RollupService', () => {
+  const urlId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordClicks', () => {
+    it('should add each click to an hourly and a daily bucket per dimension', async () => {
+      jest.spyOn(ClickRollup, 'bulkWrite').mockResolvedValue({});
+      const timestamp = new Date();
+
+      await rollupService.recordClicks(urlId, [
+        { timestamp, country: 'Germany', device: 'mobile', isUniqueVisitor: true, utmCampaign: 'launch', utmSource: 'mail' },
+        { timestamp, country: 'Germany', device: 'desktop', isUniqueVisitor: false }
+      ]);
+
+      const operations = ClickRollup.bulkWrite.mock.calls[0][0].map(op => op.updateOne);
+      const find = (granularity, dimension, value) => operations.find(op =>
+        op.filter.granularity === granularity && op.filter.dimension === dimension && op.filter.value === value);
+
+      expect(find('day', 'total', 'all').update.$inc).toEqual({ clicks: 2, uniqueVisitors: 1 });
+      expect(find('hour', 'country', 'Germany').update.$inc).toEqual({ clicks: 2, uniqueVisitors: 1 });
+      expect(find('hour', 'country', 'Germany').update.$setOnInsert.expiresAt).toBeInstanceOf(Date);
+      expect(find('hour', 'total', 'all').update.$setOnInsert).toBeUndefined();
+      expect(find('day', 'campaign', 'launch').update.$addToSet.sources).toEqual({ $each: ['mail'] });
+      expect(operations.filter(op => op.filter.dimension === 'campaign')).toHaveLength(2);
+    });
+
+    it('should skip hourly breakdowns older than their retention', async () => {
+      jest.spyOn(ClickRollup, 'bulkWrite').mockResolvedValue({});
+      const timestamp = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000);
+
+      await rollupService.recordClicks(urlId, [{ timestamp, country: 'France' }]);
+
+      const operations = ClickRollup.bulkWrite.mock.calls[0][0].map(op => op.updateOne.filter);
+      expect(operations.filter(op => op.granularity === 'hour').map(op => op.dimension)).toEqual(['total']);
+    });
+  });
+
+  describe('bucketFilter', () => {
+    it('should read whole days from daily rollups and partial days from hourly ones', () => {
+      const conditions = rollupService.bucketFilter(
+        new Date('2024-03-01T10:30:00Z'),
+        new Date('2024-03-04T05:00:00Z')
+      );
+
+      expect(conditions).toEqual([
+        { granularity: 'hour', bucket: { $gte: new Date('2024-03-01T10:00:00Z'), $lt: new Date('2024-03-02T00:00:00Z') } },
+        { granularity: 'day', bucket: { $gte: new Date('2024-03-02T00:00:00Z'), $lt: new Date('2024-03-04T00:00:00Z') } },
+        { granularity: 'hour', bucket: { $gte: new Date('2024-03-04T00:00:00Z'), $lte: new Date('2024-03-04T05:00:00Z') } }
+      ]);
+    });
+
+    it('should fall back to whole days where hourly breakdowns have expired', () => {
+      const conditions = rollupService.bucketFilter(
+        new Date('2024-03-01T10:30:00Z'),
+        new Date('2024-03-01T18:00:00Z'),
+        { hourlySince: new Date('2024-06-01T00:00:00Z') }
+      );
+
+      expect(conditions).toEqual([{ granularity: 'day', bucket: new Date('2024-03-01T00:00:00Z') }]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// tests/unit/services/shortCodeService.test.js - Unit tests for short code generation
+// Mock dependencies (jest.mock is not hoisted - there is no babel transform)
+jest.mock('../../../src/models/Url', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Counter', () => ({ next: jest.fn() }));
+
+const shortCodeService = require('../../../src/services/shortCodeService');
+const Url = require('../../../src/models/Url');
+const Counter = require('../../../src/models/Counter');
+const { isReservedCode, encodeBase62, ALPHABETS } = require('../../../src/utils/shortCodes');
+
+const mockTaken = (...batches) => {
+  batches.forEach(taken => {
+    Url.find.mockReturnValueOnce({
+      select: () => ({ lean: async () => taken })
+    });
+  });
+};
+
+describe('ShortCodeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generate', () => {
+    it('should generate a random code of the configured length', async () => {
+      mockTaken([]);
+
+      const code = await shortCodeService.generate();
+
+      expect(code).toHaveLength(8);
+      expect(Url.find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should check a whole batch of candidates in one query', async () => {
+      mockTaken([]);
+
+      await shortCodeService.generate();
+
+      const [{ $or }] = Url.find.mock.calls[0];
+      expect($or[0].shortId.$in).toHaveLength(shortCodeService.batchSize);
+    });
+
+    it('should skip candidates that are already taken', async () => {
+      Url.find.mockImplementationOnce(({ $or }) => {
+        const [first, second] = $or[0].shortId.$in;
+        return { select: () => ({ lean: async () => [{ shortId: first }, { customAlias: second }] }) };
+      });
+
+      const code = await shortCodeService.generate();
+      const [first, second, third] = Url.find.mock.calls[0][0].$or[0].shortId.$in;
+
+      expect([first, second]).not.toContain(code);
+      expect(code).toBe(third);
+    });
+
+    it('should retry with a fresh batch when every candidate is taken', async () => {
+      Url.find
+        .mockImplementationOnce(({ $or }) => ({
+          select: () => ({ lean: async () => $or[0].shortId.$in.map(shortId => ({ shortId })) })
+        }));
+      mockTaken([]);
+
+      const code = await shortCodeService.generate();
+
+      expect(code).toBeDefined();
+      expect(Url.find).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw once every attempt is used up', async () => {
+      Url.find.mockImplementation(({ $or }) => ({
+        select: () => ({ lean: async () => $or[0].shortId.$in.map(shortId => ({ shortId })) })
+      }));
+
+      await expect(shortCodeService.generate())
+        .rejects.toThrow('Unable to generate unique short code');
+      expect(Url.find).toHaveBeenCalledTimes(shortCodeService.maxAttempts);
+
+      Url.find.mockReset();
+    });
+
+    it('should hand out sequential base62 codes from the counter', async () => {
+      Counter.next.mockResolvedValue(5);
+      mockTaken([]);
+
+      const code = await shortCodeService.generate({ strategy: 'sequential' });
+
+      expect(Counter.next).toHaveBeenCalledWith('shortCode', shortCodeService.batchSize);
+      expect(code).toBe(encodeBase62(shortCodeService.sequenceOffset + 1));
+    });
+
+    it('should generate pronounceable codes', async () => {
+      mockTaken([]);
+
+      const code = await shortCodeService.generate({ strategy: 'pronounceable', length: 6 });
+
+      expect(code).toMatch(/^([bdfghjklmnprstvz][aeiou]){3}$/);
+    });
+
+    it('should leave out ambiguous characters', async () => {
+      mockTaken([]);
+
+      const code = await shortCodeService.generate({ strategy: 'unambiguous', length: 12 });
+
+      expect(code).toHaveLength(12);
+      expect(code).not.toMatch(/[0O1lI]/);
+      expect([...code].every(char => ALPHABETS.unambiguous.includes(char))).toBe(true);
+    });
+
+    it('should reject unknown strategies', async () => {
+      await expect(shortCodeService.generate({ strategy: 'emoji' }))
+        .rejects.toThrow('Unknown short code strategy "emoji"');
+    });
+  });
+
+  describe('reserved words', () => {
+    afterEach(() => {
+      delete process.env.RESERVED_SHORT_CODES;
+    });
+
+    it('should reserve the paths of app routes regardless of case', () => {
+      ['api', 'AUTH', 'password', 'static', 'Health'].forEach(word => {
+        expect(isReservedCode(word)).toBe(true);
+      });
+      expect(isReservedCode('promo2024')).toBe(false);
+    });
+
+    it('should pick up extra reserved words from the environment', () => {
+      process.env.RESERVED_SHORT_CODES = 'pricing, careers';
+
+      expect(isReservedCode('careers')).toBe(true);
+    });
+  });
+});
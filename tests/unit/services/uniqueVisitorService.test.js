@@ -0,0 +1,86 @@
+// tests/unit/services/uniqueVisitorService.test.js - Unit tests for unique-visitor sketches
+const mongoose = require('mongoose');
+const uniqueVisitorService = require('../../../src/services/uniqueVisitorService');
+const VisitorSketch = require('../../../src/models/VisitorSketch');
+const redisManager = require('../../../src/config/redis');
+
+describe('UniqueVisitorService', () => {
+  const urlId = new mongoose.Types.ObjectId();
+  const click = (hashedIp, timestamp) => ({ hashedIp, timestamp: new Date(timestamp) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('without Redis', () => {
+    // Sketches kept in memory in place of the VisitorSketch collection
+    let stored;
+
+    beforeEach(() => {
+      stored = new Map();
+      jest.spyOn(redisManager, 'isHealthy').mockReturnValue(false);
+      jest.spyOn(VisitorSketch, 'findOne').mockImplementation(async ({ day }) => stored.get(day) || null);
+      jest.spyOn(VisitorSketch.prototype, 'save').mockImplementation(function() {
+        stored.set(this.day, this);
+        return Promise.resolve(this);
+      });
+      jest.spyOn(VisitorSketch, 'find').mockImplementation(async ({ day }) =>
+        [...stored.values()].filter(doc => day.$in.includes(doc.day)));
+    });
+
+    it('should mark a visitor\'s first click of each day as unique', async () => {
+      const clicks = [
+        click('visitor-a', '2024-03-01T09:00:00Z'),
+        click('visitor-a', '2024-03-01T18:00:00Z'),
+        click('visitor-a', '2024-03-02T09:00:00Z')
+      ];
+
+      await uniqueVisitorService.recordVisitors(urlId, clicks);
+
+      expect(clicks.map(c => c.isUniqueVisitor)).toEqual([true, false, true]);
+    });
+
+    it('should merge day sketches for ranges and keep an all-time count', async () => {
+      await uniqueVisitorService.recordVisitors(urlId, [
+        click('visitor-a', '2024-03-01T09:00:00Z'),
+        click('visitor-b', '2024-03-02T09:00:00Z'),
+        click('visitor-a', '2024-03-03T09:00:00Z')
+      ]);
+
+      const range = (startDate, endDate) => ({ startDate: new Date(startDate), endDate: new Date(endDate) });
+      expect(await uniqueVisitorService.countRange([urlId], range('2024-03-01', '2024-03-03T12:00:00Z'))).toBe(2);
+      expect(await uniqueVisitorService.countRange([urlId], range('2024-03-03', '2024-03-03T12:00:00Z'))).toBe(1);
+      expect(await uniqueVisitorService.countAllTime(urlId)).toBe(2);
+    });
+  });
+
+  describe('with Redis', () => {
+    it('should take uniqueness from PFADD and count with PFCOUNT', async () => {
+      const pipeline = {
+        pfadd: jest.fn().mockReturnThis(),
+        expire: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue([[null, 1], [null, 0], [null, 1], [null, 1]])
+      };
+      const client = { pipeline: () => pipeline, pfcount: jest.fn().mockResolvedValue(7) };
+      jest.spyOn(redisManager, 'isHealthy').mockReturnValue(true);
+      jest.spyOn(redisManager, 'getClient').mockReturnValue(client);
+      jest.spyOn(VisitorSketch, 'find').mockResolvedValue([]);
+
+      const clicks = [click('visitor-a', '2024-03-01T09:00:00Z'), click('visitor-a', '2024-03-01T10:00:00Z')];
+      await uniqueVisitorService.recordVisitors(urlId, clicks);
+
+      expect(clicks.map(c => c.isUniqueVisitor)).toEqual([true, false]);
+      expect(pipeline.pfadd).toHaveBeenCalledWith(`hll:visitors:${urlId}:2024-03-01`, 'visitor-a');
+      expect(pipeline.pfadd).toHaveBeenCalledWith(`hll:visitors:${urlId}:all`, 'visitor-a', 'visitor-a');
+
+      expect(await uniqueVisitorService.countRange([urlId], {
+        startDate: new Date('2024-03-01T12:00:00Z'),
+        endDate: new Date('2024-03-02T12:00:00Z')
+      })).toBe(7);
+      expect(client.pfcount).toHaveBeenCalledWith(
+        `hll:visitors:${urlId}:2024-03-01`,
+        `hll:visitors:${urlId}:2024-03-02`
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/services/urlHistoryService.test.js - Unit tests for link edit history
+// Mock dependencies (jest.mock is not hoisted - there is no babel transform)
+jest.mock('../../../src/services/cacheService');
+jest.mock('../../../src/models/Url', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/models/UrlVersion', () => ({ findOne: jest.fn(), create: jest.fn() }));
+
+const urlHistoryService = require('../../../src/services/urlHistoryService');
+const UrlVersion = require('../../../src/models/UrlVersion');
+
+describe('UrlHistoryService', () => {
+  const baseUrl = {
+    _id: 'url123',
+    userId: 'user123',
+    originalUrl: 'https://example.com/old',
+    shortId: 'abc123',
+    customAlias: null,
+    tags: ['launch'],
+    expiresAt: null,
+    redirectRules: [],
+    variants: [],
+    password: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diff', () => {
+    it('should list changed fields', () => {
+      const before = urlHistoryService.snapshot(baseUrl);
+      const after = urlHistoryService.snapshot({
+        ...baseUrl,
+        originalUrl: 'https://example.com/new',
+        tags: ['launch', 'promo']
+      });
+
+      expect(urlHistoryService.diff(before, after)).toEqual([
+        { field: 'originalUrl', from: 'https://example.com/old', to: 'https://example.com/new' },
+        { field: 'tags', from: ['launch'], to: ['launch', 'promo'] }
+      ]);
+    });
+
+    it('should report password changes without exposing the password', () => {
+      const before = urlHistoryService.snapshot(baseUrl);
+      const after = urlHistoryService.snapshot({ ...baseUrl, password: 'secret' });
+
+      expect(urlHistoryService.diff(before, after)).toEqual([
+        { field: 'password', from: 'none', to: 'set' }
+      ]);
+      expect(urlHistoryService.diff(after, before)).toEqual([
+        { field: 'password', from: 'set', to: 'cleared' }
+      ]);
+    });
+
+    it('should skip the password when it was not loaded', () => {
+      const notLoaded = { ...baseUrl, isSelected: () => false };
+      const before = urlHistoryService.snapshot(notLoaded);
+
+      expect(before.hasPassword).toBeNull();
+      expect(urlHistoryService.diff(before, urlHistoryService.snapshot({ ...baseUrl, password: 'x' }))).toEqual([]);
+    });
+  });
+
+  describe('recordChange', () => {
+    const mockLatest = (version) => {
+      UrlVersion.findOne.mockReturnValue({
+        sort: () => ({ select: jest.fn().mockResolvedValue(version ? { version } : null) })
+      });
+    };
+
+    it('should store the prior state as version 1 on the first edit', async () => {
+      mockLatest(null);
+      UrlVersion.create.mockImplementation(async (data) => data);
+
+      const before = urlHistoryService.snapshot(baseUrl);
+      const entry = await urlHistoryService.recordChange(
+        { ...baseUrl, originalUrl: 'https://example.com/new' },
+        before,
+        'user123'
+      );
+
+      expect(UrlVersion.create).toHaveBeenCalledTimes(2);
+      expect(UrlVersion.create.mock.calls[0][0]).toMatchObject({ version: 1, action: 'initial' });
+      expect(entry).toMatchObject({ version: 2, action: 'update', changedBy: 'user123' });
+      expect(entry.snapshot.originalUrl).toBe('https://example.com/new');
+    });
+
+    it('should not record a version when nothing tracked changed', async () => {
+      const before = urlHistoryService.snapshot(baseUrl);
+
+      const entry = await urlHistoryService.recordChange({ ...baseUrl }, before, 'user123');
+
+      expect(entry).toBeNull();
+      expect(UrlVersion.create).not.toHaveBeenCalled();
+    });
+  });
+});
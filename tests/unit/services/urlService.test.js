@@ -1,17 +1,23 @@
 // tests/unit/services/urlService.test.js - Unit tests for URL service
+// Mock dependencies (jest.mock is not hoisted - there is no babel transform)
+jest.mock('../../../src/services/cacheService');
+jest.mock('../../../src/models/Url');
+jest.mock('../../../src/models/Analytics');
+jest.mock('../../../src/models/UtmTemplate');
+jest.mock('../../../src/models/User');
+
 const urlService = require('../../../src/services/urlService');
 const Url = require('../../../src/models/Url');
 const Analytics = require('../../../src/models/Analytics');
 const cacheService = require('../../../src/services/cacheService');
-
-// Mock dependencies
-jest.mock('../../../src/services/cacheService');
-jest.mock('../../../src/models/Url');
-jest.mock('../../../src/models/Analytics');
+const shortCodeService = require('../../../src/services/shortCodeService');
+const contentModerationService = require('../../../src/services/contentModerationService');
 
 describe('UrlService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Moderation reads the real Url schema, which the automock does not have
+    jest.spyOn(contentModerationService, 'reviewLink').mockResolvedValue(null);
   });
 
   describe('createShortUrl', () => {
@@ -33,15 +39,18 @@ describe('UrlService', () => {
 
       Url.findOne.mockResolvedValue(null); // No existing URL
       Url.mockImplementation(() => mockUrl);
+      jest.spyOn(shortCodeService, 'generate').mockResolvedValue('abc123');
       cacheService.cacheUrl.mockResolvedValue(true);
 
       const result = await urlService.createShortUrl(urlData, userId);
 
       expect(result).toBeDefined();
       expect(Url.findOne).toHaveBeenCalledWith({
-        originalUrl: urlData.originalUrl,
         userId,
-        status: 'active'
+        canonicalUrl: 'https://example.com/',
+        status: 'active',
+        'usageLimits.requireToken': { $ne: true },
+        'usageLimits.perVisitor': null
       });
       expect(cacheService.cacheUrl).toHaveBeenCalled();
     });
@@ -68,6 +77,49 @@ describe('UrlService', () => {
       expect(cacheService.cacheUrl).toHaveBeenCalledWith('existing123', existingUrl);
     });
 
+    it('should reuse a link whose destination differs only in form', async () => {
+      const existingUrl = { _id: 'url123', shortCode: 'existing123', originalUrl: 'https://example.com/page' };
+      Url.findOne.mockResolvedValue(existingUrl);
+      cacheService.cacheUrl.mockResolvedValue(true);
+
+      const result = await urlService.createShortUrl({
+        originalUrl: 'https://EXAMPLE.com:443/page/?fbclid=abc#top'
+      }, 'user123');
+
+      expect(result).toBe(existingUrl);
+      expect(Url.findOne).toHaveBeenCalledWith({
+        userId: 'user123',
+        canonicalUrl: 'https://example.com/page',
+        status: 'active',
+        'usageLimits.requireToken': { $ne: true },
+        'usageLimits.perVisitor': null
+      });
+    });
+
+    it('should report the existing link in ask mode', async () => {
+      Url.findOne.mockResolvedValue({ _id: 'url123', shortCode: 'existing123', originalUrl: 'https://example.com' });
+
+      await expect(urlService.createShortUrl({ originalUrl: 'https://example.com', dedupe: 'ask' }, 'user123'))
+        .rejects.toMatchObject({ code: 'DUPLICATE_LINK', details: { shortCode: 'existing123' } });
+    });
+
+    it('should skip the duplicate check in always_new mode', async () => {
+      const mockUrl = {
+        _id: 'url123',
+        originalUrl: 'https://example.com',
+        shortCode: 'abc123',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Url.mockImplementation(() => mockUrl);
+      jest.spyOn(shortCodeService, 'generate').mockResolvedValue('abc123');
+      cacheService.cacheUrl.mockResolvedValue(true);
+
+      await urlService.createShortUrl({ originalUrl: 'https://example.com', dedupe: 'always_new' }, 'user123');
+
+      expect(Url.findOne).not.toHaveBeenCalledWith(expect.objectContaining({ canonicalUrl: expect.anything() }));
+      expect(mockUrl.save).toHaveBeenCalled();
+    });
+
     it('should throw error for invalid custom alias', async () => {
       const userId = 'user123';
       const urlData = {
@@ -75,9 +127,8 @@ describe('UrlService', () => {
         customAlias: 'taken'
       };
 
-      // Mock alias already exists
-      Url.findOne.mockResolvedValueOnce(null); // No existing URL
-      Url.findOne.mockResolvedValueOnce({ shortCode: 'taken' }); // Alias exists
+      // Mock alias already exists (links with an alias skip the duplicate check)
+      Url.findOne.mockResolvedValueOnce({ shortCode: 'taken' });
 
       await expect(urlService.createShortUrl(urlData, userId))
         .rejects.toThrow('Custom alias is already taken');
@@ -124,7 +175,7 @@ describe('UrlService', () => {
       expect(result).toBe(dbUrl);
       expect(Url.findOne).toHaveBeenCalledWith({
         $or: [{ shortId: shortCode }, { shortCode }],
-        status: 'active'
+        status: { $in: ['active', 'expired'] }
       });
       expect(cacheService.cacheUrl).toHaveBeenCalledWith(shortCode, dbUrl);
     });
@@ -140,6 +191,128 @@ describe('UrlService', () => {
       await expect(urlService.getUrlByShortCode(shortCode))
         .rejects.toThrow('URL not found');
     });
+
+    it('should fall back to the normalised alias key without caching', async () => {
+      const dbUrl = {
+        _id: 'url123',
+        shortCode: 'sale',
+        customAlias: 'Sale',
+        originalUrl: 'https://example.com',
+        status: 'active'
+      };
+
+      cacheService.getCachedUrl.mockResolvedValue(null);
+      Url.findOne
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(null) })
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(dbUrl) });
+
+      const result = await urlService.getUrlByShortCode('SALE');
+
+      expect(result).toBe(dbUrl);
+      expect(Url.findOne).toHaveBeenLastCalledWith({ aliasKey: 'sale', status: { $in: ['active', 'expired'] } });
+      expect(cacheService.cacheUrl).not.toHaveBeenCalled();
+    });
+
+    it('should throw LinkUnavailableError for a link that is not active yet', async () => {
+      const cachedUrl = {
+        _id: 'url123',
+        shortCode: 'abc123',
+        originalUrl: 'https://example.com',
+        status: 'active',
+        activatesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      };
+
+      cacheService.getCachedUrl.mockResolvedValue(cachedUrl);
+
+      await expect(urlService.getUrlByShortCode('abc123'))
+        .rejects.toMatchObject({ code: 'LINK_UNAVAILABLE', reason: 'scheduled', url: cachedUrl });
+    });
+
+    it('should throw LinkUnavailableError once the click cap is used up', async () => {
+      const cachedUrl = {
+        _id: 'url123',
+        shortCode: 'abc123',
+        originalUrl: 'https://example.com',
+        status: 'active',
+        clicks: 500,
+        maxClicks: 500
+      };
+
+      cacheService.getCachedUrl.mockResolvedValue(cachedUrl);
+
+      await expect(urlService.getUrlByShortCode('abc123'))
+        .rejects.toMatchObject({ code: 'LINK_UNAVAILABLE', reason: 'click_limit' });
+    });
+
+    it('should hand back an expired link with its fallback and mark it expired', async () => {
+      const dbUrl = {
+        _id: 'url123',
+        shortCode: 'abc123',
+        originalUrl: 'https://example.com',
+        status: 'active',
+        expiresAt: new Date(Date.now() - 60 * 1000),
+        fallbackUrl: 'https://example.com/ended',
+        isExpired: () => true
+      };
+
+      cacheService.getCachedUrl.mockResolvedValue(null);
+      Url.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(dbUrl) });
+      Url.findByIdAndUpdate.mockResolvedValue({});
+
+      await expect(urlService.getUrlByShortCode('abc123'))
+        .rejects.toMatchObject({ code: 'LINK_UNAVAILABLE', reason: 'expired', url: dbUrl });
+      expect(Url.findByIdAndUpdate).toHaveBeenCalledWith('url123', { status: 'expired', isActive: false });
+    });
+
+    it('should still serve the fallback of a link the sweeper has expired', async () => {
+      const dbUrl = {
+        _id: 'url123',
+        shortCode: 'abc123',
+        originalUrl: 'https://example.com',
+        status: 'expired',
+        clicks: 100,
+        maxClicks: 100,
+        fallbackMessage: 'Sold out!'
+      };
+
+      cacheService.getCachedUrl.mockResolvedValue(null);
+      Url.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(dbUrl) });
+
+      await expect(urlService.getUrlByShortCode('abc123'))
+        .rejects.toMatchObject({ code: 'LINK_UNAVAILABLE', reason: 'click_limit', url: dbUrl });
+      expect(Url.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUnavailableReason', () => {
+    const now = new Date('2024-01-10T12:00:00Z');
+
+    it('should return null for a live link', () => {
+      expect(urlService.getUnavailableReason({ clicks: 3, maxClicks: 10 }, now)).toBeNull();
+    });
+
+    it('should report scheduled, capped and expired links', () => {
+      expect(urlService.getUnavailableReason({ activatesAt: '2024-01-11T00:00:00Z' }, now)).toBe('scheduled');
+      expect(urlService.getUnavailableReason({ clicks: 10, maxClicks: 10 }, now)).toBe('click_limit');
+      expect(urlService.getUnavailableReason({ expiresAt: '2024-01-09T00:00:00Z' }, now)).toBe('expired');
+    });
+  });
+
+  describe('sweepExpiredUrls', () => {
+    it('should mark expired links and clear their cache', async () => {
+      Url.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: 'url1', shortCode: 'abc123' }])
+      });
+      Url.findByIdAndUpdate.mockResolvedValue({});
+
+      const count = await urlService.sweepExpiredUrls();
+
+      expect(count).toBe(1);
+      expect(Url.findByIdAndUpdate).toHaveBeenCalledWith('url1', { status: 'expired', isActive: false });
+      expect(cacheService.invalidateUrl).toHaveBeenCalledWith('abc123');
+    });
   });
 
   describe('updateUrl', () => {
@@ -243,35 +416,21 @@ describe('UrlService', () => {
   });
 
   describe('generateUniqueShortCode', () => {
-    it('should generate unique short code', async () => {
-      // Mock checkAliasAvailability to return true (available)
-      jest.spyOn(urlService, 'checkAliasAvailability').mockResolvedValue(true);
+    it('should delegate to the short code service', async () => {
+      jest.spyOn(shortCodeService, 'generate').mockResolvedValue('abc12345');
 
       const shortCode = await urlService.generateUniqueShortCode();
 
-      expect(shortCode).toBeDefined();
-      expect(typeof shortCode).toBe('string');
-      expect(shortCode.length).toBe(8);
+      expect(shortCode).toBe('abc12345');
+      expect(shortCodeService.generate).toHaveBeenCalledWith({ length: undefined });
     });
 
-    it('should retry if short code is not unique', async () => {
-      // Mock checkAliasAvailability to return false first, then true
-      jest.spyOn(urlService, 'checkAliasAvailability')
-        .mockResolvedValueOnce(false)
-        .mockResolvedValueOnce(true);
-
-      const shortCode = await urlService.generateUniqueShortCode();
-
-      expect(shortCode).toBeDefined();
-      expect(urlService.checkAliasAvailability).toHaveBeenCalledTimes(2);
-    });
+    it('should pass a custom length through', async () => {
+      jest.spyOn(shortCodeService, 'generate').mockResolvedValue('abc123');
 
-    it('should throw error if unable to generate unique code', async () => {
-      // Mock checkAliasAvailability to always return false
-      jest.spyOn(urlService, 'checkAliasAvailability').mockResolvedValue(false);
+      await urlService.generateUniqueShortCode(6);
 
-      await expect(urlService.generateUniqueShortCode())
-        .rejects.toThrow('Unable to generate unique short code');
+      expect(shortCodeService.generate).toHaveBeenCalledWith({ length: 6 });
     });
   });
 
@@ -288,7 +447,8 @@ describe('UrlService', () => {
         $or: [
           { shortId: alias },
           { shortCode: alias },
-          { customAlias: alias }
+          { customAlias: alias },
+          { aliasKey: 'available' }
         ]
       });
     });
@@ -302,6 +462,16 @@ describe('UrlService', () => {
 
       expect(result).toBe(false);
     });
+
+    it('should leave out the alias key clause when the alias has no key', async () => {
+      Url.findOne.mockResolvedValue(null);
+
+      await urlService.checkAliasAvailability('\u200B');
+
+      expect(Url.findOne).toHaveBeenCalledWith({
+        $or: [{ shortId: '\u200B' }, { shortCode: '\u200B' }, { customAlias: '\u200B' }]
+      });
+    });
   });
 
   describe('bulkCreateUrls', () => {
@@ -0,0 +1,81 @@
+// tests/unit/services/utmService.test.js - Unit tests for UTM templates and the campaign builder
+const mongoose = require('mongoose');
+const utmService = require('../../../src/services/utmService');
+const UtmTemplate = require('../../../src/models/UtmTemplate');
+
+describe('UtmService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const template = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Marketing',
+    forceLowercase: true,
+    enforcement: 'reject',
+    fields: {
+      source: { defaultValue: 'newsletter', allowedValues: [], required: true },
+      medium: { defaultValue: null, allowedValues: ['email', 'social', 'cpc'], required: true },
+      campaign: { defaultValue: null, allowedValues: [], required: true }
+    }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkValues', () => {
+    it('should accept values that follow the template', () => {
+      expect(utmService.checkValues({ source: 'newsletter', medium: 'email', campaign: 'spring' }, template)).toEqual([]);
+    });
+
+    it('should report missing, disallowed and upper case values', () => {
+      const violations = utmService.checkValues({ source: 'Newsletter', medium: 'print' }, template);
+
+      expect(violations.map(violation => violation.message)).toEqual([
+        'utm_source must be lower case',
+        'utm_medium must be one of email, social, cpc',
+        'utm_campaign is required'
+      ]);
+    });
+  });
+
+  describe('buildUrl', () => {
+    it('should fill in defaults, lower case values and keep other parameters', () => {
+      const result = utmService.buildUrl('https://example.com/shop?ref=1', template, {
+        medium: 'Email',
+        campaign: 'Spring Sale'
+      });
+
+      expect(result.url).toBe('https://example.com/shop?ref=1&utm_source=newsletter&utm_medium=email&utm_campaign=spring+sale');
+      expect(result.violations).toEqual([]);
+    });
+
+    it('should remove parameters set to an empty value', () => {
+      const result = utmService.buildUrl('https://example.com/?utm_term=shoes&utm_campaign=old', null, { term: '' });
+
+      expect(result.url).toBe('https://example.com/?utm_campaign=old');
+      expect(result.utm).toEqual({ campaign: 'old' });
+    });
+  });
+
+  describe('enforce', () => {
+    it('should reject destinations that break a rejecting template', async () => {
+      jest.spyOn(UtmTemplate, 'findOne').mockResolvedValue(template);
+
+      await expect(utmService.enforce(userId, 'https://example.com/?utm_medium=print'))
+        .rejects.toMatchObject({ statusCode: 400, details: expect.any(Array) });
+    });
+
+    it('should only warn with a warning template', async () => {
+      jest.spyOn(UtmTemplate, 'findOne').mockResolvedValue({ ...template, enforcement: 'warn' });
+
+      const { warnings } = await utmService.enforce(userId, 'https://example.com/?utm_source=ads&utm_medium=email');
+
+      expect(warnings).toEqual(['utm_campaign is required']);
+    });
+
+    it('should not check untagged destinations against the default template', async () => {
+      jest.spyOn(UtmTemplate, 'findOne').mockResolvedValue(template);
+
+      expect((await utmService.enforce(userId, 'https://example.com/')).warnings).toEqual([]);
+    });
+  });
+});
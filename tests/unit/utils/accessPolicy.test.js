@@ -0,0 +1,69 @@
+// tests/unit/utils/accessPolicy.test.js - Unit tests for per-link geo and IP restrictions
+const {
+  DEFAULT_BLOCK_MESSAGE,
+  parseCidr,
+  matchesCidr,
+  buildAccessPolicy,
+  checkAccess
+} = require('../../../src/utils/accessPolicy');
+
+describe('accessPolicy', () => {
+  describe('parseCidr', () => {
+    it('should parse IPv4 and IPv6 ranges and single addresses', () => {
+      expect(parseCidr('10.0.0.0/8')).toEqual({ address: '10.0.0.0', prefix: 8, family: 'ipv4' });
+      expect(parseCidr('2001:db8::/32')).toEqual({ address: '2001:db8::', prefix: 32, family: 'ipv6' });
+      expect(parseCidr('192.168.1.7')).toEqual({ address: '192.168.1.7', prefix: 32, family: 'ipv4' });
+    });
+
+    it('should reject invalid ranges', () => {
+      expect(parseCidr('10.0.0.0/33')).toBeNull();
+      expect(parseCidr('10.0.0.0/')).toBeNull();
+      expect(parseCidr('example.com/24')).toBeNull();
+    });
+  });
+
+  describe('matchesCidr', () => {
+    it('should match addresses inside the ranges, including IPv4-mapped ones', () => {
+      expect(matchesCidr('10.20.30.40', ['10.0.0.0/8'])).toBe(true);
+      expect(matchesCidr('::ffff:10.20.30.40', ['10.0.0.0/8'])).toBe(true);
+      expect(matchesCidr('2001:db8::1', ['2001:db8::/32'])).toBe(true);
+      expect(matchesCidr('11.0.0.1', ['10.0.0.0/8'])).toBe(false);
+      expect(matchesCidr('unknown', ['10.0.0.0/8'])).toBe(false);
+    });
+  });
+
+  describe('checkAccess', () => {
+    const link = (policy) => ({ accessPolicy: buildAccessPolicy(policy) });
+
+    it('should let everyone through without a policy', () => {
+      expect(checkAccess({}, { ip: '8.8.8.8', countryCode: 'US' })).toBeNull();
+      expect(checkAccess(link({}), { ip: '8.8.8.8', countryCode: 'US' })).toBeNull();
+    });
+
+    it('should block listed countries and visitors outside allowed ones', () => {
+      expect(checkAccess(link({ blockedCountries: ['RU'] }), { countryCode: 'RU' }).reason).toBe('country_blocked');
+      expect(checkAccess(link({ allowedCountries: ['DE', 'FR'] }), { countryCode: 'US' }).reason)
+        .toBe('country_not_allowed');
+      expect(checkAccess(link({ allowedCountries: ['DE'] }), { countryCode: 'de' })).toBeNull();
+    });
+
+    it('should keep internal-only links to the allowed networks', () => {
+      const internal = link({ allowedCidrs: ['10.0.0.0/8'], blockMessage: 'Company network only' });
+
+      expect(checkAccess(internal, { ip: '10.1.2.3' })).toBeNull();
+      expect(checkAccess(internal, { ip: '8.8.8.8' })).toEqual({
+        reason: 'ip_not_allowed',
+        message: 'Company network only'
+      });
+    });
+
+    it('should check deny lists before allow lists', () => {
+      const policy = link({ allowedCidrs: ['10.0.0.0/8'], blockedCidrs: ['10.9.0.0/16'] });
+
+      expect(checkAccess(policy, { ip: '10.9.1.1' })).toEqual({
+        reason: 'ip_blocked',
+        message: DEFAULT_BLOCK_MESSAGE
+      });
+    });
+  });
+});
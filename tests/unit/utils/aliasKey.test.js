@@ -0,0 +1,47 @@
+// tests/unit/utils/aliasKey.test.js - Unit tests for normalised alias keys
+const { normalizeAlias, aliasKeyClauses } = require('../../../src/utils/aliasKey');
+
+describe('normalizeAlias', () => {
+  it('should fold case', () => {
+    expect(normalizeAlias('Sale')).toBe('sale');
+    expect(normalizeAlias('SALE')).toBe('sale');
+  });
+
+  it('should apply NFKC so full-width and compatibility forms match', () => {
+    expect(normalizeAlias('ｓａｌｅ')).toBe('sale'); // full-width "sale"
+    expect(normalizeAlias('ﬁle')).toBe('file'); // "fi" ligature
+  });
+
+  it('should strip accents and invisible characters', () => {
+    expect(normalizeAlias('Café')).toBe('cafe');
+    expect(normalizeAlias('sa\u200Ble')).toBe('sale');
+  });
+
+  it('should map look-alike characters onto the same skeleton', () => {
+    expect(normalizeAlias('ѕаle')).toBe('sale'); // Cyrillic dze and a
+    expect(normalizeAlias('sa1e')).toBe('sale');
+    expect(normalizeAlias('g00gle')).toBe('google');
+    expect(normalizeAlias('modern')).toBe(normalizeAlias('modem'));
+  });
+
+  it('should keep different aliases apart', () => {
+    expect(normalizeAlias('sale')).not.toBe(normalizeAlias('sales'));
+    expect(normalizeAlias('spring')).not.toBe(normalizeAlias('string'));
+  });
+
+  it('should return null for empty aliases', () => {
+    expect(normalizeAlias(null)).toBeNull();
+    expect(normalizeAlias('   ')).toBeNull();
+  });
+});
+
+describe('aliasKeyClauses', () => {
+  it('should match on the alias key', () => {
+    expect(aliasKeyClauses('Sale')).toEqual([{ aliasKey: 'sale' }]);
+  });
+
+  it('should not match on a missing key', () => {
+    expect(aliasKeyClauses('\u200B')).toEqual([]);
+    expect(aliasKeyClauses(undefined)).toEqual([]);
+  });
+});
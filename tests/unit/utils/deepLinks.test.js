@@ -0,0 +1,61 @@
+// tests/unit/utils/deepLinks.test.js - Unit tests for native app deep links
+const { getAppPlatform, buildAndroidIntentUrl, resolveAppLink } = require('../../../src/utils/deepLinks');
+
+describe('deepLinks', () => {
+  const url = {
+    originalUrl: 'https://example.com/promo',
+    deepLink: {
+      ios: { url: 'myapp://promo/42', storeUrl: 'https://apps.apple.com/app/id123' },
+      android: { url: 'myapp://promo/42', packageName: 'com.example.app' }
+    }
+  };
+
+  describe('getAppPlatform', () => {
+    it('should map UAParser OS names to platforms', () => {
+      expect(getAppPlatform('iOS')).toBe('ios');
+      expect(getAppPlatform('Android')).toBe('android');
+      expect(getAppPlatform('Windows')).toBeNull();
+    });
+  });
+
+  describe('buildAndroidIntentUrl', () => {
+    it('should convert a custom scheme into an intent URL with a fallback', () => {
+      expect(buildAndroidIntentUrl('myapp://promo/42', 'com.example.app', 'https://example.com'))
+        .toBe('intent://promo/42#Intent;scheme=myapp;package=com.example.app;S.browser_fallback_url=https%3A%2F%2Fexample.com;end');
+    });
+  });
+
+  describe('resolveAppLink', () => {
+    it('should try the iOS scheme from a page and fall back to the App Store', () => {
+      expect(resolveAppLink(url, 'iOS', url.originalUrl)).toEqual({
+        type: 'page',
+        platform: 'ios',
+        appUrl: 'myapp://promo/42',
+        fallbackUrl: 'https://apps.apple.com/app/id123'
+      });
+    });
+
+    it('should redirect Android visitors to an intent URL that falls back to the Play Store', () => {
+      const result = resolveAppLink(url, 'Android', url.originalUrl);
+
+      expect(result.type).toBe('redirect');
+      expect(result.destination).toContain('package=com.example.app');
+      expect(result.destination).toContain(encodeURIComponent('https://play.google.com/store/apps/details?id=com.example.app'));
+    });
+
+    it('should redirect straight to universal links', () => {
+      const universal = { deepLink: { ios: { url: 'https://app.example.com/promo' } } };
+
+      expect(resolveAppLink(universal, 'iOS', 'https://example.com')).toEqual({
+        type: 'redirect',
+        platform: 'ios',
+        destination: 'https://app.example.com/promo'
+      });
+    });
+
+    it('should leave desktop visitors and disabled links on the web', () => {
+      expect(resolveAppLink(url, 'Mac OS', url.originalUrl)).toBeNull();
+      expect(resolveAppLink({ deepLink: { ...url.deepLink, enabled: false } }, 'iOS', url.originalUrl)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// tests/unit/utils/hyperLogLog.test.js - Unit tests for Redis-compatible HyperLogLog sketches
+const HyperLogLog = require('../../../src/utils/hyperLogLog');
+
+const sketchOf = (values) => {
+  const sketch = new HyperLogLog();
+  values.forEach(value => sketch.add(value));
+  return sketch;
+};
+
+const range = (prefix, from, to) => Array.from({ length: to - from }, (_, i) => `${prefix}${from + i}`);
+
+describe('HyperLogLog', () => {
+  it('should count small sets exactly and large ones within 2%', () => {
+    expect(new HyperLogLog().count()).toBe(0);
+    expect(sketchOf(['a', 'b', 'c', 'a']).count()).toBe(3);
+
+    const estimate = sketchOf(range('visitor-', 0, 20000)).count();
+    expect(Math.abs(estimate - 20000) / 20000).toBeLessThan(0.02);
+  });
+
+  it('should report whether an added value is new', () => {
+    const sketch = new HyperLogLog();
+
+    expect(sketch.add('visitor-a')).toBe(true);
+    expect(sketch.add('visitor-a')).toBe(false);
+  });
+
+  it('should merge sketches into the union', () => {
+    const merged = sketchOf(range('v', 0, 3000)).merge(sketchOf(range('v', 1500, 4500)));
+
+    expect(Math.abs(merged.count() - 4500) / 4500).toBeLessThan(0.02);
+  });
+
+  it('should round-trip through the Redis dense encoding', () => {
+    const sketch = sketchOf(range('v', 0, 500));
+    const buffer = sketch.toBuffer();
+
+    expect(buffer.toString('ascii', 0, 4)).toBe('HYLL');
+    expect(buffer).toHaveLength(12304);
+    expect(HyperLogLog.fromBuffer(buffer).registers).toEqual(sketch.registers);
+  });
+
+  it('should read the Redis sparse encoding', () => {
+    const header = Buffer.from('HYLL\x01\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x80', 'latin1');
+    // VAL: two registers set to 3, then XZERO: the remaining 16382 registers
+    const sketch = HyperLogLog.fromBuffer(Buffer.concat([header, Buffer.from([0x89, 0x7f, 0xfd])]));
+
+    expect(sketch.registers[0]).toBe(3);
+    expect(sketch.registers[1]).toBe(3);
+    expect(sketch.registers[2]).toBe(0);
+    expect(sketch.count()).toBe(2);
+  });
+});
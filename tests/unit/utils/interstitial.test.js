@@ -0,0 +1,47 @@
+// tests/unit/utils/interstitial.test.js - Unit tests for "you are leaving" interstitials
+const { getInterstitial, DEFAULT_DELAY_SECONDS } = require('../../../src/utils/interstitial');
+
+describe('interstitial', () => {
+  describe('getInterstitial', () => {
+    it('should redirect straight away when no interstitial is set', () => {
+      expect(getInterstitial({ originalUrl: 'https://example.com' })).toBeNull();
+      expect(getInterstitial({ interstitial: { enabled: false, message: 'Ignored' } })).toBeNull();
+    });
+
+    it('should use the owner settings', () => {
+      expect(getInterstitial({
+        interstitial: { enabled: true, message: 'Affiliate link', delaySeconds: 3, requireClick: false }
+      })).toEqual({
+        message: 'Affiliate link',
+        delaySeconds: 3,
+        requireClick: false,
+        forcedByModeration: false
+      });
+    });
+
+    it('should fall back to the default delay', () => {
+      expect(getInterstitial({ interstitial: { enabled: true } }).delaySeconds).toBe(DEFAULT_DELAY_SECONDS);
+    });
+
+    it('should force a click-through warning for links flagged by moderation', () => {
+      const interstitial = getInterstitial({
+        moderationInterstitial: true,
+        interstitial: { enabled: false, delaySeconds: 10, requireClick: false }
+      });
+
+      expect(interstitial.requireClick).toBe(true);
+      expect(interstitial.forcedByModeration).toBe(true);
+      expect(interstitial.message).toMatch(/flagged/);
+    });
+
+    it('should keep the owner message on a forced warning', () => {
+      const interstitial = getInterstitial({
+        moderationInterstitial: true,
+        interstitial: { enabled: true, message: 'Third-party site', requireClick: false }
+      });
+
+      expect(interstitial.message).toBe('Third-party site');
+      expect(interstitial.requireClick).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/unit/utils/qrCodes.test.js - Unit tests for QR code rendering
+const { PNG } = require('pngjs');
+const { parseHexColor, renderQRCode } = require('../../../src/utils/qrCodes');
+
+describe('qrCodes', () => {
+  const options = {
+    size: 200,
+    margin: 2,
+    errorCorrection: 'M',
+    foreground: '#112233',
+    background: '#ffffff'
+  };
+
+  describe('parseHexColor', () => {
+    it('should parse short and long hex colours', () => {
+      expect(parseHexColor('#112233')).toEqual([17, 34, 51]);
+      expect(parseHexColor('#fff')).toEqual([255, 255, 255]);
+    });
+  });
+
+  describe('renderQRCode', () => {
+    it('should render an SVG in the requested colours', () => {
+      const { body, contentType } = renderQRCode('https://sho.rt/abc', { ...options, format: 'svg' });
+      const svg = body.toString('utf8');
+
+      expect(contentType).toBe('image/svg+xml');
+      expect(svg).toContain('width="200"');
+      expect(svg).toContain('fill="#112233"');
+    });
+
+    it('should render a PNG of the requested size with a quiet zone', () => {
+      const { body, contentType } = renderQRCode('https://sho.rt/abc', { ...options, format: 'png' });
+      const image = PNG.sync.read(body);
+
+      expect(contentType).toBe('image/png');
+      expect(image.width).toBe(200);
+      expect(Array.from(image.data.subarray(0, 3))).toEqual([255, 255, 255]);
+    });
+
+    it('should render a single-page PDF', () => {
+      const { body, contentType } = renderQRCode('https://sho.rt/abc', { ...options, format: 'pdf' });
+      const pdf = body.toString('latin1');
+
+      expect(contentType).toBe('application/pdf');
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('/MediaBox [0 0 200 200]');
+      expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+    });
+
+    it('should place a centre logo', () => {
+      const logo = new PNG({ width: 2, height: 2 });
+      logo.data.fill(255);
+      const buffer = PNG.sync.write(logo);
+
+      const { body } = renderQRCode('https://sho.rt/abc', {
+        ...options,
+        format: 'svg',
+        errorCorrection: 'H',
+        logo: { buffer, image: PNG.sync.read(buffer) },
+        logoSize: 0.2
+      });
+
+      expect(body.toString('utf8')).toContain(`href="data:image/png;base64,${buffer.toString('base64')}"`);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => renderQRCode('https://sho.rt/abc', { ...options, format: 'gif' })).toThrow('Unsupported QR code format');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/unit/utils/redirectRules.test.js - Unit tests for conditional redirect rules
+const {
+  parseAcceptLanguage,
+  matchesRule,
+  evaluateRules,
+  resolveDestination
+} = require('../../../src/utils/redirectRules');
+
+describe('redirectRules', () => {
+  // Wednesday 2024-01-10 14:30 UTC
+  const timestamp = new Date('2024-01-10T14:30:00Z');
+
+  const baseContext = {
+    country: 'US',
+    device: 'mobile',
+    os: 'iOS',
+    languages: ['en-us', 'en'],
+    timestamp
+  };
+
+  describe('parseAcceptLanguage', () => {
+    it('should order languages by quality', () => {
+      expect(parseAcceptLanguage('fr;q=0.5, de-DE, en;q=0.8')).toEqual(['de-de', 'en', 'fr']);
+    });
+
+    it('should return an empty list for a missing header', () => {
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('matchesRule', () => {
+    it('should match when every condition matches', () => {
+      const rule = {
+        destination: 'https://example.com/us-ios',
+        conditions: { countries: ['us'], devices: ['mobile'], os: ['iOS'] }
+      };
+
+      expect(matchesRule(rule, baseContext)).toBe(true);
+    });
+
+    it('should not match when one condition fails', () => {
+      const rule = {
+        destination: 'https://example.com/de',
+        conditions: { countries: ['DE'], devices: ['mobile'] }
+      };
+
+      expect(matchesRule(rule, baseContext)).toBe(false);
+    });
+
+    it('should match a base language against a regional tag', () => {
+      const rule = { destination: 'https://example.com/en', conditions: { languages: ['en'] } };
+
+      expect(matchesRule(rule, { ...baseContext, languages: ['en-gb'] })).toBe(true);
+    });
+
+    it('should ignore disabled rules', () => {
+      const rule = { destination: 'https://example.com', enabled: false, conditions: {} };
+
+      expect(matchesRule(rule, baseContext)).toBe(false);
+    });
+
+    it('should evaluate days of week and time windows in the rule timezone', () => {
+      const rule = {
+        destination: 'https://example.com/office-hours',
+        conditions: {
+          daysOfWeek: [3],
+          timeWindow: { start: '09:00', end: '17:00', timezone: 'America/New_York' }
+        }
+      };
+
+      // 14:30 UTC is 09:30 in New York
+      expect(matchesRule(rule, baseContext)).toBe(true);
+      expect(matchesRule(rule, { ...baseContext, timestamp: new Date('2024-01-10T13:30:00Z') })).toBe(false);
+    });
+
+    it('should support time windows that wrap past midnight', () => {
+      const rule = {
+        destination: 'https://example.com/night',
+        conditions: { timeWindow: { start: '22:00', end: '06:00' } }
+      };
+
+      expect(matchesRule(rule, { ...baseContext, timestamp: new Date('2024-01-10T23:00:00Z') })).toBe(true);
+      expect(matchesRule(rule, baseContext)).toBe(false);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    it('should return the first matching rule', () => {
+      const rules = [
+        { name: 'germany', destination: 'https://example.com/de', conditions: { countries: ['DE'] } },
+        { name: 'mobile', destination: 'https://example.com/m', conditions: { devices: ['mobile'] } },
+        { name: 'catch-all', destination: 'https://example.com/all', conditions: {} }
+      ];
+
+      expect(evaluateRules(rules, baseContext).name).toBe('mobile');
+    });
+
+    it('should return null when there are no rules', () => {
+      expect(evaluateRules([], baseContext)).toBeNull();
+      expect(evaluateRules(undefined, baseContext)).toBeNull();
+    });
+  });
+
+  describe('resolveDestination', () => {
+    it('should fall back to originalUrl when no rule matches', () => {
+      const url = {
+        originalUrl: 'https://example.com',
+        redirectRules: [{ destination: 'https://example.com/fr', conditions: { countries: ['FR'] } }]
+      };
+
+      expect(resolveDestination(url, baseContext)).toEqual({
+        destination: 'https://example.com',
+        rule: null,
+        variant: null
+      });
+    });
+
+    it('should prefer a matching rule over split-test variants', () => {
+      const url = {
+        originalUrl: 'https://example.com',
+        redirectRules: [{ destination: 'https://example.com/us', conditions: { countries: ['US'] } }],
+        variants: [{ name: 'A', destination: 'https://example.com/a', weight: 100 }]
+      };
+
+      const result = resolveDestination(url, { ...baseContext, visitorKey: 'visitor-1' });
+
+      expect(result.destination).toBe('https://example.com/us');
+      expect(result.variant).toBeNull();
+    });
+
+    it('should use a split-test variant when no rule matches', () => {
+      const url = {
+        originalUrl: 'https://example.com',
+        variants: [{ name: 'A', destination: 'https://example.com/a', weight: 100 }]
+      };
+
+      const result = resolveDestination(url, { ...baseContext, visitorKey: 'visitor-1' });
+
+      expect(result.destination).toBe('https://example.com/a');
+      expect(result.variant.name).toBe('A');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// tests/unit/utils/socialPreview.test.js - Unit tests for social crawler previews
+const {
+  getSocialBotPlatform,
+  isSocialBot,
+  getPreviewMeta
+} = require('../../../src/utils/socialPreview');
+
+describe('socialPreview', () => {
+  describe('getSocialBotPlatform', () => {
+    it('should recognise link-unfurling crawlers', () => {
+      expect(getSocialBotPlatform('Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)')).toBe('slack');
+      expect(getSocialBotPlatform('Twitterbot/1.0')).toBe('twitter');
+      expect(getSocialBotPlatform('facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)')).toBe('facebook');
+      expect(getSocialBotPlatform('Mozilla/5.0 (compatible; Discordbot/2.0; +https://discordapp.com)')).toBe('discord');
+    });
+
+    it('should not treat browsers or search engines as social crawlers', () => {
+      expect(isSocialBot('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15')).toBe(false);
+      expect(isSocialBot('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')).toBe(false);
+      expect(isSocialBot('')).toBe(false);
+    });
+  });
+
+  describe('getPreviewMeta', () => {
+    it('should prefer per-link overrides', () => {
+      const url = {
+        originalUrl: 'https://example.com/post',
+        title: 'Link title',
+        socialPreview: { title: 'Custom title', image: 'https://example.com/card.png' }
+      };
+
+      expect(getPreviewMeta(url)).toEqual({
+        title: 'Custom title',
+        description: '',
+        image: 'https://example.com/card.png'
+      });
+    });
+
+    it('should fall back to the destination hostname', () => {
+      expect(getPreviewMeta({ originalUrl: 'https://example.com/post' }).title).toBe('example.com');
+    });
+  });
+});
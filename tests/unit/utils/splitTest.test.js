@@ -0,0 +1,43 @@
+// tests/unit/utils/splitTest.test.js - Unit tests for weighted A/B destination selection
+const { pickVariant, getActiveVariants } = require('../../../src/utils/splitTest');
+
+describe('splitTest', () => {
+  const variants = [
+    { name: 'A', destination: 'https://example.com/a', weight: 70 },
+    { name: 'B', destination: 'https://example.com/b', weight: 30 }
+  ];
+
+  describe('getActiveVariants', () => {
+    it('should skip variants with zero weight', () => {
+      const active = getActiveVariants([...variants, { name: 'C', destination: 'https://example.com/c', weight: 0 }]);
+
+      expect(active.map(v => v.name)).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('pickVariant', () => {
+    it('should return null when there are no variants', () => {
+      expect(pickVariant([], 'visitor')).toBeNull();
+      expect(pickVariant(undefined, 'visitor')).toBeNull();
+    });
+
+    it('should be sticky for the same visitor', () => {
+      const first = pickVariant(variants, 'visitor-123', 'url1');
+
+      for (let i = 0; i < 10; i++) {
+        expect(pickVariant(variants, 'visitor-123', 'url1')).toBe(first);
+      }
+    });
+
+    it('should allocate traffic roughly by weight', () => {
+      const counts = { A: 0, B: 0 };
+
+      for (let i = 0; i < 2000; i++) {
+        counts[pickVariant(variants, `visitor-${i}`, 'url1').name] += 1;
+      }
+
+      expect(counts.A / 2000).toBeGreaterThan(0.65);
+      expect(counts.A / 2000).toBeLessThan(0.75);
+    });
+  });
+});
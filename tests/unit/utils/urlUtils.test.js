@@ -0,0 +1,97 @@
+// tests/unit/utils/urlUtils.test.js - Unit tests for redirect helpers
+const {
+  getRedirectStatus,
+  getRawQuery,
+  getSourceMarker,
+  withSourceMarker,
+  applyQueryPassthrough,
+  canonicalizeUrl
+} = require('../../../src/utils/urlUtils');
+
+describe('urlUtils', () => {
+  describe('getRedirectStatus', () => {
+    it('should use the configured redirect type', () => {
+      expect(getRedirectStatus({ redirectType: 301 })).toBe(301);
+      expect(getRedirectStatus({ redirectType: '308' })).toBe(308);
+    });
+
+    it('should default to 302 for missing or unsupported types', () => {
+      expect(getRedirectStatus({})).toBe(302);
+      expect(getRedirectStatus({ redirectType: 303 })).toBe(302);
+    });
+  });
+
+  describe('getRawQuery', () => {
+    it('should return the query string without the leading "?"', () => {
+      expect(getRawQuery({ originalUrl: '/abc123?utm_source=x&ref=y' })).toBe('utm_source=x&ref=y');
+      expect(getRawQuery({ originalUrl: '/abc123' })).toBe('');
+    });
+
+    it('should drop the QR scan marker', () => {
+      expect(getRawQuery({ originalUrl: '/abc123?src=qr&ref=y' })).toBe('ref=y');
+      expect(getRawQuery({ originalUrl: '/abc123?src=newsletter' })).toBe('src=newsletter');
+    });
+
+    it('should drop link tokens only for links that require them', () => {
+      const req = { originalUrl: '/abc123?t=tok.sig&ref=y' };
+
+      expect(getRawQuery(req, { usageLimits: { requireToken: true } })).toBe('ref=y');
+      expect(getRawQuery(req, { usageLimits: { requireToken: false } })).toBe('t=tok.sig&ref=y');
+    });
+  });
+
+  describe('source markers', () => {
+    it('should add the marker to short URLs', () => {
+      expect(withSourceMarker('https://sho.rt/abc123', 'qr')).toBe('https://sho.rt/abc123?src=qr');
+    });
+
+    it('should read known markers from the request', () => {
+      expect(getSourceMarker({ query: { src: 'qr' } })).toBe('qr');
+      expect(getSourceMarker({ query: { src: 'newsletter' } })).toBeNull();
+      expect(getSourceMarker({ query: {} })).toBeNull();
+    });
+  });
+
+  describe('applyQueryPassthrough', () => {
+    const destination = 'https://example.com/page?utm_source=link&id=1';
+
+    it('should leave the destination untouched when disabled', () => {
+      expect(applyQueryPassthrough(destination, 'utm_source=mail', 'none')).toBe(destination);
+    });
+
+    it('should append incoming parameters in append mode', () => {
+      expect(applyQueryPassthrough(destination, 'utm_source=mail&ref=a', 'append'))
+        .toBe('https://example.com/page?utm_source=link&id=1&utm_source=mail&ref=a');
+    });
+
+    it('should let incoming parameters override in merge mode', () => {
+      expect(applyQueryPassthrough(destination, 'utm_source=mail&ref=a', 'merge'))
+        .toBe('https://example.com/page?id=1&utm_source=mail&ref=a');
+    });
+  });
+
+  describe('canonicalizeUrl', () => {
+    it('should normalise host, port, path and fragment', () => {
+      expect(canonicalizeUrl('HTTP://Example.COM:80/docs/#intro')).toBe('http://example.com/docs');
+      expect(canonicalizeUrl('https://example.com.:443')).toBe('https://example.com/');
+    });
+
+    it('should convert international hosts to punycode', () => {
+      expect(canonicalizeUrl('https://bücher.de/')).toBe('https://xn--bcher-kva.de/');
+    });
+
+    it('should sort parameters by name and drop tracking parameters', () => {
+      expect(canonicalizeUrl('https://example.com/p?b=2&fbclid=x&a=1&a=0&GCLID=y'))
+        .toBe('https://example.com/p?a=1&a=0&b=2');
+    });
+
+    it('should accept a custom strip list with prefixes', () => {
+      expect(canonicalizeUrl('https://example.com/?utm_source=mail&id=1&ref=a', ['utm_*', 'ref']))
+        .toBe('https://example.com/?id=1');
+    });
+
+    it('should return null for unparseable URLs', () => {
+      expect(canonicalizeUrl('not a url')).toBeNull();
+    });
+  });
+});